@@ -0,0 +1,59 @@
+// Local mock of the readings upload endpoint for testing background sync.
+//
+// Usage: node scripts/mock-sync-server.js [port] [failRate]
+//   port      port to listen on (default 8787)
+//   failRate  fraction of requests answered with 503 to exercise retries (default 0)
+//
+// Point the app's sync endpoint at http://localhost:<port>/readings
+import http from 'node:http';
+
+const port = Number(process.argv[2]) || 8787;
+const failRate = Number(process.argv[3]) || 0;
+let received = 0;
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, corsHeaders);
+    res.end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.writeHead(405, corsHeaders);
+    res.end();
+    return;
+  }
+
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    if (Math.random() < failRate) {
+      console.log(`${new Date().toISOString()} simulated failure`);
+      res.writeHead(503, corsHeaders);
+      res.end();
+      return;
+    }
+
+    try {
+      const { readings } = JSON.parse(body);
+      received += readings.length;
+      console.log(`${new Date().toISOString()} received ${readings.length} readings (${received} total)`);
+      res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ received: readings.length }));
+    } catch (e) {
+      console.error('Invalid payload:', e.message);
+      res.writeHead(400, corsHeaders);
+      res.end();
+    }
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Mock sync server listening on http://localhost:${port}/readings`);
+});
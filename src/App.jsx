@@ -1,5 +1,4 @@
-import React, { useState, useRef, useEffect } from "react";
-import { Line } from "react-chartjs-2";
+import React, { useState, useRef, useEffect, useCallback } from "react";
 //import { Card, CardContent } from "@/components/ui/card";
 //import { Button } from "@/components/ui/button";
 import {
@@ -13,7 +12,32 @@ import {
   Tooltip,
   Legend,
 } from "chart.js";
-import { saveReading, getLatestReading, getReadings } from "./utils/storage";
+import { countReadings } from "./utils/storage";
+import { SYNC_TAG, syncReadings } from "./utils/sync";
+import SyncSettings from "./components/SyncSettings";
+import StoragePanel from "./components/StoragePanel";
+import AlarmSettings from "./components/AlarmSettings";
+import DisplaySettings from "./components/DisplaySettings";
+import SettingsTransfer from "./components/SettingsTransfer";
+import SettingsProvider from "./components/SettingsProvider";
+import HistoryView from "./components/HistoryView";
+import ImportPanel from "./components/ImportPanel";
+import SessionList from "./components/SessionList";
+import WaveformPlayback from "./components/WaveformPlayback";
+import SleepReport from "./components/SleepReport";
+import DeviceManager from "./components/DeviceManager";
+import DeviceMemorySync from "./components/DeviceMemorySync";
+import MonitorTile from "./components/MonitorTile";
+import LockScreen from "./components/LockScreen";
+import EncryptionSettings from "./components/EncryptionSettings";
+import ProfileSwitcher from "./components/ProfileSwitcher";
+import ProfileSettings from "./components/ProfileSettings";
+import useEncryption from "./hooks/useEncryption";
+import useProfiles from "./hooks/useProfiles";
+import { startCompactionJob } from "./utils/retention";
+import { CONNECTION_STATES } from "./utils/connectionManager";
+import { getMonitors, addMonitor, updateMonitor, removeMonitor } from "./utils/monitors";
+import { completePendingSummaries } from "./utils/sessions";
 
 Chart.register(
   LineController,
@@ -26,36 +50,32 @@ Chart.register(
   Legend
 );
 
-function bufferToSamples(value) {
-  // Parse byte array
-  const arr = new Uint8Array(value.buffer);
-  const header = arr[0];
-  if (header === 0xF1 && arr.length >= 4) {
-    // Measurement frame: [0xF1, bpm, spo2, ...]
-    return { type: "measure", bpm: arr[1], spo2: arr[2] };
-  }
-  if (header === 0xF0) {
-    // Waveform frame: [0xF0, ...samples]
-    return { type: "waveform", samples: arr.slice(1) };
-  }
-  return null;
-}
+const VIEWS = [
+  { id: "monitor", label: "Monitor" },
+  { id: "history", label: "History" },
+  { id: "sessions", label: "Sessions" },
+  { id: "devices", label: "Devices" },
+  { id: "settings", label: "Settings" },
+];
 
 export default function App() {
-  const [bpm, setBpm] = useState("--");
-  const [spo2, setSpo2] = useState("--");
-  const [waveform, setWaveform] = useState([]);
-  const [isConnected, setIsConnected] = useState(false);
   const [isOnline, setIsOnline] = useState(navigator.onLine);
   const [error, setError] = useState(null);
-  const [device, setDevice] = useState(null);
-  const [lastReadingTime, setLastReadingTime] = useState(null);
   const [isInstalled, setIsInstalled] = useState(false);
   const [displayInstallPrompt, setDisplayInstallPrompt] = useState(false);
   const [isWebBluetoothSupported, setIsWebBluetoothSupported] = useState(true);
-  const [historicalReadings, setHistoricalReadings] = useState([]);
-  const waveformBuf = useRef([]);
+  const [isWebSerialSupported] = useState(() => Boolean(navigator.serial));
+  const [recentReadingCount, setRecentReadingCount] = useState(0);
+  const [view, setView] = useState("monitor");
+  const [selectedSession, setSelectedSession] = useState(null);
+  const [sessionsVersion, setSessionsVersion] = useState(0);
+  const [monitors, setMonitors] = useState([]);
+  const [monitorStatus, setMonitorStatus] = useState({});
   const deferredPrompt = useRef(null);
+  const monitorControls = useRef(new Map());
+  const profiles = useProfiles();
+  const profileId = profiles.activeProfile ? profiles.activeProfile.id : null;
+  const encryption = useEncryption();
   
   // Check if app is installed and support for required features
   useEffect(() => {
@@ -64,10 +84,13 @@ export default function App() {
       setIsInstalled(true);
     }
     
-    // Check for Web Bluetooth support
+    // Check for Web Bluetooth support. Without it, USB serial oximeters
+    // still work where Web Serial is available.
     if (!navigator.bluetooth) {
       setIsWebBluetoothSupported(false);
-      setError("Web Bluetooth is not supported in this browser. Try Chrome on Android or Edge on Windows.");
+      if (!navigator.serial) {
+        setError("Web Bluetooth is not supported in this browser. Try Chrome on Android or Edge on Windows.");
+      }
     }
     
     // Listen for beforeinstallprompt event to detect if app can be installed
@@ -94,8 +117,12 @@ export default function App() {
       // Trigger sync when coming back online
       if ('serviceWorker' in navigator && 'SyncManager' in window) {
         navigator.serviceWorker.ready
-          .then(reg => reg.sync.register('sync-readings'))
+          .then(reg => reg.sync.register(SYNC_TAG))
           .catch(err => console.error('Sync registration failed:', err));
+      } else {
+        // No Background Sync API, upload from the page instead
+        syncReadings()
+          .catch(err => console.error('Sync failed:', err));
       }
     };
     
@@ -110,147 +137,121 @@ export default function App() {
     };
   }, []);
 
-  // Check and manage device connection
+  // Dashboard monitors, one tile each
   useEffect(() => {
-    if (device) {
-      // Add event listener for disconnection
-      const handleDisconnect = () => {
-        setIsConnected(false);
-        setError("Device disconnected. Reconnect to continue monitoring.");
-      };
-      
-      device.addEventListener('gattserverdisconnected', handleDisconnect);
-      
-      return () => {
-        device.removeEventListener('gattserverdisconnected', handleDisconnect);
-      };
-    }
-  }, [device]);
-
-  // Reconnect automatically if connection is lost
-  const reconnect = async () => {
-    if (!device || !device.gatt) {
-      setError("No device to reconnect to. Please connect first.");
-      return;
-    }
-
-    try {
-      setError(null);
-      await setupDevice(device);
-    } catch (e) {
-      setError(`Reconnection failed: ${e.message}`);
-    }
-  };
-
-  // Setup device and notification handlers
-  const setupDevice = async (selectedDevice) => {
-    try {
-      const server = await selectedDevice.gatt.connect();
-      const service = await server.getPrimaryService(
-        "0000fee0-0000-1000-8000-00805f9b34fb"
-      );
-      
-      // Find notify characteristic
-      const chars = await service.getCharacteristics();
-      const notifyChar = chars.find((c) => c.properties.notify);
+    getMonitors()
+      .then(setMonitors)
+      .catch(err => console.error("Failed to load monitors:", err));
+  }, []);
 
-      if (!notifyChar) throw new Error("Notify characteristic not found.");
+  // Compact old readings and prune waveforms in the background
+  useEffect(() => startCompactionJob(), []);
 
-      // Notification handler
-      await notifyChar.startNotifications();
-      notifyChar.addEventListener("characteristicvaluechanged", (event) => {
-        const result = bufferToSamples(event.target.value);
-        if (!result) return;
-        if (result.type === "measure") {
-          const newBpm = result.bpm;
-          const newSpo2 = result.spo2;
-          
-          setBpm(newBpm);
-          setSpo2(newSpo2);
-          setLastReadingTime(new Date().toISOString());
-          
-          // Save readings to IndexedDB for offline access
-          saveReading(newBpm, newSpo2)
-            .catch(err => console.error('Failed to save reading:', err));
-            
-        } else if (result.type === "waveform") {
-          waveformBuf.current = [
-            ...waveformBuf.current.slice(-200 + result.samples.length),
-            ...result.samples,
-          ];
-          setWaveform([...waveformBuf.current]);
-        }
-      });
-      
-      setIsConnected(true);
-      setError(null);
-    } catch (e) {
-      setIsConnected(false);
-      throw e;
-    }
-  };
-
-  // Connect to device
-  const connect = async () => {
-    try {
-      setError(null);
-      
-      // Check if Web Bluetooth is supported
-      if (!navigator.bluetooth) {
-        throw new Error("Web Bluetooth is not supported in this browser");
-      }
-      
-      // Request device
-      const selectedDevice = await navigator.bluetooth.requestDevice({
-        filters: [{ services: ["0000fee0-0000-1000-8000-00805f9b34fb"] }],
-        optionalServices: ["0000fee0-0000-1000-8000-00805f9b34fb"],
-      });
-      
-      setDevice(selectedDevice);
-      await setupDevice(selectedDevice);
-      
-    } catch (e) {
-      // Don't show error for user cancellation
-      if (e.name !== 'NotFoundError') {
-        setError(`Connection failed: ${e.message}`);
-        console.error("Bluetooth connection error:", e);
-      }
-    }
-  };
+  // Summarise sessions that ended while encrypted storage was locked
+  useEffect(() => {
+    if (encryption.locked || profileId === null) return;
+    completePendingSummaries()
+      .then(count => {
+        if (count > 0) setSessionsVersion(v => v + 1);
+      })
+      .catch(err => console.error("Failed to summarise sessions:", err));
+  }, [encryption.locked, profileId]);
 
-  // Load last reading on startup
+  // Count historical readings for the last 24 hours
   useEffect(() => {
-    const loadLatestReading = async () => {
-      try {
-        const latestReading = await getLatestReading();
-        if (latestReading) {
-          if (bpm === "--") setBpm(latestReading.bpm);
-          if (spo2 === "--") setSpo2(latestReading.spo2);
-          setLastReadingTime(latestReading.timestamp);
-        }
-      } catch (e) {
-        console.error("Failed to load last reading:", e);
-      }
-    };
-    
-    loadLatestReading();
+    if (profileId === null) return;
     
-    // Load historical readings for the last 24 hours
     const loadHistoricalReadings = async () => {
       try {
         const yesterday = new Date();
         yesterday.setDate(yesterday.getDate() - 1);
         
-        const readings = await getReadings(yesterday, null, 100);
-        setHistoricalReadings(readings);
+        setRecentReadingCount(await countReadings(yesterday, null));
       } catch (e) {
         console.error("Failed to load historical readings:", e);
       }
     };
     
     loadHistoricalReadings();
+  }, [sessionsVersion, profileId]);
+
+  const handleAddMonitor = async () => {
+    setMonitors(await addMonitor());
+  };
+
+  const handleRemoveMonitor = async (id) => {
+    setMonitors(await removeMonitor(id));
+  };
+
+  const handleUpdateMonitor = useCallback(async (id, changes) => {
+    try {
+      setMonitors(await updateMonitor(id, changes));
+    } catch (e) {
+      console.error("Failed to update monitor:", e);
+    }
+  }, []);
+
+  const handleStatusChange = useCallback((id, status) => {
+    setMonitorStatus(prev => (
+      prev[id]?.state === status.state && prev[id]?.deviceId === status.deviceId
+        ? prev
+        : { ...prev, [id]: status }
+    ));
   }, []);
 
+  const registerMonitorControls = useCallback((id, controls) => {
+    if (controls) {
+      monitorControls.current.set(id, controls);
+    } else {
+      monitorControls.current.delete(id);
+    }
+  }, []);
+
+  const handleSessionChange = (finished) => {
+    setSessionsVersion(v => v + 1);
+    if (finished) setView("sessions");
+  };
+
+  const connectedDeviceIds = Object.values(monitorStatus)
+    .filter(s => s.state === CONNECTION_STATES.CONNECTED && s.deviceId)
+    .map(s => s.deviceId);
+
+  const isIdle = (m) => {
+    const state = monitorStatus[m.id]?.state;
+    return !state || state === CONNECTION_STATES.IDLE || state === CONNECTION_STATES.FAILED;
+  };
+
+  // Session views of the previous profile make no sense after switching
+  const switchProfile = async (id) => {
+    try {
+      await profiles.switchTo(id);
+      setSelectedSession(null);
+      if (view === "playback" || view === "report") setView("sessions");
+    } catch (e) {
+      console.error("Failed to switch profile:", e);
+    }
+  };
+
+  // Connect a remembered device on the monitor that used it last, else
+  // on the first idle monitor, else on a new one
+  const connectDevice = async (device) => {
+    const target = monitors.find(m => m.deviceId === device.id) || monitors.find(isIdle);
+    setView("monitor");
+    
+    if (!target) {
+      // The new tile reconnects to its device as soon as it mounts
+      setMonitors(await addMonitor({ deviceId: device.id }));
+      return;
+    }
+    await monitorControls.current.get(target.id).connect(device);
+  };
+
+  const disconnectDevice = (deviceId) => {
+    Object.entries(monitorStatus).forEach(([id, status]) => {
+      if (status.deviceId === deviceId) monitorControls.current.get(id)?.disconnect();
+    });
+  };
+
   // Handle PWA installation
   const installApp = async () => {
     if (!deferredPrompt.current) {
@@ -275,137 +276,188 @@ export default function App() {
     setDisplayInstallPrompt(false);
   };
 
-  // Format the timestamp for display
-  const formatTimestamp = (isoString) => {
-    if (!isoString) return '';
-    
-    try {
-      const date = new Date(isoString);
-      return date.toLocaleString();
-    } catch (e) {
-      return 'Unknown time';
-    }
-  };
-
   return (
-    <div className="flex flex-col items-center min-h-screen bg-gray-50 p-6">
-      {/* Offline indicator */}
-      {!isOnline && (
-        <div className="w-full bg-amber-500 text-white p-2 text-center mb-2 fixed top-0 left-0 z-50">
-          You're offline. App will continue to work with your device.
-        </div>
-      )}
-      
-      <h1 className="text-2xl font-bold my-2">Oximeter PWA</h1>
-      
-      {/* Connection status indicator */}
-      <div className="mb-2 flex items-center">
-        <span className={`inline-block w-3 h-3 rounded-full mr-2 ${isConnected ? 'bg-green-500' : 'bg-red-500'}`}></span>
-        <span className="text-sm">{isConnected ? 'Connected' : 'Disconnected'}</span>
-      </div>
-      
-      {/* Error message */}
-      {error && (
-        <div className="w-full max-w-xs mb-4 bg-red-100 border border-red-400 text-red-700 px-4 py-2 rounded-md">
-          {error}
-        </div>
-      )}
-      
-      {/* Warning for unsupported browsers */}
-      {!isWebBluetoothSupported && (
-        <div className="w-full max-w-xs mb-4 bg-yellow-100 border border-yellow-400 text-yellow-700 px-4 py-2 rounded-md">
-          Your browser doesn't support Web Bluetooth. Please use Chrome on Android or Edge on Windows.
-        </div>
-      )}
-      
-      {/* Connect/Reconnect button */}
-      <button 
-        className={`mb-6 px-4 py-2 rounded-md ${isConnected ? 'bg-blue-500' : 'bg-green-600'} text-white ${!isWebBluetoothSupported ? 'opacity-50 cursor-not-allowed' : ''}`} 
-        onClick={isConnected ? reconnect : connect}
-        disabled={!isWebBluetoothSupported}
-      >
-        {isConnected ? 'Reconnect' : 'Connect to Oximeter'}
-      </button>
-      
-      {/* Readings display */}
-      <div className="w-full max-w-xs mb-4 bg-white rounded-2xl shadow p-4 flex flex-col items-center">
-        <span className={`text-xl font-mono ${spo2 > 95 ? "text-green-600" : "text-red-500"}`}>
-          SpO₂: {spo2}%
-        </span>
-        <span className={`text-xl font-mono ${bpm > 50 ? "text-green-600" : "text-red-500"}`}>
-          BPM: {bpm}
-        </span>
+    <SettingsProvider profileId={profileId}>
+      <div className="flex flex-col items-center min-h-screen bg-gray-50 p-6">
+        {/* Offline indicator */}
+        {!isOnline && (
+          <div className="w-full bg-amber-500 text-white p-2 text-center mb-2 fixed top-0 left-0 z-50 print:hidden">
+            You're offline. App will continue to work with your device.
+          </div>
+        )}
         
-        {/* Last reading timestamp */}
-        {!isConnected && bpm !== "--" && lastReadingTime && (
-          <span className="text-xs text-gray-500 mt-2">
-            Last reading: {formatTimestamp(lastReadingTime)}
-          </span>
+        <h1 className="text-2xl font-bold my-2">Oximeter PWA</h1>
+        
+        {/* Error message */}
+        {error && (
+          <div className="w-full max-w-xs mb-4 bg-red-100 border border-red-400 text-red-700 px-4 py-2 rounded-md">
+            {error}
+          </div>
         )}
-      </div>
-      
-      {/* Pulse waveform chart */}
-      <div className="w-full max-w-2xl">
-        <Line
-          data={{
-            labels: waveform.map((_, i) => i),
-            datasets: [
-              {
-                label: "PPG Waveform",
-                data: waveform,
-                fill: false,
-                tension: 0.3,
-                borderWidth: 2,
-                borderColor: "#059669",
-                backgroundColor: "#10b981",
-              },
-            ],
-          }}
-          options={{
-            animation: false,
-            responsive: true,
-            plugins: { legend: { display: false } },
-            scales: {
-              y: { min: 20, max: 100, title: { display: true, text: "Amplitude" } },
-              x: { display: false },
-            },
-          }}
+        
+        {/* Warning for unsupported browsers */}
+        {!isWebBluetoothSupported && (
+          <div className="w-full max-w-xs mb-4 bg-yellow-100 border border-yellow-400 text-yellow-700 px-4 py-2 rounded-md">
+            {isWebSerialSupported
+              ? "Your browser doesn't support Web Bluetooth. USB serial oximeters can still be connected."
+              : "Your browser doesn't support Web Bluetooth. Please use Chrome on Android or Edge on Windows."}
+          </div>
+        )}
+        
+        <ProfileSwitcher
+          profiles={profiles.profiles}
+          activeProfile={profiles.activeProfile}
+          onSwitch={switchProfile}
+          disabled={!monitors.every(isIdle)}
         />
-      </div>
-      
-      <p className="mt-4 text-sm text-gray-600">
-        Make sure your BLE oximeter is powered on and nearby.
-      </p>
-      
-      {/* Historical readings summary if available */}
-      {historicalReadings.length > 0 && (
-        <div className="mt-4 w-full max-w-xs bg-white rounded-md shadow p-3">
-          <h3 className="text-sm font-semibold mb-2">Recent Readings</h3>
-          <p className="text-xs text-gray-600">
-            {historicalReadings.length} readings stored in the last 24 hours.
-          </p>
+        
+        {/* Screen navigation */}
+        <div className="w-full max-w-xs mb-4 flex gap-2 print:hidden">
+          {VIEWS.map(({ id, label }) => (
+            <button
+              key={id}
+              className={`flex-1 py-1 px-2 rounded-md text-sm ${view === id ? 'bg-gray-800 text-white' : 'bg-gray-200 text-gray-800'}`}
+              onClick={() => setView(id)}
+            >
+              {label}
+            </button>
+          ))}
         </div>
-      )}
-      
-      {/* PWA installation button - shown only if not installed and install is available */}
-      {displayInstallPrompt && !isInstalled && (
-        <div className="mt-6 text-sm text-gray-700 p-3 bg-gray-100 rounded-md max-w-xs">
-          <p className="mb-2 text-center">Install this app for the best offline experience:</p>
-          <button 
-            className="w-full bg-indigo-600 text-white py-2 px-4 rounded-md"
-            onClick={installApp}
+        
+        {/* Dashboard: one tile per oximeter. Kept mounted on other screens
+            so monitoring and alarms continue in the background. Tiles wait
+            for the active profile so no reading is recorded for the wrong one. */}
+        <div className={view === "monitor" ? "w-full flex flex-col items-center" : "hidden"}>
+          <div className="w-full max-w-5xl grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+            {profileId !== null && monitors.map(monitor => (
+              <MonitorTile
+                key={monitor.id}
+                monitor={monitor}
+                isBluetoothSupported={isWebBluetoothSupported}
+                isSerialSupported={isWebSerialSupported}
+                onUpdate={handleUpdateMonitor}
+                onRemove={monitors.length > 1 ? handleRemoveMonitor : null}
+                onStatusChange={handleStatusChange}
+                onRegister={registerMonitorControls}
+                onSessionChange={handleSessionChange}
+              />
+            ))}
+          </div>
+          
+          <button
+            className="mt-4 bg-gray-200 text-gray-800 py-1 px-3 rounded-md text-sm print:hidden"
+            onClick={handleAddMonitor}
           >
-            Install App
+            Add Monitor
           </button>
+          
+          <p className="mt-4 text-sm text-gray-600">
+            Make sure your BLE oximeters are powered on and nearby.
+          </p>
+
+          {/* Historical readings summary if available */}
+          {recentReadingCount > 0 && (
+            <div className="mt-4 w-full max-w-xs bg-white rounded-md shadow p-3">
+              <h3 className="text-sm font-semibold mb-2">Recent Readings</h3>
+              <p className="text-xs text-gray-600">
+                {recentReadingCount} readings stored in the last 24 hours.
+              </p>
+              <button className="text-xs text-blue-600 underline mt-1" onClick={() => setView("history")}>
+                View history
+              </button>
+            </div>
+          )}
         </div>
-      )}
-      
-      {/* App installed confirmation */}
-      {isInstalled && (
-        <div className="mt-6 text-sm text-green-700 p-2 bg-green-50 rounded-md max-w-xs text-center">
-          App installed! You can use it offline anytime.
-        </div>
-      )}
-    </div>
+        
+        {/* Stored data stays hidden while encrypted storage is locked */}
+        {encryption.locked && ["history", "sessions", "playback", "report"].includes(view) && <LockScreen />}
+        
+        {view === "history" && !encryption.locked && <HistoryView key={profileId} />}
+        
+        {view === "sessions" && !encryption.locked && (
+          <SessionList
+            key={profileId}
+            refreshKey={sessionsVersion}
+            onPlay={(session) => {
+              setSelectedSession(session);
+              setView("playback");
+            }}
+            onReport={(session) => {
+              setSelectedSession(session);
+              setView("report");
+            }}
+          />
+        )}
+        
+        {view === "playback" && selectedSession && !encryption.locked && (
+          <WaveformPlayback session={selectedSession} onClose={() => setView("sessions")} />
+        )}
+        
+        {view === "report" && selectedSession && !encryption.locked && (
+          <SleepReport session={selectedSession} onClose={() => setView("sessions")} />
+        )}
+        
+        {view === "devices" && (
+          <>
+            <DeviceManager
+              connectedDeviceIds={connectedDeviceIds}
+              onConnect={connectDevice}
+              onDisconnect={disconnectDevice}
+            />
+            <DeviceMemorySync
+              isSupported={isWebSerialSupported}
+              onImported={() => setSessionsVersion(v => v + 1)}
+            />
+          </>
+        )}
+        
+        {view === "settings" && (
+          <>
+            <ProfileSettings
+              profiles={profiles.profiles}
+              activeProfile={profiles.activeProfile}
+              onAdd={profiles.add}
+              onEdit={profiles.edit}
+              onRemove={profiles.remove}
+              locked={!monitors.every(isIdle)}
+            />
+            
+            <AlarmSettings profileName={profiles.activeProfile?.name} />
+            
+            <DisplaySettings />
+            
+            <SyncSettings />
+            
+            <ImportPanel />
+            
+            <EncryptionSettings enabled={encryption.enabled} locked={encryption.locked} />
+            
+            <StoragePanel />
+            
+            <SettingsTransfer />
+          </>
+        )}
+        
+        {/* PWA installation button - shown only if not installed and install is available */}
+        {displayInstallPrompt && !isInstalled && (
+          <div className="mt-6 text-sm text-gray-700 p-3 bg-gray-100 rounded-md max-w-xs print:hidden">
+            <p className="mb-2 text-center">Install this app for the best offline experience:</p>
+            <button 
+              className="w-full bg-indigo-600 text-white py-2 px-4 rounded-md"
+              onClick={installApp}
+            >
+              Install App
+            </button>
+          </div>
+        )}
+        
+        {/* App installed confirmation */}
+        {isInstalled && (
+          <div className="mt-6 text-sm text-green-700 p-2 bg-green-50 rounded-md max-w-xs text-center print:hidden">
+            App installed! You can use it offline anytime.
+          </div>
+        )}
+      </div>
+    </SettingsProvider>
   );
 }
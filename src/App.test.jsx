@@ -0,0 +1,355 @@
+import React from "react";
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { render, screen, fireEvent, act, waitFor, within } from "@testing-library/react";
+import App from "./App";
+import { getReadings, getSetting, createProfile, setActiveProfileId, logAlarmEvent } from "./utils/storage";
+import { flushReadings } from "./utils/readingQueue";
+import { getPairedDevices } from "./utils/devices";
+import { createMockDevice, createMockBluetooth } from "./test/mockBluetooth";
+import { createMockSerialPort, createMockSerial } from "./test/mockSerial";
+import { createMemoryPort } from "./test/cms50Memory";
+import { commandPacket, encodePacket, COMMANDS, PACKET_TYPES, REALTIME_RATE } from "./drivers/cms50";
+
+// Chart.js needs a real canvas
+vi.mock("react-chartjs-2", () => ({ Line: () => null }));
+
+const CONNECTED_TEXT = "Connected (Vendor oximeter (0xFEE0))";
+
+let device;
+
+async function connect() {
+  render(<App />);
+  fireEvent.click(await screen.findByRole("button", { name: "Connect" }));
+  await screen.findByText(CONNECTED_TEXT);
+}
+
+beforeEach(() => {
+  device = createMockDevice();
+  Object.defineProperty(navigator, "bluetooth", {
+    value: createMockBluetooth(device),
+    configurable: true,
+  });
+  window.matchMedia = vi.fn(() => ({ matches: false }));
+});
+
+afterEach(() => {
+  delete navigator.bluetooth;
+});
+
+describe("App with a Bluetooth oximeter", () => {
+  it("connects through the device chooser", async () => {
+    await connect();
+
+    expect(device.gatt.connected).toBe(true);
+    expect(screen.getByRole("button", { name: "Disconnect" })).toBeTruthy();
+  });
+
+  it("shows and stores measurement notifications", async () => {
+    await connect();
+
+    act(() => {
+      device.notify([0xF0, 40, 60, 80, 60, 40]);
+      device.notify([0xF1, 72, 97, 0x00]);
+    });
+
+    expect(await screen.findByText("SpO₂: 97%")).toBeTruthy();
+    expect(screen.getByText("BPM: 72")).toBeTruthy();
+
+    await waitFor(async () => {
+      await flushReadings();
+      const [reading] = await getReadings(null, null);
+      expect(reading).toMatchObject({ bpm: 72, spo2: 97, deviceId: "mock-device", monitorId: "monitor-1" });
+    });
+  });
+
+  it("hides readings flagged as no-finger", async () => {
+    await connect();
+
+    act(() => device.notify([0xF1, 255, 127, 0x00]));
+
+    expect(await screen.findByText("No finger detected")).toBeTruthy();
+    expect(screen.getByText("SpO₂: --%")).toBeTruthy();
+  });
+
+  it("disconnects on request without reconnecting", async () => {
+    await connect();
+
+    fireEvent.click(screen.getByRole("button", { name: "Disconnect" }));
+
+    expect(await screen.findByText("Disconnected")).toBeTruthy();
+    expect(device.gatt.connected).toBe(false);
+    expect(device.listenerCount()).toBe(0);
+    expect(screen.getByRole("button", { name: "Connect" })).toBeTruthy();
+
+    const connectCalls = device.gatt.connectCalls;
+    await new Promise(resolve => setTimeout(resolve, 1200));
+    expect(device.gatt.connectCalls).toBe(connectCalls);
+  });
+
+  it("reconnects after the link drops and keeps one subscription", async () => {
+    await connect();
+
+    act(() => device.drop());
+
+    expect(await screen.findByText("Connection lost, reconnecting (attempt 1)…")).toBeTruthy();
+    expect(await screen.findByText(CONNECTED_TEXT, {}, { timeout: 3000 })).toBeTruthy();
+    expect(device.listenerCount()).toBe(1);
+
+    act(() => device.notify([0xF1, 64, 95, 0x00]));
+    expect(await screen.findByText("SpO₂: 95%")).toBeTruthy();
+  });
+
+  it("stops reconnecting on request while the device is unreachable", async () => {
+    await connect();
+
+    act(() => device.drop({ unreachable: true }));
+    fireEvent.click(await screen.findByRole("button", { name: "Stop Reconnecting" }));
+
+    expect(await screen.findByText("Disconnected")).toBeTruthy();
+  });
+});
+
+describe("App alarm channels", () => {
+  let audioContexts;
+
+  // Web Audio and notification permission as a browser starts them
+  beforeEach(() => {
+    audioContexts = [];
+    window.AudioContext = class {
+      constructor() {
+        this.state = "suspended";
+        audioContexts.push(this);
+      }
+
+      async resume() {
+        this.state = "running";
+        this.onstatechange?.();
+      }
+    };
+    Object.defineProperty(window, "Notification", {
+      value: { permission: "default", requestPermission: vi.fn(async () => "default") },
+      configurable: true,
+    });
+  });
+
+  afterEach(() => {
+    delete window.AudioContext;
+    delete window.Notification;
+  });
+
+  it("unlocks sound and asks for notification permission on connect", async () => {
+    Notification.requestPermission.mockImplementation(async () => {
+      Notification.permission = "granted";
+      return "granted";
+    });
+    await connect();
+
+    expect(Notification.requestPermission).toHaveBeenCalledTimes(1);
+    await waitFor(() => expect(audioContexts.at(-1).state).toBe("running"));
+    expect(screen.queryByText("Alarm notifications need permission.")).toBeNull();
+    expect(screen.queryByText("Alarm sound is off until alarms are enabled.")).toBeNull();
+  });
+
+  it("warns on the tile until notifications are allowed", async () => {
+    await connect();
+
+    expect(await screen.findByText("Alarm notifications need permission.")).toBeTruthy();
+
+    Notification.requestPermission.mockImplementation(async () => {
+      Notification.permission = "granted";
+      return "granted";
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Enable alarms" }));
+    await waitFor(() => expect(screen.queryByText("Alarm notifications need permission.")).toBeNull());
+  });
+
+  it("warns on the tile when notifications are blocked", async () => {
+    Notification.permission = "denied";
+    await connect();
+
+    expect(await screen.findByText("Alarm notifications are blocked in the browser settings.")).toBeTruthy();
+    expect(Notification.requestPermission).not.toHaveBeenCalled();
+    expect(screen.queryByRole("button", { name: "Enable alarms" })).toBeNull();
+  });
+});
+
+describe("App with a USB serial oximeter", () => {
+  const SERIAL_CONNECTED_TEXT = "Connected (Contec CMS50D+/E (USB))";
+  let port;
+
+  // One second of realtime packets
+  const secondOfData = (bpm, spo2) => Array.from({ length: REALTIME_RATE }, (_, i) => (
+    Array.from(encodePacket(PACKET_TYPES.REALTIME, [0x05, i, 5, bpm, spo2, 0x7F, 0x7F]))
+  )).flat();
+
+  async function connectSerial() {
+    render(<App />);
+    const source = await screen.findByRole("combobox", { name: "Data source" });
+    fireEvent.change(source, { target: { value: "serial" } });
+    await waitFor(() => expect(source.value).toBe("serial"));
+    fireEvent.click(screen.getByRole("button", { name: "Connect" }));
+    await screen.findByText(SERIAL_CONNECTED_TEXT);
+  }
+
+  beforeEach(() => {
+    port = createMockSerialPort();
+    Object.defineProperty(navigator, "serial", {
+      value: createMockSerial(port),
+      configurable: true,
+    });
+  });
+
+  afterEach(() => {
+    delete navigator.serial;
+  });
+
+  it("opens the port, starts realtime data and records measurements", async () => {
+    await connectSerial();
+
+    expect(navigator.serial.requestPortCalls[0].filters).toEqual([{ usbVendorId: 0x10C4, usbProductId: 0xEA60 }]);
+    expect(port.openOptions).toEqual({ baudRate: 115200, dataBits: 8, stopBits: 1, parity: "none" });
+    expect(port.written).toEqual([Array.from(commandPacket(COMMANDS.START_REALTIME))]);
+
+    act(() => port.send(secondOfData(68, 96)));
+
+    expect(await screen.findByText("SpO₂: 96%")).toBeTruthy();
+    await waitFor(async () => {
+      await flushReadings();
+      const [reading] = await getReadings(null, null);
+      expect(reading).toMatchObject({ bpm: 68, spo2: 96, deviceId: "serial:10c4:ea60" });
+    });
+  });
+
+  it("closes the port on disconnect and doesn't remember it", async () => {
+    await connectSerial();
+
+    fireEvent.click(screen.getByRole("button", { name: "Disconnect" }));
+
+    expect(await screen.findByText("Disconnected")).toBeTruthy();
+    await waitFor(() => expect(port.opened).toBe(false));
+    expect(await getPairedDevices()).toEqual([]);
+  });
+
+  it("reopens the port after the cable is pulled", async () => {
+    await connectSerial();
+
+    act(() => port.unplug());
+
+    expect(await screen.findByText("Connection lost, reconnecting (attempt 1)…")).toBeTruthy();
+    expect(await screen.findByText(SERIAL_CONNECTED_TEXT, {}, { timeout: 3000 })).toBeTruthy();
+    expect(port.openCalls).toBe(2);
+
+    act(() => port.send(secondOfData(70, 94)));
+    expect(await screen.findByText("SpO₂: 94%")).toBeTruthy();
+  });
+});
+
+describe("App device memory sync", () => {
+  afterEach(() => {
+    delete navigator.serial;
+  });
+
+  it("downloads stored recordings into sessions", async () => {
+    const port = createMemoryPort();
+    Object.defineProperty(navigator, "serial", {
+      value: createMockSerial(port),
+      configurable: true,
+    });
+    render(<App />);
+
+    fireEvent.click(await screen.findByRole("button", { name: "Devices" }));
+    fireEvent.click(screen.getByRole("button", { name: "Sync Device Memory" }));
+
+    expect(await screen.findByText("Imported 1 of 2 recordings (5 readings), skipped 1 already imported or empty.")).toBeTruthy();
+    expect(port.opened).toBe(false);
+
+    fireEvent.click(screen.getByRole("button", { name: "Sessions" }));
+    expect(await screen.findByText("Device recording")).toBeTruthy();
+  });
+});
+
+describe("App with patient profiles", () => {
+  it("records readings for the selected profile", async () => {
+    const ann = await createProfile({ name: "Ann", birthYear: 1950 });
+    render(<App />);
+
+    const switcher = await screen.findByLabelText("Profile");
+    await screen.findByRole("option", { name: "Ann (1950)" });
+    fireEvent.change(switcher, { target: { value: String(ann) } });
+    await waitFor(() => expect(switcher.value).toBe(String(ann)));
+
+    fireEvent.click(await screen.findByRole("button", { name: "Connect" }));
+    await screen.findByText(CONNECTED_TEXT);
+    await waitFor(() => expect(switcher.disabled).toBe(true));
+
+    act(() => device.notify([0xF1, 72, 97, 0x00]));
+    await screen.findByText("SpO₂: 97%");
+
+    await waitFor(async () => {
+      await flushReadings();
+      const [reading] = await getReadings(null, null);
+      expect(reading).toMatchObject({ bpm: 72, profileId: ann });
+    });
+    setActiveProfileId(1);
+    expect(await getReadings(null, null)).toEqual([]);
+  });
+
+  it("does not delete profiles while a monitor is connected", async () => {
+    await createProfile({ name: "Ann" });
+    await connect();
+
+    fireEvent.click(screen.getByRole("button", { name: "Settings" }));
+    const profile = within((await screen.findByRole("heading", { name: "Profile" })).parentElement);
+    await waitFor(() => expect(profile.getByRole("button", { name: "Delete" }).disabled).toBe(true));
+
+    fireEvent.click(screen.getByRole("button", { name: "Monitor" }));
+    fireEvent.click(screen.getByRole("button", { name: "Disconnect" }));
+    await screen.findByText("Disconnected");
+    fireEvent.click(screen.getByRole("button", { name: "Settings" }));
+    const unlocked = within((await screen.findByRole("heading", { name: "Profile" })).parentElement);
+    await waitFor(() => expect(unlocked.getByRole("button", { name: "Delete" }).disabled).toBe(false));
+  });
+});
+
+describe("App history", () => {
+  it("lists the alarm events of the range", async () => {
+    const timestamp = new Date(Date.now() - 60000).toISOString();
+    await logAlarmEvent({ type: "triggered", condition: "spo2Low", value: 87, limit: 90, timestamp });
+    await logAlarmEvent({ type: "acknowledged", condition: "spo2Low", value: null, limit: 90 });
+    render(<App />);
+
+    // History remounts once the active profile is known
+    await screen.findByLabelText("Profile");
+    fireEvent.click(screen.getByRole("button", { name: "History" }));
+
+    const log = within((await screen.findByRole("heading", { name: "Alarm events" })).parentElement);
+    expect(await log.findByText(/87% \(limit 90%\)/)).toBeTruthy();
+    expect(log.getByText("Triggered", { exact: false })).toBeTruthy();
+    expect(log.getByText("Acknowledged", { exact: false })).toBeTruthy();
+    expect(log.getAllByText("SpO₂ low")).toHaveLength(2);
+  });
+});
+
+describe("App settings", () => {
+  afterEach(() => {
+    document.documentElement.classList.remove("dark");
+  });
+
+  it("validates and applies settings from the settings screen", async () => {
+    render(<App />);
+    fireEvent.click(await screen.findByRole("button", { name: "Settings" }));
+
+    const alarms = within((await screen.findByRole("heading", { name: "Alarms for Default" })).parentElement);
+    fireEvent.change(alarms.getByLabelText("SpO₂ low (%)"), { target: { value: "30" } });
+    fireEvent.click(alarms.getByRole("button", { name: "Save" }));
+    await alarms.findByText("Failed to save: SpO₂ low must be at least 50");
+
+    const display = within(screen.getByRole("heading", { name: "Display" }).parentElement);
+    fireEvent.change(display.getByLabelText("Theme"), { target: { value: "dark" } });
+    fireEvent.click(display.getByRole("button", { name: "Save" }));
+    await display.findByText("Display settings saved.");
+
+    await waitFor(() => expect(document.documentElement.classList.contains("dark")).toBe(true));
+    expect(await getSetting("display")).toMatchObject({ theme: "dark" });
+  });
+});
@@ -0,0 +1,29 @@
+import React from "react";
+import { ALARM_CONDITIONS } from "../utils/alarms";
+
+// Active alarm banner with acknowledge and snooze actions
+export default function AlarmBanner({ activeAlarms, isAlerting, onAcknowledge, onSnooze }) {
+  if (activeAlarms.length === 0) return null;
+
+  return (
+    <div className={`w-full max-w-xs mb-4 px-4 py-3 rounded-md border ${isAlerting ? 'bg-red-600 border-red-700 text-white animate-pulse' : 'bg-red-100 border-red-400 text-red-700'}`}>
+      <p className="font-semibold mb-2">
+        {activeAlarms.map(condition => ALARM_CONDITIONS[condition].label).join(", ")}
+      </p>
+      <div className="flex gap-2">
+        <button
+          className="flex-1 bg-white text-red-700 py-1 px-2 rounded-md text-sm"
+          onClick={onAcknowledge}
+        >
+          Acknowledge
+        </button>
+        <button
+          className="flex-1 bg-red-800 text-white py-1 px-2 rounded-md text-sm"
+          onClick={onSnooze}
+        >
+          Snooze
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import React, { useState, useEffect } from "react";
+import { getAlarmEvents } from "../utils/storage";
+import { ALARM_CONDITIONS } from "../utils/alarms";
+import { formatDateTime } from "../utils/format";
+import useSettings from "../hooks/useSettings";
+
+const MAX_EVENTS = 100;
+
+const TYPE_LABELS = {
+  triggered: "Triggered",
+  cleared: "Cleared",
+  acknowledged: "Acknowledged",
+  snoozed: "Snoozed",
+};
+
+// Value and limit of an event, e.g. "87% (limit 90%)"
+function eventValues({ condition, value, limit }) {
+  const def = ALARM_CONDITIONS[condition];
+  if (!def || value === null || value === undefined) return null;
+  const unit = def.field === "spo2" ? "%" : " bpm";
+  return `${value}${unit}${limit !== null && limit !== undefined ? ` (limit ${limit}${unit})` : ""}`;
+}
+
+// Alarm events of the active profile in a time range, newest first
+export default function AlarmLog({ start, end }) {
+  const [events, setEvents] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const { display } = useSettings().settings;
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+
+    getAlarmEvents(start, end, MAX_EVENTS)
+      .then(newEvents => {
+        if (!cancelled) setEvents(newEvents);
+      })
+      .catch(err => console.error("Failed to load alarm events:", err))
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [start, end]);
+
+  return (
+    <div className="w-full bg-white rounded-md shadow p-3 mb-4">
+      <h3 className="text-sm font-semibold mb-2">Alarm events</h3>
+      {events.length === 0 ? (
+        <p className="text-xs text-gray-600">{isLoading ? "Loading…" : "No alarm events in this range."}</p>
+      ) : (
+        <ul className="text-xs text-gray-700 divide-y divide-gray-100">
+          {events.map(event => (
+            <li key={event.id} className="py-1 flex justify-between gap-2">
+              <span>
+                <span className="font-semibold">
+                  {ALARM_CONDITIONS[event.condition]?.label ?? "All alarms"}
+                </span>{" "}
+                {TYPE_LABELS[event.type] ?? event.type}
+                {eventValues(event) && <span className="text-gray-500"> · {eventValues(event)}</span>}
+              </span>
+              <span className="text-gray-500 whitespace-nowrap">{formatDateTime(event.timestamp, display)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {events.length === MAX_EVENTS && (
+        <p className="text-xs text-gray-500 mt-1">Showing the latest {MAX_EVENTS} events.</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+import React, { useState } from "react";
+import { primeAlarmSound } from "../utils/alarmSound";
+import { enableAlarmChannels } from "../utils/alarmChannels";
+import useSettings from "../hooks/useSettings";
+
+const NUMBER_FIELDS = [
+  { key: "spo2Low", label: "SpO₂ low (%)" },
+  { key: "spo2High", label: "SpO₂ high (%)" },
+  { key: "bpmLow", label: "Pulse low (bpm)" },
+  { key: "bpmHigh", label: "Pulse high (bpm)" },
+  { key: "delaySeconds", label: "Delay before alarm (s)" },
+  { key: "snoozeMinutes", label: "Snooze (min)" },
+];
+
+const TOGGLE_FIELDS = [
+  { key: "enabled", label: "Alarms enabled" },
+  { key: "sound", label: "Sound" },
+  { key: "notify", label: "Notifications" },
+];
+
+// Editor for alarm limits, delay and snooze settings of a profile
+export default function AlarmSettings({ profileName }) {
+  const { settings: { alarms: settings }, loaded, update } = useSettings();
+  const [draft, setDraft] = useState(settings);
+  const [status, setStatus] = useState(null);
+
+  // Start over from the stored limits when they change, e.g. on load. Done
+  // while rendering so an edit can't land on a draft about to be replaced.
+  const [source, setSource] = useState(settings);
+  if (source !== settings) {
+    setSource(settings);
+    setDraft(settings);
+  }
+
+  const save = async () => {
+    // Saving is a user gesture, so unlock audio for later alarms
+    primeAlarmSound();
+    try {
+      // Number inputs hold text; the schema checks the parsed values
+      const values = { ...draft };
+      NUMBER_FIELDS.forEach(({ key }) => {
+        values[key] = draft[key] === "" ? NaN : Number(draft[key]);
+      });
+      const saved = await update("alarms", values);
+      setStatus("Alarm settings saved.");
+
+      // Ask for notification permission from the user gesture that enabled it
+      await enableAlarmChannels(saved);
+    } catch (e) {
+      setStatus(`Failed to save: ${e.message}`);
+    }
+  };
+
+  // Wait for the stored limits; loading them resets the draft
+  if (!loaded) return null;
+
+  return (
+    <div className="mt-4 w-full max-w-xs bg-white rounded-md shadow p-3">
+      <h3 className="text-sm font-semibold mb-2">{profileName ? `Alarms for ${profileName}` : "Alarms"}</h3>
+      {TOGGLE_FIELDS.map(({ key, label }) => (
+        <label key={key} className="flex items-center text-sm mb-1">
+          <input
+            type="checkbox"
+            className="mr-2"
+            checked={Boolean(draft[key])}
+            onChange={(e) => setDraft({ ...draft, [key]: e.target.checked })}
+          />
+          {label}
+        </label>
+      ))}
+      <div className="grid grid-cols-2 gap-2 mt-2">
+        {NUMBER_FIELDS.map(({ key, label }) => (
+          <label key={key} className="text-xs text-gray-600">
+            {label}
+            <input
+              type="number"
+              className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm text-gray-900"
+              value={draft[key]}
+              onChange={(e) => setDraft({ ...draft, [key]: e.target.value })}
+            />
+          </label>
+        ))}
+      </div>
+      <button
+        className="w-full mt-2 bg-gray-200 text-gray-800 py-1 px-2 rounded-md text-sm"
+        onClick={save}
+      >
+        Save
+      </button>
+      {status && (
+        <p className="text-xs text-gray-600 mt-2">{status}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,140 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { getDriver } from "../drivers";
+import useSettings from "../hooks/useSettings";
+import { formatDateTime } from "../utils/format";
+import {
+  getPairedDevices,
+  renameDevice,
+  forgetDevice,
+  getKnownBluetoothDevices,
+} from "../utils/devices";
+
+// One remembered device with rename, connect and forget actions
+function DeviceRow({ device, isConnected, canConnect, onRename, onConnect, onForget }) {
+  const [name, setName] = useState(device.name);
+  const driver = device.driverId ? getDriver(device.driverId) : null;
+  const { display } = useSettings().settings;
+
+  useEffect(() => {
+    setName(device.name);
+  }, [device.name]);
+
+  return (
+    <li className="border-b border-gray-100 py-2">
+      <div className="flex items-center gap-2">
+        <input
+          type="text"
+          className="flex-1 border border-gray-300 rounded-md px-2 py-1 text-sm"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <button
+          className="bg-gray-200 text-gray-800 py-1 px-2 rounded-md text-xs"
+          onClick={() => onRename(device.id, name.trim() || device.name)}
+          disabled={name === device.name}
+        >
+          Rename
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 mt-1">
+        {device.originalName || "Unnamed device"}
+        {driver && ` · ${driver.name}`}
+        {device.lastConnected && ` · last connected ${formatDateTime(device.lastConnected, display)}`}
+      </p>
+      <div className="flex gap-2 mt-1">
+        {isConnected ? (
+          <span className="text-xs text-green-700">Connected</span>
+        ) : (
+          <button
+            className={`text-xs text-blue-600 underline ${!canConnect ? 'opacity-50' : ''}`}
+            onClick={() => onConnect(device.id)}
+            disabled={!canConnect}
+            title={canConnect ? undefined : "Permission not available, connect via the device chooser"}
+          >
+            Connect
+          </button>
+        )}
+        <button className="text-xs text-red-600 underline" onClick={() => onForget(device.id)}>
+          Forget
+        </button>
+      </div>
+    </li>
+  );
+}
+
+// Paired device management: friendly names, direct connect and forget
+export default function DeviceManager({ connectedDeviceIds, onConnect, onDisconnect }) {
+  const [devices, setDevices] = useState([]);
+  const [permitted, setPermitted] = useState([]);
+  const [status, setStatus] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setDevices(await getPairedDevices());
+      setPermitted(await getKnownBluetoothDevices());
+    } catch (e) {
+      console.error("Failed to load paired devices:", e);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load, connectedDeviceIds.length]);
+
+  const rename = async (id, name) => {
+    await renameDevice(id, name);
+    setStatus("Device renamed.");
+    load();
+  };
+
+  const forget = async (id) => {
+    if (!window.confirm("Forget this device? You will need to pair it again.")) return;
+    if (connectedDeviceIds.includes(id)) onDisconnect(id);
+    try {
+      await forgetDevice(id);
+      setStatus("Device forgotten.");
+    } catch (e) {
+      setStatus(`Failed to forget device: ${e.message}`);
+    }
+    load();
+  };
+
+  const connect = async (id) => {
+    const device = permitted.find(d => d.id === id);
+    if (!device) return;
+    try {
+      setStatus(null);
+      await onConnect(device);
+    } catch (e) {
+      setStatus(`Connection failed: ${e.message}`);
+    }
+  };
+
+  return (
+    <div className="w-full max-w-xs bg-white rounded-md shadow p-3">
+      <h3 className="text-sm font-semibold mb-2">Paired Devices</h3>
+      {devices.length === 0 ? (
+        <p className="text-xs text-gray-500">
+          No devices yet. Devices are remembered after the first connection.
+        </p>
+      ) : (
+        <ul>
+          {devices.map(device => (
+            <DeviceRow
+              key={device.id}
+              device={device}
+              isConnected={connectedDeviceIds.includes(device.id)}
+              canConnect={permitted.some(d => d.id === device.id)}
+              onRename={rename}
+              onConnect={connect}
+              onForget={forget}
+            />
+          ))}
+        </ul>
+      )}
+      {status && (
+        <p className="text-xs text-gray-600 mt-2">{status}</p>
+      )}
+    </div>
+  );
+}
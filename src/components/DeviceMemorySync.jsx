@@ -0,0 +1,73 @@
+import React, { useState } from "react";
+import { syncDeviceMemory } from "../utils/deviceMemory";
+import { getRequestPortOptions } from "../transports/serial";
+
+// Download recordings stored on a USB serial oximeter and import them as
+// sessions
+export default function DeviceMemorySync({ isSupported, onImported }) {
+  const [status, setStatus] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [isSyncing, setIsSyncing] = useState(false);
+
+  const sync = async () => {
+    setStatus(null);
+    let port;
+    try {
+      port = await navigator.serial.requestPort(getRequestPortOptions());
+    } catch (e) {
+      // Don't show error for user cancellation
+      if (e.name !== "NotFoundError") setStatus(`Sync failed: ${e.message}`);
+      return;
+    }
+
+    setIsSyncing(true);
+    try {
+      const result = await syncDeviceMemory(port, { onProgress: setProgress });
+      setStatus(result.recordings === 0
+        ? "No recordings stored on the device."
+        : `Imported ${result.imported} of ${result.recordings} recordings (${result.readings} readings), skipped ${result.skipped} already imported or empty.`);
+      if (result.imported > 0) onImported();
+    } catch (e) {
+      setStatus(`Sync failed: ${e.message}`);
+    } finally {
+      setIsSyncing(false);
+      setProgress(null);
+    }
+  };
+
+  const percent = progress && progress.total > 0 ? Math.floor((progress.received / progress.total) * 100) : 0;
+
+  return (
+    <div className="mt-4 w-full max-w-xs bg-white rounded-md shadow p-3">
+      <h3 className="text-sm font-semibold mb-2">Device Memory</h3>
+      <p className="text-xs text-gray-500 mb-2">
+        Download recordings stored on a CMS50D+/E connected by USB. Each recording becomes a session.
+      </p>
+      <button
+        className={`w-full bg-blue-600 text-white py-1 px-3 rounded-md text-sm ${!isSupported || isSyncing ? 'opacity-50' : ''}`}
+        onClick={sync}
+        disabled={!isSupported || isSyncing}
+      >
+        {isSyncing ? "Syncing…" : "Sync Device Memory"}
+      </button>
+      {!isSupported && (
+        <p className="text-xs text-gray-500 mt-2">Needs Web Serial (Chrome or Edge on desktop).</p>
+      )}
+      {progress && (
+        <div className="mt-2">
+          <div className="w-full bg-gray-200 rounded h-2">
+            <div className="bg-blue-600 h-2 rounded" style={{ width: `${percent}%` }} />
+          </div>
+          <p className="text-xs text-gray-600 mt-1">
+            {progress.recording === 0
+              ? `Found ${progress.recordings} recordings…`
+              : `Downloading recording ${progress.recording} of ${progress.recordings}… ${percent}%`}
+          </p>
+        </div>
+      )}
+      {status && (
+        <p className="text-xs text-gray-600 mt-2">{status}</p>
+      )}
+    </div>
+  );
+}
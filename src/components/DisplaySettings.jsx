@@ -0,0 +1,109 @@
+import React, { useState } from "react";
+import useSettings from "../hooks/useSettings";
+import { formatDateTime } from "../utils/format";
+
+const THEMES = [
+  { value: "system", label: "Follow system" },
+  { value: "light", label: "Light" },
+  { value: "dark", label: "Dark" },
+];
+
+const CLOCKS = [
+  { value: "auto", label: "Locale default" },
+  { value: "24h", label: "24-hour" },
+  { value: "12h", label: "12-hour" },
+];
+
+const NUMBER_FIELDS = [
+  { key: "waveformMin", label: "Waveform scale min" },
+  { key: "waveformMax", label: "Waveform scale max" },
+  { key: "waveformPoints", label: "Waveform window (samples)" },
+];
+
+// Theme, date/time format and live waveform chart options
+export default function DisplaySettings() {
+  const { settings, loaded, update } = useSettings();
+  const [draft, setDraft] = useState(settings.display);
+  const [status, setStatus] = useState(null);
+
+  const [source, setSource] = useState(settings.display);
+  if (source !== settings.display) {
+    setSource(settings.display);
+    setDraft(settings.display);
+  }
+
+  const save = async () => {
+    try {
+      // Number inputs hold text; the schema checks the parsed values
+      const values = { ...draft, locale: draft.locale.trim() };
+      NUMBER_FIELDS.forEach(({ key }) => {
+        values[key] = draft[key] === "" ? NaN : Number(draft[key]);
+      });
+      await update("display", values);
+      setStatus("Display settings saved.");
+    } catch (e) {
+      setStatus(`Failed to save: ${e.message}`);
+    }
+  };
+
+  const select = (key, label, options) => (
+    <label className="flex items-center justify-between text-sm mb-1">
+      <span>{label}</span>
+      <select
+        className="w-36 border border-gray-300 rounded-md px-2 py-1 text-sm"
+        value={draft[key]}
+        onChange={(e) => setDraft({ ...draft, [key]: e.target.value })}
+      >
+        {options.map(({ value, label: optionLabel }) => (
+          <option key={value} value={value}>{optionLabel}</option>
+        ))}
+      </select>
+    </label>
+  );
+
+  // Edits made before the stored settings arrive would be overwritten
+  if (!loaded) return null;
+
+  return (
+    <div className="mt-4 w-full max-w-xs bg-white rounded-md shadow p-3">
+      <h3 className="text-sm font-semibold mb-2">Display</h3>
+      {select("theme", "Theme", THEMES)}
+      <label className="flex items-center justify-between text-sm mb-1">
+        <span>Locale</span>
+        <input
+          type="text"
+          className="w-36 border border-gray-300 rounded-md px-2 py-1 text-sm"
+          placeholder="Browser default"
+          value={draft.locale}
+          onChange={(e) => setDraft({ ...draft, locale: e.target.value })}
+        />
+      </label>
+      {select("clock", "Clock", CLOCKS)}
+      <p className="text-xs text-gray-500 mb-2">
+        Example: {formatDateTime(Date.now(), settings.display)}
+      </p>
+      <div className="grid grid-cols-3 gap-2">
+        {NUMBER_FIELDS.map(({ key, label }) => (
+          <label key={key} className="text-xs text-gray-600">
+            {label}
+            <input
+              type="number"
+              className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm text-gray-900"
+              value={draft[key]}
+              onChange={(e) => setDraft({ ...draft, [key]: e.target.value })}
+            />
+          </label>
+        ))}
+      </div>
+      <button
+        className="w-full mt-2 bg-gray-200 text-gray-800 py-1 px-2 rounded-md text-sm"
+        onClick={save}
+      >
+        Save
+      </button>
+      {status && (
+        <p className="text-xs text-gray-600 mt-2">{status}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+import React, { useState } from "react";
+import {
+  MIN_PASSPHRASE_LENGTH,
+  enableEncryption,
+  disableEncryption,
+  lock,
+} from "../utils/encryption";
+
+// Switch passphrase encryption of stored readings on or off
+export default function EncryptionSettings({ enabled, locked }) {
+  const [passphrase, setPassphrase] = useState("");
+  const [confirmation, setConfirmation] = useState("");
+  const [status, setStatus] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const run = async (action) => {
+    setIsBusy(true);
+    setStatus(null);
+    try {
+      setStatus(await action());
+      setPassphrase("");
+      setConfirmation("");
+    } catch (e) {
+      setStatus(e.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const enable = () => run(async () => {
+    if (passphrase !== confirmation) throw new Error("Passphrases don't match.");
+    const count = await enableEncryption(passphrase, {
+      onProgress: (n) => setStatus(`Encrypting… ${n} records`),
+    });
+    return `Encryption enabled, ${count} records encrypted. There is no way to recover the data without the passphrase.`;
+  });
+
+  const disable = () => run(async () => {
+    const count = await disableEncryption(passphrase, {
+      onProgress: (n) => setStatus(`Decrypting… ${n} records`),
+    });
+    return `Encryption disabled, ${count} records decrypted.`;
+  });
+
+  return (
+    <div className="mt-4 w-full max-w-xs bg-white rounded-md shadow p-3">
+      <h3 className="text-sm font-semibold mb-2">Encryption</h3>
+      <p className="text-xs text-gray-600 mb-2">
+        {enabled
+          ? "Stored readings, exports and uploads are encrypted with your passphrase."
+          : "Protect stored readings, exports and uploads with a passphrase."}
+      </p>
+
+      <input
+        type="password"
+        className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm mb-2"
+        placeholder={enabled ? "Current passphrase" : `Passphrase (at least ${MIN_PASSPHRASE_LENGTH} characters)`}
+        value={passphrase}
+        onChange={(e) => setPassphrase(e.target.value)}
+        autoComplete={enabled ? "current-password" : "new-password"}
+        aria-label="Passphrase"
+      />
+      {!enabled && (
+        <input
+          type="password"
+          className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm mb-2"
+          placeholder="Repeat passphrase"
+          value={confirmation}
+          onChange={(e) => setConfirmation(e.target.value)}
+          autoComplete="new-password"
+          aria-label="Repeat passphrase"
+        />
+      )}
+
+      <div className="flex gap-2">
+        {enabled ? (
+          <>
+            <button
+              className="flex-1 bg-gray-200 text-gray-800 py-1 px-2 rounded-md text-sm"
+              onClick={disable}
+              disabled={isBusy || !passphrase}
+            >
+              Disable
+            </button>
+            <button
+              className="flex-1 bg-blue-500 text-white py-1 px-2 rounded-md text-sm"
+              onClick={lock}
+              disabled={isBusy || locked}
+            >
+              Lock Now
+            </button>
+          </>
+        ) : (
+          <button
+            className={`flex-1 bg-blue-500 text-white py-1 px-2 rounded-md text-sm ${isBusy ? 'opacity-50' : ''}`}
+            onClick={enable}
+            disabled={isBusy || passphrase.length < MIN_PASSPHRASE_LENGTH}
+          >
+            Enable Encryption
+          </button>
+        )}
+      </div>
+
+      {status && (
+        <p className="text-xs text-gray-600 mt-2">{status}</p>
+      )}
+    </div>
+  );
+}
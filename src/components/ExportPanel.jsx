@@ -0,0 +1,49 @@
+import React, { useState } from "react";
+import { EXPORT_FORMATS, exportReadings, shareOrDownload } from "../utils/export";
+
+// Export readings in the given range as CSV, JSON or a FHIR Bundle
+export default function ExportPanel({ start, end }) {
+  const [status, setStatus] = useState(null);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const runExport = async (format) => {
+    setIsExporting(true);
+    setStatus(null);
+    try {
+      const file = await exportReadings(format, start, end);
+      if (file.count === 0) {
+        setStatus("No readings to export in this range.");
+        return;
+      }
+      const result = await shareOrDownload(file);
+      if (result !== "cancelled") {
+        setStatus(`Exported ${file.count} readings to ${file.filename}.`);
+      }
+    } catch (e) {
+      setStatus(`Export failed: ${e.message}`);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="w-full bg-white rounded-md shadow p-3 mb-4">
+      <h3 className="text-sm font-semibold mb-2">Export</h3>
+      <div className="flex gap-2">
+        {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+          <button
+            key={format}
+            className={`flex-1 bg-gray-200 text-gray-800 py-1 px-2 rounded-md text-sm ${isExporting ? 'opacity-50' : ''}`}
+            onClick={() => runExport(format)}
+            disabled={isExporting}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      {status && (
+        <p className="text-xs text-gray-600 mt-2">{status}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,198 @@
+import React, { useState, useEffect, useRef } from "react";
+import { Line } from "react-chartjs-2";
+import { getAggregatedReadings, countReadings } from "../utils/storage";
+import ExportPanel from "./ExportPanel";
+import PdfReportButton from "./PdfReportButton";
+import AlarmLog from "./AlarmLog";
+import useSettings from "../hooks/useSettings";
+import { DAY, chooseBucketSize, fillEmptyBuckets, formatBucketLabel, toLocalInputValue } from "../utils/history";
+
+const RANGE_PRESETS = [
+  { label: "Day", ms: DAY },
+  { label: "Week", ms: 7 * DAY },
+  { label: "Month", ms: 30 * DAY },
+];
+
+// Min/mean/max datasets for one measurement
+function trendDatasets(buckets, field, color) {
+  const values = (key) => buckets.map(b => (b[field] ? b[field][key] : null));
+  return [
+    { label: "Max", data: values("max"), borderColor: color, borderWidth: 1, borderDash: [4, 4], pointRadius: 0 },
+    { label: "Mean", data: values("mean"), borderColor: color, borderWidth: 2, pointRadius: 2, tension: 0.3 },
+    { label: "Min", data: values("min"), borderColor: color, borderWidth: 1, borderDash: [4, 4], pointRadius: 0 },
+  ];
+}
+
+// Trend chart; clicking a point calls onSelect with that bucket
+function TrendChart({ title, buckets, labels, field, color, yRange, onSelect, chartRef }) {
+  return (
+    <div className="w-full bg-white rounded-md shadow p-3 mb-4">
+      <h3 className="text-sm font-semibold mb-2">{title}</h3>
+      <Line
+        ref={chartRef}
+        data={{ labels, datasets: trendDatasets(buckets, field, color) }}
+        options={{
+          animation: false,
+          responsive: true,
+          spanGaps: false,
+          interaction: { mode: "index", intersect: false },
+          plugins: { legend: { display: false } },
+          scales: {
+            y: { suggestedMin: yRange[0], suggestedMax: yRange[1] },
+            x: { ticks: { maxTicksLimit: 8 } },
+          },
+          onClick: (event, elements) => {
+            const bucket = elements.length > 0 ? buckets[elements[0].index] : null;
+            if (bucket && bucket.count > 0) onSelect(bucket);
+          },
+        }}
+      />
+    </div>
+  );
+}
+
+// History screen with date range picker and SpO2/BPM trend charts
+export default function HistoryView() {
+  const [range, setRange] = useState(() => ({ start: Date.now() - DAY, end: Date.now() }));
+  const [drillStack, setDrillStack] = useState([]);
+  const [buckets, setBuckets] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const { display } = useSettings().settings;
+  const spo2ChartRef = useRef(null);
+
+  const bucketMs = chooseBucketSize(range.end - range.start);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+
+    Promise.all([
+      getAggregatedReadings(range.start, range.end, bucketMs),
+      countReadings(range.start, range.end),
+    ])
+      .then(([newBuckets, count]) => {
+        if (cancelled) return;
+        setBuckets(newBuckets);
+        setTotal(count);
+      })
+      .catch(err => console.error("Failed to load history:", err))
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [range, bucketMs]);
+
+  const selectPreset = (ms) => {
+    const end = Date.now();
+    setDrillStack([]);
+    setRange({ start: end - ms, end });
+  };
+
+  const setBound = (key, value) => {
+    const time = new Date(value).getTime();
+    if (isNaN(time)) return;
+    setDrillStack([]);
+    setRange({ ...range, [key]: time });
+  };
+
+  // Zoom into a single bucket, remembering where we came from
+  const drillInto = (bucket) => {
+    setDrillStack([...drillStack, range]);
+    setRange({ start: new Date(bucket.start).getTime(), end: new Date(bucket.end).getTime() });
+  };
+
+  const drillOut = () => {
+    setRange(drillStack[drillStack.length - 1]);
+    setDrillStack(drillStack.slice(0, -1));
+  };
+
+  // Empty buckets plot as breaks in the trend lines
+  const chartBuckets = fillEmptyBuckets(buckets, range.start, range.end, bucketMs);
+  const labels = chartBuckets.map(b => formatBucketLabel(b.start, bucketMs, display));
+
+  return (
+    <div className="w-full max-w-2xl">
+      <div className="flex gap-2 mb-2">
+        {RANGE_PRESETS.map(({ label, ms }) => (
+          <button
+            key={label}
+            className="flex-1 bg-gray-200 text-gray-800 py-1 px-2 rounded-md text-sm"
+            onClick={() => selectPreset(ms)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex gap-2 mb-2 text-xs text-gray-600">
+        <label className="flex-1">
+          From
+          <input
+            type="datetime-local"
+            className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm text-gray-900"
+            value={toLocalInputValue(range.start)}
+            onChange={(e) => setBound("start", e.target.value)}
+          />
+        </label>
+        <label className="flex-1">
+          To
+          <input
+            type="datetime-local"
+            className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm text-gray-900"
+            value={toLocalInputValue(range.end)}
+            onChange={(e) => setBound("end", e.target.value)}
+          />
+        </label>
+      </div>
+
+      <div className="flex items-center justify-between mb-4 text-xs text-gray-600">
+        <span>
+          {isLoading ? "Loading…" : `${total} readings`}
+        </span>
+        {drillStack.length > 0 && (
+          <button className="text-blue-600 underline" onClick={drillOut}>
+            Zoom out
+          </button>
+        )}
+      </div>
+
+      {buckets.length === 0 && !isLoading ? (
+        <p className="text-sm text-gray-600 text-center">No readings in this range.</p>
+      ) : (
+        <>
+          <TrendChart
+            title="SpO₂ (%)"
+            buckets={chartBuckets}
+            labels={labels}
+            field="spo2"
+            color="#059669"
+            yRange={[85, 100]}
+            onSelect={drillInto}
+            chartRef={spo2ChartRef}
+          />
+          <TrendChart
+            title="Pulse (bpm)"
+            buckets={chartBuckets}
+            labels={labels}
+            field="bpm"
+            color="#dc2626"
+            yRange={[40, 120]}
+            onSelect={drillInto}
+          />
+        </>
+      )}
+
+      {total > 0 && (
+        <PdfReportButton start={range.start} end={range.end} chartRef={spo2ChartRef} className="mb-4" />
+      )}
+
+      <AlarmLog start={range.start} end={range.end} />
+
+      <ExportPanel start={range.start} end={range.end} />
+    </div>
+  );
+}
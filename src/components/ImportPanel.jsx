@@ -0,0 +1,54 @@
+import React, { useState } from "react";
+import { importReadings } from "../utils/import";
+import { isEncryptedExport, canDecryptWithoutPassphrase } from "../utils/encryption";
+
+// Restore readings from a CSV or JSON export, encrypted or not
+export default function ImportPanel() {
+  const [status, setStatus] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+
+    const text = await file.text();
+
+    // Encrypted backups from another device or passphrase need it entered
+    let passphrase;
+    if (isEncryptedExport(text) && !canDecryptWithoutPassphrase(text)) {
+      passphrase = window.prompt("Passphrase for this encrypted backup:");
+      if (passphrase === null) return;
+    }
+
+    setIsImporting(true);
+    setStatus(null);
+    try {
+      const result = await importReadings(text, file.name, { passphrase });
+      setStatus(`Imported ${result.imported}, skipped ${result.skipped} duplicates, ${result.invalid} invalid rows.`);
+    } catch (e) {
+      setStatus(`Import failed: ${e.message}`);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <div className="mt-4 w-full max-w-xs bg-white rounded-md shadow p-3">
+      <h3 className="text-sm font-semibold mb-2">Import Backup</h3>
+      <input
+        type="file"
+        accept=".csv,.json,text/csv,application/json"
+        className="w-full text-sm"
+        onChange={handleFile}
+        disabled={isImporting}
+      />
+      {isImporting && (
+        <p className="text-xs text-gray-600 mt-2">Importing…</p>
+      )}
+      {status && (
+        <p className="text-xs text-gray-600 mt-2">{status}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+import React, { useState } from "react";
+import { unlock } from "../utils/encryption";
+
+// Passphrase prompt shown instead of stored data while encrypted storage is locked
+export default function LockScreen({ onUnlocked }) {
+  const [passphrase, setPassphrase] = useState("");
+  const [error, setError] = useState(null);
+  const [isUnlocking, setIsUnlocking] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setIsUnlocking(true);
+    setError(null);
+    try {
+      await unlock(passphrase);
+      setPassphrase("");
+      if (onUnlocked) onUnlocked();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsUnlocking(false);
+    }
+  };
+
+  return (
+    <form className="w-full max-w-xs bg-white rounded-md shadow p-3" onSubmit={submit}>
+      <h3 className="text-sm font-semibold mb-2">Data Locked</h3>
+      <p className="text-xs text-gray-600 mb-2">
+        Stored readings are encrypted. Enter your passphrase to view them.
+        Monitoring keeps recording while locked.
+      </p>
+      <input
+        type="password"
+        className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm mb-2"
+        placeholder="Passphrase"
+        value={passphrase}
+        onChange={(e) => setPassphrase(e.target.value)}
+        autoComplete="current-password"
+        aria-label="Passphrase"
+      />
+      <button
+        type="submit"
+        className={`w-full bg-blue-500 text-white py-1 px-2 rounded-md text-sm ${isUnlocking ? 'opacity-50' : ''}`}
+        disabled={isUnlocking || !passphrase}
+      >
+        {isUnlocking ? "Unlocking…" : "Unlock"}
+      </button>
+      {error && (
+        <p className="text-xs text-red-600 mt-2">{error}</p>
+      )}
+    </form>
+  );
+}
@@ -0,0 +1,312 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Line } from "react-chartjs-2";
+import AlarmBanner from "./AlarmBanner";
+import SessionControls from "./SessionControls";
+import useOximeter from "../hooks/useOximeter";
+import useSettings from "../hooks/useSettings";
+import useAlarmChannels from "../hooks/useAlarmChannels";
+import { formatDateTime } from "../utils/format";
+import { enableAlarmChannels } from "../utils/alarmChannels";
+import { QUALITY } from "../utils/signalQuality";
+import { CONNECTION_STATES } from "../utils/connectionManager";
+import { SCENARIOS } from "../simulator";
+import { isRememberedDevice } from "../transports";
+
+const STATUS_COLORS = {
+  [CONNECTION_STATES.IDLE]: "bg-red-500",
+  [CONNECTION_STATES.CONNECTING]: "bg-amber-500",
+  [CONNECTION_STATES.CONNECTED]: "bg-green-500",
+  [CONNECTION_STATES.RECONNECTING]: "bg-amber-500",
+  [CONNECTION_STATES.FAILED]: "bg-red-500",
+};
+
+function connectionStatusText({ state, driver, attempt, error }) {
+  switch (state) {
+    case CONNECTION_STATES.CONNECTING:
+      return "Connecting…";
+    case CONNECTION_STATES.CONNECTED:
+      return driver ? `Connected (${driver.name})` : "Connected";
+    case CONNECTION_STATES.RECONNECTING:
+      return `Connection lost, reconnecting (attempt ${attempt})…`;
+    case CONNECTION_STATES.FAILED:
+      return error ? `Connection failed: ${error.message}` : "Connection failed";
+    default:
+      return "Disconnected";
+  }
+}
+
+// Data sources offered per monitor: real hardware over Bluetooth or USB
+// serial, simulator scenarios and replay of a recorded byte capture
+const SOURCES = [
+  { id: "bluetooth", label: "Bluetooth" },
+  { id: "serial", label: "USB serial (CMS50)" },
+  ...Object.entries(SCENARIOS).map(([id, scenario]) => ({ id: `simulator:${id}`, label: `Simulator: ${scenario.label}` })),
+  { id: "replay", label: "Replay capture" },
+];
+
+function sourceId(source) {
+  if (!source) return "bluetooth";
+  return source.type === "simulator" ? `simulator:${source.scenario}` : source.type;
+}
+
+function sourceFromId(id) {
+  if (id === "bluetooth") return null;
+  if (id === "replay" || id === "serial") return { type: id };
+  return { type: "simulator", scenario: id.slice("simulator:".length) };
+}
+
+// Format the timestamp for display
+function formatTimestamp(isoString, display) {
+  if (!isoString) return "";
+  const date = new Date(isoString);
+  return isNaN(date) ? "Unknown time" : formatDateTime(date, display);
+}
+
+// Dashboard tile for one oximeter: connection, readings, waveform, alarms
+// and session recording. Alarm limits and chart options come from the settings.
+export default function MonitorTile({
+  monitor,
+  isBluetoothSupported,
+  isSerialSupported,
+  onUpdate,
+  onRemove,
+  onStatusChange,
+  onRegister,
+  onSessionChange,
+}) {
+  const { settings } = useSettings();
+  const { alarms: alarmSettings, display } = settings;
+  const oximeter = useOximeter(monitor, alarmSettings, { waveformPoints: display.waveformPoints });
+  const { connection, isConnected, alarms } = oximeter;
+  const alarmChannels = useAlarmChannels(alarmSettings);
+  const [label, setLabel] = useState(monitor.label);
+  const [capture, setCapture] = useState(null);
+  const deviceId = connection.device ? connection.device.id : null;
+  const source = monitor.source || null;
+
+  useEffect(() => {
+    setLabel(monitor.label);
+  }, [monitor.label]);
+
+  // Remember which device this monitor uses so it reconnects on launch
+  useEffect(() => {
+    onStatusChange(monitor.id, { state: connection.state, deviceId });
+    const remembered = isRememberedDevice(connection.device);
+    if (connection.state === CONNECTION_STATES.CONNECTED && remembered && deviceId !== monitor.deviceId) {
+      onUpdate(monitor.id, { deviceId });
+    }
+  }, [connection.state, connection.device, deviceId, monitor.id, monitor.deviceId, onStatusChange, onUpdate]);
+
+  // Unlock alarm sound and notifications from a click; a reconnect after a
+  // reload has no user gesture, so it leaves them locked
+  const enableAlarms = useCallback(() => {
+    enableAlarmChannels(alarmSettings).catch(err => console.error("Failed to enable alarms:", err));
+  }, [alarmSettings]);
+
+  // Let the device manager connect and disconnect this monitor
+  const { connect: connectDevice, disconnect } = connection;
+  useEffect(() => {
+    const connect = (device) => {
+      enableAlarms();
+      return connectDevice(device);
+    };
+    onRegister(monitor.id, { connect, disconnect });
+    return () => onRegister(monitor.id, null);
+  }, [monitor.id, connectDevice, disconnect, onRegister, enableAlarms]);
+
+  const connect = () => {
+    enableAlarms();
+    if (!source) return oximeter.connect();
+    if (source.type === "serial") return oximeter.connect("serial");
+    if (source.type === "replay") return oximeter.connectSimulator({ capture });
+    return oximeter.connectSimulator({ scenario: source.scenario });
+  };
+
+  const loadCapture = async (e) => {
+    const file = e.target.files[0];
+    setCapture(file ? await file.text() : null);
+  };
+
+  const canConnect = !source
+    ? isBluetoothSupported
+    : source.type === "serial"
+      ? isSerialSupported
+      : source.type !== "replay" || Boolean(capture);
+
+  // Primary button label and action for each connection state
+  const connectionButton = {
+    [CONNECTION_STATES.IDLE]: { label: "Connect", onClick: connect },
+    [CONNECTION_STATES.CONNECTING]: { label: "Cancel", onClick: connection.disconnect },
+    [CONNECTION_STATES.CONNECTED]: { label: "Disconnect", onClick: connection.disconnect },
+    [CONNECTION_STATES.RECONNECTING]: { label: "Stop Reconnecting", onClick: connection.disconnect },
+    [CONNECTION_STATES.FAILED]: connection.device
+      ? { label: "Retry", onClick: () => { enableAlarms(); oximeter.retry(); } }
+      : { label: "Connect", onClick: connect },
+  }[connection.state];
+
+  const saveLabel = () => {
+    const trimmed = label.trim();
+    if (trimmed && trimmed !== monitor.label) {
+      onUpdate(monitor.id, { label: trimmed });
+    } else {
+      setLabel(monitor.label);
+    }
+  };
+
+  const { spo2, bpm } = oximeter;
+  const spo2InRange = spo2 >= alarmSettings.spo2Low && spo2 <= alarmSettings.spo2High;
+  const bpmInRange = bpm >= alarmSettings.bpmLow && bpm <= alarmSettings.bpmHigh;
+
+  return (
+    <div className={`bg-white rounded-2xl shadow p-4 flex flex-col ${alarms.isAlerting ? "ring-4 ring-red-500" : ""}`}>
+      <div className="flex items-center gap-2 mb-2">
+        <span className={`inline-block w-3 h-3 rounded-full ${STATUS_COLORS[connection.state]}`}></span>
+        <input
+          type="text"
+          className="flex-1 font-semibold text-sm bg-transparent border-b border-transparent focus:border-gray-300"
+          value={label}
+          onChange={(e) => setLabel(e.target.value)}
+          onBlur={saveLabel}
+          aria-label="Monitor name"
+        />
+        {onRemove && (
+          <button
+            className="text-xs text-gray-500 underline"
+            onClick={() => onRemove(monitor.id)}
+            disabled={isConnected || Boolean(oximeter.activeSession)}
+          >
+            Remove
+          </button>
+        )}
+      </div>
+
+      <p className="text-xs text-gray-600 mb-2">{connectionStatusText(connection)}</p>
+
+      {oximeter.error && (
+        <p className="text-xs text-red-600 mb-2">{oximeter.error}</p>
+      )}
+
+      {/* Data source, changeable while disconnected */}
+      {(connection.state === CONNECTION_STATES.IDLE || connection.state === CONNECTION_STATES.FAILED) && (
+        <div className="mb-2 print:hidden">
+          <select
+            className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm"
+            value={sourceId(source)}
+            onChange={(e) => onUpdate(monitor.id, { source: sourceFromId(e.target.value) })}
+            aria-label="Data source"
+          >
+            {SOURCES.map(({ id, label: sourceLabel }) => (
+              <option key={id} value={id}>{sourceLabel}</option>
+            ))}
+          </select>
+          {source && source.type === "replay" && (
+            <input type="file" accept=".txt,.cap,text/plain" className="mt-1 text-xs" onChange={loadCapture} />
+          )}
+        </div>
+      )}
+
+      <button
+        className={`mb-3 px-3 py-1 rounded-md text-sm ${connection.state === CONNECTION_STATES.IDLE ? 'bg-green-600' : 'bg-blue-500'} text-white ${!canConnect ? 'opacity-50 cursor-not-allowed' : ''}`}
+        onClick={connectionButton.onClick}
+        disabled={!canConnect && connectionButton.onClick === connect}
+      >
+        {connectionButton.label}
+      </button>
+
+      {/* Alarms that can't sound or notify, e.g. after reconnecting on launch */}
+      {connection.state !== CONNECTION_STATES.IDLE && connection.state !== CONNECTION_STATES.FAILED &&
+        alarmChannels.warnings.length > 0 && (
+        <div className="mb-3 rounded-md border border-amber-300 bg-amber-50 p-2 text-xs text-amber-800" role="status">
+          {alarmChannels.warnings.map(warning => <p key={warning}>{warning}</p>)}
+          {alarmChannels.canEnable && (
+            <button className="mt-1 px-2 py-0.5 rounded-md bg-amber-600 text-white" onClick={enableAlarms}>
+              Enable alarms
+            </button>
+          )}
+        </div>
+      )}
+
+      <AlarmBanner
+        activeAlarms={alarms.activeAlarms}
+        isAlerting={alarms.isAlerting}
+        onAcknowledge={alarms.acknowledge}
+        onSnooze={alarms.snooze}
+      />
+
+      {/* Readings display */}
+      <div className="flex flex-col items-center mb-2">
+        <span className={`text-xl font-mono ${spo2InRange ? "text-green-600" : "text-red-500"}`}>
+          SpO₂: {spo2}%
+        </span>
+        <span className={`text-xl font-mono ${bpmInRange ? "text-green-600" : "text-red-500"}`}>
+          BPM: {bpm}
+        </span>
+        {isConnected && oximeter.signalQuality !== QUALITY.VALID && (
+          <span className="text-sm text-amber-600">
+            {oximeter.signalQuality === QUALITY.NO_FINGER ? "No finger detected" : "Signal questionable"}
+          </span>
+        )}
+        {oximeter.perfusionIndex !== null && (
+          <span className="text-sm font-mono text-gray-600">
+            PI: {oximeter.perfusionIndex}%
+          </span>
+        )}
+        {isConnected && oximeter.ppgStats.bpm !== null && (
+          <span className="text-xs font-mono text-gray-500">
+            PPG: {oximeter.ppgStats.bpm} bpm
+            {oximeter.ppgStats.perfusionIndex !== null && ` · PI ≈ ${oximeter.ppgStats.perfusionIndex}%`}
+          </span>
+        )}
+
+        {/* Last reading timestamp */}
+        {!isConnected && bpm !== "--" && oximeter.lastReadingTime && (
+          <span className="text-xs text-gray-500 mt-2">
+            Last reading: {formatTimestamp(oximeter.lastReadingTime, display)}
+          </span>
+        )}
+      </div>
+
+      {/* Pulse waveform chart */}
+      <Line
+        data={{
+          labels: oximeter.waveform.map((_, i) => i),
+          datasets: [
+            {
+              label: "PPG Waveform",
+              data: oximeter.waveform,
+              fill: false,
+              tension: 0.3,
+              borderWidth: 2,
+              borderColor: "#059669",
+              backgroundColor: "#10b981",
+            },
+          ],
+        }}
+        options={{
+          animation: false,
+          responsive: true,
+          plugins: { legend: { display: false } },
+          scales: {
+            y: { min: display.waveformMin, max: display.waveformMax, title: { display: true, text: "Amplitude" } },
+            x: { display: false },
+          },
+        }}
+      />
+
+      <div className="mt-3">
+        <SessionControls
+          activeSession={oximeter.activeSession}
+          onStart={async (sessionLabel, notes) => {
+            enableAlarms();
+            await oximeter.startRecording(sessionLabel, notes);
+            onSessionChange(false);
+          }}
+          onStop={async () => {
+            await oximeter.stopRecording();
+            onSessionChange(true);
+          }}
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,60 @@
+import React, { useState } from "react";
+import useSettings from "../hooks/useSettings";
+import { loadSummary, canvasToJpeg, renderHeaderImages, buildSummaryPdf } from "../utils/report";
+import { shareOrDownload } from "../utils/export";
+
+// Save a one-page PDF summary of a session or time range. chartRef points
+// at the Chart.js SpO2 chart whose image goes into the report.
+export default function PdfReportButton({ session = null, start = null, end = null, criteria, chartRef, className = "" }) {
+  const { display } = useSettings().settings;
+  const [status, setStatus] = useState(null);
+  const [isBuilding, setIsBuilding] = useState(false);
+
+  const build = async () => {
+    setIsBuilding(true);
+    setStatus(null);
+    try {
+      const summary = await loadSummary({ session, start, end, criteria });
+      // Compacted readings of a range still make a report
+      if (summary.report.readingCount === 0 && !summary.compacted) {
+        setStatus("No readings to report.");
+        return;
+      }
+
+      // The report is still useful without the chart
+      let chart = null;
+      if (chartRef && chartRef.current) {
+        chart = await canvasToJpeg(chartRef.current.canvas)
+          .catch(err => {
+            console.error("Failed to render chart for report:", err);
+            return null;
+          });
+      }
+
+      const generatedAt = new Date();
+      const textImages = await renderHeaderImages(summary, { display, generatedAt });
+      const file = buildSummaryPdf(summary, { chart, display, generatedAt, textImages });
+      const result = await shareOrDownload(file);
+      if (result !== "cancelled") setStatus(`Saved ${file.filename}.`);
+    } catch (e) {
+      setStatus(`Report failed: ${e.message}`);
+    } finally {
+      setIsBuilding(false);
+    }
+  };
+
+  return (
+    <div className={className}>
+      <button
+        className={`w-full bg-gray-800 text-white py-1 px-3 rounded-md text-sm ${isBuilding ? 'opacity-50' : ''}`}
+        onClick={build}
+        disabled={isBuilding}
+      >
+        {isBuilding ? "Building PDF…" : "PDF Report"}
+      </button>
+      {status && (
+        <p className="text-xs text-gray-600 mt-1">{status}</p>
+      )}
+    </div>
+  );
+}
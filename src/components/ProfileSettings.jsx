@@ -0,0 +1,106 @@
+import React, { useState, useEffect } from "react";
+
+const emptyDraft = { name: "", birthYear: "" };
+
+const toDraft = (profile) => ({
+  name: profile.name,
+  birthYear: profile.birthYear ? String(profile.birthYear) : "",
+});
+
+// Edit, add and delete patient profiles. Deleting is locked while a
+// monitor is connected, like switching, so a recording keeps its profile.
+export default function ProfileSettings({ profiles, activeProfile, onAdd, onEdit, onRemove, locked = false }) {
+  const [draft, setDraft] = useState(emptyDraft);
+  const [newProfile, setNewProfile] = useState(emptyDraft);
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    if (activeProfile) setDraft(toDraft(activeProfile));
+  }, [activeProfile]);
+
+  if (!activeProfile) return null;
+
+  const run = async (action, message) => {
+    setStatus(null);
+    try {
+      await action();
+      setStatus(message);
+    } catch (e) {
+      setStatus(e.message);
+    }
+  };
+
+  const save = () => run(() => onEdit(activeProfile.id, draft), "Profile saved.");
+
+  const add = () => run(async () => {
+    await onAdd(newProfile);
+    setNewProfile(emptyDraft);
+  }, "Profile added and selected.");
+
+  const remove = () => {
+    if (locked) return;
+    const confirmed = window.confirm(
+      `Delete ${activeProfile.name} with all of their readings, sessions and alarm events? This can't be undone.`
+    );
+    if (confirmed) run(() => onRemove(activeProfile.id), "Profile deleted.");
+  };
+
+  const fields = (value, onChange, prefix) => (
+    <div className="flex gap-2 mb-2">
+      <input
+        type="text"
+        className="flex-1 min-w-0 border border-gray-300 rounded-md px-2 py-1 text-sm"
+        placeholder="Name"
+        value={value.name}
+        onChange={(e) => onChange({ ...value, name: e.target.value })}
+        aria-label={`${prefix} name`}
+      />
+      <input
+        type="number"
+        className="w-24 border border-gray-300 rounded-md px-2 py-1 text-sm"
+        placeholder="Birth year"
+        value={value.birthYear}
+        onChange={(e) => onChange({ ...value, birthYear: e.target.value })}
+        aria-label={`${prefix} birth year`}
+      />
+    </div>
+  );
+
+  return (
+    <div className="mt-4 w-full max-w-xs bg-white rounded-md shadow p-3">
+      <h3 className="text-sm font-semibold mb-2">Profile</h3>
+
+      {fields(draft, setDraft, "Profile")}
+      <div className="flex gap-2">
+        <button
+          className="flex-1 bg-blue-500 text-white py-1 px-2 rounded-md text-sm"
+          onClick={save}
+        >
+          Save
+        </button>
+        <button
+          className="flex-1 bg-gray-200 text-gray-800 py-1 px-2 rounded-md text-sm"
+          onClick={remove}
+          disabled={profiles.length < 2 || locked}
+          title={locked ? "Disconnect all monitors to delete profiles" : undefined}
+        >
+          Delete
+        </button>
+      </div>
+
+      <h4 className="text-xs font-semibold mt-3 mb-2">Add Profile</h4>
+      {fields(newProfile, setNewProfile, "New profile")}
+      <button
+        className="w-full bg-gray-200 text-gray-800 py-1 px-2 rounded-md text-sm"
+        onClick={add}
+        disabled={!newProfile.name.trim()}
+      >
+        Add Profile
+      </button>
+
+      {status && (
+        <p className="text-xs text-gray-600 mt-2">{status}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,27 @@
+import React from "react";
+
+// Choose whose readings are recorded and shown. Locked while a monitor is
+// connected so live readings aren't split between two profiles.
+export default function ProfileSwitcher({ profiles, activeProfile, onSwitch, disabled }) {
+  if (!activeProfile) return null;
+
+  return (
+    <div className="w-full max-w-xs mb-4 flex items-center gap-2 print:hidden">
+      <label htmlFor="profile-switcher" className="text-sm text-gray-700">Profile</label>
+      <select
+        id="profile-switcher"
+        className="flex-1 border border-gray-300 rounded-md px-2 py-1 text-sm bg-white"
+        value={activeProfile.id}
+        onChange={(e) => onSwitch(Number(e.target.value))}
+        disabled={disabled}
+        title={disabled ? "Disconnect all monitors to switch profiles" : undefined}
+      >
+        {profiles.map(profile => (
+          <option key={profile.id} value={profile.id}>
+            {profile.name}{profile.birthYear ? ` (${profile.birthYear})` : ""}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
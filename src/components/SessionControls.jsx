@@ -0,0 +1,84 @@
+import React, { useState } from "react";
+import { SESSION_LABELS } from "../utils/sessions";
+import { formatTime } from "../utils/format";
+import useSettings from "../hooks/useSettings";
+
+// Start/stop a labelled recording session
+export default function SessionControls({ activeSession, onStart, onStop }) {
+  const [label, setLabel] = useState(SESSION_LABELS[0]);
+  const [notes, setNotes] = useState("");
+  const [error, setError] = useState(null);
+  const { display } = useSettings().settings;
+
+  const start = async () => {
+    try {
+      setError(null);
+      await onStart(label.trim() || SESSION_LABELS[0], notes);
+      setNotes("");
+    } catch (e) {
+      setError(`Failed to start session: ${e.message}`);
+    }
+  };
+
+  const stop = async () => {
+    try {
+      setError(null);
+      await onStop();
+    } catch (e) {
+      setError(`Failed to stop session: ${e.message}`);
+    }
+  };
+
+  return (
+    <div className="w-full max-w-xs mb-4 bg-white rounded-md shadow p-3">
+      {activeSession ? (
+        <div className="flex items-center justify-between">
+          <div>
+            <p className="text-sm font-semibold">
+              <span className="inline-block w-2 h-2 rounded-full bg-red-500 mr-2"></span>
+              Recording: {activeSession.label}
+            </p>
+            <p className="text-xs text-gray-500">
+              Since {formatTime(activeSession.startedAt, display)}
+            </p>
+          </div>
+          <button
+            className="bg-red-500 text-white py-1 px-3 rounded-md text-sm"
+            onClick={stop}
+          >
+            Stop
+          </button>
+        </div>
+      ) : (
+        <>
+          <input
+            list="session-labels"
+            className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm mb-2"
+            placeholder="Session label"
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+          />
+          <datalist id="session-labels">
+            {SESSION_LABELS.map(l => <option key={l} value={l} />)}
+          </datalist>
+          <textarea
+            className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm mb-2"
+            placeholder="Notes (optional)"
+            rows={2}
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+          />
+          <button
+            className="w-full bg-green-600 text-white py-1 px-2 rounded-md text-sm"
+            onClick={start}
+          >
+            Start Session
+          </button>
+        </>
+      )}
+      {error && (
+        <p className="text-xs text-red-600 mt-2">{error}</p>
+      )}
+    </div>
+  );
+}
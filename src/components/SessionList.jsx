@@ -0,0 +1,139 @@
+import React, { useState, useEffect } from "react";
+import { getSessions, updateSession } from "../utils/storage";
+import { SPO2_THRESHOLDS, formatDuration } from "../utils/sessions";
+import { formatDateTime } from "../utils/format";
+import useSettings from "../hooks/useSettings";
+
+function SessionSummary({ summary, pending }) {
+  if (pending) {
+    return <p className="text-xs text-gray-500">Summary is computed after unlocking.</p>;
+  }
+  if (!summary) {
+    return <p className="text-xs text-gray-500">Recording in progress.</p>;
+  }
+
+  return (
+    <dl className="grid grid-cols-2 gap-x-2 text-xs text-gray-700">
+      <dt>Duration</dt>
+      <dd>{formatDuration(summary.durationMs)}</dd>
+      <dt>Readings</dt>
+      <dd>{summary.readingCount}</dd>
+      <dt>Mean SpO₂</dt>
+      <dd>{summary.spo2Mean ?? "--"}%</dd>
+      <dt>Min SpO₂</dt>
+      <dd>{summary.spo2Min ?? "--"}%</dd>
+      {SPO2_THRESHOLDS.map(t => (
+        <React.Fragment key={t}>
+          <dt>Time below {t}%</dt>
+          <dd>{formatDuration(summary.timeBelowMs?.[t] || 0)}</dd>
+        </React.Fragment>
+      ))}
+      <dt>Pulse range</dt>
+      <dd>{summary.bpmMin ?? "--"}–{summary.bpmMax ?? "--"} bpm</dd>
+      {summary.hrv && summary.hrv.rmssd !== null && (
+        <>
+          <dt>HRV RMSSD</dt>
+          <dd>{summary.hrv.rmssd} ms</dd>
+          <dt>HRV SDNN</dt>
+          <dd>{summary.hrv.sdnn} ms</dd>
+        </>
+      )}
+    </dl>
+  );
+}
+
+// Editable notes for one session
+function SessionNotes({ session, onSaved }) {
+  const [notes, setNotes] = useState(session.notes || "");
+
+  const save = async () => {
+    try {
+      onSaved(await updateSession(session.id, { notes }));
+    } catch (e) {
+      console.error("Failed to save session notes:", e);
+    }
+  };
+
+  return (
+    <div className="mt-2">
+      <textarea
+        className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm"
+        rows={2}
+        placeholder="Notes"
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+      />
+      <button
+        className="bg-gray-200 text-gray-800 py-1 px-2 rounded-md text-xs"
+        onClick={save}
+      >
+        Save notes
+      </button>
+    </div>
+  );
+}
+
+// Browse past recording sessions and their summaries
+export default function SessionList({ refreshKey, onPlay, onReport }) {
+  const [sessions, setSessions] = useState([]);
+  const [expandedId, setExpandedId] = useState(null);
+  const { display } = useSettings().settings;
+
+  useEffect(() => {
+    getSessions()
+      .then(setSessions)
+      .catch(err => console.error("Failed to load sessions:", err));
+  }, [refreshKey]);
+
+  const replaceSession = (updated) => {
+    setSessions(sessions.map(s => (s.id === updated.id ? updated : s)));
+  };
+
+  if (sessions.length === 0) {
+    return <p className="text-sm text-gray-600">No sessions recorded yet.</p>;
+  }
+
+  return (
+    <div className="w-full max-w-xs">
+      {sessions.map(session => (
+        <div key={session.id} className="mb-2 bg-white rounded-md shadow p-3">
+          <button
+            className="w-full text-left"
+            onClick={() => setExpandedId(expandedId === session.id ? null : session.id)}
+          >
+            <p className="text-sm font-semibold">
+              {session.label}
+              {session.simulated && <span className="ml-1 text-xs font-normal text-gray-500">(simulated)</span>}
+            </p>
+            <p className="text-xs text-gray-500">
+              {formatDateTime(session.startedAt, display)}
+              {session.summary && ` · ${formatDuration(session.summary.durationMs)}`}
+            </p>
+          </button>
+          {expandedId === session.id && (
+            <div className="mt-2">
+              <SessionSummary summary={session.summary} pending={Boolean(session.pendingSummary)} />
+              <SessionNotes session={session} onSaved={replaceSession} />
+              {session.endedAt && (
+                <div className="mt-2 flex gap-2">
+                  <button
+                    className="flex-1 bg-blue-500 text-white py-1 px-2 rounded-md text-xs"
+                    onClick={() => onPlay(session)}
+                  >
+                    Play waveform
+                  </button>
+                  <button
+                    className="flex-1 bg-gray-800 text-white py-1 px-2 rounded-md text-xs"
+                    onClick={() => onReport(session)}
+                  >
+                    Sleep report
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+import React, { useState, useEffect, useCallback, useMemo } from "react";
+import { SettingsContext } from "../hooks/useSettings";
+import {
+  defaultSettings,
+  loadSettings,
+  saveSettingsSection,
+  importSettings,
+  applyTheme,
+} from "../utils/settings";
+
+// Loads the settings of the active profile and shares them with the app
+export default function SettingsProvider({ profileId, children }) {
+  const [settings, setSettings] = useState(defaultSettings);
+  const [loaded, setLoaded] = useState(false);
+
+  const reload = useCallback(async () => {
+    setSettings(await loadSettings(profileId));
+    setLoaded(true);
+  }, [profileId]);
+
+  useEffect(() => {
+    if (profileId == null) return;
+    reload().catch(err => console.error("Failed to load settings:", err));
+  }, [profileId, reload]);
+
+  useEffect(() => applyTheme(settings.display.theme), [settings.display.theme]);
+
+  // Validate and store changes to one section; throws on invalid values
+  const update = useCallback(async (section, values) => {
+    const saved = await saveSettingsSection(section, values, profileId, settings[section]);
+    setSettings(prev => ({ ...prev, [section]: saved }));
+    return saved;
+  }, [profileId, settings]);
+
+  const importFile = useCallback(async (text) => {
+    const sections = await importSettings(text, profileId);
+    await reload();
+    return sections;
+  }, [profileId, reload]);
+
+  const value = useMemo(() => ({ settings, loaded, update, importFile }), [settings, loaded, update, importFile]);
+
+  return (
+    <SettingsContext.Provider value={value}>
+      {children}
+    </SettingsContext.Provider>
+  );
+}
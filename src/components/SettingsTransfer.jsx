@@ -0,0 +1,60 @@
+import React, { useState } from "react";
+import useSettings from "../hooks/useSettings";
+import { exportSettings, SETTINGS_SECTIONS } from "../utils/settings";
+import { shareOrDownload } from "../utils/export";
+
+// Move settings to another device as a JSON file
+export default function SettingsTransfer() {
+  const { settings, importFile } = useSettings();
+  const [status, setStatus] = useState(null);
+
+  const runExport = async () => {
+    setStatus(null);
+    try {
+      const file = exportSettings(settings);
+      const result = await shareOrDownload(file);
+      if (result !== "cancelled") setStatus(`Exported settings to ${file.filename}.`);
+    } catch (e) {
+      setStatus(`Export failed: ${e.message}`);
+    }
+  };
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+
+    setStatus(null);
+    try {
+      const sections = await importFile(await file.text());
+      setStatus(`Imported ${sections.map(name => SETTINGS_SECTIONS[name].label.toLowerCase()).join(", ")} settings.`);
+    } catch (e) {
+      setStatus(`Import failed: ${e.message}`);
+    }
+  };
+
+  return (
+    <div className="mt-4 w-full max-w-xs bg-white rounded-md shadow p-3">
+      <h3 className="text-sm font-semibold mb-2">Settings File</h3>
+      <p className="text-xs text-gray-600 mb-2">
+        Alarm limits are exported and imported for the current profile. The sync endpoint is never taken from a file.
+      </p>
+      <button
+        className="w-full bg-gray-200 text-gray-800 py-1 px-2 rounded-md text-sm mb-2"
+        onClick={runExport}
+      >
+        Export Settings
+      </button>
+      <input
+        type="file"
+        accept=".json,application/json"
+        className="w-full text-sm"
+        onChange={handleFile}
+        aria-label="Import settings"
+      />
+      {status && (
+        <p className="text-xs text-gray-600 mt-2">{status}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useRef } from "react";
+import { Line } from "react-chartjs-2";
+import { getSessionReadings } from "../utils/storage";
+import { DEFAULT_DESATURATION_CRITERIA, computeSleepReport, downsampleForChart } from "../utils/analysis";
+import { formatDuration } from "../utils/sessions";
+import { formatDateTime, formatTime } from "../utils/format";
+import useSettings from "../hooks/useSettings";
+import PdfReportButton from "./PdfReportButton";
+
+const MIN_DURATION_OPTIONS = [10, 20, 30];
+const BASELINE_WINDOW_OPTIONS = [60, 120, 300];
+
+function Metric({ label, value }) {
+  return (
+    <div className="flex justify-between border-b border-gray-100 py-1 text-sm">
+      <span className="text-gray-600">{label}</span>
+      <span className="font-mono">{value}</span>
+    </div>
+  );
+}
+
+// Printable overnight report: ODI, T90, SpO2/pulse summary, trend and events
+export default function SleepReport({ session, onClose }) {
+  const [readings, setReadings] = useState([]);
+  const [criteria, setCriteria] = useState(DEFAULT_DESATURATION_CRITERIA);
+  const [isLoading, setIsLoading] = useState(true);
+  const { display } = useSettings().settings;
+  const chartRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+
+    getSessionReadings(session.id)
+      .then(sessionReadings => {
+        if (!cancelled) setReadings(sessionReadings);
+      })
+      .catch(err => console.error("Failed to load session readings:", err))
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [session.id]);
+
+  const report = computeSleepReport(readings, criteria);
+  const trend = downsampleForChart(readings);
+  const orDash = (value, suffix = "") => (value === null ? "--" : `${value}${suffix}`);
+
+  return (
+    <div className="w-full max-w-2xl bg-white rounded-md shadow p-4 print:shadow-none">
+      <div className="flex items-center justify-between mb-2 print:hidden">
+        <button className="text-sm text-blue-600 underline" onClick={onClose}>
+          Back
+        </button>
+        <div className="flex gap-2 items-start">
+          <PdfReportButton session={session} criteria={criteria} chartRef={chartRef} />
+          <button
+            className="bg-gray-800 text-white py-1 px-3 rounded-md text-sm"
+            onClick={() => window.print()}
+          >
+            Print
+          </button>
+        </div>
+      </div>
+
+      <h2 className="text-lg font-semibold">Sleep Oximetry Report</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        {session.label} · {formatDateTime(session.startedAt, display)}
+        {session.endedAt && ` – ${formatDateTime(session.endedAt, display)}`}
+      </p>
+
+      <div className="flex gap-4 mb-4 text-xs text-gray-600 print:hidden">
+        <label>
+          Min event duration
+          <select
+            className="ml-1 border border-gray-300 rounded-md"
+            value={criteria.minDurationSec}
+            onChange={(e) => setCriteria({ ...criteria, minDurationSec: Number(e.target.value) })}
+          >
+            {MIN_DURATION_OPTIONS.map(s => <option key={s} value={s}>{s}s</option>)}
+          </select>
+        </label>
+        <label>
+          Baseline window
+          <select
+            className="ml-1 border border-gray-300 rounded-md"
+            value={criteria.baselineWindowSec}
+            onChange={(e) => setCriteria({ ...criteria, baselineWindowSec: Number(e.target.value) })}
+          >
+            {BASELINE_WINDOW_OPTIONS.map(s => <option key={s} value={s}>{s / 60} min</option>)}
+          </select>
+        </label>
+      </div>
+
+      {isLoading && <p className="text-sm text-gray-600">Loading…</p>}
+
+      {!isLoading && report.readingCount === 0 && (
+        <p className="text-sm text-gray-600">No readings were recorded in this session.</p>
+      )}
+
+      {!isLoading && report.readingCount > 0 && (
+        <>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 mb-4">
+            <Metric label="Recorded time" value={formatDuration(report.recordedMs)} />
+            <Metric label="Readings" value={report.readingCount} />
+            <Metric label="ODI 3%" value={orDash(report.odi3, "/h")} />
+            <Metric label="ODI 4%" value={orDash(report.odi4, "/h")} />
+            <Metric label="Mean SpO₂" value={orDash(report.meanSpo2, "%")} />
+            <Metric label="Nadir SpO₂" value={orDash(report.nadirSpo2, "%")} />
+            <Metric label="T90" value={`${formatDuration(report.t90Ms)} (${orDash(report.t90Percent, "%")})`} />
+            <Metric
+              label="Pulse mean (min–max)"
+              value={`${orDash(report.pulse.mean)} (${orDash(report.pulse.min)}–${orDash(report.pulse.max)})`}
+            />
+          </div>
+
+          <Line
+            ref={chartRef}
+            data={{
+              labels: trend.map(p => formatTime(p.time, display, { hour: "2-digit", minute: "2-digit" })),
+              datasets: [
+                {
+                  label: "SpO₂",
+                  data: trend.map(p => p.spo2),
+                  borderColor: "#059669",
+                  borderWidth: 1,
+                  pointRadius: 0,
+                },
+              ],
+            }}
+            options={{
+              animation: false,
+              responsive: true,
+              plugins: { legend: { display: false } },
+              scales: {
+                y: { suggestedMin: 80, suggestedMax: 100, title: { display: true, text: "SpO₂ (%)" } },
+                x: { ticks: { maxTicksLimit: 8 } },
+              },
+            }}
+          />
+
+          <h3 className="text-sm font-semibold mt-4 mb-2">
+            Desaturation events (≥3%): {report.events3.length}
+          </h3>
+          {report.events3.length > 0 && (
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-600">
+                  <th>Start</th>
+                  <th>Duration</th>
+                  <th>Baseline</th>
+                  <th>Nadir</th>
+                  <th>Drop</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.events3.map(event => (
+                  <tr key={event.start} className="border-t border-gray-100">
+                    <td>{formatTime(event.start, display)}</td>
+                    <td>{event.durationSec}s</td>
+                    <td>{event.baseline}%</td>
+                    <td>{event.nadir}%</td>
+                    <td>{event.drop}%</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
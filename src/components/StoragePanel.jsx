@@ -0,0 +1,190 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { getStoreCounts, deleteAllData } from "../utils/storage";
+import {
+  runCompaction,
+  getStorageEstimate,
+  isStoragePersisted,
+  requestPersistentStorage,
+} from "../utils/retention";
+import useSettings from "../hooks/useSettings";
+
+// Warn once usage passes this share of the quota
+const QUOTA_WARNING_FRACTION = 0.8;
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+}
+
+// Storage usage, persistence, retention policy and data deletion
+export default function StoragePanel() {
+  const [estimate, setEstimate] = useState(null);
+  const [persisted, setPersisted] = useState(false);
+  const [counts, setCounts] = useState({});
+  const { settings, loaded, update } = useSettings();
+  const [retention, setRetention] = useState(settings.retention);
+  const [status, setStatus] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      setEstimate(await getStorageEstimate());
+      setPersisted(await isStoragePersisted());
+      setCounts(await getStoreCounts());
+    } catch (e) {
+      console.error("Failed to load storage usage:", e);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useEffect(() => {
+    setRetention(settings.retention);
+  }, [settings.retention]);
+
+  const persist = async () => {
+    const granted = await requestPersistentStorage();
+    setPersisted(granted);
+    setStatus(granted ? "Storage is now persistent." : "The browser declined persistent storage.");
+  };
+
+  const save = async () => {
+    try {
+      await update("retention", retention);
+      setStatus("Retention saved.");
+    } catch (e) {
+      setStatus(`Failed to save: ${e.message}`);
+    }
+  };
+
+  const compact = async () => {
+    setIsBusy(true);
+    setStatus(null);
+    try {
+      const result = await runCompaction();
+      setStatus(`Compacted ${result.compacted} readings into ${result.buckets} aggregates.`);
+      load();
+    } catch (e) {
+      setStatus(`Compaction failed: ${e.message}`);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const deleteAll = async () => {
+    if (!window.confirm("Delete all readings, sessions, alarms and settings on this device? This cannot be undone.")) return;
+    setIsBusy(true);
+    try {
+      await deleteAllData();
+      window.location.reload();
+    } catch (e) {
+      setStatus(`Failed to delete data: ${e.message}`);
+      setIsBusy(false);
+    }
+  };
+
+  const updateRetention = (field, value) => setRetention({ ...retention, [field]: value });
+  const nearQuota = estimate && estimate.fraction >= QUOTA_WARNING_FRACTION;
+
+  return (
+    <div className="mt-4 w-full max-w-xs bg-white rounded-md shadow p-3">
+      <h3 className="text-sm font-semibold mb-2">Storage</h3>
+
+      {estimate ? (
+        <>
+          <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+            <div
+              className={`h-2 ${nearQuota ? 'bg-red-500' : 'bg-blue-500'}`}
+              style={{ width: `${Math.min(100, estimate.fraction * 100)}%` }}
+            ></div>
+          </div>
+          <p className="text-xs text-gray-600 mt-1">
+            {formatBytes(estimate.usage)} of {formatBytes(estimate.quota)} used
+          </p>
+          {nearQuota && (
+            <p className="text-xs text-red-600">Storage is almost full. Shorten retention or delete old data.</p>
+          )}
+        </>
+      ) : (
+        <p className="text-xs text-gray-500">Storage usage is not available in this browser.</p>
+      )}
+
+      <p className="text-xs text-gray-600 mt-1">
+        {counts.readings ?? 0} readings · {counts.aggregates ?? 0} aggregates · {counts.waveforms ?? 0} waveform chunks
+      </p>
+
+      <div className="flex items-center justify-between mt-2">
+        <span className="text-xs text-gray-600">{persisted ? "Persistent storage" : "Data may be evicted"}</span>
+        {!persisted && (
+          <button className="text-xs text-blue-600 underline" onClick={persist}>
+            Keep data persistent
+          </button>
+        )}
+      </div>
+
+      {loaded && (
+        <div className="mt-3 text-sm">
+          <label className="flex items-center justify-between mb-1">
+            <span>Raw readings (days)</span>
+            <input
+              type="number"
+              min="1"
+              className="w-20 border border-gray-300 rounded-md px-2 py-1 text-sm"
+              value={retention.rawDays}
+              onChange={(e) => updateRetention("rawDays", Number(e.target.value))}
+            />
+          </label>
+          <label className="flex items-center justify-between mb-1">
+            <span>Aggregates (days, 0 = forever)</span>
+            <input
+              type="number"
+              min="0"
+              className="w-20 border border-gray-300 rounded-md px-2 py-1 text-sm"
+              value={retention.aggregateDays}
+              onChange={(e) => updateRetention("aggregateDays", Number(e.target.value))}
+            />
+          </label>
+          <label className="flex items-center gap-2 mb-2">
+            <input
+              type="checkbox"
+              checked={retention.keepSessionReadings}
+              onChange={(e) => updateRetention("keepSessionReadings", e.target.checked)}
+            />
+            <span>Keep raw readings of recorded sessions</span>
+          </label>
+          <div className="flex gap-2">
+            <button
+              className="flex-1 bg-gray-200 text-gray-800 py-1 px-2 rounded-md text-sm"
+              onClick={save}
+            >
+              Save
+            </button>
+            <button
+              className={`flex-1 bg-blue-500 text-white py-1 px-2 rounded-md text-sm ${isBusy ? 'opacity-50' : ''}`}
+              onClick={compact}
+              disabled={isBusy}
+            >
+              Compact Now
+            </button>
+          </div>
+        </div>
+      )}
+
+      <button
+        className="w-full mt-3 bg-red-600 text-white py-1 px-2 rounded-md text-sm"
+        onClick={deleteAll}
+        disabled={isBusy}
+      >
+        Delete All Data
+      </button>
+
+      {status && (
+        <p className="text-xs text-gray-600 mt-2">{status}</p>
+      )}
+    </div>
+  );
+}
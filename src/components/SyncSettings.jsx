@@ -0,0 +1,74 @@
+import React, { useState } from "react";
+import { syncReadings } from "../utils/sync";
+import useSettings from "../hooks/useSettings";
+
+// Upload endpoint configuration and manual sync trigger
+export default function SyncSettings() {
+  const { settings, loaded, update } = useSettings();
+  const [endpoint, setEndpoint] = useState(settings.sync.endpoint);
+  const [status, setStatus] = useState(null);
+  const [isSyncing, setIsSyncing] = useState(false);
+
+  const [source, setSource] = useState(settings.sync.endpoint);
+  if (source !== settings.sync.endpoint) {
+    setSource(settings.sync.endpoint);
+    setEndpoint(settings.sync.endpoint);
+  }
+
+  const saveEndpoint = async () => {
+    try {
+      const saved = await update("sync", { endpoint: endpoint.trim() });
+      setStatus(saved.endpoint ? "Sync endpoint saved." : "Sync disabled.");
+    } catch (e) {
+      setStatus(`Failed to save: ${e.message}`);
+    }
+  };
+
+  const syncNow = async () => {
+    setIsSyncing(true);
+    setStatus(null);
+    try {
+      const result = await syncReadings();
+      setStatus(result.skipped
+        ? "No sync endpoint configured."
+        : `Uploaded ${result.uploaded} readings.`);
+    } catch (e) {
+      setStatus(`Sync failed: ${e.message}`);
+    } finally {
+      setIsSyncing(false);
+    }
+  };
+
+  if (!loaded) return null;
+
+  return (
+    <div className="mt-4 w-full max-w-xs bg-white rounded-md shadow p-3">
+      <h3 className="text-sm font-semibold mb-2">Cloud Sync</h3>
+      <input
+        type="url"
+        className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm mb-2"
+        placeholder="https://example.com/api/readings"
+        value={endpoint}
+        onChange={(e) => setEndpoint(e.target.value)}
+      />
+      <div className="flex gap-2">
+        <button
+          className="flex-1 bg-gray-200 text-gray-800 py-1 px-2 rounded-md text-sm"
+          onClick={saveEndpoint}
+        >
+          Save
+        </button>
+        <button
+          className={`flex-1 bg-blue-500 text-white py-1 px-2 rounded-md text-sm ${isSyncing ? 'opacity-50' : ''}`}
+          onClick={syncNow}
+          disabled={isSyncing}
+        >
+          {isSyncing ? 'Syncing…' : 'Sync Now'}
+        </button>
+      </div>
+      {status && (
+        <p className="text-xs text-gray-600 mt-2">{status}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,174 @@
+import React, { useState, useEffect, useRef } from "react";
+import { Line } from "react-chartjs-2";
+import { getWaveformChunks, getSessionReadings } from "../utils/storage";
+import { loadWaveformTimeline, samplesInWindow } from "../utils/waveform";
+import { formatTime } from "../utils/format";
+import useSettings from "../hooks/useSettings";
+
+const WINDOW_MS = 5000;
+const TICK_MS = 100;
+const SPEEDS = [1, 4, 16];
+
+// Latest reading at or before a time (readings sorted oldest first)
+function readingAt(readings, time) {
+  let lo = 0;
+  let hi = readings.length - 1;
+  let found = null;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (new Date(readings[mid].timestamp).getTime() <= time) {
+      found = readings[mid];
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+// Scrub through a session's stored waveform with SpO2/BPM in sync
+export default function WaveformPlayback({ session, onClose }) {
+  const [timeline, setTimeline] = useState([]);
+  const [readings, setReadings] = useState([]);
+  const [position, setPosition] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [isLoading, setIsLoading] = useState(true);
+  const positionRef = useRef(0);
+  const { display } = useSettings().settings;
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+
+    Promise.all([getWaveformChunks(session.id), getSessionReadings(session.id)])
+      .then(async ([chunks, sessionReadings]) => {
+        const decoded = await loadWaveformTimeline(chunks);
+        if (cancelled) return;
+        setTimeline(decoded);
+        setReadings(sessionReadings);
+        const start = decoded.length > 0 ? decoded[0].start : 0;
+        positionRef.current = start;
+        setPosition(start);
+      })
+      .catch(err => console.error("Failed to load waveform:", err))
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [session.id]);
+
+  const start = timeline.length > 0 ? timeline[0].start : 0;
+  const end = timeline.length > 0 ? timeline[timeline.length - 1].end : 0;
+
+  // Advance the playhead while playing
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    const interval = setInterval(() => {
+      const next = Math.min(end, positionRef.current + TICK_MS * speed);
+      positionRef.current = next;
+      setPosition(next);
+      if (next >= end) setIsPlaying(false);
+    }, TICK_MS);
+
+    return () => clearInterval(interval);
+  }, [isPlaying, speed, end]);
+
+  const seek = (value) => {
+    positionRef.current = value;
+    setPosition(value);
+  };
+
+  const samples = samplesInWindow(timeline, position - WINDOW_MS, position);
+  const reading = readingAt(readings, position);
+
+  return (
+    <div className="w-full max-w-2xl">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-lg font-semibold">{session.label}</h2>
+        <button className="text-sm text-blue-600 underline" onClick={onClose}>
+          Back
+        </button>
+      </div>
+
+      {isLoading && <p className="text-sm text-gray-600">Loading waveform…</p>}
+
+      {!isLoading && timeline.length === 0 && (
+        <p className="text-sm text-gray-600">No waveform was recorded for this session.</p>
+      )}
+
+      {!isLoading && timeline.length > 0 && (
+        <>
+          <div className="flex justify-around mb-2 bg-white rounded-md shadow p-2 font-mono">
+            <span>SpO₂: {reading ? reading.spo2 : "--"}%</span>
+            <span>BPM: {reading ? reading.bpm : "--"}</span>
+            <span className="text-xs text-gray-500 self-center">
+              {formatTime(position, display)}
+            </span>
+          </div>
+
+          <Line
+            data={{
+              labels: samples.map((_, i) => i),
+              datasets: [
+                {
+                  label: "PPG Waveform",
+                  data: samples,
+                  fill: false,
+                  tension: 0.3,
+                  borderWidth: 2,
+                  pointRadius: 0,
+                  borderColor: "#059669",
+                },
+              ],
+            }}
+            options={{
+              animation: false,
+              responsive: true,
+              plugins: { legend: { display: false } },
+              scales: {
+                y: { min: display.waveformMin, max: display.waveformMax, title: { display: true, text: "Amplitude" } },
+                x: { display: false },
+              },
+            }}
+          />
+
+          <input
+            type="range"
+            className="w-full mt-2"
+            min={start}
+            max={end}
+            step={100}
+            value={position}
+            onChange={(e) => seek(Number(e.target.value))}
+          />
+
+          <div className="flex gap-2 mt-2">
+            <button
+              className="flex-1 bg-green-600 text-white py-1 px-2 rounded-md text-sm"
+              onClick={() => {
+                if (position >= end) seek(start);
+                setIsPlaying(!isPlaying);
+              }}
+            >
+              {isPlaying ? "Pause" : "Play"}
+            </button>
+            {SPEEDS.map(s => (
+              <button
+                key={s}
+                className={`py-1 px-3 rounded-md text-sm ${speed === s ? 'bg-gray-800 text-white' : 'bg-gray-200 text-gray-800'}`}
+                onClick={() => setSpeed(s)}
+              >
+                {s}×
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,14 @@
+// Normalise a DataView, ArrayBuffer, typed array or plain array to a Uint8Array
+export function toBytes(value) {
+  if (value instanceof Uint8Array) return value;
+  if (value instanceof ArrayBuffer) return new Uint8Array(value);
+  if (ArrayBuffer.isView(value)) {
+    return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+  }
+  return Uint8Array.from(value);
+}
+
+// Expand a 16-bit Bluetooth SIG UUID to its 128-bit form
+export function uuid16(shortUuid) {
+  return `0000${shortUuid.toString(16).padStart(4, '0')}-0000-1000-8000-00805f9b34fb`;
+}
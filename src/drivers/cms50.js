@@ -0,0 +1,298 @@
+import { toBytes } from './bytes';
+
+// Contec CMS50D+/CMS50E over the USB serial cable (CP210x bridge).
+//
+// Framing: every packet starts with a type byte with the high bit clear,
+// which doubles as the sync byte. All following bytes have the high bit
+// set. The first of them carries the high bits of the data bytes after it
+// (bit i for data byte i), so each data byte is (byte & 0x7F) | bit << 7.
+// Commands from the host use the same framing with type 0x7D.
+//
+// The framing, the realtime layout and the stored data commands and
+// packets follow public descriptions of the protocol and have not been
+// checked against a recording from a device.
+//
+// Stored recordings are read with a command sequence: stop the realtime
+// stream, ask for the device id and the number of recordings, ask for the
+// start time and length of each, then stream each recording's stored data.
+
+export const SYNC_MASK = 0x80;
+
+export const PACKET_TYPES = {
+  REALTIME: 0x01,
+  RECORDING_COUNT: 0x03,
+  DEVICE_ID: 0x04,
+  RECORDING_START: 0x05,
+  RECORDING_LENGTH: 0x08,
+  STORED_DATA: 0x0F,
+  COMMAND: 0x7D
+};
+
+// Packet length including type and high-bit bytes, by type
+export const PACKET_LENGTHS = {
+  [PACKET_TYPES.REALTIME]: 9,
+  [PACKET_TYPES.RECORDING_COUNT]: 3,
+  [PACKET_TYPES.DEVICE_ID]: 9,
+  [PACKET_TYPES.RECORDING_START]: 9,
+  [PACKET_TYPES.RECORDING_LENGTH]: 6,
+  [PACKET_TYPES.STORED_DATA]: 8
+};
+
+export const COMMANDS = {
+  START_REALTIME: 0xA1,
+  STOP_REALTIME: 0xA2,
+  GET_RECORDING_COUNT: 0xA3,
+  GET_RECORDING_INFO: 0xA5,
+  START_STORED_DATA: 0xA6,
+  STOP_STORED_DATA: 0xA7,
+  GET_DEVICE_ID: 0xAA,
+  KEEP_ALIVE: 0xAF
+};
+
+// Realtime packets arrive at 60 Hz; one measurement per second is stored
+export const REALTIME_RATE = 60;
+
+// The device stores one SpO2/pulse pair per second
+export const STORED_INTERVAL_MS = 1000;
+
+// Longest wait for the device to answer a command
+export const MEMORY_TIMEOUT_MS = 3000;
+
+// Stored points between progress reports
+const PROGRESS_STEP = 300;
+
+// Realtime status byte
+const STATUS = {
+  SEARCHING_TOO_LONG: 0x10,
+  FINGER_OUT: 0x20,
+  BEAT: 0x40
+};
+
+// Frame data bytes (0-255) as a packet of the given type
+export function encodePacket(type, data) {
+  if (data.length > 7) throw new Error('A packet carries at most 7 data bytes');
+  let high = 0;
+  data.forEach((byte, i) => {
+    if (byte & 0x80) high |= 1 << i;
+  });
+  return Uint8Array.from([type & 0x7F, SYNC_MASK | high, ...data.map(byte => SYNC_MASK | (byte & 0x7F))]);
+}
+
+// Command packet: 7D 81 <command> 80 80 80 80 80 80
+export function commandPacket(command, args = []) {
+  const data = [command, ...args];
+  while (data.length < 7) data.push(0);
+  return encodePacket(PACKET_TYPES.COMMAND, data);
+}
+
+// Streaming decoder: push() raw bytes as they arrive and get back the
+// complete packets as { type, data }. Bytes before the first sync byte
+// and packets cut short by the next sync byte are dropped. Packets of
+// types missing from lengths end at the next sync byte.
+export function createPacketDecoder(lengths = PACKET_LENGTHS) {
+  let packet = null;
+  let dropped = 0;
+
+  const decode = (bytes) => {
+    const high = bytes.length > 1 ? bytes[1] & 0x7F : 0;
+    const data = Array.from(bytes.slice(2), (byte, i) => (byte & 0x7F) | (((high >> i) & 1) << 7));
+    return { type: bytes[0], data };
+  };
+
+  return {
+    push(chunk) {
+      const packets = [];
+      toBytes(chunk).forEach(byte => {
+        if (!(byte & SYNC_MASK)) {
+          if (packet) {
+            if (lengths[packet[0]]) {
+              dropped++;
+            } else {
+              packets.push(decode(packet));
+            }
+          }
+          packet = [byte];
+        } else if (packet) {
+          packet.push(byte);
+        } else {
+          return;
+        }
+
+        if (packet && lengths[packet[0]] && packet.length === lengths[packet[0]]) {
+          packets.push(decode(packet));
+          packet = null;
+        }
+      });
+      return packets;
+    },
+
+    // Packets cut short so far, e.g. by a noisy cable
+    get dropped() {
+      return dropped;
+    }
+  };
+}
+
+// Realtime packet data: [status, pleth, bar graph, pulse, SpO2, -, -]
+// (assumed, see above)
+export function parseRealtime(data) {
+  const [status, pleth, , bpm, spo2] = data;
+  const statusFlags = [];
+  if (status & STATUS.FINGER_OUT) statusFlags.push('sensorDisplaced');
+  if (status & STATUS.SEARCHING_TOO_LONG) statusFlags.push('inadequateSignal');
+  return {
+    pleth,
+    bpm,
+    spo2,
+    signalStrength: status & 0x0F,
+    beat: Boolean(status & STATUS.BEAT),
+    statusFlags
+  };
+}
+
+// Stateful parser for the live stream: pleth values of each chunk become
+// one waveform sample, and every REALTIME_RATE packets add a measurement.
+export function createRealtimeParser() {
+  const decoder = createPacketDecoder();
+  let count = 0;
+
+  return {
+    push(chunk) {
+      const samples = [];
+      const pleth = [];
+
+      decoder.push(chunk)
+        .filter(packet => packet.type === PACKET_TYPES.REALTIME)
+        .forEach(packet => {
+          const realtime = parseRealtime(packet.data);
+          pleth.push(realtime.pleth);
+          count++;
+          if (count % REALTIME_RATE === 0) {
+            if (pleth.length > 0) samples.push({ type: 'waveform', samples: Uint8Array.from(pleth.splice(0)) });
+            const measure = { type: 'measure', bpm: realtime.bpm, spo2: realtime.spo2 };
+            if (realtime.statusFlags.length > 0) measure.statusFlags = realtime.statusFlags;
+            samples.push(measure);
+          }
+        });
+
+      if (pleth.length > 0) samples.push({ type: 'waveform', samples: Uint8Array.from(pleth) });
+      return samples;
+    }
+  };
+}
+
+// Device id packet data: up to 7 ASCII characters, padded with zeros
+export function parseDeviceId(data) {
+  return String.fromCharCode(...data.filter(byte => byte !== 0)).trim();
+}
+
+// Recording start packet data: [recording, year - 2000, month, day, hour,
+// minute, second] on the device clock, which keeps local time
+export function parseRecordingStart(data) {
+  const [recording, year, month, day, hour, minute, second] = data;
+  const startedAt = new Date(2000 + year, month - 1, day, hour, minute, second);
+  if (month < 1 || month > 12 || startedAt.getDate() !== day || hour > 23 || minute > 59 || second > 59) {
+    throw new Error(`Recording ${recording + 1} has an invalid start time`);
+  }
+  return { recording, startedAt };
+}
+
+// Recording length packet data: [recording, points as 24 bit little endian]
+export function parseRecordingLength(data) {
+  const [recording, low, middle, high] = data;
+  return { recording, points: low | (middle << 8) | (high << 16) };
+}
+
+// Stored data packet data: three [SpO2, pulse] pairs
+export function parseStoredData(data) {
+  const points = [];
+  for (let i = 0; i + 1 < data.length; i += 2) {
+    points.push({ spo2: data[i], bpm: data[i + 1] });
+  }
+  return points;
+}
+
+// Download every stored recording over an open link ({ write(bytes),
+// read(timeoutMs) } from the serial transport). Resolves with the device
+// id and the recordings as { startedAt, intervalMs, points }. onProgress
+// gets { received, total, recording, recordings } counted in points.
+export async function readMemory(link, { onProgress = () => {}, timeoutMs = MEMORY_TIMEOUT_MS } = {}) {
+  const decoder = createPacketDecoder();
+  const packets = [];
+
+  // Next packet of a type; anything else, like realtime packets still in
+  // flight, is skipped
+  const next = async (type) => {
+    for (;;) {
+      while (packets.length > 0) {
+        const packet = packets.shift();
+        if (packet.type === type) return packet.data;
+      }
+      const chunk = await link.read(timeoutMs);
+      if (chunk === null) throw new Error('The device closed the connection');
+      packets.push(...decoder.push(chunk));
+    }
+  };
+
+  await link.write(commandPacket(COMMANDS.STOP_REALTIME));
+  await link.write(commandPacket(COMMANDS.GET_DEVICE_ID));
+  const deviceId = parseDeviceId(await next(PACKET_TYPES.DEVICE_ID));
+
+  await link.write(commandPacket(COMMANDS.GET_RECORDING_COUNT));
+  const [count] = await next(PACKET_TYPES.RECORDING_COUNT);
+
+  const listed = [];
+  for (let recording = 0; recording < count; recording++) {
+    await link.write(commandPacket(COMMANDS.GET_RECORDING_INFO, [recording]));
+    const { startedAt } = parseRecordingStart(await next(PACKET_TYPES.RECORDING_START));
+    const { points } = parseRecordingLength(await next(PACKET_TYPES.RECORDING_LENGTH));
+    listed.push({ recording, startedAt, points });
+  }
+
+  const total = listed.reduce((sum, { points }) => sum + points, 0);
+  let received = 0;
+  let reported = 0;
+  onProgress({ received, total, recording: 0, recordings: count });
+
+  const recordings = [];
+  for (const { recording, startedAt, points: length } of listed) {
+    const points = [];
+    if (length > 0) {
+      await link.write(commandPacket(COMMANDS.START_STORED_DATA, [recording]));
+      while (points.length < length) {
+        // The last packet is padded to three pairs
+        const stored = parseStoredData(await next(PACKET_TYPES.STORED_DATA)).slice(0, length - points.length);
+        points.push(...stored);
+        received += stored.length;
+        if (received - reported >= PROGRESS_STEP || points.length === length) {
+          reported = received;
+          onProgress({ received, total, recording: recording + 1, recordings: count });
+        }
+      }
+      await link.write(commandPacket(COMMANDS.STOP_STORED_DATA));
+    }
+    recordings.push({ startedAt, intervalMs: STORED_INTERVAL_MS, points });
+  }
+
+  return { deviceId, recordings };
+}
+
+// Driver for the serial transport
+export default {
+  id: 'cms50-serial',
+  name: 'Contec CMS50D+/E (USB)',
+  transport: 'serial',
+  serial: {
+    baudRate: 115200,
+    dataBits: 8,
+    stopBits: 1,
+    parity: 'none',
+    // Silicon Labs CP210x USB to UART bridge
+    filters: [{ usbVendorId: 0x10C4, usbProductId: 0xEA60 }]
+  },
+  initCommands: [commandPacket(COMMANDS.START_REALTIME)],
+  // The device stops sending unless told every few seconds that we're still there
+  keepAlive: { command: commandPacket(COMMANDS.KEEP_ALIVE), intervalMs: 5000 },
+  createParser: createRealtimeParser,
+  readMemory
+};
@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+import cms50Driver, {
+  COMMANDS,
+  PACKET_TYPES,
+  REALTIME_RATE,
+  encodePacket,
+  commandPacket,
+  createPacketDecoder,
+  parseRealtime,
+  createRealtimeParser,
+  parseDeviceId,
+  parseRecordingStart,
+  parseRecordingLength,
+  parseStoredData
+} from './cms50';
+import { getDrivers, getRequestDeviceOptions } from '.';
+
+const hex = (text) => Uint8Array.from(text.trim().split(/\s+/), byte => parseInt(byte, 16));
+
+// Hand-built realtime packets in the assumed CMS50E format, not a
+// recording from a device: pulse 72, SpO2 97, pleth 50 with a beat, then
+// pulse 130 (high bit carried in the second byte)
+const STREAM = hex(`
+  01 80 C5 B2 85 C8 E1 FF FF
+  01 88 85 B4 85 82 E1 FF FF
+`);
+
+// Realtime packet for a pleth value with an otherwise steady reading
+const realtime = (pleth, { status = 0x05, bpm = 72, spo2 = 97 } = {}) =>
+  encodePacket(PACKET_TYPES.REALTIME, [status, pleth, 5, bpm, spo2, 0x7F, 0x7F]);
+
+describe('cms50 framing', () => {
+  it('frames commands with the high bits moved to the second byte', () => {
+    expect(Array.from(commandPacket(COMMANDS.START_REALTIME))).toEqual([0x7D, 0x81, 0xA1, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80]);
+    expect(Array.from(encodePacket(0x01, [0x45, 0x82]))).toEqual([0x01, 0x82, 0xC5, 0x82]);
+    expect(() => encodePacket(0x01, new Array(8).fill(0))).toThrow('at most 7 data bytes');
+  });
+
+  it('decodes a byte stream split at arbitrary points', () => {
+    const decoder = createPacketDecoder();
+    const packets = [
+      ...decoder.push(STREAM.slice(0, 4)),
+      ...decoder.push(STREAM.slice(4, 13)),
+      ...decoder.push(STREAM.slice(13).buffer)
+    ];
+
+    expect(packets).toEqual([
+      { type: 0x01, data: [0x45, 50, 5, 72, 97, 0x7F, 0x7F] },
+      { type: 0x01, data: [0x05, 52, 5, 130, 97, 0x7F, 0x7F] }
+    ]);
+    expect(decoder.dropped).toBe(0);
+  });
+
+  it('resynchronises after line noise and truncated packets', () => {
+    const decoder = createPacketDecoder();
+    const noisy = [0xFF, 0xE3, ...STREAM.slice(0, 5), ...STREAM];
+
+    expect(decoder.push(noisy).map(packet => packet.data[3])).toEqual([72, 130]);
+    expect(decoder.dropped).toBe(1);
+  });
+
+  it('ends packets of unknown length at the next sync byte', () => {
+    const decoder = createPacketDecoder();
+    expect(decoder.push(hex('0B 80 81 82'))).toEqual([]);
+    expect(decoder.push(STREAM.slice(0, 9))).toEqual([
+      { type: 0x0B, data: [1, 2] },
+      { type: 0x01, data: [0x45, 50, 5, 72, 97, 0x7F, 0x7F] }
+    ]);
+  });
+});
+
+describe('cms50 realtime data', () => {
+  it('parses status flags', () => {
+    expect(parseRealtime([0x45, 50, 5, 72, 97, 0x7F, 0x7F])).toEqual({
+      pleth: 50,
+      bpm: 72,
+      spo2: 97,
+      signalStrength: 5,
+      beat: true,
+      statusFlags: []
+    });
+    expect(parseRealtime([0x30, 0, 0, 0, 0, 0x7F, 0x7F]).statusFlags).toEqual(['sensorDisplaced', 'inadequateSignal']);
+  });
+
+  it('turns the stream into waveform samples and one measurement per second', () => {
+    const parser = createRealtimeParser();
+    const first = parser.push(STREAM);
+    expect(first).toHaveLength(1);
+    expect(first[0].type).toBe('waveform');
+    expect(Array.from(first[0].samples)).toEqual([50, 52]);
+
+    const rest = Array.from({ length: REALTIME_RATE - 2 }, (_, i) => realtime(i));
+    const samples = parser.push(Uint8Array.from(rest.flatMap(packet => Array.from(packet))));
+    expect(samples.map(sample => sample.type)).toEqual(['waveform', 'measure']);
+    expect(samples[0].samples).toHaveLength(REALTIME_RATE - 2);
+    expect(samples[1]).toEqual({ type: 'measure', bpm: 72, spo2: 97 });
+  });
+
+  it('flags measurements taken without a finger', () => {
+    const parser = createRealtimeParser();
+    const packets = Array.from({ length: REALTIME_RATE }, () => Array.from(realtime(0, { status: 0x20, bpm: 0, spo2: 0 })));
+    const measure = parser.push(packets.flat()).find(sample => sample.type === 'measure');
+    expect(measure).toEqual({ type: 'measure', bpm: 0, spo2: 0, statusFlags: ['sensorDisplaced'] });
+  });
+});
+
+describe('cms50 stored recordings', () => {
+  it('frames memory commands with their recording argument', () => {
+    expect(Array.from(commandPacket(COMMANDS.START_STORED_DATA, [1]))).toEqual(Array.from(hex('7D 81 A6 81 80 80 80 80 80')));
+  });
+
+  it('parses device id, recording start, length and stored data', () => {
+    expect(parseDeviceId([0x43, 0x4D, 0x53, 0x35, 0x30, 0, 0])).toBe('CMS50');
+    expect(parseRecordingStart([1, 25, 1, 2, 13, 5, 10])).toEqual({ recording: 1, startedAt: new Date(2025, 0, 2, 13, 5, 10) });
+    expect(parseRecordingLength([0, 0x80, 0x70, 0x01])).toEqual({ recording: 0, points: 94336 });
+    expect(parseStoredData([97, 64, 96, 65, 0, 0])).toEqual([
+      { spo2: 97, bpm: 64 },
+      { spo2: 96, bpm: 65 },
+      { spo2: 0, bpm: 0 }
+    ]);
+  });
+
+  it('rejects impossible start times', () => {
+    expect(() => parseRecordingStart([0, 25, 2, 30, 22, 0, 0])).toThrow('Recording 1 has an invalid start time');
+    expect(() => parseRecordingStart([0, 25, 13, 1, 22, 0, 0])).toThrow('invalid start time');
+  });
+});
+
+describe('cms50 driver', () => {
+  it('is registered as a serial driver only', () => {
+    expect(getDrivers('serial')).toEqual([cms50Driver]);
+    expect(getDrivers('bluetooth')).not.toContain(cms50Driver);
+    expect(getRequestDeviceOptions().filters).toHaveLength(getDrivers('bluetooth').length);
+    expect(cms50Driver.initCommands).toEqual([commandPacket(COMMANDS.START_REALTIME)]);
+  });
+});
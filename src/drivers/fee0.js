@@ -0,0 +1,28 @@
+import { toBytes, uuid16 } from './bytes';
+
+// Parse a notification from the vendor 0xFEE0 service
+export function bufferToSamples(value) {
+  const arr = toBytes(value);
+  const header = arr[0];
+  if (header === 0xF1 && arr.length >= 4) {
+    // Measurement frame: [0xF1, bpm, spo2, ...]
+    return { type: 'measure', bpm: arr[1], spo2: arr[2] };
+  }
+  if (header === 0xF0) {
+    // Waveform frame: [0xF0, ...samples]
+    return { type: 'waveform', samples: arr.slice(1) };
+  }
+  return null;
+}
+
+// Generic Chinese fingertip oximeters advertising the 0xFEE0 service
+export default {
+  id: 'fee0',
+  name: 'Vendor oximeter (0xFEE0)',
+  service: uuid16(0xfee0),
+  // Empty list means use the first characteristic that supports notify
+  notifyCharacteristics: [],
+  writeCharacteristic: null,
+  initCommands: [],
+  parse: (value) => bufferToSamples(value)
+};
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import fee0Driver, { bufferToSamples } from './fee0';
+
+const dataView = (bytes) => new DataView(Uint8Array.from(bytes).buffer);
+
+describe('bufferToSamples', () => {
+  it('parses a measurement frame', () => {
+    expect(bufferToSamples(dataView([0xF1, 72, 97, 0x00]))).toEqual({ type: 'measure', bpm: 72, spo2: 97 });
+  });
+
+  it('ignores trailing bytes of a measurement frame', () => {
+    expect(bufferToSamples([0xF1, 60, 95, 0x00, 0x12, 0x34])).toEqual({ type: 'measure', bpm: 60, spo2: 95 });
+  });
+
+  it('rejects truncated measurement frames', () => {
+    expect(bufferToSamples([0xF1, 72, 97])).toBeNull();
+  });
+
+  it('parses a waveform frame', () => {
+    const sample = bufferToSamples(dataView([0xF0, 10, 20, 30, 127]));
+    expect(sample.type).toBe('waveform');
+    expect(Array.from(sample.samples)).toEqual([10, 20, 30, 127]);
+  });
+
+  it('returns an empty waveform for a bare header', () => {
+    expect(Array.from(bufferToSamples([0xF0]).samples)).toEqual([]);
+  });
+
+  it('returns null for unknown frames', () => {
+    expect(bufferToSamples([0xAA, 1, 2, 3])).toBeNull();
+    expect(bufferToSamples([])).toBeNull();
+  });
+
+  it('accepts ArrayBuffers and views with an offset', () => {
+    const buffer = Uint8Array.from([0x00, 0xF1, 80, 99, 0x00]).buffer;
+    expect(bufferToSamples(buffer.slice(1))).toEqual({ type: 'measure', bpm: 80, spo2: 99 });
+    expect(bufferToSamples(new DataView(buffer, 1))).toEqual({ type: 'measure', bpm: 80, spo2: 99 });
+  });
+
+  it('is the fee0 driver parser', () => {
+    expect(fee0Driver.parse(dataView([0xF1, 72, 97, 0x00]))).toEqual({ type: 'measure', bpm: 72, spo2: 97 });
+  });
+});
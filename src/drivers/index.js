@@ -0,0 +1,117 @@
+import fee0Driver from './fee0';
+import plxDriver from './plx';
+import cms50Driver from './cms50';
+
+// Device protocol drivers.
+//
+// A driver describes how to talk to one family of oximeters:
+//   id                     unique identifier, stored with the device
+//   name                   human readable name
+//   transport              'bluetooth' (default) or 'serial'
+//
+// Bluetooth drivers:
+//   service                primary GATT service UUID
+//   notifyCharacteristics  characteristic UUIDs to subscribe to; empty means
+//                          the first characteristic that supports notify
+//   writeCharacteristic    characteristic UUID for commands, or null
+//   initCommands           byte arrays written after notifications start
+//   parse(bytes, uuid)     pure parser turning one notification into a
+//                          { type: 'measure', bpm, spo2, ... } or
+//                          { type: 'waveform', samples } sample, or null
+//
+// Serial drivers:
+//   serial                 port options for SerialPort.open() plus the
+//                          USB filters offered in the port chooser
+//   initCommands           byte arrays written once the port is open
+//   keepAlive              { command, intervalMs } repeated while open, or null
+//   createParser()         stateful parser whose push(bytes) turns a chunk
+//                          of the byte stream into an array of samples
+//   readMemory(link)       optional: download the recordings stored on the
+//                          device as { deviceId, recordings }
+const drivers = [fee0Driver, plxDriver, cms50Driver];
+
+const transportOf = (driver) => driver.transport || 'bluetooth';
+
+// Add a driver to the registry, replacing any driver with the same id
+export function registerDriver(driver) {
+  const index = drivers.findIndex(d => d.id === driver.id);
+  if (index >= 0) {
+    drivers[index] = driver;
+  } else {
+    drivers.push(driver);
+  }
+}
+
+// All drivers, or those of one transport
+export function getDrivers(transport = null) {
+  return drivers.filter(d => !transport || transportOf(d) === transport);
+}
+
+export function getDriver(id) {
+  return drivers.find(d => d.id === id) || null;
+}
+
+// Options for navigator.bluetooth.requestDevice offering every known service
+export function getRequestDeviceOptions() {
+  const services = [...new Set(getDrivers('bluetooth').map(d => d.service))];
+  return {
+    filters: services.map(service => ({ services: [service] })),
+    optionalServices: services
+  };
+}
+
+// Find the first registered driver whose service the GATT server exposes
+export async function resolveDriver(server) {
+  for (const driver of getDrivers('bluetooth')) {
+    try {
+      const service = await server.getPrimaryService(driver.service);
+      return { driver, service };
+    } catch {
+      // Service not present, try the next driver
+    }
+  }
+  throw new Error('No supported oximeter service found on this device.');
+}
+
+// Subscribe to a driver's notifications and run its init commands.
+// Calls onSample for every parsed sample and returns a function that
+// removes the listeners again.
+export async function startDriver(server, onSample) {
+  const { driver, service } = await resolveDriver(server);
+  const chars = await service.getCharacteristics();
+
+  const notifyChars = driver.notifyCharacteristics.length > 0
+    ? chars.filter(c => driver.notifyCharacteristics.includes(c.uuid))
+    : chars.filter(c => c.properties.notify).slice(0, 1);
+
+  if (notifyChars.length === 0) throw new Error('Notify characteristic not found.');
+
+  const listeners = notifyChars.map(characteristic => {
+    const listener = (event) => {
+      const sample = driver.parse(event.target.value, characteristic.uuid);
+      if (sample) onSample(sample, driver);
+    };
+    characteristic.addEventListener('characteristicvaluechanged', listener);
+    return { characteristic, listener };
+  });
+
+  for (const { characteristic } of listeners) {
+    await characteristic.startNotifications();
+  }
+
+  if (driver.writeCharacteristic && driver.initCommands.length > 0) {
+    const writeChar = chars.find(c => c.uuid === driver.writeCharacteristic);
+    if (!writeChar) throw new Error('Command characteristic not found.');
+    for (const command of driver.initCommands) {
+      await writeChar.writeValue(Uint8Array.from(command));
+    }
+  }
+
+  const stop = () => {
+    listeners.forEach(({ characteristic, listener }) => {
+      characteristic.removeEventListener('characteristicvaluechanged', listener);
+    });
+  };
+
+  return { driver, stop };
+}
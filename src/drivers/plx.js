@@ -0,0 +1,196 @@
+import { toBytes, uuid16 } from './bytes';
+
+// Bluetooth SIG Pulse Oximeter Service (PLXS)
+export const PLX_SERVICE = uuid16(0x1822);
+export const PLX_SPOT_CHECK = uuid16(0x2a5e);
+export const PLX_CONTINUOUS = uuid16(0x2a5f);
+
+// Measurement Status field bits (uint16)
+const MEASUREMENT_STATUS_FLAGS = {
+  5: 'measurementOngoing',
+  6: 'earlyEstimatedData',
+  7: 'validatedData',
+  8: 'fullyQualifiedData',
+  9: 'dataFromStorage',
+  10: 'demonstrationData',
+  11: 'testingData',
+  12: 'calibrationOngoing',
+  13: 'measurementUnavailable',
+  14: 'questionableMeasurement',
+  15: 'invalidMeasurement'
+};
+
+// Device and Sensor Status field bits (uint24)
+const DEVICE_STATUS_FLAGS = {
+  0: 'extendedDisplayUpdateOngoing',
+  1: 'equipmentMalfunction',
+  2: 'signalProcessingIrregularity',
+  3: 'inadequateSignal',
+  4: 'poorSignal',
+  5: 'lowPerfusion',
+  6: 'erraticSignal',
+  7: 'nonpulsatileSignal',
+  8: 'questionablePulse',
+  9: 'signalAnalysisOngoing',
+  10: 'sensorInterference',
+  11: 'sensorUnconnected',
+  12: 'unknownSensor',
+  13: 'sensorDisplaced',
+  14: 'sensorMalfunctioning',
+  15: 'sensorDisconnected'
+};
+
+// Decode an IEEE-11073 16-bit SFLOAT, returning null for special values
+export function readSfloat(bytes, offset) {
+  const raw = bytes[offset] | (bytes[offset + 1] << 8);
+
+  // NaN, NRes, +INF, -INF and reserved
+  if (raw === 0x07ff || raw === 0x0800 || raw === 0x07fe || raw === 0x0802 || raw === 0x0801) {
+    return null;
+  }
+
+  let mantissa = raw & 0x0fff;
+  let exponent = raw >> 12;
+  if (mantissa >= 0x0800) mantissa -= 0x1000;
+  if (exponent >= 0x8) exponent -= 0x10;
+
+  // Round away floating point noise from negative exponents
+  return Number((mantissa * 10 ** exponent).toFixed(Math.max(0, -exponent)));
+}
+
+function decodeFlags(value, table) {
+  return Object.entries(table)
+    .filter(([bit]) => value & (1 << Number(bit)))
+    .map(([, name]) => name);
+}
+
+export function decodeMeasurementStatus(value) {
+  return decodeFlags(value, MEASUREMENT_STATUS_FLAGS);
+}
+
+export function decodeDeviceStatus(value) {
+  return decodeFlags(value, DEVICE_STATUS_FLAGS);
+}
+
+// Build a measurement sample, or null when the device had no valid value
+function toSample(spo2, bpm, extra) {
+  if (spo2 === null || bpm === null) return null;
+
+  const sample = { type: 'measure', bpm, spo2 };
+  if (extra.perfusionIndex !== undefined && extra.perfusionIndex !== null) {
+    sample.perfusionIndex = extra.perfusionIndex;
+  }
+  if (extra.statusFlags.length > 0) {
+    sample.statusFlags = extra.statusFlags;
+  }
+  if (extra.timestamp) {
+    sample.timestamp = extra.timestamp;
+  }
+  return sample;
+}
+
+// PLX Continuous Measurement (0x2A5F)
+export function parseContinuous(value) {
+  const bytes = toBytes(value);
+  if (bytes.length < 5) return null;
+
+  const flags = bytes[0];
+  let offset = 1;
+
+  const spo2 = readSfloat(bytes, offset);
+  const bpm = readSfloat(bytes, offset + 2);
+  offset += 4;
+
+  // SpO2PR-Fast and SpO2PR-Slow
+  if (flags & 0x01) offset += 4;
+  if (flags & 0x02) offset += 4;
+
+  const statusFlags = [];
+  if (flags & 0x04) {
+    statusFlags.push(...decodeMeasurementStatus(bytes[offset] | (bytes[offset + 1] << 8)));
+    offset += 2;
+  }
+  if (flags & 0x08) {
+    statusFlags.push(...decodeDeviceStatus(
+      bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16)
+    ));
+    offset += 3;
+  }
+
+  let perfusionIndex = null;
+  if (flags & 0x10) {
+    perfusionIndex = readSfloat(bytes, offset);
+    offset += 2;
+  }
+
+  if (offset > bytes.length) return null;
+
+  return toSample(spo2, bpm, { perfusionIndex, statusFlags });
+}
+
+// PLX Spot-Check Measurement (0x2A5E)
+export function parseSpotCheck(value) {
+  const bytes = toBytes(value);
+  if (bytes.length < 5) return null;
+
+  const flags = bytes[0];
+  let offset = 1;
+
+  const spo2 = readSfloat(bytes, offset);
+  const bpm = readSfloat(bytes, offset + 2);
+  offset += 4;
+
+  let timestamp = null;
+  if (flags & 0x01) {
+    // Skip the timestamp when the device clock is not set
+    if (!(flags & 0x10)) {
+      const year = bytes[offset] | (bytes[offset + 1] << 8);
+      const date = new Date(
+        year,
+        bytes[offset + 2] - 1,
+        bytes[offset + 3],
+        bytes[offset + 4],
+        bytes[offset + 5],
+        bytes[offset + 6]
+      );
+      if (year > 0 && !isNaN(date.getTime())) {
+        timestamp = date.toISOString();
+      }
+    }
+    offset += 7;
+  }
+
+  const statusFlags = [];
+  if (flags & 0x02) {
+    statusFlags.push(...decodeMeasurementStatus(bytes[offset] | (bytes[offset + 1] << 8)));
+    offset += 2;
+  }
+  if (flags & 0x04) {
+    statusFlags.push(...decodeDeviceStatus(
+      bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16)
+    ));
+    offset += 3;
+  }
+
+  let perfusionIndex = null;
+  if (flags & 0x08) {
+    perfusionIndex = readSfloat(bytes, offset);
+    offset += 2;
+  }
+
+  if (offset > bytes.length) return null;
+
+  return toSample(spo2, bpm, { perfusionIndex, statusFlags, timestamp });
+}
+
+export default {
+  id: 'plx',
+  name: 'Bluetooth Pulse Oximeter (PLX)',
+  service: PLX_SERVICE,
+  notifyCharacteristics: [PLX_CONTINUOUS, PLX_SPOT_CHECK],
+  writeCharacteristic: null,
+  initCommands: [],
+  parse: (value, uuid) => (
+    uuid === PLX_SPOT_CHECK ? parseSpotCheck(value) : parseContinuous(value)
+  )
+};
@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+import plxDriver, {
+  PLX_SPOT_CHECK,
+  PLX_CONTINUOUS,
+  readSfloat,
+  decodeMeasurementStatus,
+  decodeDeviceStatus,
+  parseContinuous,
+  parseSpotCheck
+} from './plx';
+
+const dataView = (bytes) => new DataView(Uint8Array.from(bytes).buffer);
+
+// SpO2 97 % and pulse 72 bpm as SFLOATs
+const SPO2_97 = [0x61, 0x00];
+const BPM_72 = [0x48, 0x00];
+
+describe('readSfloat', () => {
+  it('decodes mantissa and exponent', () => {
+    expect(readSfloat([0x61, 0x00], 0)).toBe(97);
+    // 25 x 10^-1
+    expect(readSfloat([0x19, 0xF0], 0)).toBe(2.5);
+    // 12 x 10^2
+    expect(readSfloat([0x0C, 0x20], 0)).toBe(1200);
+    // -5 x 10^0
+    expect(readSfloat([0xFB, 0x0F], 0)).toBe(-5);
+    // 975 x 10^-1, read at an offset
+    expect(readSfloat([0xFF, 0xCF, 0xF3], 1)).toBe(97.5);
+  });
+
+  it('returns null for special values', () => {
+    // NaN, NRes, +INF, -INF and reserved
+    [[0xFF, 0x07], [0x00, 0x08], [0xFE, 0x07], [0x02, 0x08], [0x01, 0x08]].forEach(bytes => {
+      expect(readSfloat(bytes, 0)).toBeNull();
+    });
+  });
+});
+
+describe('status flags', () => {
+  it('names measurement status bits', () => {
+    expect(decodeMeasurementStatus(0)).toEqual([]);
+    expect(decodeMeasurementStatus(0x0020 | 0x4000)).toEqual(['measurementOngoing', 'questionableMeasurement']);
+    // Bits 0-4 are reserved
+    expect(decodeMeasurementStatus(0x001F)).toEqual([]);
+  });
+
+  it('names device and sensor status bits', () => {
+    expect(decodeDeviceStatus(0x0010 | 0x2000)).toEqual(['poorSignal', 'sensorDisplaced']);
+    expect(decodeDeviceStatus(0x8000)).toEqual(['sensorDisconnected']);
+  });
+});
+
+describe('parseContinuous', () => {
+  it('parses SpO2 and pulse rate', () => {
+    expect(parseContinuous(dataView([0x00, ...SPO2_97, ...BPM_72]))).toEqual({ type: 'measure', spo2: 97, bpm: 72 });
+  });
+
+  it('reads status flags and perfusion index', () => {
+    const bytes = [0x1C, ...SPO2_97, ...BPM_72, 0x00, 0x40, 0x00, 0x20, 0x00, 0x19, 0xF0];
+    expect(parseContinuous(bytes)).toEqual({
+      type: 'measure',
+      spo2: 97,
+      bpm: 72,
+      perfusionIndex: 2.5,
+      statusFlags: ['questionableMeasurement', 'sensorDisplaced']
+    });
+  });
+
+  it('skips the fast and slow SpO2PR fields', () => {
+    const bytes = [0x13, ...SPO2_97, ...BPM_72, 0x60, 0x00, 0x49, 0x00, 0x5F, 0x00, 0x47, 0x00, 0x0A, 0x00];
+    expect(parseContinuous(bytes)).toEqual({ type: 'measure', spo2: 97, bpm: 72, perfusionIndex: 10 });
+  });
+
+  it('leaves out an unavailable perfusion index', () => {
+    expect(parseContinuous([0x10, ...SPO2_97, ...BPM_72, 0xFF, 0x07])).toEqual({ type: 'measure', spo2: 97, bpm: 72 });
+  });
+
+  it('drops measurements without a value', () => {
+    expect(parseContinuous([0x00, 0xFF, 0x07, ...BPM_72])).toBeNull();
+    expect(parseContinuous([0x00, ...SPO2_97, 0x00, 0x08])).toBeNull();
+  });
+
+  it('rejects truncated frames', () => {
+    expect(parseContinuous([0x00, ...SPO2_97, 0x48])).toBeNull();
+    expect(parseContinuous([0x10, ...SPO2_97, ...BPM_72, 0x19])).toBeNull();
+    expect(parseContinuous([0x08, ...SPO2_97, ...BPM_72, 0x00, 0x20])).toBeNull();
+  });
+});
+
+describe('parseSpotCheck', () => {
+  // 2025-03-14 22:30:15 device time
+  const TIMESTAMP = [0xE9, 0x07, 3, 14, 22, 30, 15];
+
+  it('parses the measurement with its timestamp', () => {
+    expect(parseSpotCheck(dataView([0x01, ...SPO2_97, ...BPM_72, ...TIMESTAMP]))).toEqual({
+      type: 'measure',
+      spo2: 97,
+      bpm: 72,
+      timestamp: new Date(2025, 2, 14, 22, 30, 15).toISOString()
+    });
+  });
+
+  it('skips the timestamp when the device clock is not set', () => {
+    const bytes = [0x19, ...SPO2_97, ...BPM_72, ...TIMESTAMP, 0x19, 0xF0];
+    expect(parseSpotCheck(bytes)).toEqual({ type: 'measure', spo2: 97, bpm: 72, perfusionIndex: 2.5 });
+  });
+
+  it('ignores a timestamp without a year', () => {
+    expect(parseSpotCheck([0x01, ...SPO2_97, ...BPM_72, 0, 0, 0, 0, 0, 0, 0])).toEqual({ type: 'measure', spo2: 97, bpm: 72 });
+  });
+
+  it('reads status flags and perfusion index', () => {
+    const bytes = [0x0E, ...SPO2_97, ...BPM_72, 0x40, 0x00, 0x00, 0x08, 0x00, 0x19, 0xF0];
+    expect(parseSpotCheck(bytes)).toEqual({
+      type: 'measure',
+      spo2: 97,
+      bpm: 72,
+      perfusionIndex: 2.5,
+      statusFlags: ['earlyEstimatedData', 'sensorUnconnected']
+    });
+  });
+
+  it('rejects truncated frames and special values', () => {
+    expect(parseSpotCheck([0x01, ...SPO2_97, ...BPM_72, 0xE9, 0x07, 3])).toBeNull();
+    expect(parseSpotCheck([0x00, ...SPO2_97, 0xFE, 0x07])).toBeNull();
+  });
+});
+
+describe('plx driver', () => {
+  it('parses each characteristic with its own format', () => {
+    // Flag 0x01 means fast SpO2PR for continuous and timestamp for spot check
+    const bytes = [0x01, ...SPO2_97, ...BPM_72, ...[0xE9, 0x07, 3, 14, 22, 30, 15]];
+    expect(plxDriver.parse(bytes, PLX_SPOT_CHECK).timestamp).toBeDefined();
+    expect(plxDriver.parse(bytes, PLX_CONTINUOUS)).toEqual({ type: 'measure', spo2: 97, bpm: 72 });
+  });
+});
@@ -0,0 +1,10 @@
+import { useSyncExternalStore } from "react";
+import { alarmChannelWarnings, canEnableAlarmChannels, subscribeAlarmChannels } from "../utils/alarmChannels";
+
+// Warnings for alarm channels that can't reach the user with these settings,
+// and whether a click on "Enable alarms" could fix them
+export default function useAlarmChannels(settings) {
+  const warnings = useSyncExternalStore(subscribeAlarmChannels, () => alarmChannelWarnings(settings).join("\n"));
+  const canEnable = useSyncExternalStore(subscribeAlarmChannels, () => canEnableAlarmChannels(settings));
+  return { warnings: warnings ? warnings.split("\n") : [], canEnable };
+}
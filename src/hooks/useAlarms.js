@@ -0,0 +1,130 @@
+import { useState, useRef, useEffect, useCallback } from "react";
+import { logAlarmEvent } from "../utils/storage";
+import {
+  ALARM_CONDITIONS,
+  DEFAULT_ALARM_SETTINGS,
+  normalizeAlarmSettings,
+  createAlarmMonitor,
+} from "../utils/alarms";
+import { playAlarmTone } from "../utils/alarmSound";
+
+const ALARM_NOTIFICATION_TAG = "oximeter-alarm";
+const SOUND_INTERVAL_MS = 3000;
+
+// Show or replace the alarm notification through the service worker
+async function showAlarmNotification(alarmEvent, tag, source) {
+  if (!("serviceWorker" in navigator) || !("Notification" in window)) return;
+  if (Notification.permission !== "granted") return;
+
+  const def = ALARM_CONDITIONS[alarmEvent.condition];
+  const unit = def.field === "spo2" ? "%" : " bpm";
+  const registration = await navigator.serviceWorker.ready;
+  await registration.showNotification(source ? `${source}: ${def.label} alarm` : `${def.label} alarm`, {
+    body: `${def.label}: ${alarmEvent.value}${unit} (limit ${alarmEvent.limit}${unit})`,
+    tag,
+    renotify: true,
+    requireInteraction: true,
+    actions: [
+      { action: "acknowledge", title: "Acknowledge" },
+      { action: "snooze", title: "Snooze" },
+    ],
+  });
+}
+
+async function closeAlarmNotifications(tag) {
+  if (!("serviceWorker" in navigator)) return;
+
+  const registration = await navigator.serviceWorker.ready;
+  const notifications = await registration.getNotifications({ tag });
+  notifications.forEach(n => n.close());
+}
+
+// Alarm state and side effects (sound, notifications, event log) for one
+// monitor. Each monitor gets its own notification so alarms from several
+// devices don't replace each other.
+export default function useAlarms(settings = DEFAULT_ALARM_SETTINGS, { id = null, label = null } = {}) {
+  const [activeAlarms, setActiveAlarms] = useState([]);
+  const [isAlerting, setIsAlerting] = useState(false);
+  const monitor = useRef(createAlarmMonitor(DEFAULT_ALARM_SETTINGS));
+  const settingsRef = useRef(DEFAULT_ALARM_SETTINGS);
+  const tag = id ? `${ALARM_NOTIFICATION_TAG}-${id}` : ALARM_NOTIFICATION_TAG;
+
+  // Log events and refresh derived state after every monitor call
+  const handleEvents = useCallback((events) => {
+    events.forEach(alarmEvent => {
+      logAlarmEvent(id ? { ...alarmEvent, monitorId: id } : alarmEvent)
+        .catch(err => console.error("Failed to log alarm event:", err));
+
+      if (alarmEvent.type === "triggered" && settingsRef.current.notify) {
+        showAlarmNotification(alarmEvent, tag, label)
+          .catch(err => console.error("Failed to show alarm notification:", err));
+      }
+    });
+
+    const active = monitor.current.getActive();
+    setActiveAlarms(active);
+    setIsAlerting(monitor.current.isAlerting());
+
+    if (active.length === 0 && events.length > 0) {
+      closeAlarmNotifications(tag)
+        .catch(err => console.error("Failed to close alarm notifications:", err));
+    }
+  }, [id, tag, label]);
+
+  // Apply limits whenever the shared settings change
+  useEffect(() => {
+    const normalized = normalizeAlarmSettings(settings);
+    settingsRef.current = normalized;
+    handleEvents(monitor.current.setSettings(normalized));
+  }, [settings, handleEvents]);
+
+  // Feed a new reading to the monitor
+  const check = useCallback((reading) => {
+    handleEvents(monitor.current.update(reading));
+  }, [handleEvents]);
+
+  const acknowledge = useCallback(() => {
+    handleEvents(monitor.current.acknowledge());
+    closeAlarmNotifications(tag)
+      .catch(err => console.error("Failed to close alarm notifications:", err));
+  }, [handleEvents, tag]);
+
+  const snooze = useCallback(() => {
+    handleEvents(monitor.current.snooze());
+    closeAlarmNotifications(tag)
+      .catch(err => console.error("Failed to close alarm notifications:", err));
+  }, [handleEvents, tag]);
+
+  // Repeat the tone while an alarm is sounding; also ends snoozes
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const alerting = monitor.current.isAlerting();
+      setIsAlerting(alerting);
+      if (alerting && settingsRef.current.sound) {
+        playAlarmTone();
+      }
+    }, SOUND_INTERVAL_MS);
+
+    return () => clearInterval(interval);
+  }, []);
+
+  // Handle notification action buttons relayed by the service worker
+  useEffect(() => {
+    if (!("serviceWorker" in navigator)) return;
+
+    const handleMessage = (event) => {
+      if (event.data?.type !== "alarm-action") return;
+      if (event.data.tag && event.data.tag !== tag) return;
+      if (event.data.action === "snooze") {
+        snooze();
+      } else {
+        acknowledge();
+      }
+    };
+
+    navigator.serviceWorker.addEventListener("message", handleMessage);
+    return () => navigator.serviceWorker.removeEventListener("message", handleMessage);
+  }, [acknowledge, snooze, tag]);
+
+  return { activeAlarms, isAlerting, check, acknowledge, snooze };
+}
@@ -0,0 +1,63 @@
+import { useState, useRef, useEffect, useCallback } from "react";
+
+// Beat detection on the PPG waveform, run in a Web Worker
+export default function useBeatDetection() {
+  const [stats, setStats] = useState({ bpm: null, perfusionIndex: null, lastInterval: null });
+  const worker = useRef(null);
+  const statsRef = useRef(stats);
+  const pendingHrv = useRef(new Map());
+  const nextRequestId = useRef(1);
+
+  useEffect(() => {
+    if (typeof Worker === "undefined") return;
+
+    const beatWorker = new Worker(new URL("../workers/beatWorker.js", import.meta.url), { type: "module" });
+    const pending = pendingHrv.current;
+
+    beatWorker.onmessage = (event) => {
+      const { type, ...data } = event.data;
+      if (type === "stats") {
+        statsRef.current = data;
+        setStats(data);
+      } else if (type === "hrv") {
+        const resolve = pending.get(data.id);
+        pending.delete(data.id);
+        if (resolve) resolve(data.hrv);
+      }
+    };
+    beatWorker.onerror = (err) => console.error("Beat detection worker error:", err);
+    worker.current = beatWorker;
+
+    return () => {
+      beatWorker.terminate();
+      worker.current = null;
+      pending.forEach(resolve => resolve(null));
+      pending.clear();
+    };
+  }, []);
+
+  const pushSamples = useCallback((samples) => {
+    if (worker.current) {
+      worker.current.postMessage({ type: "samples", samples: Array.from(samples), time: Date.now() });
+    }
+  }, []);
+
+  // HRV metrics over all intervals since the last reset
+  const getHrv = useCallback(() => {
+    if (!worker.current) return Promise.resolve(null);
+
+    const id = nextRequestId.current++;
+    return new Promise(resolve => {
+      pendingHrv.current.set(id, resolve);
+      worker.current.postMessage({ type: "hrv", id });
+    });
+  }, []);
+
+  const reset = useCallback(() => {
+    if (worker.current) worker.current.postMessage({ type: "reset" });
+    statsRef.current = { bpm: null, perfusionIndex: null, lastInterval: null };
+    setStats(statsRef.current);
+  }, []);
+
+  return { stats, statsRef, pushSamples, getHrv, reset };
+}
@@ -0,0 +1,80 @@
+import { useState, useRef, useEffect, useLayoutEffect, useCallback } from "react";
+import { createConnectionManager, CONNECTION_STATES } from "../utils/connectionManager";
+import { logGap } from "../utils/storage";
+import { rememberDevice, getKnownBluetoothDevices, waitForAdvertisement } from "../utils/devices";
+import { isRememberedDevice } from "../transports";
+
+// React binding for the connection manager. onSample may change between
+// renders; the latest callback is always used. Bluetooth devices are
+// remembered on connect, and reconnectDeviceId is reconnected on launch once in range.
+export default function useConnection(onSample, { reconnectDeviceId = null } = {}) {
+  const [connection, setConnection] = useState({
+    state: CONNECTION_STATES.IDLE,
+    device: null,
+    driver: null,
+    attempt: 0,
+    nextRetryAt: null,
+    error: null,
+  });
+  const onSampleRef = useRef(onSample);
+  const manager = useRef(null);
+
+  useEffect(() => {
+    onSampleRef.current = onSample;
+  }, [onSample]);
+
+  // Created during commit so the manager exists before any click handler runs
+  useLayoutEffect(() => {
+    const connectionManager = createConnectionManager({
+      onSample: (sample, driver, device) => onSampleRef.current(sample, driver, device),
+      onStateChange: (snapshot) => {
+        setConnection(snapshot);
+        if (snapshot.state === CONNECTION_STATES.CONNECTED && isRememberedDevice(snapshot.device)) {
+          rememberDevice(snapshot.device, snapshot.driver)
+            .catch(err => console.error("Failed to remember device:", err));
+        }
+      },
+      onGap: (gap) => {
+        logGap(gap).catch(err => console.error("Failed to log data gap:", err));
+      },
+    });
+    manager.current = connectionManager;
+
+    return () => connectionManager.destroy();
+  }, []);
+
+  // Reconnect on launch to the device the monitor used last, once it
+  // advertises. Later changes of reconnectDeviceId don't trigger this.
+  const launchDeviceId = useRef(reconnectDeviceId);
+  useEffect(() => {
+    const deviceId = launchDeviceId.current;
+    if (!deviceId) return;
+    let cancelled = false;
+
+    const reconnectKnownDevice = async () => {
+      const devices = await getKnownBluetoothDevices();
+      const device = devices.find(d => d.id === deviceId);
+      if (!device || cancelled) return;
+
+      const advertising = await waitForAdvertisement(device);
+      const idle = manager.current.getState().state === CONNECTION_STATES.IDLE;
+      if (advertising && idle && !cancelled) {
+        await manager.current.connect(device);
+      }
+    };
+
+    reconnectKnownDevice()
+      .catch(err => console.error("Automatic reconnect failed:", err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const requestAndConnect = useCallback((transportId) => manager.current.requestAndConnect(transportId), []);
+  const connect = useCallback((device) => manager.current.connect(device), []);
+  const retry = useCallback(() => manager.current.retry(), []);
+  const disconnect = useCallback(() => manager.current.disconnect(), []);
+
+  return { ...connection, requestAndConnect, connect, retry, disconnect };
+}
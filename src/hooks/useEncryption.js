@@ -0,0 +1,23 @@
+import { useState, useEffect } from "react";
+import {
+  loadEncryption,
+  subscribe,
+  isEncryptionEnabled,
+  isLocked,
+} from "../utils/encryption";
+
+// Whether encrypted storage is on and locked, kept in sync with the module
+export default function useEncryption() {
+  const [state, setState] = useState({ enabled: isEncryptionEnabled(), locked: isLocked() });
+
+  useEffect(() => {
+    const update = () => setState({ enabled: isEncryptionEnabled(), locked: isLocked() });
+    const unsubscribe = subscribe(update);
+    loadEncryption()
+      .then(update)
+      .catch(err => console.error("Failed to load encryption settings:", err));
+    return unsubscribe;
+  }, []);
+
+  return state;
+}
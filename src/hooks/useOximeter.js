@@ -0,0 +1,222 @@
+import { useState, useRef, useEffect } from "react";
+import { getReadings } from "../utils/storage";
+import { queueReading, flushReadings } from "../utils/readingQueue";
+import { startSession, finishSession, getOpenSession } from "../utils/sessions";
+import { createWaveformRecorder, applyWaveformRetention } from "../utils/waveform";
+import { QUALITY, createSignalQualityMonitor, isValidReading } from "../utils/signalQuality";
+import { CONNECTION_STATES } from "../utils/connectionManager";
+import { monitorIdOf } from "../utils/monitors";
+import { createSimulator } from "../simulator";
+import useAlarms from "./useAlarms";
+import useBeatDetection from "./useBeatDetection";
+import useConnection from "./useConnection";
+
+// Samples kept for the live chart unless the display settings say otherwise
+const WAVEFORM_POINTS = 200;
+
+// Everything that belongs to one oximeter: connection, live readings,
+// waveform, signal quality, beat detection, alarms and session recording.
+// Readings and sessions are tagged with the monitor and device they came
+// from, and marked simulated when the simulator produced them.
+export default function useOximeter(monitor, alarmSettings, { waveformPoints = WAVEFORM_POINTS } = {}) {
+  const [bpm, setBpm] = useState("--");
+  const [spo2, setSpo2] = useState("--");
+  const [perfusionIndex, setPerfusionIndex] = useState(null);
+  const [signalQuality, setSignalQuality] = useState(QUALITY.VALID);
+  const [waveform, setWaveform] = useState([]);
+  const [lastReadingTime, setLastReadingTime] = useState(null);
+  const [activeSession, setActiveSession] = useState(null);
+  const [error, setError] = useState(null);
+  const waveformBuf = useRef([]);
+  const sessionRef = useRef(null);
+  const waveformRecorder = useRef(null);
+  const qualityMonitor = useRef(createSignalQualityMonitor());
+  const alarms = useAlarms(alarmSettings, { id: monitor.id, label: monitor.label });
+  const beats = useBeatDetection();
+
+  // Handle each parsed sample from the active driver
+  const handleSample = (result, driver, device) => {
+    if (result.type === "measure") {
+      const newBpm = result.bpm;
+      const newSpo2 = result.spo2;
+
+      // Flag no-finger placeholders and artifacts instead of showing them
+      const { quality } = qualityMonitor.current.assess(result);
+      const isValid = quality === QUALITY.VALID;
+
+      setSignalQuality(quality);
+      setBpm(isValid ? newBpm : "--");
+      setSpo2(isValid ? newSpo2 : "--");
+      setPerfusionIndex(isValid ? result.perfusionIndex ?? null : null);
+      setLastReadingTime(result.timestamp || new Date().toISOString());
+
+      // PLX devices also report perfusion index and status flags
+      const details = { quality, monitorId: monitor.id };
+      if (device) details.deviceId = device.id;
+      if (device && device.simulated) details.simulated = true;
+      if (result.perfusionIndex !== undefined) details.perfusionIndex = result.perfusionIndex;
+      if (result.statusFlags) details.statusFlags = result.statusFlags;
+      if (sessionRef.current) details.sessionId = sessionRef.current.id;
+      // Spot checks carry the time the device took them
+      if (result.timestamp) details.timestamp = result.timestamp;
+
+      // Values derived in-app from the PPG waveform
+      const derived = beats.statsRef.current;
+      if (derived.bpm !== null) details.ppgBpm = derived.bpm;
+      if (derived.perfusionIndex !== null) details.ppgPerfusionIndex = derived.perfusionIndex;
+
+      // Save readings to IndexedDB for offline access, batched with others
+      queueReading(newBpm, newSpo2, details)
+        .catch(err => console.error("Failed to save reading:", err));
+
+      if (isValid) alarms.check({ bpm: newBpm, spo2: newSpo2 });
+
+    } else if (result.type === "waveform") {
+      waveformBuf.current = [
+        ...waveformBuf.current.slice(-waveformPoints + result.samples.length),
+        ...result.samples,
+      ];
+      setWaveform([...waveformBuf.current]);
+      qualityMonitor.current.pushWaveform(result.samples);
+      beats.pushSamples(result.samples);
+
+      // Keep the raw waveform while a session is recording
+      if (waveformRecorder.current) waveformRecorder.current.push(result.samples);
+    }
+  };
+
+  // Connection state machine with automatic reconnect
+  const connection = useConnection(handleSample, { reconnectDeviceId: monitor.deviceId });
+  const isConnected = connection.state === CONNECTION_STATES.CONNECTED;
+
+  // Connect via the device or port chooser of a transport
+  const connect = async (transportId = "bluetooth") => {
+    try {
+      setError(null);
+      await connection.requestAndConnect(transportId);
+    } catch (e) {
+      // Don't show error for user cancellation
+      if (e.name !== "NotFoundError") {
+        setError(`Connection failed: ${e.message}`);
+        console.error("Connection error:", e);
+      }
+    }
+  };
+
+  // Connect a simulated oximeter (scenario or capture replay) instead of hardware
+  const connectSimulator = async (options) => {
+    try {
+      setError(null);
+      await connection.connect(createSimulator({ id: `simulator-${monitor.id}`, ...options }));
+    } catch (e) {
+      setError(`Simulator failed: ${e.message}`);
+    }
+  };
+
+  // Reconnect right away after automatic retries gave up
+  const retry = async () => {
+    try {
+      setError(null);
+      await connection.retry();
+    } catch (e) {
+      setError(`Reconnection failed: ${e.message}`);
+    }
+  };
+
+  // Show this monitor's last stored reading until live data arrives
+  useEffect(() => {
+    getReadings(null, null, 200)
+      .then(readings => {
+        const latest = readings.find(r => monitorIdOf(r) === monitor.id && isValidReading(r));
+        if (latest && waveformBuf.current.length === 0) {
+          setBpm(current => (current === "--" ? latest.bpm : current));
+          setSpo2(current => (current === "--" ? latest.spo2 : current));
+          setLastReadingTime(latest.timestamp);
+        }
+      })
+      .catch(err => console.error("Failed to load last reading:", err));
+  }, [monitor.id]);
+
+  // Resume a session left open when the app was closed
+  useEffect(() => {
+    getOpenSession(monitor.id)
+      .then(session => {
+        sessionRef.current = session;
+        waveformRecorder.current = session ? createWaveformRecorder(session.id) : null;
+        setActiveSession(session);
+      })
+      .catch(err => console.error("Failed to load open session:", err));
+  }, [monitor.id]);
+
+  // Store buffered waveform samples before the page is hidden or closed
+  useEffect(() => {
+    const flushWaveform = () => {
+      if (waveformRecorder.current) waveformRecorder.current.flush();
+    };
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "hidden") flushWaveform();
+    };
+
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    window.addEventListener("pagehide", flushWaveform);
+
+    return () => {
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+      window.removeEventListener("pagehide", flushWaveform);
+      flushWaveform();
+      flushReadings();
+    };
+  }, []);
+
+  const startRecording = async (label, notes) => {
+    const extra = { monitorId: monitor.id };
+    if (connection.device) extra.deviceId = connection.device.id;
+    if (connection.device && connection.device.simulated) extra.simulated = true;
+
+    const session = await startSession(label, notes, extra);
+    beats.reset();
+    sessionRef.current = session;
+    waveformRecorder.current = createWaveformRecorder(session.id);
+    setActiveSession(session);
+    return session;
+  };
+
+  const stopRecording = async () => {
+    const session = sessionRef.current;
+    if (!session) return null;
+
+    const recorder = waveformRecorder.current;
+    sessionRef.current = null;
+    waveformRecorder.current = null;
+    setActiveSession(null);
+    await recorder.flush();
+    // The session summary is computed from stored readings
+    await flushReadings();
+    const hrv = await beats.getHrv();
+    const finished = await finishSession(session.id, hrv ? { hrv } : {});
+
+    applyWaveformRetention()
+      .catch(err => console.error("Failed to prune waveforms:", err));
+    return finished;
+  };
+
+  return {
+    connection,
+    isConnected,
+    connect,
+    connectSimulator,
+    retry,
+    error,
+    bpm,
+    spo2,
+    perfusionIndex,
+    signalQuality,
+    waveform,
+    lastReadingTime,
+    ppgStats: beats.stats,
+    alarms,
+    activeSession,
+    startRecording,
+    stopRecording,
+  };
+}
@@ -0,0 +1,56 @@
+import { useState, useEffect, useCallback } from "react";
+import { getProfiles, getActiveProfileId } from "../utils/storage";
+import {
+  subscribe,
+  loadActiveProfile,
+  switchProfile,
+  addProfile,
+  editProfile,
+  removeProfile,
+} from "../utils/profiles";
+
+// Patient profiles and the active one. activeProfile is null until the
+// stored selection has been restored.
+export default function useProfiles() {
+  const [profiles, setProfiles] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+
+  const reload = useCallback(async () => {
+    setProfiles(await getProfiles());
+  }, []);
+
+  useEffect(() => {
+    const unsubscribe = subscribe(() => setActiveId(getActiveProfileId()));
+    loadActiveProfile()
+      .then(reload)
+      .catch(err => console.error("Failed to load profiles:", err));
+    return unsubscribe;
+  }, [reload]);
+
+  const add = useCallback(async (fields) => {
+    const profile = await addProfile(fields);
+    await reload();
+    await switchProfile(profile.id);
+    return profile;
+  }, [reload]);
+
+  const edit = useCallback(async (id, fields) => {
+    const profile = await editProfile(id, fields);
+    await reload();
+    return profile;
+  }, [reload]);
+
+  const remove = useCallback(async (id) => {
+    await removeProfile(id);
+    await reload();
+  }, [reload]);
+
+  return {
+    profiles,
+    activeProfile: profiles.find(p => p.id === activeId) || null,
+    switchTo: switchProfile,
+    add,
+    edit,
+    remove,
+  };
+}
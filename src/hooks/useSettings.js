@@ -0,0 +1,20 @@
+import { createContext, useContext } from "react";
+import { defaultSettings } from "../utils/settings";
+
+// App-wide settings from SettingsProvider. Without a provider the defaults
+// are used and nothing can be saved.
+export const SettingsContext = createContext({
+  settings: defaultSettings(),
+  loaded: false,
+  update: async () => {
+    throw new Error("Settings are not available");
+  },
+  importFile: async () => {
+    throw new Error("Settings are not available");
+  },
+});
+
+// { settings: { display, alarms, retention, sync }, loaded, update, importFile }
+export default function useSettings() {
+  return useContext(SettingsContext);
+}
@@ -3,6 +3,7 @@ import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
 import { registerSW } from 'virtual:pwa-register'
+import { SYNC_TAG } from './utils/sync'
 
 // Register service worker from Vite PWA plugin
 if ("serviceWorker" in navigator) {
@@ -22,7 +23,7 @@ if ("serviceWorker" in navigator) {
       
       // Set up background sync when back online
       if (registration.sync && navigator.onLine) {
-        registration.sync.register('sync-readings')
+        registration.sync.register(SYNC_TAG)
           .catch(err => console.error('Background sync registration failed:', err));
       }
     },
@@ -41,7 +42,7 @@ window.addEventListener('online', () => {
     navigator.serviceWorker.ready
       .then(reg => {
         if (reg.sync) {
-          reg.sync.register('sync-readings')
+          reg.sync.register(SYNC_TAG)
             .catch(err => console.error('Background sync registration failed:', err));
         }
       })
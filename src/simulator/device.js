@@ -0,0 +1,151 @@
+import fee0Driver from '../drivers/fee0';
+import { uuid16 } from '../drivers/bytes';
+
+// Notify characteristic exposed by the simulated device
+const NOTIFY_CHARACTERISTIC = uuid16(0xfee1);
+
+const networkError = (message) => Object.assign(new Error(message), { name: 'NetworkError' });
+
+// A fake BluetoothDevice with a 0xFEE0 GATT server that sends the frames
+// of a source (scenario or replay). The frames go through the regular
+// driver and bufferToSamples path. Timers and clock are injectable so it
+// can run headless with fake timers.
+export function createSimulatedDevice(source, {
+  id = 'simulator',
+  name = 'Simulated oximeter',
+  tickMs = 40,
+  timers = { setTimeout, clearTimeout },
+  now = () => Date.now()
+} = {}) {
+  const device = new EventTarget();
+  let startTime = null;
+  let lastElapsed = 0;
+  let connected = false;
+  let notifying = false;
+  let tickTimer = null;
+
+  const elapsed = () => now() - startTime;
+
+  const characteristic = Object.assign(new EventTarget(), {
+    uuid: NOTIFY_CHARACTERISTIC,
+    properties: { notify: true, write: false },
+    value: null,
+    async startNotifications() {
+      if (!connected) throw networkError('GATT Server is disconnected.');
+      notifying = true;
+      return characteristic;
+    },
+    async stopNotifications() {
+      notifying = false;
+      return characteristic;
+    }
+  });
+
+  const service = {
+    uuid: fee0Driver.service,
+    isPrimary: true,
+    async getCharacteristics() {
+      return [characteristic];
+    },
+    async getCharacteristic(uuid) {
+      if (uuid !== NOTIFY_CHARACTERISTIC) throw networkError(`No characteristic ${uuid}`);
+      return characteristic;
+    }
+  };
+
+  const stopTicking = () => {
+    if (tickTimer !== null) {
+      timers.clearTimeout(tickTimer);
+      tickTimer = null;
+    }
+  };
+
+  const dropConnection = () => {
+    connected = false;
+    notifying = false;
+    stopTicking();
+    device.dispatchEvent(new Event('gattserverdisconnected'));
+  };
+
+  const tick = () => {
+    tickTimer = null;
+    const t = elapsed();
+
+    if (!source.inRange(t)) {
+      dropConnection();
+      return;
+    }
+
+    const frames = source.frames(lastElapsed, t);
+    lastElapsed = t;
+    if (notifying) {
+      frames.forEach(bytes => {
+        characteristic.value = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        characteristic.dispatchEvent(new Event('characteristicvaluechanged'));
+      });
+    }
+
+    if (connected) tickTimer = timers.setTimeout(tick, tickMs);
+  };
+
+  const gatt = {
+    device,
+    get connected() {
+      return connected;
+    },
+    async connect() {
+      if (startTime === null) startTime = now();
+      if (!source.inRange(elapsed())) throw networkError('Device is out of range.');
+      if (!connected) {
+        connected = true;
+        // Don't replay what was sent while disconnected
+        lastElapsed = elapsed();
+        tickTimer = timers.setTimeout(tick, tickMs);
+      }
+      return gatt;
+    },
+    disconnect() {
+      if (connected) dropConnection();
+    },
+    async getPrimaryService(uuid) {
+      if (!connected) throw networkError('GATT Server is disconnected.');
+      if (uuid !== service.uuid) {
+        throw Object.assign(new Error(`No service ${uuid}`), { name: 'NotFoundError' });
+      }
+      return service;
+    }
+  };
+
+  return Object.assign(device, {
+    id,
+    name,
+    simulated: true,
+    gatt,
+    // Advertise shortly after watching starts while in range
+    async watchAdvertisements() {
+      timers.setTimeout(() => {
+        if (startTime === null || source.inRange(elapsed())) {
+          device.dispatchEvent(new Event('advertisementreceived'));
+        }
+      }, 0);
+    },
+    async forget() {
+      gatt.disconnect();
+    }
+  });
+}
+
+// Minimal navigator.bluetooth stand-in that always offers the given device
+export function createSimulatedBluetooth(device) {
+  return {
+    async getAvailability() {
+      return true;
+    },
+    async requestDevice() {
+      return device;
+    },
+    async getDevices() {
+      return [device];
+    }
+  };
+}
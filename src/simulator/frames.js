@@ -0,0 +1,29 @@
+// Frames in the vendor 0xFEE0 format understood by bufferToSamples
+
+// Waveform samples are 7-bit on these devices
+const clampSample = (value) => Math.max(0, Math.min(127, Math.round(value)));
+
+// Measurement frame: [0xF1, bpm, spo2, reserved]
+export function measureFrame(bpm, spo2) {
+  return Uint8Array.from([0xF1, Math.round(bpm) & 0xff, Math.round(spo2) & 0xff, 0x00]);
+}
+
+// Waveform frame: [0xF0, ...samples]
+export function waveformFrame(samples) {
+  return Uint8Array.from([0xF0, ...samples.map(clampSample)]);
+}
+
+export function toHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(' ');
+}
+
+export function fromHex(text) {
+  const hex = text.replace(/[^0-9a-f]/gi, '');
+  if (hex.length % 2 !== 0) throw new Error(`Odd number of hex digits: ${text}`);
+
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+  }
+  return bytes;
+}
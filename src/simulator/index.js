@@ -0,0 +1,26 @@
+import { SCENARIOS, createScenarioSource } from './scenarios';
+import { parseCapture, createReplaySource } from './replay';
+import { createSimulatedDevice } from './device';
+
+export { SCENARIOS, SAMPLE_RATE, scenarioStateAt, createScenarioSource } from './scenarios';
+export { parseCapture, formatCapture, recordCapture, createReplaySource } from './replay';
+export { measureFrame, waveformFrame, toHex, fromHex } from './frames';
+export { createSimulatedDevice, createSimulatedBluetooth } from './device';
+
+// Simulated oximeter for a named scenario or a capture text.
+// Remaining options are passed to createSimulatedDevice.
+export function createSimulator({ scenario = 'normal', capture = null, seed, loop, ...deviceOptions } = {}) {
+  if (capture) {
+    return createSimulatedDevice(createReplaySource(parseCapture(capture), { loop }), {
+      name: 'Replay',
+      ...deviceOptions
+    });
+  }
+
+  const definition = SCENARIOS[scenario];
+  if (!definition) throw new Error(`Unknown scenario: ${scenario}`);
+  return createSimulatedDevice(createScenarioSource(definition, { seed, loop }), {
+    name: `Simulator (${definition.label})`,
+    ...deviceOptions
+  });
+}
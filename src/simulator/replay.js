@@ -0,0 +1,61 @@
+import { toHex, fromHex } from './frames';
+
+// Byte captures are plain text, one notification per line:
+//   <milliseconds since start> <hex bytes>
+// Blank lines and lines starting with # are ignored.
+export function parseCapture(text) {
+  const entries = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+
+    const match = trimmed.match(/^(\d+(?:\.\d+)?)\s+(.+)$/);
+    if (!match) throw new Error(`Invalid capture line ${i + 1}: ${trimmed}`);
+    entries.push({ t: Number(match[1]), bytes: fromHex(match[2]) });
+  });
+
+  if (entries.length === 0) throw new Error('Capture contains no frames');
+  return entries.sort((a, b) => a.t - b.t);
+}
+
+export function formatCapture(entries) {
+  return entries.map(({ t, bytes }) => `${Math.round(t)} ${toHex(bytes)}`).join('\n') + '\n';
+}
+
+// Record what a frame source sends over durationMs, e.g. to build a
+// capture from a scenario
+export function recordCapture(source, durationMs, tickMs = 40) {
+  const entries = [];
+  for (let t = 0; t < durationMs; t += tickMs) {
+    source.frames(t, t + tickMs).forEach(bytes => entries.push({ t: t + tickMs, bytes }));
+  }
+  return entries;
+}
+
+// Frame source that plays back a capture with its original timing
+export function createReplaySource(entries, { loop = true } = {}) {
+  const duration = entries[entries.length - 1].t + 1;
+
+  // Frames with from < t <= to within one pass of the capture
+  const between = (from, to) => entries
+    .filter(e => e.t > from && e.t <= to)
+    .map(e => e.bytes);
+
+  return {
+    inRange() {
+      return true;
+    },
+
+    frames(from, to) {
+      if (!loop) return between(from, to);
+
+      const frames = [];
+      let start = Math.floor(from / duration) * duration;
+      while (start < to) {
+        frames.push(...between(from - start, to - start));
+        start += duration;
+      }
+      return frames;
+    }
+  };
+}
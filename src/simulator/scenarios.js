@@ -0,0 +1,160 @@
+import { measureFrame, waveformFrame } from './frames';
+
+export const SAMPLE_RATE = 100;
+export const MEASURE_INTERVAL_MS = 1000;
+// Samples per waveform notification
+const MAX_SAMPLES_PER_FRAME = 20;
+
+// Scripted scenarios. Each phase lasts durationMs and holds its values;
+// with ramp the values move linearly from the previous phase's values.
+// Unspecified values carry over from the previous phase.
+//   probeOff    finger removed: placeholder values and a flat waveform
+//   outOfRange  device unreachable: the link drops and reconnects fail
+export const SCENARIOS = {
+  normal: {
+    label: 'Normal',
+    phases: [{ durationMs: 60000, spo2: 98, bpm: 72 }]
+  },
+  desaturation: {
+    label: 'Desaturation episode',
+    phases: [
+      { durationMs: 60000, spo2: 97, bpm: 68 },
+      { durationMs: 20000, spo2: 86, bpm: 80, ramp: true },
+      { durationMs: 30000 },
+      { durationMs: 20000, spo2: 97, bpm: 68, ramp: true }
+    ]
+  },
+  bradycardia: {
+    label: 'Bradycardia',
+    phases: [
+      { durationMs: 45000, spo2: 97, bpm: 70 },
+      { durationMs: 15000, bpm: 42, ramp: true },
+      { durationMs: 40000 },
+      { durationMs: 15000, bpm: 70, ramp: true }
+    ]
+  },
+  'probe-off': {
+    label: 'Probe off',
+    phases: [
+      { durationMs: 30000, spo2: 98, bpm: 74 },
+      { durationMs: 15000, probeOff: true },
+      { durationMs: 30000 }
+    ]
+  },
+  disconnect: {
+    label: 'Disconnect',
+    phases: [
+      { durationMs: 20000, spo2: 97, bpm: 72 },
+      { durationMs: 8000, outOfRange: true },
+      { durationMs: 30000 }
+    ]
+  }
+};
+
+// Small deterministic PRNG (mulberry32) so runs are reproducible
+export function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Resolve carried-over values once so lookups are cheap
+function resolvePhases(phases) {
+  let previous = { spo2: 98, bpm: 72 };
+  let start = 0;
+  return phases.map(phase => {
+    const resolved = {
+      start,
+      durationMs: phase.durationMs,
+      from: { spo2: previous.spo2, bpm: previous.bpm },
+      spo2: phase.spo2 ?? previous.spo2,
+      bpm: phase.bpm ?? previous.bpm,
+      ramp: Boolean(phase.ramp),
+      probeOff: Boolean(phase.probeOff),
+      outOfRange: Boolean(phase.outOfRange)
+    };
+    start += phase.durationMs;
+    previous = resolved;
+    return resolved;
+  });
+}
+
+// Scenario state at elapsed milliseconds: { spo2, bpm, probeOff, outOfRange }
+export function scenarioStateAt(scenario, elapsedMs, { loop = true } = {}) {
+  const phases = resolvePhases(scenario.phases);
+  const total = phases.reduce((sum, p) => sum + p.durationMs, 0);
+  const t = loop ? elapsedMs % total : Math.min(elapsedMs, total - 1);
+  const phase = phases.find(p => t < p.start + p.durationMs) || phases[phases.length - 1];
+
+  const progress = phase.ramp ? (t - phase.start) / phase.durationMs : 1;
+  const lerp = (from, to) => from + (to - from) * progress;
+  return {
+    spo2: lerp(phase.from.spo2, phase.spo2),
+    bpm: lerp(phase.from.bpm, phase.bpm),
+    probeOff: phase.probeOff,
+    outOfRange: phase.outOfRange
+  };
+}
+
+// One PPG pulse: systolic peak followed by a smaller diastolic wave
+function pulseShape(phase) {
+  const systolic = Math.exp(-(((phase - 0.15) / 0.07) ** 2));
+  const diastolic = 0.35 * Math.exp(-(((phase - 0.45) / 0.08) ** 2));
+  return systolic + diastolic;
+}
+
+// Frame source for a scenario. frames(from, to) returns the frames the
+// device sends between two elapsed times; inRange(t) tells whether the
+// device can be reached.
+export function createScenarioSource(scenario, { seed = 1, loop = true } = {}) {
+  const random = seededRandom(seed);
+  let beatPhase = 0;
+  let nextSampleAt = 0;
+  let nextMeasureAt = MEASURE_INTERVAL_MS;
+
+  const stateAt = (t) => scenarioStateAt(scenario, t, { loop });
+
+  return {
+    inRange(t) {
+      return !stateAt(t).outOfRange;
+    },
+
+    frames(from, to) {
+      const frames = [];
+      let samples = [];
+
+      // Catch up without emitting after a pause, e.g. while disconnected
+      if (nextSampleAt < from) nextSampleAt = from;
+      if (nextMeasureAt <= from) nextMeasureAt = from + MEASURE_INTERVAL_MS;
+
+      while (nextSampleAt < to) {
+        const state = stateAt(nextSampleAt);
+        beatPhase = (beatPhase + state.bpm / 60 / SAMPLE_RATE) % 1;
+        const noise = (random() - 0.5) * 2;
+        samples.push(state.probeOff ? 0 : 40 + 45 * pulseShape(beatPhase) + noise);
+
+        if (samples.length === MAX_SAMPLES_PER_FRAME) {
+          frames.push(waveformFrame(samples));
+          samples = [];
+        }
+        nextSampleAt += 1000 / SAMPLE_RATE;
+      }
+      if (samples.length > 0) frames.push(waveformFrame(samples));
+
+      while (nextMeasureAt <= to) {
+        const state = stateAt(nextMeasureAt);
+        frames.push(state.probeOff
+          ? measureFrame(255, 127)
+          : measureFrame(state.bpm + (random() - 0.5) * 2, Math.min(100, state.spo2 + (random() - 0.5))));
+        nextMeasureAt += MEASURE_INTERVAL_MS;
+      }
+
+      return frames;
+    }
+  };
+}
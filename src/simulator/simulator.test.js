@@ -0,0 +1,139 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  createSimulator,
+  createSimulatedBluetooth,
+  createScenarioSource,
+  recordCapture,
+  formatCapture,
+  parseCapture,
+  scenarioStateAt,
+  SCENARIOS
+} from './index';
+import { bufferToSamples } from '../drivers/fee0';
+import { createConnectionManager, CONNECTION_STATES } from '../utils/connectionManager';
+import { createSignalQualityMonitor, QUALITY } from '../utils/signalQuality';
+
+// Run a scenario headless through the connection manager
+async function run(scenario, durationMs) {
+  const device = createSimulator({ scenario });
+  const quality = createSignalQualityMonitor();
+  const result = { measurements: [], waveformSamples: 0, states: [], gaps: [] };
+
+  const manager = createConnectionManager({
+    bluetooth: createSimulatedBluetooth(device),
+    onSample: (sample) => {
+      if (sample.type === 'waveform') {
+        result.waveformSamples += sample.samples.length;
+        quality.pushWaveform(sample.samples);
+      } else {
+        result.measurements.push({ ...sample, ...quality.assess(sample) });
+      }
+    },
+    onStateChange: ({ state }) => {
+      if (result.states[result.states.length - 1] !== state) result.states.push(state);
+    },
+    onGap: (gap) => result.gaps.push(gap)
+  });
+
+  await manager.requestAndConnect();
+  await vi.advanceTimersByTimeAsync(durationMs);
+  manager.disconnect();
+  return result;
+}
+
+const validValues = (measurements, field) => measurements
+  .filter(m => m.quality === QUALITY.VALID)
+  .map(m => m[field]);
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('simulator', () => {
+  it('streams measurements and waveform at the expected rates', async () => {
+    const { measurements, waveformSamples } = await run('normal', 10000);
+
+    expect(measurements).toHaveLength(10);
+    expect(waveformSamples).toBeGreaterThanOrEqual(990);
+    expect(measurements.every(m => m.quality === QUALITY.VALID)).toBe(true);
+  });
+
+  it('produces a desaturation episode', async () => {
+    const { measurements } = await run('desaturation', 120000);
+    const spo2 = validValues(measurements, 'spo2');
+
+    expect(Math.max(...spo2.slice(0, 50))).toBeGreaterThanOrEqual(96);
+    expect(Math.min(...spo2)).toBeLessThanOrEqual(87);
+  });
+
+  it('produces bradycardia', async () => {
+    const { measurements } = await run('bradycardia', 80000);
+    expect(Math.min(...validValues(measurements, 'bpm'))).toBeLessThan(45);
+  });
+
+  it('flags probe-off readings as no finger', async () => {
+    const { measurements } = await run('probe-off', 60000);
+    const noFinger = measurements.filter(m => m.quality === QUALITY.NO_FINGER);
+
+    expect(noFinger.length).toBeGreaterThanOrEqual(14);
+    expect(measurements[measurements.length - 1].quality).toBe(QUALITY.VALID);
+  });
+
+  it('drops the link and is reconnected by the connection manager', async () => {
+    const { states, gaps } = await run('disconnect', 40000);
+
+    expect(states).toEqual([
+      CONNECTION_STATES.CONNECTING,
+      CONNECTION_STATES.CONNECTED,
+      CONNECTION_STATES.RECONNECTING,
+      CONNECTION_STATES.CONNECTED,
+      CONNECTION_STATES.IDLE
+    ]);
+    expect(gaps).toHaveLength(1);
+    expect(gaps[0].durationMs).toBeGreaterThanOrEqual(8000);
+  });
+
+  it('is deterministic for a seed', () => {
+    const a = recordCapture(createScenarioSource(SCENARIOS.normal, { seed: 7 }), 2000);
+    const b = recordCapture(createScenarioSource(SCENARIOS.normal, { seed: 7 }), 2000);
+    expect(formatCapture(a)).toBe(formatCapture(b));
+  });
+
+  it('ramps between phase values', () => {
+    expect(scenarioStateAt(SCENARIOS.desaturation, 70000).spo2).toBeCloseTo(91.5);
+    expect(scenarioStateAt(SCENARIOS.desaturation, 90000).spo2).toBe(86);
+  });
+});
+
+describe('capture replay', () => {
+  it('round-trips captures as text', () => {
+    const entries = recordCapture(createScenarioSource(SCENARIOS.normal), 1000);
+    const parsed = parseCapture(formatCapture(entries));
+
+    expect(parsed).toHaveLength(entries.length);
+    expect(bufferToSamples(parsed[parsed.length - 1].bytes)).toMatchObject({ type: 'measure', spo2: 98 });
+  });
+
+  it('rejects malformed captures', () => {
+    expect(() => parseCapture('# empty\n')).toThrow('no frames');
+    expect(() => parseCapture('abc')).toThrow('line 1');
+  });
+
+  it('replays recorded frames with their timing', async () => {
+    const capture = '# two frames\n500 f0 10 20 30\n1000 f1 48 61 00\n';
+    const samples = [];
+    const manager = createConnectionManager({ onSample: (sample) => samples.push(sample) });
+
+    await manager.connect(createSimulator({ capture, loop: false }));
+    await vi.advanceTimersByTimeAsync(600);
+    expect(samples.map(s => s.type)).toEqual(['waveform']);
+
+    await vi.advanceTimersByTimeAsync(600);
+    expect(samples[1]).toEqual({ type: 'measure', bpm: 0x48, spo2: 0x61 });
+    manager.disconnect();
+  });
+});
@@ -0,0 +1,77 @@
+import { clientsClaim } from 'workbox-core';
+import { precacheAndRoute, cleanupOutdatedCaches } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst } from 'workbox-strategies';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { SYNC_TAG, syncReadings } from './utils/sync';
+
+// Activate new versions immediately (registerType: 'autoUpdate')
+self.skipWaiting();
+clientsClaim();
+
+// Precache the app shell injected at build time
+precacheAndRoute(self.__WB_MANIFEST);
+cleanupOutdatedCaches();
+
+// Cache Google Fonts
+registerRoute(
+  ({ url }) => url.origin === 'https://fonts.googleapis.com',
+  new CacheFirst({
+    cacheName: 'google-fonts-cache',
+    plugins: [
+      new ExpirationPlugin({
+        maxEntries: 10,
+        maxAgeSeconds: 60 * 60 * 24 * 365 // 1 year
+      })
+    ]
+  })
+);
+
+registerRoute(
+  ({ url }) => url.origin === 'https://fonts.gstatic.com',
+  new CacheFirst({
+    cacheName: 'gstatic-fonts-cache',
+    plugins: [
+      new ExpirationPlugin({
+        maxEntries: 10,
+        maxAgeSeconds: 60 * 60 * 24 * 365 // 1 year
+      })
+    ]
+  })
+);
+
+// Upload unsynced readings when the browser fires a background sync.
+// A rejected promise makes the browser retry the sync later.
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(
+      syncReadings().then(result => {
+        if (!result.skipped) {
+          console.log(`Synced ${result.uploaded} readings`);
+        }
+      })
+    );
+  }
+});
+
+// Relay alarm notification actions to the app and bring it to the front
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+      clients.forEach(client => {
+        client.postMessage({
+          type: 'alarm-action',
+          action: event.action || 'acknowledge',
+          tag: event.notification.tag
+        });
+      });
+
+      if (clients.length > 0) {
+        return clients[0].focus();
+      }
+      return self.clients.openWindow('/');
+    })
+  );
+});
@@ -0,0 +1,41 @@
+import { COMMANDS } from '../drivers/cms50';
+import { createMockSerialPort } from './mockSerial';
+
+export const hex = (text) => text.trim().split(/\s+/).map(byte => parseInt(byte, 16));
+
+// Hand-built replies modelled on a CMS50E ("CMS50E1") holding two
+// recordings: five points from 2025-01-01 22:30:00 device time, one of
+// them without a finger, and an empty one. A realtime packet is still in
+// flight when the download starts. Not a capture from a device: they
+// follow the assumed protocol in drivers/cms50.js, so the tests only show
+// that the parser agrees with it.
+export const REPLIES = {
+  [COMMANDS.STOP_REALTIME]: () => hex('01 80 C5 B2 85 C8 E1 FF FF'),
+  [COMMANDS.GET_DEVICE_ID]: () => hex('04 80 C3 CD D3 B5 B0 C5 B1'),
+  [COMMANDS.GET_RECORDING_COUNT]: () => hex('03 80 82'),
+  [COMMANDS.GET_RECORDING_INFO]: (recording) => hex([
+    '05 80 80 99 81 81 96 9E 80  08 80 80 85 80 80',
+    '05 80 81 99 81 82 8D 85 8A  08 80 81 80 80 80'
+  ][recording]),
+  // Split at odd points, as reads from a serial port may be
+  [COMMANDS.START_STORED_DATA]: () => [
+    hex('0F 80 E1 C0 E0'),
+    hex('C1 DF C2 0F 82 FF FF'),
+    hex('DE C6 80 80')
+  ]
+};
+
+export const RECORDING_START = new Date(2025, 0, 1, 22, 30, 0).getTime();
+
+// Command byte and first argument of a command packet
+export const commandOf = (bytes) => [bytes[2] & 0x7F | (bytes[1] & 0x01) << 7, bytes[3] & 0x7F | (bytes[1] & 0x02) << 6];
+
+// Mock port answering each command from a table of replies
+export function createMemoryPort(replies = REPLIES) {
+  return createMockSerialPort({
+    respond: (bytes) => {
+      const [command, recording] = commandOf(bytes);
+      return replies[command] ? replies[command](recording) : null;
+    }
+  });
+}
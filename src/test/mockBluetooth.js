@@ -0,0 +1,87 @@
+import { uuid16 } from '../drivers/bytes';
+
+const FEE0_SERVICE = uuid16(0xfee0);
+
+// Controllable Web Bluetooth device exposing the 0xFEE0 service.
+// Tests push notifications with notify() and simulate a dropped link
+// with drop(); while unreachable, gatt.connect() fails.
+export function createMockDevice({ id = 'mock-device', name = 'Mock Oximeter' } = {}) {
+  const device = new EventTarget();
+  let connected = false;
+  let reachable = true;
+
+  const characteristic = Object.assign(new EventTarget(), {
+    uuid: uuid16(0xfee1),
+    properties: { notify: true },
+    value: null,
+    startNotifications: async () => characteristic,
+    stopNotifications: async () => characteristic
+  });
+
+  // Count notification listeners to check for duplicate subscriptions
+  let listeners = 0;
+  const addEventListener = characteristic.addEventListener.bind(characteristic);
+  const removeEventListener = characteristic.removeEventListener.bind(characteristic);
+  characteristic.addEventListener = (type, listener) => {
+    if (type === 'characteristicvaluechanged') listeners++;
+    addEventListener(type, listener);
+  };
+  characteristic.removeEventListener = (type, listener) => {
+    if (type === 'characteristicvaluechanged') listeners--;
+    removeEventListener(type, listener);
+  };
+
+  const service = {
+    uuid: FEE0_SERVICE,
+    getCharacteristics: async () => [characteristic]
+  };
+
+  const gatt = {
+    device,
+    connectCalls: 0,
+    get connected() {
+      return connected;
+    },
+    async connect() {
+      gatt.connectCalls++;
+      if (!reachable) throw Object.assign(new Error('Device unreachable'), { name: 'NetworkError' });
+      connected = true;
+      return gatt;
+    },
+    disconnect() {
+      if (!connected) return;
+      connected = false;
+      device.dispatchEvent(new Event('gattserverdisconnected'));
+    },
+    async getPrimaryService(uuid) {
+      if (uuid !== FEE0_SERVICE) throw Object.assign(new Error('No service'), { name: 'NotFoundError' });
+      return service;
+    }
+  };
+
+  return Object.assign(device, {
+    id,
+    name,
+    gatt,
+    notify(bytes) {
+      characteristic.value = new DataView(Uint8Array.from(bytes).buffer);
+      characteristic.dispatchEvent(new Event('characteristicvaluechanged'));
+    },
+    listenerCount: () => listeners,
+    drop({ unreachable = false } = {}) {
+      reachable = !unreachable;
+      gatt.disconnect();
+    },
+    setReachable(value) {
+      reachable = value;
+    }
+  });
+}
+
+// navigator.bluetooth stand-in that hands out the given device
+export function createMockBluetooth(device) {
+  return {
+    requestDevice: async () => device,
+    getDevices: async () => [device]
+  };
+}
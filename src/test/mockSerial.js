@@ -0,0 +1,77 @@
+// Controllable Web Serial port behind a CP210x USB bridge. Tests send
+// bytes from the device with send(), read what the app wrote from
+// written and pull the cable with unplug(); while unreachable, open()
+// fails. respond(bytes) is called for each write and may answer with
+// bytes (or an array of chunks) from the device.
+export function createMockSerialPort({ usbVendorId = 0x10C4, usbProductId = 0xEA60, respond = () => null } = {}) {
+  let controller = null;
+  let reachable = true;
+
+  const port = {
+    readable: null,
+    writable: null,
+    openOptions: null,
+    openCalls: 0,
+    // Byte arrays written by the app, in order
+    written: [],
+    getInfo: () => ({ usbVendorId, usbProductId }),
+
+    get opened() {
+      return port.readable !== null;
+    },
+
+    async open(options) {
+      port.openCalls++;
+      if (port.opened) throw Object.assign(new Error('The port is already open'), { name: 'InvalidStateError' });
+      if (!reachable) throw Object.assign(new Error('Failed to open serial port'), { name: 'NetworkError' });
+      port.openOptions = options;
+      port.readable = new ReadableStream({
+        start(c) {
+          controller = c;
+        }
+      });
+      port.writable = new WritableStream({
+        write(chunk) {
+          port.written.push(Array.from(chunk));
+          const reply = respond(Array.from(chunk));
+          if (reply) (Array.isArray(reply[0]) ? reply : [reply]).forEach(bytes => port.send(bytes));
+        }
+      });
+    },
+
+    async close() {
+      if (port.readable.locked || port.writable.locked) {
+        throw Object.assign(new Error('The port has locked streams'), { name: 'TypeError' });
+      }
+      port.readable = null;
+      port.writable = null;
+      controller = null;
+    },
+
+    send(bytes) {
+      controller.enqueue(Uint8Array.from(bytes));
+    },
+
+    unplug({ unreachable = false } = {}) {
+      reachable = !unreachable;
+      controller.error(Object.assign(new Error('The device has been lost'), { name: 'NetworkError' }));
+    },
+
+    setReachable(value) {
+      reachable = value;
+    }
+  };
+  return port;
+}
+
+// navigator.serial stand-in that hands out the given port
+export function createMockSerial(port) {
+  return {
+    requestPortCalls: [],
+    async requestPort(options) {
+      this.requestPortCalls.push(options);
+      return port;
+    },
+    getPorts: async () => [port]
+  };
+}
@@ -0,0 +1,21 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { beforeEach, afterEach } from 'vitest';
+import { cleanup } from '@testing-library/react';
+import { closeSharedDB, setActiveProfileId, DEFAULT_PROFILE_ID } from '../utils/storage';
+import { flushReadings } from '../utils/readingQueue';
+
+// Fresh in-memory IndexedDB and localStorage for every test, starting
+// with the default profile
+beforeEach(() => {
+  globalThis.indexedDB = new IDBFactory();
+  localStorage.clear();
+  setActiveProfileId(DEFAULT_PROFILE_ID);
+});
+
+// Unmount, then write queued readings before the database is replaced
+afterEach(async () => {
+  cleanup();
+  await flushReadings();
+  closeSharedDB();
+});
@@ -0,0 +1,28 @@
+import { startDriver, getRequestDeviceOptions } from '../drivers';
+
+// Web Bluetooth: devices are BluetoothDevices (or the simulator's fake)
+export default {
+  id: 'bluetooth',
+  name: 'Bluetooth',
+  disconnectEvent: 'gattserverdisconnected',
+  unsupportedMessage: 'Web Bluetooth is not supported in this browser',
+  // Bluetooth device ids are stable, so devices are remembered and reconnected on launch
+  remembersDevices: true,
+
+  requestDevice(bluetooth) {
+    return bluetooth.requestDevice(getRequestDeviceOptions());
+  },
+
+  async start(device, onSample) {
+    const server = await device.gatt.connect();
+    return startDriver(server, onSample);
+  },
+
+  isConnected(device) {
+    return device.gatt.connected;
+  },
+
+  close(device) {
+    device.gatt.disconnect();
+  }
+};
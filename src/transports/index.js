@@ -0,0 +1,35 @@
+import bluetoothTransport from './bluetooth';
+import serialTransport from './serial';
+
+// Transports carry driver traffic between the app and a device.
+//
+// A transport provides:
+//   id, name              identifier and human readable name
+//   disconnectEvent       event the device fires when the link drops
+//   unsupportedMessage    error shown when the browser lacks the API
+//   remembersDevices      whether device ids survive a reload
+//   requestDevice(api)    show the browser's chooser and return a device
+//   start(device, onSample)  open the link and start the driver,
+//                         resolving to { driver, stop }
+//   isConnected(device), close(device)
+const transports = {
+  bluetooth: bluetoothTransport,
+  serial: serialTransport
+};
+
+export function getTransport(id) {
+  const transport = transports[id];
+  if (!transport) throw new Error(`Unknown transport: ${id}`);
+  return transport;
+}
+
+// Transport a device was opened with. Devices without one are Bluetooth
+// devices (or the simulator, which behaves like one).
+export function transportOf(device) {
+  return device.transport === 'serial' ? serialTransport : bluetoothTransport;
+}
+
+// Whether a device should be saved for automatic reconnection on launch
+export function isRememberedDevice(device) {
+  return Boolean(device) && !device.simulated && transportOf(device).remembersDevices;
+}
@@ -0,0 +1,184 @@
+import { getDrivers, getDriver } from '../drivers';
+
+const hex4 = (value) => (value === undefined ? 'xxxx' : value.toString(16).padStart(4, '0'));
+
+// Serial driver whose USB filters match the port, else the first one
+function driverForPort(port) {
+  const { usbVendorId, usbProductId } = port.getInfo ? port.getInfo() : {};
+  const drivers = getDrivers('serial');
+  return drivers.find(d => (d.serial.filters || []).some(f => (
+    f.usbVendorId === usbVendorId && (f.usbProductId === undefined || f.usbProductId === usbProductId)
+  ))) || drivers[0];
+}
+
+// Options for navigator.serial.requestPort() offering every serial driver's USB ids
+export function getRequestPortOptions() {
+  return { filters: getDrivers('serial').flatMap(d => d.serial.filters || []) };
+}
+
+// A SerialPort wrapped as a device for the connection manager. It fires
+// 'disconnect' when the port stops delivering data, e.g. when the cable
+// is pulled. Web Serial has no stable ids, so the id only names the USB
+// bridge.
+export function createSerialDevice(port, driver = driverForPort(port)) {
+  if (typeof driver === 'string') driver = getDriver(driver);
+  const { usbVendorId, usbProductId } = port.getInfo ? port.getInfo() : {};
+
+  return Object.assign(new EventTarget(), {
+    id: `serial:${hex4(usbVendorId)}:${hex4(usbProductId)}`,
+    name: driver.name,
+    transport: 'serial',
+    port,
+    driver,
+    connected: false,
+    // Settles once the previous session has closed the port
+    closing: null
+  });
+}
+
+// Open a port for a driver and return a link to it:
+//   write(bytes)       send bytes to the device
+//   read(timeoutMs)    next chunk received, or null once the port is
+//                      closed; rejects after timeoutMs without data
+//   release()          stop, unlock the streams and close the port
+// The driver's keep-alive is sent while the link is open.
+export async function openPort(port, driver, timers = { setTimeout, clearTimeout, setInterval, clearInterval }) {
+  // USB filters only matter to the port chooser
+  const openOptions = { ...driver.serial };
+  delete openOptions.filters;
+  await port.open(openOptions);
+
+  const reader = port.readable.getReader();
+  const writer = port.writable.getWriter();
+  let pending = null;
+  let released = null;
+
+  const write = (bytes) => writer.write(Uint8Array.from(bytes));
+
+  const keepAliveTimer = driver.keepAlive
+    ? timers.setInterval(() => {
+      write(driver.keepAlive.command)
+        .catch(err => console.error('Serial keep-alive failed:', err));
+    }, driver.keepAlive.intervalMs)
+    : null;
+
+  return {
+    write,
+
+    async read(timeoutMs = null) {
+      // A read that timed out is still pending and carries over
+      if (!pending) {
+        pending = reader.read().finally(() => {
+          pending = null;
+        });
+        pending.catch(() => {});
+      }
+
+      let timer = null;
+      const timeout = new Promise((resolve, reject) => {
+        if (timeoutMs === null) return;
+        timer = timers.setTimeout(() => reject(new Error('The device stopped responding')), timeoutMs);
+      });
+      try {
+        const { value, done } = await Promise.race([pending, timeout]);
+        return done ? null : value;
+      } finally {
+        if (timer !== null) timers.clearTimeout(timer);
+      }
+    },
+
+    release() {
+      if (!released) {
+        released = (async () => {
+          if (keepAliveTimer !== null) timers.clearInterval(keepAliveTimer);
+          await reader.cancel().catch(() => {});
+          reader.releaseLock();
+          writer.releaseLock();
+          await port.close().catch(() => {});
+        })();
+      }
+      return released;
+    }
+  };
+}
+
+// Web Serial transport. Opening the port starts the driver: its init
+// commands are written and every chunk read is parsed into samples.
+// Stopping closes the port.
+export function createSerialTransport({ timers = { setTimeout, clearTimeout, setInterval, clearInterval } } = {}) {
+  return {
+    id: 'serial',
+    name: 'USB serial',
+    disconnectEvent: 'disconnect',
+    unsupportedMessage: 'Web Serial is not supported in this browser',
+    remembersDevices: false,
+
+    async requestDevice(serial) {
+      return createSerialDevice(await serial.requestPort(getRequestPortOptions()));
+    },
+
+    async start(device, onSample) {
+      if (device.closing) await device.closing;
+
+      const { driver } = device;
+      const link = await openPort(device.port, driver, timers);
+      device.connected = true;
+
+      const parser = driver.createParser();
+      let stopped = false;
+
+      const release = async () => {
+        await link.release();
+        device.connected = false;
+      };
+
+      // Read until stopped or the port goes away
+      const readLoop = async () => {
+        try {
+          for (;;) {
+            const chunk = await link.read();
+            if (chunk === null) break;
+            parser.push(chunk).forEach(sample => onSample(sample, driver));
+          }
+        } catch {
+          // The port went away, e.g. the cable was pulled
+        }
+
+        if (!stopped) {
+          stopped = true;
+          device.closing = release();
+          await device.closing;
+          device.dispatchEvent(new Event('disconnect'));
+        }
+      };
+
+      try {
+        for (const command of driver.initCommands) {
+          await link.write(command);
+        }
+      } catch (e) {
+        stopped = true;
+        await release();
+        throw e;
+      }
+      readLoop();
+
+      const stop = () => {
+        if (stopped) return;
+        stopped = true;
+        device.closing = release();
+      };
+
+      return { driver, stop };
+    },
+
+    isConnected(device) {
+      return device.connected;
+    },
+
+    // Stopping the driver already closes the port
+    close() {}
+  };
+}
+
+export default createSerialTransport();
@@ -0,0 +1,55 @@
+import { primeAlarmSound, alarmSoundState, onAlarmSoundChange } from './alarmSound';
+
+const listeners = new Set();
+
+function notificationPermission() {
+  return 'Notification' in window ? Notification.permission : 'unsupported';
+}
+
+// Why alarms with these settings can't sound or notify right now, as
+// messages for the monitor tile; empty when every enabled channel works
+export function alarmChannelWarnings(settings) {
+  if (!settings.enabled) return [];
+  const warnings = [];
+
+  if (settings.sound) {
+    const sound = alarmSoundState();
+    if (sound === 'unsupported') warnings.push("This browser can't play alarm sounds.");
+    if (sound === 'locked') warnings.push('Alarm sound is off until alarms are enabled.');
+  }
+  if (settings.notify) {
+    const permission = notificationPermission();
+    if (permission === 'unsupported') warnings.push("This browser can't show alarm notifications.");
+    if (permission === 'denied') warnings.push('Alarm notifications are blocked in the browser settings.');
+    if (permission === 'default') warnings.push('Alarm notifications need permission.');
+  }
+  return warnings;
+}
+
+// Whether enableAlarmChannels can fix any of the warnings
+export function canEnableAlarmChannels(settings) {
+  if (!settings.enabled) return false;
+  return (settings.sound && alarmSoundState() === 'locked') ||
+    (settings.notify && notificationPermission() === 'default');
+}
+
+// Unlock audio and ask for notification permission. Browsers only allow
+// both from a user gesture, so call this from click handlers.
+export async function enableAlarmChannels(settings) {
+  primeAlarmSound();
+  if (settings.enabled && settings.notify && notificationPermission() === 'default') {
+    await Notification.requestPermission();
+    listeners.forEach(listener => listener());
+  }
+}
+
+// Call listener when sound or notification state may have changed;
+// returns unsubscribe
+export function subscribeAlarmChannels(listener) {
+  listeners.add(listener);
+  const unsubscribeSound = onAlarmSoundChange(listener);
+  return () => {
+    listeners.delete(listener);
+    unsubscribeSound();
+  };
+}
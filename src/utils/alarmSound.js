@@ -0,0 +1,59 @@
+let audioContext = null;
+const listeners = new Set();
+
+// Lazily create the AudioContext; browsers only allow it after a user gesture
+function getAudioContext() {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return null;
+
+  if (!audioContext) {
+    audioContext = new AudioContextClass();
+    audioContext.onstatechange = () => listeners.forEach(listener => listener());
+    listeners.forEach(listener => listener());
+  }
+  if (audioContext.state === 'suspended') {
+    audioContext.resume().catch(() => {});
+  }
+  return audioContext;
+}
+
+// Unlock audio from a click handler so alarms can play later
+export function primeAlarmSound() {
+  getAudioContext();
+}
+
+// 'unsupported' without Web Audio, 'locked' until a user gesture has
+// unlocked it, else 'ready'
+export function alarmSoundState() {
+  if (!window.AudioContext && !window.webkitAudioContext) return 'unsupported';
+  return audioContext && audioContext.state === 'running' ? 'ready' : 'locked';
+}
+
+// Call listener when the sound state may have changed; returns unsubscribe
+export function onAlarmSoundChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Play three short high-priority beeps
+export function playAlarmTone() {
+  const ctx = getAudioContext();
+  if (!ctx) return;
+
+  const start = ctx.currentTime;
+  for (let i = 0; i < 3; i++) {
+    const oscillator = ctx.createOscillator();
+    const gain = ctx.createGain();
+    const beepStart = start + i * 0.25;
+
+    oscillator.type = 'square';
+    oscillator.frequency.value = 880;
+    gain.gain.setValueAtTime(0.2, beepStart);
+    gain.gain.exponentialRampToValueAtTime(0.001, beepStart + 0.18);
+
+    oscillator.connect(gain);
+    gain.connect(ctx.destination);
+    oscillator.start(beepStart);
+    oscillator.stop(beepStart + 0.2);
+  }
+}
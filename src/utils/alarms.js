@@ -0,0 +1,171 @@
+// Alarm configuration
+export const ALARM_SETTINGS_KEY = 'alarmSettings';
+
+export const DEFAULT_ALARM_SETTINGS = {
+  enabled: true,
+  spo2Low: 90,
+  spo2High: 100,
+  bpmLow: 50,
+  bpmHigh: 120,
+  delaySeconds: 10,
+  snoozeMinutes: 5,
+  sound: true,
+  notify: true
+};
+
+// Field ranges of alarm settings, as a schema (see schema.js)
+export const ALARM_SETTINGS_SCHEMA = {
+  enabled: { type: 'boolean', label: 'Alarms enabled', default: DEFAULT_ALARM_SETTINGS.enabled },
+  spo2Low: { type: 'number', label: 'SpO₂ low', min: 50, max: 100, default: DEFAULT_ALARM_SETTINGS.spo2Low },
+  spo2High: { type: 'number', label: 'SpO₂ high', min: 50, max: 100, default: DEFAULT_ALARM_SETTINGS.spo2High },
+  bpmLow: { type: 'number', label: 'Pulse low', min: 20, max: 250, default: DEFAULT_ALARM_SETTINGS.bpmLow },
+  bpmHigh: { type: 'number', label: 'Pulse high', min: 20, max: 250, default: DEFAULT_ALARM_SETTINGS.bpmHigh },
+  delaySeconds: { type: 'number', label: 'Alarm delay', min: 0, max: 300, default: DEFAULT_ALARM_SETTINGS.delaySeconds },
+  snoozeMinutes: { type: 'number', label: 'Snooze', min: 1, max: 60, default: DEFAULT_ALARM_SETTINGS.snoozeMinutes },
+  sound: { type: 'boolean', label: 'Sound', default: DEFAULT_ALARM_SETTINGS.sound },
+  notify: { type: 'boolean', label: 'Notifications', default: DEFAULT_ALARM_SETTINGS.notify }
+};
+
+// Limits that must not cross, beyond what the schema checks per field
+export function checkAlarmLimits(settings) {
+  const errors = {};
+  if (settings.spo2Low > settings.spo2High) errors.spo2Low = 'SpO₂ low must not be above SpO₂ high';
+  if (settings.bpmLow > settings.bpmHigh) errors.bpmLow = 'Pulse low must not be above pulse high';
+  return errors;
+}
+
+// Each alarm condition: which value it watches and how it is violated
+export const ALARM_CONDITIONS = {
+  spo2Low: { field: 'spo2', limit: 'spo2Low', label: 'SpO₂ low', isViolated: (v, l) => v < l },
+  spo2High: { field: 'spo2', limit: 'spo2High', label: 'SpO₂ high', isViolated: (v, l) => v > l },
+  bpmLow: { field: 'bpm', limit: 'bpmLow', label: 'Pulse low', isViolated: (v, l) => v < l },
+  bpmHigh: { field: 'bpm', limit: 'bpmHigh', label: 'Pulse high', isViolated: (v, l) => v > l }
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Merge stored settings with defaults and keep limits in a sane range
+export function normalizeAlarmSettings(settings) {
+  const merged = { ...DEFAULT_ALARM_SETTINGS, ...(settings || {}) };
+  const number = (key) => {
+    const value = Number(merged[key]);
+    const { min, max } = ALARM_SETTINGS_SCHEMA[key];
+    return Number.isFinite(value) ? clamp(value, min, max) : DEFAULT_ALARM_SETTINGS[key];
+  };
+
+  const result = {
+    enabled: Boolean(merged.enabled),
+    spo2Low: number('spo2Low'),
+    spo2High: number('spo2High'),
+    bpmLow: number('bpmLow'),
+    bpmHigh: number('bpmHigh'),
+    delaySeconds: number('delaySeconds'),
+    snoozeMinutes: number('snoozeMinutes'),
+    sound: Boolean(merged.sound),
+    notify: Boolean(merged.notify)
+  };
+
+  if (result.spo2Low > result.spo2High) result.spo2Low = result.spo2High;
+  if (result.bpmLow > result.bpmHigh) result.bpmLow = result.bpmHigh;
+
+  return result;
+}
+
+// Create an alarm monitor that tracks how long each condition has been
+// violated. update() returns the alarm events caused by a reading.
+export function createAlarmMonitor(initialSettings) {
+  let settings = normalizeAlarmSettings(initialSettings);
+  let snoozedUntil = 0;
+  const state = {};
+
+  Object.keys(ALARM_CONDITIONS).forEach(condition => {
+    state[condition] = { pendingSince: null, active: false, acknowledged: false };
+  });
+
+  const event = (type, condition, now, value = null) => ({
+    type,
+    condition,
+    value,
+    limit: condition ? settings[ALARM_CONDITIONS[condition].limit] : null,
+    timestamp: new Date(now).toISOString()
+  });
+
+  const clearAll = (now) => {
+    const events = [];
+    Object.keys(state).forEach(condition => {
+      if (state[condition].active) events.push(event('cleared', condition, now));
+      state[condition] = { pendingSince: null, active: false, acknowledged: false };
+    });
+    return events;
+  };
+
+  return {
+    setSettings(newSettings, now = Date.now()) {
+      settings = normalizeAlarmSettings(newSettings);
+      return settings.enabled ? [] : clearAll(now);
+    },
+
+    update(reading, now = Date.now()) {
+      if (!settings.enabled) return [];
+
+      const events = [];
+      Object.entries(ALARM_CONDITIONS).forEach(([condition, def]) => {
+        const value = Number(reading[def.field]);
+        const s = state[condition];
+        const violated = Number.isFinite(value) && def.isViolated(value, settings[def.limit]);
+
+        if (!violated) {
+          if (s.active) events.push(event('cleared', condition, now, value));
+          state[condition] = { pendingSince: null, active: false, acknowledged: false };
+          return;
+        }
+
+        if (s.pendingSince === null) s.pendingSince = now;
+        if (!s.active && now - s.pendingSince >= settings.delaySeconds * 1000) {
+          s.active = true;
+          s.acknowledged = false;
+          events.push(event('triggered', condition, now, value));
+        }
+      });
+
+      return events;
+    },
+
+    // Silence active alarms until their condition clears
+    acknowledge(now = Date.now()) {
+      const events = [];
+      Object.entries(state).forEach(([condition, s]) => {
+        if (s.active && !s.acknowledged) {
+          s.acknowledged = true;
+          events.push(event('acknowledged', condition, now));
+        }
+      });
+      return events;
+    },
+
+    // Silence all alarms for the configured snooze time
+    snooze(now = Date.now()) {
+      snoozedUntil = now + settings.snoozeMinutes * 60 * 1000;
+      return this.getActive().map(condition => event('snoozed', condition, now));
+    },
+
+    reset(now = Date.now()) {
+      snoozedUntil = 0;
+      return clearAll(now);
+    },
+
+    getActive() {
+      return Object.keys(state).filter(condition => state[condition].active);
+    },
+
+    // True while an active alarm should be sounding
+    isAlerting(now = Date.now()) {
+      if (now < snoozedUntil) return false;
+      return Object.values(state).some(s => s.active && !s.acknowledged);
+    },
+
+    getSnoozedUntil() {
+      return snoozedUntil;
+    }
+  };
+}
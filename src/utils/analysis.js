@@ -0,0 +1,171 @@
+import { isValidReading } from './signalQuality';
+
+// Overnight oximetry analysis over readings as returned by getReadings.
+// Everything here is pure so it can be run on synthetic series.
+
+export const DEFAULT_DESATURATION_CRITERIA = {
+  // Drop from baseline, in SpO2 percentage points
+  dropPercent: 3,
+  // Minimum time the drop must last
+  minDurationSec: 10,
+  // Window before an event used to compute the baseline
+  baselineWindowSec: 120,
+  // Longest gap between readings still treated as continuous data
+  maxGapSec: 10
+};
+
+const toTime = (reading) => new Date(reading.timestamp).getTime();
+
+// Keep valid readings with numeric values, oldest first
+function prepare(readings) {
+  return readings
+    .filter(r => isValidReading(r) && typeof r.spo2 === 'number' && r.spo2 > 0 && !isNaN(toTime(r)))
+    .map(r => ({ time: toTime(r), spo2: r.spo2, bpm: r.bpm }))
+    .sort((a, b) => a.time - b.time);
+}
+
+// Time each reading is taken to represent: up to the next reading, unless
+// the gap is too long, in which case the data is treated as missing.
+function intervals(series, maxGapMs) {
+  return series.map((point, i) => {
+    if (i === series.length - 1) return 0;
+    const gap = series[i + 1].time - point.time;
+    return gap > 0 && gap <= maxGapMs ? gap : 0;
+  });
+}
+
+// Detect desaturation events: SpO2 falls at least dropPercent below the
+// mean of the preceding baseline window and stays there minDurationSec.
+export function detectDesaturations(readings, criteria = {}) {
+  const { dropPercent, minDurationSec, baselineWindowSec, maxGapSec } = {
+    ...DEFAULT_DESATURATION_CRITERIA,
+    ...criteria
+  };
+  const series = prepare(readings);
+  const events = [];
+  // Value each reading contributes to the baseline window
+  const contributions = new Array(series.length);
+
+  const baselineWindowMs = baselineWindowSec * 1000;
+  const maxGapMs = maxGapSec * 1000;
+  let windowStart = 0;
+  let windowSum = 0;
+  let event = null;
+
+  const closeEvent = (endTime) => {
+    if (endTime - event.start >= minDurationSec * 1000) {
+      events.push({
+        start: new Date(event.start).toISOString(),
+        end: new Date(endTime).toISOString(),
+        durationSec: Math.round((endTime - event.start) / 1000),
+        baseline: Math.round(event.baseline * 10) / 10,
+        nadir: event.nadir,
+        drop: Math.round((event.baseline - event.nadir) * 10) / 10
+      });
+    }
+    event = null;
+  };
+
+  for (let i = 0; i < series.length; i++) {
+    const point = series[i];
+
+    // A long gap ends any event in progress and resets the baseline
+    if (i > 0 && point.time - series[i - 1].time > maxGapMs) {
+      if (event) closeEvent(series[i - 1].time);
+      windowStart = i;
+      windowSum = 0;
+    }
+
+    // Slide the baseline window to the readings before this one
+    while (windowStart < i && point.time - series[windowStart].time > baselineWindowMs) {
+      windowSum -= contributions[windowStart];
+      windowStart++;
+    }
+
+    const windowCount = i - windowStart;
+
+    if (event) {
+      if (point.spo2 > event.baseline - dropPercent) {
+        closeEvent(point.time);
+      } else {
+        event.nadir = Math.min(event.nadir, point.spo2);
+      }
+    } else if (windowCount > 0) {
+      const baseline = windowSum / windowCount;
+      if (point.spo2 <= baseline - dropPercent) {
+        event = { start: point.time, baseline, nadir: point.spo2 };
+      }
+    }
+
+    // Readings inside an event don't lower the baseline
+    contributions[i] = event ? event.baseline : point.spo2;
+    windowSum += contributions[i];
+  }
+
+  if (event && series.length > 0) closeEvent(series[series.length - 1].time);
+
+  return events;
+}
+
+function stats(values) {
+  if (values.length === 0) return { mean: null, min: null, max: null };
+  let sum = 0;
+  let min = Infinity;
+  let max = -Infinity;
+  values.forEach(v => {
+    sum += v;
+    min = Math.min(min, v);
+    max = Math.max(max, v);
+  });
+  return { mean: Math.round((sum / values.length) * 10) / 10, min, max };
+}
+
+// Summary metrics for an overnight recording: ODI3/ODI4, T90, nadir and
+// mean SpO2, and pulse rate. Durations only count time with data.
+export function computeSleepReport(readings, criteria = {}) {
+  const { maxGapSec } = { ...DEFAULT_DESATURATION_CRITERIA, ...criteria };
+  const series = prepare(readings);
+  const spans = intervals(series, maxGapSec * 1000);
+
+  const recordedMs = spans.reduce((a, b) => a + b, 0);
+  const t90Ms = series.reduce((total, point, i) => total + (point.spo2 < 90 ? spans[i] : 0), 0);
+  const hours = recordedMs / 3600000;
+
+  const events3 = detectDesaturations(readings, { ...criteria, dropPercent: 3 });
+  const events4 = detectDesaturations(readings, { ...criteria, dropPercent: 4 });
+  const perHour = (count) => (hours > 0 ? Math.round((count / hours) * 10) / 10 : null);
+
+  const spo2 = stats(series.map(p => p.spo2));
+  const pulse = stats(series.map(p => p.bpm).filter(v => typeof v === 'number' && v > 0));
+
+  return {
+    startTime: series.length > 0 ? new Date(series[0].time).toISOString() : null,
+    endTime: series.length > 0 ? new Date(series[series.length - 1].time).toISOString() : null,
+    readingCount: series.length,
+    recordedMs,
+    meanSpo2: spo2.mean,
+    nadirSpo2: spo2.min,
+    t90Ms,
+    t90Percent: recordedMs > 0 ? Math.round((t90Ms / recordedMs) * 1000) / 10 : null,
+    odi3: perHour(events3.length),
+    odi4: perHour(events4.length),
+    events3,
+    events4,
+    pulse
+  };
+}
+
+// Reduce a series to at most maxPoints, keeping the lowest SpO2 of each
+// group so desaturations stay visible on the chart
+export function downsampleForChart(readings, maxPoints = 1000) {
+  const series = prepare(readings);
+  if (series.length <= maxPoints) return series;
+
+  const groupSize = Math.ceil(series.length / maxPoints);
+  const result = [];
+  for (let i = 0; i < series.length; i += groupSize) {
+    const group = series.slice(i, i + groupSize);
+    result.push(group.reduce((low, p) => (p.spo2 < low.spo2 ? p : low), group[0]));
+  }
+  return result;
+}
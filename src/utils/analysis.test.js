@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'vitest';
+import { detectDesaturations, computeSleepReport, downsampleForChart } from './analysis';
+
+const T0 = new Date('2025-01-01T00:00:00.000Z').getTime();
+const SECOND = 1000;
+
+// One reading per second from start, one per value
+function series(values, start = T0) {
+  return values.map((spo2, i) => ({
+    timestamp: new Date(start + i * SECOND).toISOString(),
+    spo2,
+    bpm: 60
+  }));
+}
+
+const steady = (seconds, spo2 = 97) => new Array(seconds).fill(spo2);
+const at = (seconds) => new Date(T0 + seconds * SECOND).toISOString();
+
+describe('detectDesaturations', () => {
+  it('finds a drop below the baseline and reports its extent', () => {
+    const readings = series([...steady(120), ...steady(8, 93), 92, ...steady(6, 93), ...steady(60)]);
+
+    expect(detectDesaturations(readings)).toEqual([{
+      start: at(120),
+      end: at(135),
+      durationSec: 15,
+      baseline: 97,
+      nadir: 92,
+      drop: 5
+    }]);
+  });
+
+  it('ignores dips shorter than the minimum duration', () => {
+    const readings = series([...steady(120), ...steady(9, 93), ...steady(60)]);
+
+    expect(detectDesaturations(readings)).toEqual([]);
+    expect(detectDesaturations(readings, { minDurationSec: 5 })).toHaveLength(1);
+  });
+
+  it('uses the drop threshold for ODI3 and ODI4 events', () => {
+    const readings = series([...steady(120), ...steady(20, 94), ...steady(60)]);
+
+    expect(detectDesaturations(readings, { dropPercent: 3 })).toHaveLength(1);
+    expect(detectDesaturations(readings, { dropPercent: 4 })).toEqual([]);
+  });
+
+  it('follows a slow decline without counting it as an event', () => {
+    const values = [];
+    for (let spo2 = 97; spo2 >= 90; spo2--) values.push(...steady(60, spo2));
+
+    expect(detectDesaturations(series(values))).toEqual([]);
+  });
+
+  it('keeps the baseline of a long event for the next one', () => {
+    // Two minutes at 93 would pull an unprotected baseline down to ~94
+    const readings = series([...steady(120), ...steady(120, 93), ...steady(5), ...steady(15, 93), ...steady(30)]);
+
+    const events = detectDesaturations(readings);
+    expect(events).toHaveLength(2);
+    expect(events.map(e => e.baseline)).toEqual([97, 97]);
+  });
+
+  it('restarts the baseline after a gap in the data', () => {
+    const before = series(steady(120));
+    const after = series([...steady(20, 93), ...steady(20)], T0 + 180 * SECOND);
+
+    expect(detectDesaturations([...before, ...after])).toEqual([]);
+  });
+
+  it('skips readings flagged by signal quality detection', () => {
+    const readings = series([...steady(120), ...steady(20, 97), ...steady(60)]);
+    readings.slice(120, 140).forEach(r => {
+      r.spo2 = 127;
+      r.quality = 'no-finger';
+    });
+
+    expect(detectDesaturations(readings)).toEqual([]);
+  });
+
+  it('closes an event still open at the end of the data', () => {
+    const [event] = detectDesaturations(series([...steady(120), ...steady(30, 90)]));
+    expect(event).toMatchObject({ start: at(120), end: at(149), nadir: 90 });
+  });
+});
+
+describe('computeSleepReport', () => {
+  // One hour at 97% with dips of 20 s to 93% (x4) and 94% (x2), and one of
+  // 30 s to 88%
+  function night() {
+    const values = steady(3600);
+    const dip = (minute, seconds, spo2) => values.fill(spo2, minute * 60, minute * 60 + seconds);
+    [5, 10, 15, 20].forEach(minute => dip(minute, 20, 93));
+    [25, 30].forEach(minute => dip(minute, 20, 94));
+    dip(40, 30, 88);
+    return series(values);
+  }
+
+  it('computes ODI3/ODI4, T90 and SpO2 statistics', () => {
+    const report = computeSleepReport(night());
+
+    expect(report).toMatchObject({
+      startTime: at(0),
+      endTime: at(3599),
+      readingCount: 3600,
+      recordedMs: 3599 * SECOND,
+      nadirSpo2: 88,
+      t90Ms: 30 * SECOND,
+      t90Percent: 0.8,
+      odi3: 7,
+      odi4: 5,
+      pulse: { mean: 60, min: 60, max: 60 }
+    });
+    expect(report.events3).toHaveLength(7);
+    expect(report.events4.map(e => e.nadir)).toEqual([93, 93, 93, 93, 88]);
+  });
+
+  it('leaves gaps out of the recorded time', () => {
+    const readings = [...series(steady(600)), ...series(steady(600), T0 + 2 * 3600 * SECOND)];
+
+    const report = computeSleepReport(readings);
+    expect(report.recordedMs).toBe(2 * 599 * SECOND);
+    expect(report.readingCount).toBe(1200);
+  });
+
+  it('reports nothing for an empty recording', () => {
+    expect(computeSleepReport([])).toMatchObject({
+      startTime: null,
+      readingCount: 0,
+      recordedMs: 0,
+      meanSpo2: null,
+      t90Percent: null,
+      odi3: null,
+      odi4: null
+    });
+  });
+});
+
+describe('downsampleForChart', () => {
+  it('keeps the lowest SpO2 of each group', () => {
+    const points = downsampleForChart(series([97, 96, 95, 98, 97, 91]), 2);
+    expect(points.map(p => p.spo2)).toEqual([95, 91]);
+  });
+});
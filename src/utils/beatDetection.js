@@ -0,0 +1,195 @@
+// Beat detection on the PPG waveform stream. Pure JS so it can run in a
+// Web Worker and be fed synthetic signals.
+
+export const DEFAULT_BEAT_OPTIONS = {
+  // Window for the adaptive min/max threshold
+  thresholdWindowMs: 2000,
+  // Fraction of the min-max range a peak must exceed
+  thresholdRatio: 0.6,
+  // Shortest and longest accepted beat-to-beat interval (200 and 30 bpm)
+  minIntervalMs: 300,
+  maxIntervalMs: 2000,
+  // Reject intervals differing more than this from the recent median
+  maxIntervalDeviation: 0.3,
+  // Rejected intervals in a row taken as a new rate rather than artifacts
+  rateChangeIntervals: 3,
+  // Intervals used for the derived BPM
+  bpmIntervals: 5,
+  // Smallest peak-to-trough amplitude treated as a pulse
+  minAmplitude: 2
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// RMSSD and SDNN in milliseconds over a list of beat-to-beat intervals
+export function computeHrv(intervals) {
+  if (intervals.length < 2) {
+    return { count: intervals.length, meanIbi: intervals[0] ?? null, rmssd: null, sdnn: null };
+  }
+
+  const mean = intervals.reduce((a, b) => a + b, 0) / intervals.length;
+  const variance = intervals.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (intervals.length - 1);
+
+  let sumSquaredDiffs = 0;
+  for (let i = 1; i < intervals.length; i++) {
+    sumSquaredDiffs += (intervals[i] - intervals[i - 1]) ** 2;
+  }
+
+  const round = (v) => Math.round(v * 10) / 10;
+  return {
+    count: intervals.length,
+    meanIbi: round(mean),
+    rmssd: round(Math.sqrt(sumSquaredDiffs / (intervals.length - 1))),
+    sdnn: round(Math.sqrt(variance))
+  };
+}
+
+// Create a detector. push() takes the samples of one notification and the
+// time it arrived; samples are spread evenly since the previous push.
+// Returns the beats found: { time, interval, amplitude }.
+export function createBeatDetector(options = {}) {
+  const opts = { ...DEFAULT_BEAT_OPTIONS, ...options };
+  let recent = [];
+  let lastPushTime = null;
+  let smoothed = [];
+  let rising = false;
+  let candidate = null;
+  let trough = Infinity;
+  let lastBeatTime = null;
+  let intervals = [];
+  let recentIntervals = [];
+  let rejectedIntervals = [];
+  let perfusionIndex = null;
+
+  const processSample = (time, raw, beats) => {
+    // 3-point moving average to suppress quantisation noise
+    smoothed.push(raw);
+    if (smoothed.length > 3) smoothed.shift();
+    const value = smoothed.reduce((a, b) => a + b, 0) / smoothed.length;
+
+    recent.push({ time, value });
+    while (recent.length > 0 && recent[0].time < time - opts.thresholdWindowMs) {
+      recent.shift();
+    }
+
+    let min = Infinity;
+    let max = -Infinity;
+    let sum = 0;
+    recent.forEach(s => {
+      min = Math.min(min, s.value);
+      max = Math.max(max, s.value);
+      sum += s.value;
+    });
+    const threshold = min + opts.thresholdRatio * (max - min);
+
+    if (!rising) trough = Math.min(trough, value);
+
+    if (value > threshold && max - min >= opts.minAmplitude) {
+      rising = true;
+      if (!candidate || value >= candidate.value) candidate = { time, value };
+      return;
+    }
+
+    // Signal fell back below the threshold: the highest point was the peak
+    if (rising && candidate) {
+      const amplitude = candidate.value - trough;
+      const dc = sum / recent.length;
+
+      if (amplitude >= opts.minAmplitude) {
+        const interval = lastBeatTime === null ? null : candidate.time - lastBeatTime;
+
+        if (interval === null || interval >= opts.minIntervalMs) {
+          let accepted = interval !== null && interval <= opts.maxIntervalMs;
+          if (accepted && recentIntervals.length >= 3) {
+            const ref = median(recentIntervals);
+            accepted = Math.abs(interval - ref) / ref <= opts.maxIntervalDeviation;
+          }
+
+          if (accepted) {
+            intervals.push(interval);
+            recentIntervals.push(interval);
+            rejectedIntervals = [];
+          } else if (interval !== null && interval > opts.maxIntervalMs) {
+            // Long pause: start rebuilding the reference
+            recentIntervals = [];
+            rejectedIntervals = [];
+          } else if (interval !== null) {
+            // The rate changed: rebuild the reference from the new intervals
+            rejectedIntervals.push(interval);
+            if (rejectedIntervals.length >= opts.rateChangeIntervals) {
+              recentIntervals = rejectedIntervals;
+              rejectedIntervals = [];
+            }
+          }
+          if (recentIntervals.length > opts.bpmIntervals) recentIntervals.shift();
+
+          // AC/DC ratio of the processed signal; only an approximation of
+          // true perfusion index since devices send scaled waveforms
+          if (dc > 0) perfusionIndex = Math.round((amplitude / dc) * 1000) / 10;
+
+          lastBeatTime = candidate.time;
+          beats.push({ time: candidate.time, interval: accepted ? interval : null, amplitude });
+        }
+      }
+
+      // Look for the next trough from here
+      trough = value;
+    }
+
+    rising = false;
+    candidate = null;
+  };
+
+  return {
+    push(samples, now = Date.now()) {
+      const beats = [];
+      const count = samples.length;
+      if (count === 0) return beats;
+
+      // After a pause in the stream don't stretch samples over the gap
+      const start = lastPushTime === null || now - lastPushTime > opts.maxIntervalMs
+        ? now
+        : lastPushTime;
+      const step = (now - start) / count;
+      for (let i = 0; i < count; i++) {
+        processSample(start + step * (i + 1), samples[i], beats);
+      }
+      lastPushTime = now;
+      return beats;
+    },
+
+    getStats() {
+      return {
+        bpm: recentIntervals.length >= 2 ? Math.round(60000 / median(recentIntervals)) : null,
+        perfusionIndex,
+        lastInterval: intervals.length > 0 ? intervals[intervals.length - 1] : null
+      };
+    },
+
+    getIntervals() {
+      return [...intervals];
+    },
+
+    getHrv() {
+      return computeHrv(intervals);
+    },
+
+    reset() {
+      recent = [];
+      smoothed = [];
+      lastPushTime = null;
+      rising = false;
+      candidate = null;
+      trough = Infinity;
+      lastBeatTime = null;
+      intervals = [];
+      recentIntervals = [];
+      rejectedIntervals = [];
+      perfusionIndex = null;
+    }
+  };
+}
@@ -0,0 +1,158 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { computeHrv, createBeatDetector } from './beatDetection';
+
+const T0 = new Date('2025-01-01T00:00:00.000Z').getTime();
+const SAMPLE_RATE = 50;
+// Samples per notification, as oximeters send them in small batches
+const BATCH = 5;
+
+// Synthetic pleth with a peak at every beat time: a raised cosine of the
+// given amplitude on a DC level
+function pleth(beatTimes, { dc = 100, amplitude = 20 } = {}) {
+  const end = beatTimes[beatTimes.length - 1];
+  const samples = [];
+  let beat = 0;
+  for (let t = beatTimes[0]; t < end; t += 1000 / SAMPLE_RATE) {
+    while (t >= beatTimes[beat + 1]) beat++;
+    const phase = (t - beatTimes[beat]) / (beatTimes[beat + 1] - beatTimes[beat]);
+    samples.push(Math.round(dc + amplitude * Math.cos(2 * Math.PI * phase)));
+  }
+  return samples;
+}
+
+// Beat times from a list of beat-to-beat intervals
+function beatsAt(intervals, start = T0) {
+  const times = [start];
+  intervals.forEach(interval => times.push(times[times.length - 1] + interval));
+  return times;
+}
+
+// Feed samples in notifications arriving on time; returns all beats found
+function feed(detector, samples, start = T0) {
+  const beats = [];
+  for (let i = 0; i < samples.length; i += BATCH) {
+    const batch = samples.slice(i, i + BATCH);
+    const time = start + ((i + batch.length) * 1000) / SAMPLE_RATE;
+    beats.push(...detector.push(batch, time));
+  }
+  return beats;
+}
+
+describe('computeHrv', () => {
+  it('computes RMSSD and SDNN', () => {
+    expect(computeHrv([800, 900, 800, 900])).toEqual({ count: 4, meanIbi: 850, rmssd: 100, sdnn: 57.7 });
+  });
+
+  it('needs two intervals', () => {
+    expect(computeHrv([])).toEqual({ count: 0, meanIbi: null, rmssd: null, sdnn: null });
+    expect(computeHrv([800])).toEqual({ count: 1, meanIbi: 800, rmssd: null, sdnn: null });
+  });
+});
+
+describe('createBeatDetector', () => {
+  it('derives the pulse rate and perfusion index of a steady pleth', () => {
+    const detector = createBeatDetector();
+    // 75 bpm for 30 seconds
+    const beats = feed(detector, pleth(beatsAt(new Array(38).fill(800))));
+
+    expect(beats.length).toBeGreaterThanOrEqual(36);
+    beats.slice(2).forEach(beat => expect(beat.interval).toBeCloseTo(800, -2));
+
+    const stats = detector.getStats();
+    expect(stats.bpm).toBe(75);
+    // Peak-to-trough 40 on a DC level of 100
+    expect(stats.perfusionIndex).toBeGreaterThan(35);
+    expect(stats.perfusionIndex).toBeLessThanOrEqual(40);
+  });
+
+  it('follows a change of rate', () => {
+    const detector = createBeatDetector();
+    feed(detector, pleth(beatsAt([...new Array(20).fill(1000), ...new Array(20).fill(600)])));
+
+    expect(detector.getStats().bpm).toBe(100);
+  });
+
+  it('measures HRV of alternating intervals', () => {
+    const detector = createBeatDetector();
+    feed(detector, pleth(beatsAt(new Array(30).fill(null).map((_, i) => (i % 2 ? 900 : 800)))));
+
+    const hrv = detector.getHrv();
+    expect(hrv.count).toBeGreaterThanOrEqual(27);
+    expect(hrv.meanIbi).toBeCloseTo(850, -1);
+    expect(hrv.rmssd).toBeGreaterThan(80);
+    expect(hrv.rmssd).toBeLessThan(120);
+    expect(hrv.sdnn).toBeGreaterThan(40);
+    expect(hrv.sdnn).toBeLessThan(60);
+  });
+
+  it('finds no beats in a flat or tiny signal', () => {
+    const detector = createBeatDetector();
+    expect(feed(detector, new Array(500).fill(100))).toEqual([]);
+    expect(feed(detector, pleth(beatsAt(new Array(10).fill(800)), { amplitude: 0.5 }))).toEqual([]);
+    expect(detector.getStats()).toEqual({ bpm: null, perfusionIndex: null, lastInterval: null });
+  });
+
+  it('does not count an interval across a pause in the stream', () => {
+    const detector = createBeatDetector();
+    const samples = pleth(beatsAt(new Array(10).fill(800)));
+    feed(detector, samples);
+    const before = detector.getIntervals().length;
+
+    // The stream resumes 10 s later
+    feed(detector, samples, T0 + 20000);
+    expect(detector.getIntervals().every(interval => interval <= 2000)).toBe(true);
+    expect(detector.getIntervals().length).toBeGreaterThan(before);
+  });
+
+  it('forgets everything on reset', () => {
+    const detector = createBeatDetector();
+    feed(detector, pleth(beatsAt(new Array(10).fill(800))));
+    detector.reset();
+
+    expect(detector.getIntervals()).toEqual([]);
+    expect(detector.getHrv().count).toBe(0);
+    expect(detector.getStats().bpm).toBeNull();
+  });
+});
+
+describe('beat worker', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.resetModules();
+  });
+
+  // Load the worker script into this context and collect what it posts
+  async function loadWorker() {
+    const posted = [];
+    vi.spyOn(self, 'postMessage').mockImplementation(message => posted.push(message));
+    vi.resetModules();
+    await import('../workers/beatWorker');
+    const send = (data) => self.onmessage({ data });
+    return { posted, send };
+  }
+
+  it('posts stats after beats and answers HRV requests', async () => {
+    const { posted, send } = await loadWorker();
+    const samples = pleth(beatsAt(new Array(20).fill(800)));
+    for (let i = 0; i < samples.length; i += BATCH) {
+      send({ type: 'samples', samples: samples.slice(i, i + BATCH), time: T0 + ((i + BATCH) * 1000) / SAMPLE_RATE });
+    }
+
+    const stats = posted.filter(m => m.type === 'stats');
+    expect(stats.length).toBeGreaterThanOrEqual(18);
+    expect(stats[stats.length - 1]).toMatchObject({ bpm: 75, lastInterval: expect.any(Number) });
+
+    send({ type: 'hrv', id: 7 });
+    const reply = posted[posted.length - 1];
+    expect(reply).toMatchObject({ type: 'hrv', id: 7 });
+    expect(reply.hrv.count).toBeGreaterThanOrEqual(16);
+
+    send({ type: 'reset' });
+    send({ type: 'hrv', id: 8 });
+    expect(posted[posted.length - 1]).toEqual({
+      type: 'hrv',
+      id: 8,
+      hrv: { count: 0, meanIbi: null, rmssd: null, sdnn: null }
+    });
+  });
+});
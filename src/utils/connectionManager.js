@@ -0,0 +1,229 @@
+import { getTransport, transportOf } from '../transports';
+
+export const CONNECTION_STATES = {
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting',
+  FAILED: 'failed'
+};
+
+export const DEFAULT_RECONNECT_OPTIONS = {
+  initialDelayMs: 1000,
+  maxDelayMs: 30000,
+  factor: 2,
+  maxAttempts: 10,
+  // Silence in the data stream longer than this is reported as a gap
+  gapThresholdMs: 5000
+};
+
+// Delay before reconnect attempt n (0-based)
+export function backoffDelay(attempt, options = DEFAULT_RECONNECT_OPTIONS) {
+  const { initialDelayMs, maxDelayMs, factor } = { ...DEFAULT_RECONNECT_OPTIONS, ...options };
+  return Math.min(maxDelayMs, initialDelayMs * factor ** attempt);
+}
+
+// Connection manager for one oximeter, over Bluetooth or USB serial.
+//
+// Tracks the connection as a state machine (idle, connecting, connected,
+// reconnecting, failed), reconnects with exponential backoff after an
+// unexpected disconnect and keeps exactly one notification subscription.
+// Everything it touches is injectable so it can run against a fake
+// navigator.bluetooth or navigator.serial and fake timers.
+export function createConnectionManager({
+  bluetooth = typeof navigator !== 'undefined' ? navigator.bluetooth : undefined,
+  serial = typeof navigator !== 'undefined' ? navigator.serial : undefined,
+  onSample = () => {},
+  onStateChange = () => {},
+  onGap = () => {},
+  options = {},
+  timers = { setTimeout, clearTimeout },
+  now = () => Date.now()
+} = {}) {
+  const opts = { ...DEFAULT_RECONNECT_OPTIONS, ...options };
+
+  let state = CONNECTION_STATES.IDLE;
+  let device = null;
+  let transport = null;
+  let driver = null;
+  let stopNotifications = null;
+  let attempt = 0;
+  let retryTimer = null;
+  let nextRetryAt = null;
+  let lastSampleTime = null;
+  // Start of the gap opened by an unexpected disconnect
+  let gapStart = null;
+  let lastError = null;
+
+  const snapshot = () => ({
+    state,
+    device,
+    driver,
+    attempt,
+    nextRetryAt,
+    error: lastError
+  });
+
+  const setState = (newState) => {
+    state = newState;
+    onStateChange(snapshot());
+  };
+
+  const unsubscribe = () => {
+    if (stopNotifications) {
+      stopNotifications();
+      stopNotifications = null;
+    }
+  };
+
+  const cancelRetry = () => {
+    if (retryTimer !== null) {
+      timers.clearTimeout(retryTimer);
+      retryTimer = null;
+    }
+    nextRetryAt = null;
+  };
+
+  const reportGap = (start, end) => {
+    if (end - start <= opts.gapThresholdMs) return;
+    onGap({
+      start: new Date(start).toISOString(),
+      end: new Date(end).toISOString(),
+      durationMs: end - start,
+      deviceId: device ? device.id : null
+    });
+  };
+
+  // Report the gap of a lost connection once it is back or given up
+  const closeGap = () => {
+    if (gapStart === null) return;
+    reportGap(gapStart, now());
+    gapStart = null;
+  };
+
+  const handleSample = (sample, sampleDriver) => {
+    const time = now();
+    if (lastSampleTime !== null) reportGap(lastSampleTime, time);
+    lastSampleTime = time;
+    onSample(sample, sampleDriver, device);
+  };
+
+  // Open the link and start the driver, replacing any previous subscription
+  const setup = async () => {
+    unsubscribe();
+    const result = await transport.start(device, handleSample);
+    stopNotifications = result.stop;
+    driver = result.driver;
+    attempt = 0;
+    lastError = null;
+    closeGap();
+    setState(CONNECTION_STATES.CONNECTED);
+  };
+
+  const scheduleReconnect = () => {
+    if (attempt >= opts.maxAttempts) {
+      closeGap();
+      setState(CONNECTION_STATES.FAILED);
+      return;
+    }
+
+    const delay = backoffDelay(attempt, opts);
+    attempt++;
+    nextRetryAt = now() + delay;
+    setState(CONNECTION_STATES.RECONNECTING);
+
+    retryTimer = timers.setTimeout(async () => {
+      retryTimer = null;
+      nextRetryAt = null;
+      try {
+        await setup();
+      } catch (e) {
+        lastError = e;
+        // A disconnect during setup may already have scheduled a retry
+        if (state === CONNECTION_STATES.RECONNECTING && retryTimer === null) {
+          scheduleReconnect();
+        }
+      }
+    }, delay);
+  };
+
+  const handleDisconnect = () => {
+    unsubscribe();
+    if (state === CONNECTION_STATES.IDLE || state === CONNECTION_STATES.FAILED) return;
+    // The data stops with the last sample before the link went down
+    if (gapStart === null) gapStart = lastSampleTime !== null ? lastSampleTime : now();
+    lastSampleTime = null;
+    if (retryTimer !== null) return;
+    scheduleReconnect();
+  };
+
+  const attach = (newDevice) => {
+    if (device === newDevice) return;
+    if (device) device.removeEventListener(transport.disconnectEvent, handleDisconnect);
+    device = newDevice;
+    transport = transportOf(device);
+    device.addEventListener(transport.disconnectEvent, handleDisconnect);
+  };
+
+  return {
+    getState: snapshot,
+
+    // Connect to a device we already have a handle for
+    async connect(newDevice) {
+      cancelRetry();
+      attach(newDevice);
+      attempt = 0;
+      lastError = null;
+      lastSampleTime = null;
+      setState(CONNECTION_STATES.CONNECTING);
+
+      try {
+        await setup();
+      } catch (e) {
+        lastError = e;
+        cancelRetry();
+        unsubscribe();
+        closeGap();
+        setState(CONNECTION_STATES.FAILED);
+        throw e;
+      }
+    },
+
+    // Show the device or port chooser of a transport and connect to the choice
+    async requestAndConnect(transportId = 'bluetooth') {
+      const chooser = getTransport(transportId);
+      const api = { bluetooth, serial }[transportId];
+      if (!api) {
+        throw new Error(chooser.unsupportedMessage);
+      }
+      const chosen = await chooser.requestDevice(api);
+      return this.connect(chosen);
+    },
+
+    // Try again immediately after the retries ran out
+    async retry() {
+      if (!device) throw new Error('No device to reconnect to. Please connect first.');
+      return this.connect(device);
+    },
+
+    // Deliberate disconnect: no automatic reconnection
+    disconnect() {
+      cancelRetry();
+      unsubscribe();
+      attempt = 0;
+      // Silence after a deliberate disconnect is no gap
+      closeGap();
+      lastSampleTime = null;
+      setState(CONNECTION_STATES.IDLE);
+      if (device && transport.isConnected(device)) transport.close(device);
+    },
+
+    // Disconnect and forget the device, e.g. on unmount
+    destroy() {
+      this.disconnect();
+      if (device) device.removeEventListener(transport.disconnectEvent, handleDisconnect);
+      device = null;
+      transport = null;
+    }
+  };
+}
@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createConnectionManager, CONNECTION_STATES } from './connectionManager';
+import { createMockDevice, createMockBluetooth } from '../test/mockBluetooth';
+
+const T0 = new Date('2025-01-01T22:00:00.000Z').getTime();
+const HOUR = 60 * 60 * 1000;
+
+let device;
+let gaps;
+let manager;
+
+function createManager(options = {}) {
+  return createConnectionManager({
+    bluetooth: createMockBluetooth(device),
+    onGap: (gap) => gaps.push(gap),
+    options
+  });
+}
+
+// One measurement from the 0xFEE0 oximeter
+const measure = () => device.notify([0xF1, 72, 97, 0x00]);
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(T0);
+  device = createMockDevice();
+  gaps = [];
+});
+
+afterEach(() => {
+  manager.destroy();
+  vi.useRealTimers();
+});
+
+describe('data gaps', () => {
+  it('logs silence in the stream while connected', async () => {
+    manager = createManager();
+    await manager.requestAndConnect();
+    measure();
+    await vi.advanceTimersByTimeAsync(8000);
+    measure();
+
+    expect(gaps).toEqual([{
+      start: new Date(T0).toISOString(),
+      end: new Date(T0 + 8000).toISOString(),
+      durationMs: 8000,
+      deviceId: 'mock-device'
+    }]);
+  });
+
+  it('logs no gap across a deliberate disconnect', async () => {
+    manager = createManager();
+    await manager.requestAndConnect();
+    measure();
+    manager.disconnect();
+
+    await vi.advanceTimersByTimeAsync(HOUR);
+    await manager.connect(device);
+    measure();
+
+    expect(gaps).toEqual([]);
+  });
+
+  it('logs a lost connection from the last sample until it is back', async () => {
+    manager = createManager();
+    await manager.requestAndConnect();
+    measure();
+    await vi.advanceTimersByTimeAsync(2000);
+    device.drop({ unreachable: true });
+
+    // Retries after 1, 2 and 4 s fail; the one after 8 s succeeds
+    await vi.advanceTimersByTimeAsync(7000);
+    device.setReachable(true);
+    await vi.advanceTimersByTimeAsync(8000);
+    expect(manager.getState().state).toBe(CONNECTION_STATES.CONNECTED);
+    measure();
+
+    expect(gaps).toEqual([expect.objectContaining({
+      start: new Date(T0).toISOString(),
+      end: new Date(T0 + 17000).toISOString(),
+      durationMs: 17000
+    })]);
+  });
+
+  it('logs a lost connection when reconnecting gives up', async () => {
+    manager = createManager({ maxAttempts: 3 });
+    await manager.requestAndConnect();
+    measure();
+    await vi.advanceTimersByTimeAsync(1000);
+    device.drop({ unreachable: true });
+
+    // Retries after 1, 2 and 4 s fail
+    await vi.advanceTimersByTimeAsync(7000);
+    expect(manager.getState().state).toBe(CONNECTION_STATES.FAILED);
+    expect(gaps).toEqual([expect.objectContaining({
+      start: new Date(T0).toISOString(),
+      end: new Date(T0 + 8000).toISOString()
+    })]);
+  });
+});
@@ -0,0 +1,122 @@
+// WebCrypto primitives for encrypted storage. Ciphertext and keys are
+// passed around as base64 strings so they fit in IndexedDB records, JSON
+// exports and sync uploads alike.
+
+export const PBKDF2_ITERATIONS = 310000;
+const IV_BYTES = 12;
+const SALT_BYTES = 16;
+
+const RSA_PARAMS = {
+  name: 'RSA-OAEP',
+  modulusLength: 2048,
+  publicExponent: new Uint8Array([1, 0, 1]),
+  hash: 'SHA-256'
+};
+
+export function toBase64(bytes) {
+  const view = new Uint8Array(bytes);
+  let binary = '';
+  for (let i = 0; i < view.length; i += 0x8000) {
+    binary += String.fromCharCode(...view.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+export function randomSalt() {
+  return toBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+}
+
+// AES-GCM key derived from the passphrase; it encrypts exports and wraps
+// the private key
+export async function derivePassphraseKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey']
+  );
+}
+
+export async function encryptJSON(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+// Throws if the key is wrong or the ciphertext was tampered with
+export async function decryptJSON(key, { iv, data }) {
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data));
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+// Key pair for encrypting data keys: the public key lets the app write
+// while locked, the private key (wrapped by the passphrase) reads
+export function generateKeyPair() {
+  return crypto.subtle.generateKey(RSA_PARAMS, true, ['wrapKey', 'unwrapKey']);
+}
+
+export function exportPublicKey(publicKey) {
+  return crypto.subtle.exportKey('jwk', publicKey);
+}
+
+export function importPublicKey(jwk) {
+  return crypto.subtle.importKey('jwk', jwk, RSA_PARAMS, false, ['wrapKey']);
+}
+
+export async function wrapPrivateKey(privateKey, passphraseKey) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await crypto.subtle.wrapKey('pkcs8', privateKey, passphraseKey, { name: 'AES-GCM', iv });
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+export function unwrapPrivateKey({ iv, data }, passphraseKey) {
+  return crypto.subtle.unwrapKey(
+    'pkcs8',
+    fromBase64(data),
+    passphraseKey,
+    { name: 'AES-GCM', iv: fromBase64(iv) },
+    RSA_PARAMS,
+    false,
+    ['unwrapKey']
+  );
+}
+
+// Symmetric key that encrypts the records themselves
+export function generateDataKey() {
+  return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+}
+
+export async function wrapDataKey(dataKey, publicKey) {
+  return toBase64(await crypto.subtle.wrapKey('raw', dataKey, publicKey, { name: 'RSA-OAEP' }));
+}
+
+export function unwrapDataKey(wrapped, privateKey) {
+  return crypto.subtle.unwrapKey(
+    'raw',
+    fromBase64(wrapped),
+    privateKey,
+    { name: 'RSA-OAEP' },
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
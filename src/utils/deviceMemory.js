@@ -0,0 +1,88 @@
+import { addReadings, createSession, updateSession, getSessionReadings, hasDeviceReadings } from './storage';
+import { computeSessionSummary } from './sessions';
+import { createSignalQualityMonitor } from './signalQuality';
+import { getDriver } from '../drivers';
+import { openPort } from '../transports/serial';
+
+// Recordings downloaded from an oximeter's internal memory become
+// sessions of the active profile, with readings at their original times.
+
+export const MEMORY_SESSION_LABEL = 'Device recording';
+
+// Readings of one downloaded recording, classified like live readings
+// (without a waveform)
+export function recordingToReadings(recording, details = {}) {
+  const quality = createSignalQualityMonitor();
+  const start = recording.startedAt.getTime();
+
+  return recording.points.map(({ spo2, bpm }, i) => {
+    const time = start + i * recording.intervalMs;
+    return {
+      ...details,
+      bpm,
+      spo2,
+      timestamp: new Date(time).toISOString(),
+      quality: quality.assess({ spo2, bpm }, time).quality
+    };
+  });
+}
+
+// Import a recording as a finished session. Recordings whose readings are
+// already stored, under any profile, are skipped. Returns the session with
+// the number of readings stored, or null.
+export async function importRecording(recording, { deviceId, label = MEMORY_SESSION_LABEL } = {}) {
+  if (recording.points.length === 0) return null;
+
+  const startedAt = recording.startedAt.toISOString();
+  const endedAt = new Date(recording.startedAt.getTime() + recording.points.length * recording.intervalMs).toISOString();
+  if (await hasDeviceReadings(deviceId, startedAt, endedAt)) return null;
+
+  const sessionId = await createSession(label, '', { deviceId, source: 'deviceMemory' });
+  await addReadings(recordingToReadings(recording, { sessionId, deviceId }));
+
+  // addReadings skips readings the profile already has
+  const readings = await getSessionReadings(sessionId);
+  const session = await updateSession(sessionId, {
+    startedAt,
+    endedAt,
+    summary: computeSessionSummary(readings, startedAt, endedAt)
+  });
+  return { session, readings: readings.length };
+}
+
+// Download the recordings stored on a serial oximeter and import each as a
+// session. onProgress gets { received, total, recording, recordings }.
+// Returns counts of recordings, imported sessions and readings.
+export async function syncDeviceMemory(port, { driver = getDriver('cms50-serial'), onProgress, timers } = {}) {
+  if (!driver || !driver.readMemory) throw new Error('This oximeter has no stored recordings to download');
+
+  let link;
+  try {
+    link = await openPort(port, driver, timers);
+  } catch (e) {
+    if (e.name === 'InvalidStateError') {
+      throw new Error('The oximeter is connected to a monitor. Disconnect it first.');
+    }
+    throw e;
+  }
+
+  let memory;
+  try {
+    memory = await driver.readMemory(link, { onProgress });
+  } finally {
+    await link.release();
+  }
+
+  const deviceId = `${driver.id}:${memory.deviceId || 'unknown'}`;
+  const result = { recordings: memory.recordings.length, imported: 0, skipped: 0, readings: 0 };
+  for (const recording of memory.recordings) {
+    const imported = await importRecording(recording, { deviceId });
+    if (imported) {
+      result.imported++;
+      result.readings += imported.readings;
+    } else {
+      result.skipped++;
+    }
+  }
+  return result;
+}
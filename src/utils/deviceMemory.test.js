@@ -0,0 +1,158 @@
+import { describe, it, expect } from 'vitest';
+import { getReadings, getSessions, getSessionReadings, addReadings, createProfile, setActiveProfileId, DEFAULT_PROFILE_ID } from './storage';
+import { recordingToReadings, syncDeviceMemory, MEMORY_SESSION_LABEL } from './deviceMemory';
+import { QUALITY } from './signalQuality';
+import { openPort } from '../transports/serial';
+import cms50Driver, { COMMANDS, readMemory } from '../drivers/cms50';
+import { REPLIES, RECORDING_START, hex, commandOf, createMemoryPort } from '../test/cms50Memory';
+
+// Timers that time out right away
+const IMPATIENT_TIMERS = {
+  setTimeout: (fn) => setTimeout(fn, 0),
+  clearTimeout,
+  setInterval,
+  clearInterval
+};
+
+describe('readMemory', () => {
+  it('lists and downloads stored recordings with their start times', async () => {
+    const port = createMemoryPort();
+    const progress = [];
+    const link = await openPort(port, cms50Driver);
+    const memory = await readMemory(link, { onProgress: (p) => progress.push(p) });
+    await link.release();
+
+    expect(memory.deviceId).toBe('CMS50E1');
+    expect(memory.recordings).toHaveLength(2);
+    expect(memory.recordings[0].startedAt.getTime()).toBe(RECORDING_START);
+    expect(memory.recordings[0].intervalMs).toBe(1000);
+    expect(memory.recordings[0].points).toEqual([
+      { spo2: 97, bpm: 64 },
+      { spo2: 96, bpm: 65 },
+      { spo2: 95, bpm: 66 },
+      { spo2: 127, bpm: 255 },
+      { spo2: 94, bpm: 70 }
+    ]);
+    expect(memory.recordings[1].startedAt.getTime()).toBe(new Date(2025, 0, 2, 13, 5, 10).getTime());
+    expect(memory.recordings[1].points).toEqual([]);
+
+    expect(port.written.map(bytes => commandOf(bytes))).toEqual([
+      [COMMANDS.STOP_REALTIME, 0],
+      [COMMANDS.GET_DEVICE_ID, 0],
+      [COMMANDS.GET_RECORDING_COUNT, 0],
+      [COMMANDS.GET_RECORDING_INFO, 0],
+      [COMMANDS.GET_RECORDING_INFO, 1],
+      [COMMANDS.START_STORED_DATA, 0],
+      [COMMANDS.STOP_STORED_DATA, 0]
+    ]);
+    expect(progress[0]).toEqual({ received: 0, total: 5, recording: 0, recordings: 2 });
+    expect(progress[progress.length - 1]).toEqual({ received: 5, total: 5, recording: 1, recordings: 2 });
+    expect(port.opened).toBe(false);
+  });
+
+  it('reports progress in steps on long recordings', async () => {
+    const points = 1000;
+    const data = Array.from({ length: Math.ceil(points / 3) }, () => hex('0F 80 E1 C0 E1 C0 E1 C0')).flat();
+    const port = createMemoryPort({
+      ...REPLIES,
+      [COMMANDS.GET_RECORDING_COUNT]: () => hex('03 80 81'),
+      // 1000 points: E8 03 00
+      [COMMANDS.GET_RECORDING_INFO]: () => hex('05 80 80 99 81 81 96 9E 80  08 82 80 E8 83 80'),
+      [COMMANDS.START_STORED_DATA]: () => data
+    });
+    const progress = [];
+    const link = await openPort(port, cms50Driver);
+    const memory = await readMemory(link, { onProgress: (p) => progress.push(p.received) });
+    await link.release();
+
+    expect(memory.recordings[0].points).toHaveLength(points);
+    expect(progress).toEqual([0, 300, 600, 900, 1000]);
+  });
+});
+
+describe('syncDeviceMemory', () => {
+  it('imports recordings as sessions with historical timestamps', async () => {
+    const progress = [];
+    const result = await syncDeviceMemory(createMemoryPort(), { onProgress: (p) => progress.push(p) });
+    expect(result).toEqual({ recordings: 2, imported: 1, skipped: 1, readings: 5 });
+    expect(progress.length).toBeGreaterThan(1);
+
+    const [session] = await getSessions();
+    expect(session).toMatchObject({
+      label: MEMORY_SESSION_LABEL,
+      deviceId: 'cms50-serial:CMS50E1',
+      source: 'deviceMemory',
+      startedAt: new Date(RECORDING_START).toISOString(),
+      endedAt: new Date(RECORDING_START + 5000).toISOString()
+    });
+    expect(session.summary).toMatchObject({ durationMs: 5000, readingCount: 4, spo2Min: 94, bpmMax: 70 });
+
+    const readings = await getSessionReadings(session.id);
+    expect(readings.map(r => [r.timestamp, r.spo2, r.bpm, r.quality])).toEqual([
+      [new Date(RECORDING_START).toISOString(), 97, 64, QUALITY.VALID],
+      [new Date(RECORDING_START + 1000).toISOString(), 96, 65, QUALITY.VALID],
+      [new Date(RECORDING_START + 2000).toISOString(), 95, 66, QUALITY.VALID],
+      [new Date(RECORDING_START + 3000).toISOString(), 127, 255, QUALITY.NO_FINGER],
+      [new Date(RECORDING_START + 4000).toISOString(), 94, 70, QUALITY.VALID]
+    ]);
+    expect(readings.every(r => r.deviceId === 'cms50-serial:CMS50E1' && r.synced === false)).toBe(true);
+  });
+
+  it('skips recordings imported before', async () => {
+    await syncDeviceMemory(createMemoryPort());
+    const result = await syncDeviceMemory(createMemoryPort());
+
+    expect(result).toEqual({ recordings: 2, imported: 0, skipped: 2, readings: 0 });
+    expect(await getSessions()).toHaveLength(1);
+    expect(await getReadings(null, null)).toHaveLength(5);
+  });
+
+  it('skips recordings imported before under another profile', async () => {
+    await syncDeviceMemory(createMemoryPort());
+    setActiveProfileId(await createProfile({ name: 'Ann' }));
+
+    expect(await syncDeviceMemory(createMemoryPort())).toMatchObject({ imported: 0, skipped: 2 });
+    expect(await getSessions()).toEqual([]);
+    setActiveProfileId(DEFAULT_PROFILE_ID);
+    expect(await getReadings(null, null)).toHaveLength(5);
+  });
+
+  it('summarises the readings actually stored', async () => {
+    // An earlier file import already holds the first two seconds
+    await addReadings([0, 1000].map(offset => ({ timestamp: new Date(RECORDING_START + offset).toISOString(), spo2: 90, bpm: 50 })));
+
+    expect(await syncDeviceMemory(createMemoryPort())).toMatchObject({ imported: 1, readings: 3 });
+    const [session] = await getSessions();
+    expect(session.summary).toMatchObject({ readingCount: 2, spo2Min: 94, bpmMin: 66 });
+    expect(await getSessionReadings(session.id)).toHaveLength(3);
+  });
+
+  it('gives up and closes the port when the device stops answering', async () => {
+    const port = createMemoryPort({ ...REPLIES, [COMMANDS.START_STORED_DATA]: () => hex('0F 80 E1 C0 E0 C1 DF C2') });
+
+    await expect(syncDeviceMemory(port, { timers: IMPATIENT_TIMERS })).rejects.toThrow('The device stopped responding');
+    expect(port.opened).toBe(false);
+    expect(await getSessions()).toEqual([]);
+  });
+
+  it('refuses a port a monitor has open', async () => {
+    const port = createMemoryPort();
+    await port.open({ baudRate: 115200 });
+
+    await expect(syncDeviceMemory(port)).rejects.toThrow('The oximeter is connected to a monitor. Disconnect it first.');
+  });
+});
+
+describe('recordingToReadings', () => {
+  it('spaces readings by the recording interval', () => {
+    const readings = recordingToReadings(
+      { startedAt: new Date(RECORDING_START), intervalMs: 4000, points: [{ spo2: 98, bpm: 60 }, { spo2: 97, bpm: 61 }] },
+      { sessionId: 7 }
+    );
+    expect(readings.map(r => r.timestamp)).toEqual([
+      new Date(RECORDING_START).toISOString(),
+      new Date(RECORDING_START + 4000).toISOString()
+    ]);
+    expect(readings[0]).toMatchObject({ sessionId: 7, spo2: 98, bpm: 60, quality: QUALITY.VALID });
+  });
+});
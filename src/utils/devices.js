@@ -0,0 +1,95 @@
+import { saveSetting, getSetting } from './storage';
+
+// Remembered oximeters: [{ id, name, originalName, driverId, lastConnected }]
+export const PAIRED_DEVICES_KEY = 'pairedDevices';
+
+const ADVERTISEMENT_TIMEOUT_MS = 15000;
+
+// Remembered devices, most recently connected first
+export async function getPairedDevices() {
+  const devices = await getSetting(PAIRED_DEVICES_KEY, []);
+  return [...(devices || [])].sort((a, b) => (b.lastConnected || '').localeCompare(a.lastConnected || ''));
+}
+
+// Add or refresh a device after a successful connection, keeping its friendly name
+export async function rememberDevice(device, driver) {
+  const devices = await getPairedDevices();
+  const existing = devices.find(d => d.id === device.id);
+  const entry = {
+    id: device.id,
+    name: existing ? existing.name : (device.name || 'Oximeter'),
+    originalName: device.name || null,
+    driverId: driver ? driver.id : null,
+    lastConnected: new Date().toISOString()
+  };
+
+  await saveSetting(PAIRED_DEVICES_KEY, [entry, ...devices.filter(d => d.id !== device.id)]);
+  return entry;
+}
+
+export async function renameDevice(id, name) {
+  const devices = await getPairedDevices();
+  await saveSetting(PAIRED_DEVICES_KEY, devices.map(d => (d.id === id ? { ...d, name } : d)));
+}
+
+// Forget a device and revoke the browser permission where supported
+export async function forgetDevice(id, bluetooth = navigator.bluetooth) {
+  const devices = await getPairedDevices();
+  await saveSetting(PAIRED_DEVICES_KEY, devices.filter(d => d.id !== id));
+
+  if (bluetooth && bluetooth.getDevices) {
+    const permitted = await bluetooth.getDevices();
+    const device = permitted.find(d => d.id === id);
+    if (device && device.forget) await device.forget();
+  }
+}
+
+// Look up a friendly name for a device id
+export function deviceLabel(pairedDevices, id) {
+  const entry = pairedDevices.find(d => d.id === id);
+  return entry ? entry.name : null;
+}
+
+// Permitted Bluetooth devices that we remember, most recent first.
+// Needs getDevices() (Chrome with persistent permissions).
+export async function getKnownBluetoothDevices(bluetooth = navigator.bluetooth) {
+  if (!bluetooth || !bluetooth.getDevices) return [];
+
+  const [paired, permitted] = await Promise.all([getPairedDevices(), bluetooth.getDevices()]);
+  return paired
+    .map(entry => permitted.find(d => d.id === entry.id))
+    .filter(Boolean);
+}
+
+// Resolve once the device advertises, i.e. is powered on and in range.
+// Resolves immediately where watchAdvertisements() is unavailable.
+export function waitForAdvertisement(device, timeoutMs = ADVERTISEMENT_TIMEOUT_MS) {
+  if (!device.watchAdvertisements) return Promise.resolve(true);
+
+  return new Promise((resolve, reject) => {
+    const abortController = new AbortController();
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      device.removeEventListener('advertisementreceived', handleAdvertisement);
+      abortController.abort();
+    };
+
+    const handleAdvertisement = () => {
+      cleanup();
+      resolve(true);
+    };
+
+    const timer = setTimeout(() => {
+      cleanup();
+      resolve(false);
+    }, timeoutMs);
+
+    device.addEventListener('advertisementreceived', handleAdvertisement);
+    device.watchAdvertisements({ signal: abortController.signal })
+      .catch(err => {
+        cleanup();
+        reject(err);
+      });
+  });
+}
@@ -0,0 +1,287 @@
+import {
+  getSetting,
+  saveSetting,
+  deleteSettings,
+  setRecordCodec,
+  reencodeRecords
+} from './storage';
+import {
+  PBKDF2_ITERATIONS,
+  toBase64,
+  randomSalt,
+  derivePassphraseKey,
+  encryptJSON,
+  decryptJSON,
+  generateKeyPair,
+  exportPublicKey,
+  importPublicKey,
+  wrapPrivateKey,
+  unwrapPrivateKey,
+  generateDataKey,
+  wrapDataKey,
+  unwrapDataKey
+} from './crypto';
+
+// Optional passphrase-protected storage of readings.
+//
+// Records are encrypted with AES-GCM data keys. Each data key is wrapped
+// with an RSA public key, whose private key is in turn wrapped with a key
+// derived from the passphrase (PBKDF2). The app can therefore keep storing
+// readings while locked, e.g. overnight, but reading them back needs the
+// passphrase. Settings: ENCRYPTION_KEY holds { salt, iterations,
+// publicKey, wrappedPrivateKey, migrating }, and each data key is stored
+// wrapped under DATA_KEY_PREFIX + its id.
+export const ENCRYPTION_KEY = 'encryption';
+const DATA_KEY_PREFIX = 'encryptionDataKey:';
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+// Marks exported files encrypted with the passphrase
+export const ENCRYPTED_EXPORT_FORMAT = 'oximeter-encrypted-export';
+
+let config = null;
+let loading = null;
+let publicKey = null;
+let privateKey = null;
+let passphraseKey = null;
+let writeKey = null;
+const dataKeys = new Map();
+const listeners = new Set();
+
+const notify = () => listeners.forEach(listener => listener());
+
+// Data key used to encrypt new records, created once per page load
+function getWriteKey() {
+  if (!writeKey) {
+    writeKey = (async () => {
+      const id = toBase64(crypto.getRandomValues(new Uint8Array(9)));
+      const key = await generateDataKey();
+      await saveSetting(`${DATA_KEY_PREFIX}${id}`, await wrapDataKey(key, publicKey));
+      return { id, key };
+    })();
+    writeKey.catch(() => {
+      writeKey = null;
+    });
+  }
+  return writeKey;
+}
+
+async function getDataKey(id) {
+  if (!dataKeys.has(id)) {
+    const wrapped = await getSetting(`${DATA_KEY_PREFIX}${id}`, null);
+    if (!wrapped) throw new Error(`Missing encryption key ${id}`);
+    dataKeys.set(id, await unwrapDataKey(wrapped, privateKey));
+  }
+  return dataKeys.get(id);
+}
+
+const codec = {
+  async seal(record, clearFields) {
+    const { id, key } = await getWriteKey();
+    const clear = {};
+    const payload = {};
+    Object.entries(record).forEach(([field, value]) => {
+      if (clearFields.includes(field)) {
+        clear[field] = value;
+      } else {
+        payload[field] = value;
+      }
+    });
+    return { ...clear, encrypted: { keyId: id, ...(await encryptJSON(key, payload)) } };
+  },
+
+  async open(record) {
+    if (!privateKey) return null;
+    const { encrypted, ...clear } = record;
+    const key = await getDataKey(encrypted.keyId);
+    return { ...clear, ...(await decryptJSON(key, encrypted)) };
+  }
+};
+
+// Load the stored configuration and install the codec. Call once on startup,
+// before readings are written.
+export function loadEncryption() {
+  if (!loading) {
+    loading = (async () => {
+      config = await getSetting(ENCRYPTION_KEY, null);
+      if (!config) return;
+
+      publicKey = await importPublicKey(config.publicKey);
+      setRecordCodec(codec);
+      notify();
+
+      // Finish sealing plaintext records if enabling was interrupted
+      if (config.migrating) await finishMigration();
+    })();
+    loading.catch(err => console.error('Failed to load encryption settings:', err));
+  }
+  return loading;
+}
+
+async function finishMigration() {
+  const { skipped } = await reencodeRecords();
+  if (skipped > 0) return;
+  config = { ...config, migrating: false };
+  await saveSetting(ENCRYPTION_KEY, config);
+}
+
+export function isEncryptionEnabled() {
+  return Boolean(config);
+}
+
+export function isLocked() {
+  return Boolean(config) && !privateKey;
+}
+
+// Call listener whenever encryption is switched on or off, locked or unlocked
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export async function unlock(passphrase) {
+  await loadEncryption();
+  if (!config) return;
+
+  const key = await derivePassphraseKey(passphrase, config.salt, config.iterations);
+  try {
+    privateKey = await unwrapPrivateKey(config.wrappedPrivateKey, key);
+  } catch {
+    throw new Error('Wrong passphrase');
+  }
+  passphraseKey = key;
+  notify();
+}
+
+export function lock() {
+  privateKey = null;
+  passphraseKey = null;
+  dataKeys.clear();
+  notify();
+}
+
+// Switch encryption on and encrypt every stored reading and aggregate.
+// Returns the number of records encrypted.
+export async function enableEncryption(passphrase, { onProgress } = {}) {
+  await loadEncryption();
+  if (config) throw new Error('Encryption is already enabled');
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+
+  const salt = randomSalt();
+  const key = await derivePassphraseKey(passphrase, salt);
+  const pair = await generateKeyPair();
+  const newConfig = {
+    salt,
+    iterations: PBKDF2_ITERATIONS,
+    publicKey: await exportPublicKey(pair.publicKey),
+    wrappedPrivateKey: await wrapPrivateKey(pair.privateKey, key),
+    migrating: true
+  };
+  if (!(await saveSetting(ENCRYPTION_KEY, newConfig))) {
+    throw new Error('Failed to save encryption settings');
+  }
+
+  config = newConfig;
+  publicKey = pair.publicKey;
+  privateKey = pair.privateKey;
+  passphraseKey = key;
+  writeKey = null;
+  dataKeys.clear();
+  setRecordCodec(codec);
+  notify();
+
+  const { rewritten } = await reencodeRecords(onProgress);
+  config = { ...config, migrating: false };
+  await saveSetting(ENCRYPTION_KEY, config);
+  return rewritten;
+}
+
+// Decrypt every stored record and switch encryption off. Needs the
+// passphrase. Returns the number of records decrypted.
+export async function disableEncryption(passphrase, { onProgress } = {}) {
+  await unlock(passphrase);
+  if (!config) return 0;
+
+  // Stop sealing new records while the existing ones are decrypted
+  setRecordCodec({ open: codec.open });
+  const { rewritten, skipped } = await reencodeRecords(onProgress);
+  if (skipped > 0) {
+    setRecordCodec(codec);
+    throw new Error(`${skipped} records could not be decrypted; encryption stays enabled`);
+  }
+
+  await saveSetting(ENCRYPTION_KEY, null);
+  await deleteSettings(DATA_KEY_PREFIX);
+  config = null;
+  publicKey = null;
+  writeKey = null;
+  setRecordCodec(null);
+  lock();
+  return rewritten;
+}
+
+// Key material a holder of the passphrase needs to decrypt uploaded
+// records: the wrapped private key and the wrapped data keys they use.
+// Returns null if none of the records are encrypted.
+export async function getKeyBundle(records) {
+  const keyIds = [...new Set(records.filter(r => r.encrypted).map(r => r.encrypted.keyId))];
+  if (keyIds.length === 0) return null;
+
+  const stored = await getSetting(ENCRYPTION_KEY, null);
+  if (!stored) throw new Error('Encrypted records without encryption settings');
+
+  const wrappedKeys = {};
+  for (const id of keyIds) {
+    wrappedKeys[id] = await getSetting(`${DATA_KEY_PREFIX}${id}`, null);
+  }
+  return {
+    salt: stored.salt,
+    iterations: stored.iterations,
+    wrappedPrivateKey: stored.wrappedPrivateKey,
+    dataKeys: wrappedKeys
+  };
+}
+
+// Encrypt an export file with the passphrase; needs to be unlocked
+export async function encryptExport(filename, content) {
+  if (!passphraseKey) throw new Error('Unlock encrypted storage to export');
+  return JSON.stringify({
+    format: ENCRYPTED_EXPORT_FORMAT,
+    version: 1,
+    salt: config.salt,
+    iterations: config.iterations,
+    ...(await encryptJSON(passphraseKey, { filename, content }))
+  });
+}
+
+export function isEncryptedExport(text) {
+  try {
+    return JSON.parse(text).format === ENCRYPTED_EXPORT_FORMAT;
+  } catch {
+    return false;
+  }
+}
+
+// Decrypt an encrypted export to { filename, content }. Files from this
+// device's current passphrase open without asking again while unlocked.
+export async function decryptExport(text, passphrase) {
+  const file = JSON.parse(text);
+  const key = passphraseKey && config && file.salt === config.salt
+    ? passphraseKey
+    : await derivePassphraseKey(passphrase || '', file.salt, file.iterations);
+  try {
+    return await decryptJSON(key, file);
+  } catch {
+    throw new Error('Wrong passphrase');
+  }
+}
+
+// Encrypted exports of this device can be opened without a passphrase prompt
+export function canDecryptWithoutPassphrase(text) {
+  try {
+    return Boolean(passphraseKey && config && JSON.parse(text).salt === config.salt);
+  } catch {
+    return false;
+  }
+}
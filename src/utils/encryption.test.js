@@ -0,0 +1,271 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const PASSPHRASE = 'correct horse battery';
+const DAY = 24 * 60 * 60 * 1000;
+
+// Encryption state lives in module scope; every test (and every simulated
+// page load) gets fresh modules on top of the same database
+let storage;
+let encryption;
+
+async function loadModules() {
+  vi.resetModules();
+  storage = await import('./storage');
+  encryption = await import('./encryption');
+}
+
+// Records exactly as stored in IndexedDB
+function rawRecords(storeName) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open('oximeter-pwa-db');
+    request.onsuccess = () => {
+      const db = request.result;
+      const getAll = db.transaction([storeName], 'readonly').objectStore(storeName).getAll();
+      getAll.onsuccess = () => {
+        db.close();
+        resolve(getAll.result);
+      };
+      getAll.onerror = () => reject(getAll.error);
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+beforeEach(async () => {
+  await loadModules();
+});
+
+describe('encrypted storage', () => {
+  it('encrypts existing readings when enabled and reads them while unlocked', async () => {
+    await storage.saveReading(70, 97, { monitorId: 'monitor-1', perfusionIndex: 2.5 });
+    await storage.saveReading(72, 96);
+
+    expect(await encryption.enableEncryption(PASSPHRASE)).toBe(2);
+
+    const raw = await rawRecords('readings');
+    expect(raw).toHaveLength(2);
+    raw.forEach(record => {
+      expect(record.encrypted).toBeTruthy();
+      expect(record.bpm).toBeUndefined();
+      expect(record.spo2).toBeUndefined();
+    });
+    expect(raw[0].monitorId).toBe('monitor-1');
+    expect(localStorage.getItem('oximeter_last_reading')).toBeNull();
+
+    const readings = await storage.getReadings(null, null);
+    expect(readings.map(r => r.bpm).sort()).toEqual([70, 72]);
+    expect(readings.find(r => r.bpm === 70)).toMatchObject({ spo2: 97, perfusionIndex: 2.5, monitorId: 'monitor-1' });
+  });
+
+  it('rejects short passphrases', async () => {
+    await expect(encryption.enableEncryption('short')).rejects.toThrow('at least 8');
+    expect(encryption.isEncryptionEnabled()).toBe(false);
+  });
+
+  it('keeps writing while locked and hides readings until unlocked', async () => {
+    await encryption.enableEncryption(PASSPHRASE);
+    await storage.saveReading(70, 97);
+    encryption.lock();
+
+    expect(encryption.isLocked()).toBe(true);
+    await storage.saveReading(71, 98);
+    await storage.writeReadings([{ timestamp: new Date().toISOString(), bpm: 72, spo2: 99, synced: false }]);
+
+    expect(await storage.getReadings(null, null)).toEqual([]);
+    expect(await storage.getLatestReading()).toBeNull();
+    expect(await storage.countReadings(null, null)).toBe(3);
+    expect((await rawRecords('readings')).every(r => r.encrypted)).toBe(true);
+
+    await expect(encryption.unlock('wrong passphrase')).rejects.toThrow('Wrong passphrase');
+    await encryption.unlock(PASSPHRASE);
+    expect((await storage.getReadings(null, null)).map(r => r.bpm).sort()).toEqual([70, 71, 72]);
+  });
+
+  it('starts locked after a reload', async () => {
+    await encryption.enableEncryption(PASSPHRASE);
+    await storage.saveReading(70, 97);
+
+    await loadModules();
+    await encryption.loadEncryption();
+    expect(encryption.isEncryptionEnabled()).toBe(true);
+    expect(encryption.isLocked()).toBe(true);
+
+    await storage.saveReading(75, 95);
+    await encryption.unlock(PASSPHRASE);
+    expect((await storage.getReadings(null, null)).map(r => r.bpm).sort()).toEqual([70, 75]);
+  });
+
+  it('decrypts everything when disabled', async () => {
+    await storage.saveReading(70, 97);
+    await encryption.enableEncryption(PASSPHRASE);
+    await storage.saveReading(72, 96);
+    encryption.lock();
+
+    await expect(encryption.disableEncryption('wrong passphrase')).rejects.toThrow('Wrong passphrase');
+    expect(await encryption.disableEncryption(PASSPHRASE)).toBe(2);
+
+    expect(encryption.isEncryptionEnabled()).toBe(false);
+    const raw = await rawRecords('readings');
+    expect(raw.map(r => r.bpm).sort()).toEqual([70, 72]);
+    expect(raw.some(r => r.encrypted)).toBe(false);
+    expect((await rawRecords('settings')).some(s => s.key.startsWith('encryptionDataKey:'))).toBe(false);
+
+    await storage.saveReading(74, 95);
+    expect((await rawRecords('readings')).every(r => !r.encrypted)).toBe(true);
+  });
+
+  it('compacts encrypted readings into encrypted aggregates while unlocked', async () => {
+    await encryption.enableEncryption(PASSPHRASE);
+    // Both readings in the same minute
+    const old = Math.floor((Date.now() - 40 * DAY) / 60000) * 60000;
+    await storage.addReadings([
+      { timestamp: new Date(old).toISOString(), bpm: 60, spo2: 94 },
+      { timestamp: new Date(old + 1000).toISOString(), bpm: 80, spo2: 98 }
+    ]);
+
+    encryption.lock();
+    expect(await storage.compactReadings(Date.now() - 30 * DAY)).toEqual({ compacted: 0, buckets: 0 });
+
+    await encryption.unlock(PASSPHRASE);
+    expect(await storage.compactReadings(Date.now() - 30 * DAY)).toEqual({ compacted: 2, buckets: 1 });
+
+    const [row] = await rawRecords('aggregates');
+    expect(row.encrypted).toBeTruthy();
+    expect(row.spo2).toBeUndefined();
+
+    const [bucket] = await storage.getAggregatedReadings(new Date(old - DAY), null, DAY);
+    expect(bucket).toMatchObject({ count: 2, spo2: { min: 94, max: 98, mean: 96 }, bpm: { min: 60, max: 80, mean: 70 } });
+  });
+
+  it('encrypts exports with the passphrase', async () => {
+    const { exportReadings } = await import('./export');
+    await storage.saveReading(70, 97);
+    await encryption.enableEncryption(PASSPHRASE);
+
+    const file = await exportReadings('csv', null, null);
+    expect(file.filename).toMatch(/\.csv\.encrypted\.json$/);
+    expect(file.content).not.toContain('timestamp,spo2,bpm');
+    expect(encryption.isEncryptedExport(file.content)).toBe(true);
+
+    await expect(encryption.decryptExport(file.content, 'wrong passphrase')).resolves.toBeTruthy();
+    encryption.lock();
+    await expect(encryption.decryptExport(file.content, 'wrong passphrase')).rejects.toThrow('Wrong passphrase');
+    const { filename, content } = await encryption.decryptExport(file.content, PASSPHRASE);
+    expect(filename).toMatch(/\.csv$/);
+    expect(content).toContain('97');
+
+    await storage.deleteAllData();
+    await loadModules();
+    const { importReadings } = await import('./import');
+    const result = await importReadings(file.content, file.filename, { passphrase: PASSPHRASE });
+    expect(result).toMatchObject({ imported: 1 });
+  });
+
+  it('uploads encrypted readings with the keys to decrypt them', async () => {
+    const { syncReadings } = await import('./sync');
+    const crypto = await import('./crypto');
+    await encryption.enableEncryption(PASSPHRASE);
+    await storage.saveReading(70, 97);
+    encryption.lock();
+
+    const bodies = [];
+    const fetchImpl = vi.fn(async (url, { body }) => {
+      bodies.push(JSON.parse(body));
+      return { ok: true, status: 200 };
+    });
+    expect(await syncReadings({ endpoint: 'https://example.com/readings', fetchImpl })).toEqual({ uploaded: 1, skipped: false });
+
+    const [{ readings: [reading], keys }] = bodies;
+    expect(reading.bpm).toBeUndefined();
+
+    // Anyone with the passphrase can read the upload
+    const passphraseKey = await crypto.derivePassphraseKey(PASSPHRASE, keys.salt, keys.iterations);
+    const privateKey = await crypto.unwrapPrivateKey(keys.wrappedPrivateKey, passphraseKey);
+    const dataKey = await crypto.unwrapDataKey(keys.dataKeys[reading.encrypted.keyId], privateKey);
+    expect(await crypto.decryptJSON(dataKey, reading.encrypted)).toMatchObject({ bpm: 70, spo2: 97 });
+  });
+
+  it('encrypts sessions, alarm events and waveform chunks at rest', async () => {
+    const sessions = await import('./sessions');
+    await storage.logAlarmEvent({ type: 'triggered', vital: 'spo2', value: 87, limit: 90 });
+    const before = await sessions.startSession('Nap', 'Before enabling');
+    await encryption.enableEncryption(PASSPHRASE);
+
+    const session = await sessions.startSession('Night', 'Felt short of breath', { monitorId: 'monitor-1' });
+    expect(session).toMatchObject({ label: 'Night', notes: 'Felt short of breath' });
+    await storage.saveReading(70, 97, { sessionId: session.id });
+    await sessions.finishSession(session.id, { hrv: { rmssd: 42 } });
+    await storage.logAlarmEvent({ type: 'triggered', vital: 'bpm', value: 130, limit: 120 });
+    const data = Uint8Array.from([1, 2, 3, 250]).buffer;
+    await storage.saveWaveformChunk({ sessionId: session.id, startTime: 't0', endTime: 't1', sampleCount: 4, encoding: 'delta', data });
+
+    const rawSessions = await rawRecords('sessions');
+    expect(rawSessions.every(r => r.encrypted && r.label === undefined && r.notes === undefined && r.summary === undefined)).toBe(true);
+    expect(rawSessions.find(r => r.id === session.id)).toMatchObject({ monitorId: 'monitor-1', profileId: 1 });
+    const rawAlarms = await rawRecords('alarms');
+    expect(rawAlarms.every(r => r.encrypted && r.value === undefined && r.limit === undefined)).toBe(true);
+    const [rawChunk] = await rawRecords('waveforms');
+    expect(rawChunk).toMatchObject({ sessionId: session.id, startTime: 't0' });
+    expect(rawChunk.data).toBeUndefined();
+
+    expect((await storage.getSession(before.id)).notes).toBe('Before enabling');
+    expect((await storage.getSession(session.id)).summary).toMatchObject({ readingCount: 1, hrv: { rmssd: 42 } });
+    expect((await storage.getAlarmEvents(null, null)).map(e => e.value).sort()).toEqual([130, 87]);
+    const [chunk] = await storage.getWaveformChunks(session.id);
+    expect(Array.from(new Uint8Array(chunk.data))).toEqual([1, 2, 3, 250]);
+
+    encryption.lock();
+    expect(await storage.getAlarmEvents(null, null)).toEqual([]);
+    expect(await storage.getWaveformChunks(session.id)).toEqual([]);
+    const [locked] = await storage.getSessions();
+    expect(locked).toEqual({ id: session.id, profileId: 1, monitorId: 'monitor-1', startedAt: session.startedAt, endedAt: expect.any(String) });
+
+    expect(await encryption.disableEncryption(PASSPHRASE)).toBe(6);
+    expect((await rawRecords('sessions')).find(r => r.id === session.id)).toMatchObject({ label: 'Night', notes: 'Felt short of breath' });
+    expect((await rawRecords('alarms')).map(r => r.value).sort()).toEqual([130, 87]);
+    expect(Array.from(new Uint8Array((await rawRecords('waveforms'))[0].data))).toEqual([1, 2, 3, 250]);
+  });
+
+  it('keeps changes made to a session while locked', async () => {
+    const sessions = await import('./sessions');
+    await encryption.enableEncryption(PASSPHRASE);
+    encryption.lock();
+
+    const session = await sessions.startSession('Night', 'Started while locked');
+    expect(session).toMatchObject({ label: 'Night', notes: 'Started while locked' });
+    await storage.updateSession(session.id, { notes: 'Woke up twice' });
+    const finished = await sessions.finishSession(session.id);
+    expect(finished.endedAt).toBeTruthy();
+
+    const [raw] = await rawRecords('sessions');
+    expect(raw.notes).toBeUndefined();
+    expect(raw.patches).toHaveLength(2);
+
+    await encryption.unlock(PASSPHRASE);
+    expect(await storage.getSession(session.id)).toMatchObject({ label: 'Night', notes: 'Woke up twice', endedAt: finished.endedAt, pendingSummary: {} });
+
+    // Updating while unlocked seals the session again in one piece
+    await sessions.completePendingSummaries();
+    const [resealed] = await rawRecords('sessions');
+    expect(resealed.patches).toBeUndefined();
+    expect((await storage.getSession(session.id)).summary).toMatchObject({ readingCount: 0 });
+  });
+
+  it('summarises sessions finished while locked after unlocking', async () => {
+    const sessions = await import('./sessions');
+    await encryption.enableEncryption(PASSPHRASE);
+    const session = await sessions.startSession('Night');
+    await storage.saveReading(70, 97, { sessionId: session.id });
+    encryption.lock();
+
+    const finished = await sessions.finishSession(session.id, { hrv: null });
+    expect(finished.summary).toBeNull();
+    expect(await sessions.completePendingSummaries()).toBe(0);
+
+    await encryption.unlock(PASSPHRASE);
+    expect(await sessions.completePendingSummaries()).toBe(1);
+    const summarised = await storage.getSession(session.id);
+    expect(summarised.summary).toMatchObject({ readingCount: 1, spo2Mean: 97, hrv: null });
+    expect(summarised.pendingSummary).toBeNull();
+  });
+});
@@ -0,0 +1,149 @@
+import { getReadings, getProfile, getActiveProfileId } from './storage';
+import { flushReadings } from './readingQueue';
+import { isEncryptionEnabled, encryptExport } from './encryption';
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  fhir: { label: 'FHIR', extension: 'fhir.json', mimeType: 'application/fhir+json' }
+};
+
+const LOINC = 'http://loinc.org';
+const UCUM = 'http://unitsofmeasure.org';
+
+// Quote a CSV field when it contains separators, quotes or newlines
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(readings) {
+  const rows = readings.map(r => [r.timestamp, r.spo2, r.bpm].map(csvField).join(','));
+  return ['timestamp,spo2,bpm', ...rows].join('\n') + '\n';
+}
+
+export function toJson(readings, profile = null) {
+  return JSON.stringify({
+    app: 'oximeter-pwa',
+    exportedAt: new Date().toISOString(),
+    ...(profile ? { profile: { name: profile.name, birthYear: profile.birthYear } } : {}),
+    readings
+  }, null, 2);
+}
+
+function uuid() {
+  return crypto.randomUUID();
+}
+
+// Build one FHIR vital-signs Observation
+function observation(code, display, value, unit, unitCode, timestamp, subject) {
+  return {
+    resourceType: 'Observation',
+    status: 'final',
+    ...(subject ? { subject } : {}),
+    category: [{
+      coding: [{
+        system: 'http://terminology.hl7.org/CodeSystem/observation-category',
+        code: 'vital-signs',
+        display: 'Vital Signs'
+      }]
+    }],
+    code: {
+      coding: [{ system: LOINC, code, display }],
+      text: display
+    },
+    effectiveDateTime: timestamp,
+    valueQuantity: { value, unit, system: UCUM, code: unitCode }
+  };
+}
+
+// FHIR R4 collection Bundle with one SpO2 and one heart rate Observation
+// per reading. The profile name becomes the observations' subject.
+export function toFhirBundle(readings, profile = null) {
+  const entries = [];
+  const subject = profile ? { display: profile.name } : null;
+
+  readings.forEach(r => {
+    if (typeof r.spo2 === 'number') {
+      entries.push(observation('59408-5', 'Oxygen saturation in Arterial blood by Pulse oximetry', r.spo2, '%', '%', r.timestamp, subject));
+    }
+    if (typeof r.bpm === 'number') {
+      entries.push(observation('8867-4', 'Heart rate', r.bpm, 'beats/minute', '/min', r.timestamp, subject));
+    }
+  });
+
+  return JSON.stringify({
+    resourceType: 'Bundle',
+    id: uuid(),
+    type: 'collection',
+    timestamp: new Date().toISOString(),
+    entry: entries.map(resource => ({ fullUrl: `urn:uuid:${uuid()}`, resource }))
+  }, null, 2);
+}
+
+const SERIALIZERS = { csv: toCsv, json: toJson, fhir: toFhirBundle };
+
+// Lowercase file name part made of letters, digits and dashes
+export function slug(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+}
+
+// Load the active profile's readings in a time range, oldest first, and
+// serialize them. Readings from the simulator are left out.
+export async function exportReadings(format, startDate, endDate) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new Error(`Unknown export format: ${format}`);
+
+  await flushReadings();
+  const readings = (await getReadings(startDate, endDate, Infinity)).filter(r => !r.simulated).reverse();
+  const profile = await getProfile(getActiveProfileId());
+  const day = (date) => new Date(date).toISOString().slice(0, 10);
+  const owner = profile ? `${slug(profile.name)}-` : '';
+  const filename = `oximeter-${owner}${day(startDate || 0)}-to-${day(endDate || Date.now())}.${spec.extension}`;
+
+  const content = SERIALIZERS[format](readings, profile);
+
+  // Exports are encrypted with the passphrase while encrypted storage is on
+  if (isEncryptionEnabled()) {
+    return {
+      filename: `${filename}.encrypted.json`,
+      mimeType: 'application/json',
+      content: await encryptExport(filename, content),
+      count: readings.length
+    };
+  }
+
+  return {
+    filename,
+    mimeType: spec.mimeType,
+    content,
+    count: readings.length
+  };
+}
+
+// Share the file when the Web Share API supports files, otherwise download it
+export async function shareOrDownload({ filename, mimeType, content }) {
+  const file = new File([content], filename, { type: mimeType });
+
+  if (navigator.canShare && navigator.canShare({ files: [file] })) {
+    try {
+      await navigator.share({ files: [file], title: filename });
+      return 'shared';
+    } catch (e) {
+      // User closed the share sheet
+      if (e.name === 'AbortError') return 'cancelled';
+      console.error('Share failed, falling back to download:', e);
+    }
+  }
+
+  const url = URL.createObjectURL(file);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  return 'downloaded';
+}
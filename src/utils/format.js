@@ -0,0 +1,20 @@
+// Dates and times in the locale and clock chosen in the display settings.
+// An empty locale and the 'auto' clock follow the browser.
+
+function formatArgs(display, options) {
+  const locales = display && display.locale ? display.locale : [];
+  const clock = display && display.clock !== 'auto' ? { hour12: display.clock === '12h' } : {};
+  return [locales, { ...clock, ...options }];
+}
+
+export function formatDateTime(value, display, options = {}) {
+  return new Date(value).toLocaleString(...formatArgs(display, options));
+}
+
+export function formatDate(value, display, options = {}) {
+  return new Date(value).toLocaleDateString(...formatArgs(display, options));
+}
+
+export function formatTime(value, display, options = {}) {
+  return new Date(value).toLocaleTimeString(...formatArgs(display, options));
+}
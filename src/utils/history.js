@@ -0,0 +1,58 @@
+import { formatDate, formatDateTime, formatTime } from './format';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+export const DAY = 24 * HOUR;
+
+// Bucket sizes offered for trend aggregation, smallest first
+const BUCKET_SIZES = [
+  SECOND, 5 * SECOND, 15 * SECOND, 30 * SECOND,
+  MINUTE, 5 * MINUTE, 15 * MINUTE, 30 * MINUTE,
+  HOUR, 3 * HOUR, 6 * HOUR, 12 * HOUR,
+  DAY
+];
+
+// Pick the smallest bucket size that keeps a range under targetPoints buckets
+export function chooseBucketSize(rangeMs, targetPoints = 200) {
+  const size = BUCKET_SIZES.find(s => rangeMs / s <= targetPoints);
+  return size || BUCKET_SIZES[BUCKET_SIZES.length - 1];
+}
+
+// Every bucket from start to end, adding an empty one (count 0, no values)
+// wherever getAggregatedReadings found no readings, so trend charts break
+// across gaps instead of joining the points on either side
+export function fillEmptyBuckets(buckets, start, end, bucketMs) {
+  const byStart = new Map(buckets.map(b => [new Date(b.start).getTime(), b]));
+  const filled = [];
+  for (let time = new Date(start).getTime(); time < new Date(end).getTime(); time += bucketMs) {
+    filled.push(byStart.get(time) || {
+      start: new Date(time).toISOString(),
+      end: new Date(time + bucketMs).toISOString(),
+      count: 0,
+      spo2: null,
+      bpm: null
+    });
+  }
+  return filled;
+}
+
+// Label a bucket start time with the precision its size needs, in the
+// locale of the display settings
+export function formatBucketLabel(isoString, bucketMs, display = null) {
+  const date = new Date(isoString);
+  if (bucketMs >= DAY) {
+    return formatDate(date, display);
+  }
+  if (bucketMs >= MINUTE) {
+    return formatDateTime(date, display, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  }
+  return formatTime(date, display);
+}
+
+// Format a timestamp for a datetime-local input (local time, minute precision)
+export function toLocalInputValue(time) {
+  const date = new Date(time);
+  const offset = date.getTimezoneOffset() * MINUTE;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+}
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { fillEmptyBuckets } from './history';
+
+const T0 = new Date('2025-01-01T22:00:00.000Z').getTime();
+const MINUTE = 60000;
+
+const bucketAt = (time, spo2, bpm) => ({
+  start: new Date(time).toISOString(),
+  end: new Date(time + MINUTE).toISOString(),
+  count: 1,
+  spo2: { min: spo2, max: spo2, mean: spo2 },
+  bpm: { min: bpm, max: bpm, mean: bpm }
+});
+
+describe('fillEmptyBuckets', () => {
+  it('adds empty buckets where readings are missing', () => {
+    const first = bucketAt(T0, 97, 70);
+    const last = bucketAt(T0 + 3 * MINUTE, 95, 64);
+
+    expect(fillEmptyBuckets([first, last], T0, T0 + 4 * MINUTE, MINUTE)).toEqual([
+      first,
+      { start: new Date(T0 + MINUTE).toISOString(), end: new Date(T0 + 2 * MINUTE).toISOString(), count: 0, spo2: null, bpm: null },
+      { start: new Date(T0 + 2 * MINUTE).toISOString(), end: new Date(T0 + 3 * MINUTE).toISOString(), count: 0, spo2: null, bpm: null },
+      last
+    ]);
+  });
+
+  it('covers a range without readings and a partial last bucket', () => {
+    const buckets = fillEmptyBuckets([], T0, T0 + 2.5 * MINUTE, MINUTE);
+
+    expect(buckets.map(b => b.start)).toEqual([T0, T0 + MINUTE, T0 + 2 * MINUTE].map(t => new Date(t).toISOString()));
+    expect(buckets.every(b => b.count === 0 && b.spo2 === null)).toBe(true);
+  });
+});
@@ -0,0 +1,149 @@
+import { addReadings } from './storage';
+import { isEncryptedExport, decryptExport } from './encryption';
+import { QUALITY } from './signalQuality';
+
+// Accepted value ranges for imported readings. They leave out the values
+// oximeters send without a finger (SpO2 0, 127 or 255, pulse 0 or 255).
+const SPO2_RANGE = [1, 100];
+const BPM_RANGE = [20, 250];
+
+// Measurement details kept from imported rows, with their checks. Any other
+// field (ids, profile, session, sync state) belongs to the device that
+// exported the file and is dropped.
+const OPTIONAL_FIELDS = {
+  perfusionIndex: (value) => Number.isFinite(value),
+  quality: (value) => Object.values(QUALITY).includes(value),
+  statusFlags: (value) => Array.isArray(value) && value.every(flag => typeof flag === 'string')
+};
+
+// Split one CSV line, honouring double-quoted fields
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields.map(f => f.trim());
+}
+
+export function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length === 0) return [];
+
+  const header = splitCsvLine(lines[0]).map(h => h.toLowerCase());
+  const column = (name) => header.indexOf(name);
+  const [ts, spo2, bpm] = [column('timestamp'), column('spo2'), column('bpm')];
+
+  if (ts < 0 || spo2 < 0 || bpm < 0) {
+    throw new Error('CSV must have timestamp, spo2 and bpm columns.');
+  }
+
+  return lines.slice(1).map(line => {
+    const fields = splitCsvLine(line);
+    return { timestamp: fields[ts], spo2: fields[spo2], bpm: fields[bpm] };
+  });
+}
+
+// Collect SpO2 and heart rate Observations back into readings by time
+function readingsFromFhir(bundle) {
+  const byTime = new Map();
+
+  (bundle.entry || []).forEach(({ resource }) => {
+    if (!resource || resource.resourceType !== 'Observation') return;
+    const code = resource.code?.coding?.[0]?.code;
+    const field = code === '59408-5' ? 'spo2' : code === '8867-4' ? 'bpm' : null;
+    if (!field) return;
+
+    const timestamp = resource.effectiveDateTime;
+    const reading = byTime.get(timestamp) || { timestamp };
+    reading[field] = resource.valueQuantity?.value;
+    byTime.set(timestamp, reading);
+  });
+
+  return [...byTime.values()];
+}
+
+export function parseJson(text) {
+  const data = JSON.parse(text);
+
+  if (Array.isArray(data)) return data;
+  if (data.resourceType === 'Bundle') return readingsFromFhir(data);
+  if (Array.isArray(data.readings)) return data.readings;
+
+  throw new Error('JSON does not contain a readings list.');
+}
+
+// Validate and normalise one row to the fields a reading is imported
+// with; returns null when it is out of range
+export function validateReading(row) {
+  const time = new Date(row.timestamp).getTime();
+  const spo2 = Number(row.spo2);
+  const bpm = Number(row.bpm);
+
+  if (!row.timestamp || isNaN(time) || time > Date.now()) return null;
+  if (!Number.isFinite(spo2) || spo2 < SPO2_RANGE[0] || spo2 > SPO2_RANGE[1]) return null;
+  if (!Number.isFinite(bpm) || bpm < BPM_RANGE[0] || bpm > BPM_RANGE[1]) return null;
+
+  const reading = { timestamp: new Date(time).toISOString(), spo2, bpm };
+  Object.entries(OPTIONAL_FIELDS).forEach(([field, isValid]) => {
+    if (isValid(row[field])) reading[field] = row[field];
+  });
+  return reading;
+}
+
+// Parse a backup file and write its readings to the store. Encrypted
+// exports are decrypted first, with the passphrase if they come from
+// another device or storage is locked.
+// Returns counts of imported, skipped (duplicate) and invalid rows.
+export async function importReadings(text, filename = '', { passphrase } = {}) {
+  if (isEncryptedExport(text)) {
+    const file = await decryptExport(text, passphrase);
+    return importReadings(file.content, file.filename);
+  }
+
+  const isJson = filename.toLowerCase().endsWith('.json') || /^\s*[[{]/.test(text);
+  const rows = isJson ? parseJson(text) : parseCsv(text);
+
+  const valid = [];
+  const seen = new Set();
+  let invalid = 0;
+  let duplicates = 0;
+
+  rows.forEach(row => {
+    const reading = validateReading(row);
+    if (!reading) {
+      invalid++;
+    } else if (seen.has(reading.timestamp)) {
+      duplicates++;
+    } else {
+      seen.add(reading.timestamp);
+      valid.push(reading);
+    }
+  });
+
+  const { imported, skipped } = valid.length > 0
+    ? await addReadings(valid)
+    : { imported: 0, skipped: 0 };
+
+  return { imported, skipped: skipped + duplicates, invalid };
+}
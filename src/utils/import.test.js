@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { validateReading, importReadings } from './import';
+import { toJson } from './export';
+import { getReadings, getSessions, setActiveProfileId, createProfile, DEFAULT_PROFILE_ID } from './storage';
+
+const TIMESTAMP = '2025-01-01T22:30:00.000Z';
+
+describe('validateReading', () => {
+  it('keeps only measurement fields', () => {
+    expect(validateReading({
+      id: 42,
+      profileId: 7,
+      sessionId: 3,
+      monitorId: 'monitor-2',
+      synced: true,
+      timestamp: TIMESTAMP,
+      spo2: '97',
+      bpm: 64,
+      perfusionIndex: 2.5,
+      quality: 'questionable',
+      statusFlags: ['lowPerfusion']
+    })).toEqual({
+      timestamp: TIMESTAMP,
+      spo2: 97,
+      bpm: 64,
+      perfusionIndex: 2.5,
+      quality: 'questionable',
+      statusFlags: ['lowPerfusion']
+    });
+  });
+
+  it('drops optional fields with unexpected values', () => {
+    expect(validateReading({ timestamp: TIMESTAMP, spo2: 97, bpm: 64, perfusionIndex: 'high', quality: 'great', statusFlags: 'none' }))
+      .toEqual({ timestamp: TIMESTAMP, spo2: 97, bpm: 64 });
+  });
+
+  it('rejects placeholders and values out of range', () => {
+    expect(validateReading({ timestamp: TIMESTAMP, spo2: 0, bpm: 64 })).toBeNull();
+    expect(validateReading({ timestamp: TIMESTAMP, spo2: 127, bpm: 64 })).toBeNull();
+    expect(validateReading({ timestamp: TIMESTAMP, spo2: 97, bpm: 255 })).toBeNull();
+    expect(validateReading({ timestamp: TIMESTAMP, spo2: 97, bpm: 250 })).toMatchObject({ bpm: 250 });
+    expect(validateReading({ timestamp: TIMESTAMP, spo2: 97, bpm: 0 })).toBeNull();
+    expect(validateReading({ timestamp: 'yesterday', spo2: 97, bpm: 64 })).toBeNull();
+    expect(validateReading({ timestamp: new Date(Date.now() + 60000).toISOString(), spo2: 97, bpm: 64 })).toBeNull();
+  });
+});
+
+describe('importReadings', () => {
+  it('imports a JSON export into the active profile as new, unsynced readings', async () => {
+    const otherId = await createProfile({ name: 'Ann' });
+    const file = toJson([
+      { id: 9, profileId: DEFAULT_PROFILE_ID, sessionId: 4, synced: true, timestamp: TIMESTAMP, spo2: 96, bpm: 61 },
+      { id: 10, profileId: DEFAULT_PROFILE_ID, timestamp: '2025-01-01T22:30:01.000Z', spo2: 0, bpm: 0 }
+    ]);
+    setActiveProfileId(otherId);
+
+    expect(await importReadings(file, 'backup.json')).toEqual({ imported: 1, skipped: 0, invalid: 1 });
+
+    const [reading] = await getReadings(new Date(TIMESTAMP), null);
+    expect(reading).toMatchObject({ profileId: otherId, synced: false, spo2: 96, bpm: 61 });
+    expect(reading.id).not.toBe(9);
+    expect(reading.sessionId).toBeUndefined();
+    expect(await getSessions()).toEqual([]);
+  });
+});
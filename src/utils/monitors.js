@@ -0,0 +1,46 @@
+import { saveSetting, getSetting } from './storage';
+import { getPairedDevices } from './devices';
+
+// Dashboard monitors, one per tile: [{ id, label, deviceId }].
+// deviceId is the device the monitor reconnects to on launch.
+export const MONITORS_KEY = 'monitors';
+
+// Readings and sessions recorded before multi-device support belong here
+export const DEFAULT_MONITOR_ID = 'monitor-1';
+
+export function monitorIdOf(record) {
+  return record.monitorId || DEFAULT_MONITOR_ID;
+}
+
+export async function getMonitors() {
+  const stored = await getSetting(MONITORS_KEY, null);
+  if (stored && stored.length > 0) return stored;
+
+  // First run: one monitor that takes over the last used device
+  const [lastDevice] = await getPairedDevices();
+  return [{ id: DEFAULT_MONITOR_ID, label: 'Monitor 1', deviceId: lastDevice ? lastDevice.id : null }];
+}
+
+export async function saveMonitors(monitors) {
+  await saveSetting(MONITORS_KEY, monitors);
+  return monitors;
+}
+
+export async function addMonitor(fields = {}) {
+  const monitors = await getMonitors();
+  let n = monitors.length + 1;
+  while (monitors.some(m => m.id === `monitor-${n}`)) n++;
+
+  const monitor = { id: `monitor-${n}`, label: `Monitor ${n}`, deviceId: null, ...fields };
+  return saveMonitors([...monitors, monitor]);
+}
+
+export async function updateMonitor(id, changes) {
+  const monitors = await getMonitors();
+  return saveMonitors(monitors.map(m => (m.id === id ? { ...m, ...changes } : m)));
+}
+
+export async function removeMonitor(id) {
+  const monitors = await getMonitors();
+  return saveMonitors(monitors.filter(m => m.id !== id));
+}
@@ -0,0 +1,168 @@
+// Minimal writer for one-page PDF documents with Helvetica text, lines,
+// shaded boxes and JPEG images. Coordinates are in points (1/72 inch)
+// from the top-left corner of the page. Runs without any network access.
+
+export const A4 = { width: 595.28, height: 841.89 };
+
+const FONTS = { regular: 'F1', bold: 'F2' };
+
+// Helvetica uses WinAnsi encoding, which matches Latin-1 for printable
+// characters. These are spelled out, accented letters lose their accents
+// and anything else becomes '?'.
+const REPLACEMENTS = {
+  '\u00A0': ' ',
+  '\u2009': ' ',
+  '\u202F': ' ',
+  '\u200E': '',
+  '\u200F': '',
+  '₂': '2',
+  '≥': '>=',
+  '≤': '<=',
+  '≈': '~',
+  '–': '-',
+  '—': '-',
+  '…': '...',
+  '‘': '\'',
+  '’': '\'',
+  '“': '"',
+  '”': '"'
+};
+
+const isLatin1 = (ch) => {
+  const code = ch.charCodeAt(0);
+  return ch.length === 1 && ((code >= 0x20 && code < 0x7F) || (code >= 0xA0 && code <= 0xFF));
+};
+
+// Whether Helvetica can show text as it is, e.g. not a Cyrillic name
+export function isWinAnsi(text) {
+  return Array.from(String(text)).every(ch => REPLACEMENTS[ch] !== undefined || isLatin1(ch));
+}
+
+export function toWinAnsi(text) {
+  return Array.from(String(text), ch => {
+    if (REPLACEMENTS[ch] !== undefined) return REPLACEMENTS[ch];
+    if (isLatin1(ch)) return ch;
+    const bare = ch.normalize('NFD').replace(/[\u0300-\u036F]/g, '');
+    return bare && Array.from(bare).every(isLatin1) ? bare : '?';
+  }).join('');
+}
+
+function escapeText(text) {
+  return toWinAnsi(text).replace(/[\\()]/g, '\\$&');
+}
+
+// Rough Helvetica text width, good enough for wrapping and right-aligning
+export function textWidth(text, size) {
+  return toWinAnsi(text).length * size * 0.5;
+}
+
+// Split text into lines no wider than maxWidth
+export function wrapText(text, size, maxWidth) {
+  const lines = [];
+  let line = '';
+  String(text).split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && textWidth(candidate, size) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+}
+
+const num = (value) => String(Math.round(value * 100) / 100);
+
+// Latin-1 string to bytes; binary image data is added separately
+const bytesOf = (text) => Uint8Array.from(text, ch => ch.charCodeAt(0) & 0xFF);
+
+export function createPdf({ width = A4.width, height = A4.height, title = null } = {}) {
+  const ops = [];
+  const images = [];
+  const y = (top) => num(height - top);
+
+  return {
+    width,
+    height,
+
+    // y is the text baseline
+    text(x, top, text, { size = 10, bold = false, gray = 0 } = {}) {
+      ops.push(`BT /${bold ? FONTS.bold : FONTS.regular} ${size} Tf ${num(gray)} g ${num(x)} ${y(top)} Td (${escapeText(text)}) Tj ET 0 g`);
+    },
+
+    line(x1, top1, x2, top2, { width: lineWidth = 0.5, gray = 0 } = {}) {
+      ops.push(`${num(lineWidth)} w ${num(gray)} G ${num(x1)} ${y(top1)} m ${num(x2)} ${y(top2)} l S 0 G`);
+    },
+
+    box(x, top, boxWidth, boxHeight, { gray = 0.9 } = {}) {
+      ops.push(`${num(gray)} g ${num(x)} ${y(top + boxHeight)} ${num(boxWidth)} ${num(boxHeight)} re f 0 g`);
+    },
+
+    // jpeg: { bytes, width, height } of a baseline RGB JPEG
+    image(jpeg, x, top, drawWidth, drawHeight) {
+      images.push(jpeg);
+      ops.push(`q ${num(drawWidth)} 0 0 ${num(drawHeight)} ${num(x)} ${y(top + drawHeight)} cm /Im${images.length} Do Q`);
+    },
+
+    toBytes() {
+      const content = ops.join('\n');
+      const imageRefs = images.map((_, i) => `/Im${i + 1} ${7 + i} 0 R`).join(' ');
+      const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] ` +
+          `/Resources << /Font << /F1 4 0 R /F2 5 0 R >> /XObject << ${imageRefs} >> >> /Contents 6 0 R >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+        [`<< /Length ${content.length} >>\nstream\n`, content, '\nendstream'],
+        ...images.map(jpeg => [
+          `<< /Type /XObject /Subtype /Image /Width ${jpeg.width} /Height ${jpeg.height} ` +
+            `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.bytes.length} >>\nstream\n`,
+          jpeg.bytes,
+          '\nendstream'
+        ])
+      ];
+      if (title) objects.push(`<< /Title (${escapeText(title)}) /Producer (Oximeter PWA) >>`);
+
+      const chunks = [bytesOf('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n')];
+      let length = chunks[0].length;
+      const offsets = [];
+      const add = (part) => {
+        const bytes = typeof part === 'string' ? bytesOf(part) : part;
+        chunks.push(bytes);
+        length += bytes.length;
+      };
+
+      objects.forEach((body, i) => {
+        offsets.push(length);
+        add(`${i + 1} 0 obj\n`);
+        (Array.isArray(body) ? body : [body]).forEach(add);
+        add('\nendobj\n');
+      });
+
+      const xrefOffset = length;
+      const info = title ? ` /Info ${objects.length} 0 R` : '';
+      add([
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root 1 0 R${info} >>`,
+        'startxref',
+        String(xrefOffset),
+        '%%EOF\n'
+      ].join('\n'));
+
+      const result = new Uint8Array(length);
+      let position = 0;
+      chunks.forEach(chunk => {
+        result.set(chunk, position);
+        position += chunk.length;
+      });
+      return result;
+    }
+  };
+}
@@ -0,0 +1,101 @@
+import {
+  DEFAULT_PROFILE_ID,
+  getSetting,
+  saveSetting,
+  createProfile,
+  updateProfile,
+  getProfile,
+  getProfiles,
+  deleteProfile,
+  setActiveProfileId,
+  getActiveProfileId
+} from './storage';
+import { ALARM_SETTINGS_KEY, normalizeAlarmSettings } from './alarms';
+import { flushReadings } from './readingQueue';
+
+// Patient profiles: { id, name, birthYear, alarmSettings, createdAt }.
+// Readings, sessions and alarm events are recorded for the active profile
+// and only its records are shown. alarmSettings holds the profile's own
+// alarm limits, or null to use the shared ones (ALARM_SETTINGS_KEY).
+export const ACTIVE_PROFILE_KEY = 'activeProfileId';
+
+const listeners = new Set();
+
+const notify = () => listeners.forEach(listener => listener());
+
+// Call listener whenever the active profile changes
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Trim the name and check the birth year. Throws on invalid fields.
+export function normalizeProfile(fields) {
+  const name = String(fields.name || '').trim();
+  if (!name) throw new Error('Enter a name');
+
+  let birthYear = null;
+  if (fields.birthYear !== null && fields.birthYear !== undefined && fields.birthYear !== '') {
+    birthYear = Number(fields.birthYear);
+    if (!Number.isInteger(birthYear) || birthYear < 1900 || birthYear > new Date().getFullYear()) {
+      throw new Error('Enter a valid birth year');
+    }
+  }
+
+  return { name, birthYear };
+}
+
+// Restore the profile selected last time; falls back to the first one
+export async function loadActiveProfile() {
+  const id = await getSetting(ACTIVE_PROFILE_KEY, DEFAULT_PROFILE_ID);
+  const profile = await getProfile(id) || (await getProfiles())[0] || null;
+  setActiveProfileId(profile ? profile.id : DEFAULT_PROFILE_ID);
+  notify();
+  return profile;
+}
+
+export async function switchProfile(id) {
+  const profile = await getProfile(id);
+  if (!profile) throw new Error(`Profile ${id} not found`);
+
+  await saveSetting(ACTIVE_PROFILE_KEY, id);
+  setActiveProfileId(id);
+  notify();
+  return profile;
+}
+
+// Add a profile; it starts with the shared alarm limits
+export async function addProfile(fields) {
+  const id = await createProfile({ ...normalizeProfile(fields), alarmSettings: null });
+  return getProfile(id);
+}
+
+export async function editProfile(id, fields) {
+  return updateProfile(id, normalizeProfile(fields));
+}
+
+// Delete a profile and all of its data. The last profile can't be
+// deleted; deleting the active one switches to another. Queued readings
+// are written first, so none of the profile's are stored after it is gone.
+export async function removeProfile(id) {
+  const profiles = await getProfiles();
+  const remaining = profiles.filter(p => p.id !== id);
+  if (remaining.length === 0) throw new Error('The last profile can\'t be deleted');
+
+  await flushReadings();
+  await deleteProfile(id);
+  if (getActiveProfileId() === id) await switchProfile(remaining[0].id);
+}
+
+// Alarm limits of a profile, or the shared ones if it has none
+export async function getProfileAlarmSettings(id) {
+  const profile = await getProfile(id);
+  if (profile && profile.alarmSettings) return normalizeAlarmSettings(profile.alarmSettings);
+  return normalizeAlarmSettings(await getSetting(ALARM_SETTINGS_KEY, null));
+}
+
+export async function saveProfileAlarmSettings(id, settings) {
+  const normalized = normalizeAlarmSettings(settings);
+  await updateProfile(id, { alarmSettings: normalized });
+  return normalized;
+}
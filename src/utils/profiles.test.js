@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import { queueReading, flushReadings } from './readingQueue';
+import {
+  ACTIVE_PROFILE_KEY,
+  normalizeProfile,
+  loadActiveProfile,
+  switchProfile,
+  addProfile,
+  editProfile,
+  removeProfile,
+  getProfileAlarmSettings,
+  saveProfileAlarmSettings,
+  subscribe
+} from './profiles';
+import {
+  DEFAULT_PROFILE_ID,
+  getActiveProfileId,
+  getProfiles,
+  getSetting,
+  saveSetting,
+  saveReading,
+  getStoreCounts,
+  getReadings
+} from './storage';
+import { ALARM_SETTINGS_KEY, DEFAULT_ALARM_SETTINGS } from './alarms';
+
+describe('normalizeProfile', () => {
+  it('trims the name and parses the birth year', () => {
+    expect(normalizeProfile({ name: '  Ann ', birthYear: '1950' })).toEqual({ name: 'Ann', birthYear: 1950 });
+    expect(normalizeProfile({ name: 'Ann', birthYear: '' })).toEqual({ name: 'Ann', birthYear: null });
+  });
+
+  it('rejects a missing name or an implausible birth year', () => {
+    expect(() => normalizeProfile({ name: ' ' })).toThrow('Enter a name');
+    expect(() => normalizeProfile({ name: 'Ann', birthYear: 1850 })).toThrow('Enter a valid birth year');
+    expect(() => normalizeProfile({ name: 'Ann', birthYear: new Date().getFullYear() + 1 })).toThrow('Enter a valid birth year');
+    expect(() => normalizeProfile({ name: 'Ann', birthYear: 'soon' })).toThrow('Enter a valid birth year');
+  });
+});
+
+describe('active profile', () => {
+  it('starts with the default profile', async () => {
+    const profile = await loadActiveProfile();
+    expect(profile).toMatchObject({ id: DEFAULT_PROFILE_ID, name: 'Default' });
+    expect(getActiveProfileId()).toBe(DEFAULT_PROFILE_ID);
+  });
+
+  it('remembers the selected profile', async () => {
+    const ann = await addProfile({ name: 'Ann' });
+    await switchProfile(ann.id);
+    expect(await getSetting(ACTIVE_PROFILE_KEY)).toBe(ann.id);
+
+    await switchProfile(DEFAULT_PROFILE_ID);
+    await saveSetting(ACTIVE_PROFILE_KEY, ann.id);
+    expect(await loadActiveProfile()).toMatchObject({ id: ann.id, name: 'Ann' });
+    expect(getActiveProfileId()).toBe(ann.id);
+  });
+
+  it('falls back to the first profile when the stored one is gone', async () => {
+    await saveSetting(ACTIVE_PROFILE_KEY, 42);
+    expect(await loadActiveProfile()).toMatchObject({ id: DEFAULT_PROFILE_ID });
+  });
+
+  it('notifies listeners when switching', async () => {
+    const ann = await addProfile({ name: 'Ann' });
+    const seen = [];
+    const unsubscribe = subscribe(() => seen.push(getActiveProfileId()));
+
+    await switchProfile(ann.id);
+    await expect(switchProfile(99)).rejects.toThrow('Profile 99 not found');
+    unsubscribe();
+    await switchProfile(DEFAULT_PROFILE_ID);
+
+    expect(seen).toEqual([ann.id]);
+  });
+});
+
+describe('editing profiles', () => {
+  it('validates edits', async () => {
+    expect(await editProfile(DEFAULT_PROFILE_ID, { name: 'Grandpa', birthYear: 1940 }))
+      .toMatchObject({ name: 'Grandpa', birthYear: 1940 });
+    await expect(editProfile(DEFAULT_PROFILE_ID, { name: '' })).rejects.toThrow('Enter a name');
+  });
+
+  it('keeps the last profile', async () => {
+    await expect(removeProfile(DEFAULT_PROFILE_ID)).rejects.toThrow('The last profile can\'t be deleted');
+  });
+
+  it('switches away from a deleted active profile and drops its readings', async () => {
+    const ann = await addProfile({ name: 'Ann' });
+    await switchProfile(ann.id);
+    await saveReading(80, 93);
+
+    await removeProfile(ann.id);
+
+    expect(getActiveProfileId()).toBe(DEFAULT_PROFILE_ID);
+    expect((await getProfiles()).map(p => p.id)).toEqual([DEFAULT_PROFILE_ID]);
+    await switchProfile(DEFAULT_PROFILE_ID);
+    expect(await getReadings(null, null)).toEqual([]);
+  });
+
+  it('writes queued readings before deleting a profile', async () => {
+    const ann = await addProfile({ name: 'Ann' });
+    await switchProfile(ann.id);
+    queueReading(80, 93);
+
+    await removeProfile(ann.id);
+    await flushReadings();
+
+    expect(await getStoreCounts()).toMatchObject({ readings: 0 });
+  });
+});
+
+describe('alarm settings', () => {
+  it('uses the shared limits until a profile has its own', async () => {
+    await saveSetting(ALARM_SETTINGS_KEY, { ...DEFAULT_ALARM_SETTINGS, spo2Low: 92 });
+    const ann = await addProfile({ name: 'Ann' });
+
+    expect((await getProfileAlarmSettings(ann.id)).spo2Low).toBe(92);
+
+    await saveProfileAlarmSettings(ann.id, { ...DEFAULT_ALARM_SETTINGS, spo2Low: 88 });
+    expect((await getProfileAlarmSettings(ann.id)).spo2Low).toBe(88);
+    expect((await getProfileAlarmSettings(DEFAULT_PROFILE_ID)).spo2Low).toBe(92);
+  });
+});
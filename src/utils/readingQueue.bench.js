@@ -0,0 +1,22 @@
+import { bench, describe } from 'vitest';
+import { saveReading } from './storage';
+import { queueReading, flushReadings } from './readingQueue';
+
+// One minute of measurement frames from a device notifying once per second
+const FRAMES = 60;
+const details = { quality: 'valid', monitorId: 'monitor-1', deviceId: 'bench' };
+
+describe(`storing ${FRAMES} live readings`, () => {
+  bench('saveReading per frame (connection and transaction per reading)', async () => {
+    for (let i = 0; i < FRAMES; i++) {
+      await saveReading(70, 97, details);
+    }
+  });
+
+  bench('queueReading with one batched flush (shared connection)', async () => {
+    for (let i = 0; i < FRAMES; i++) {
+      queueReading(70, 97, details);
+    }
+    await flushReadings();
+  });
+});
@@ -0,0 +1,109 @@
+import { writeReadings, getActiveProfileId } from './storage';
+import { requestSync } from './sync';
+
+// Readings are written at most this often, or as soon as a batch is full
+export const FLUSH_INTERVAL_MS = 2000;
+export const MAX_BATCH = 250;
+
+// Write-behind queue: items are collected and handed to write() as one
+// batch every flushIntervalMs (or once maxBatch items are waiting).
+// push() resolves with the item's result once its batch is written.
+// Batches are written one after another, in order. Timers are injectable
+// so the queue can run against fake timers.
+export function createWriteQueue({
+  write,
+  flushIntervalMs = FLUSH_INTERVAL_MS,
+  maxBatch = MAX_BATCH,
+  onFlush = () => {},
+  timers = { setTimeout, clearTimeout }
+}) {
+  let pending = [];
+  let timer = null;
+  let writing = Promise.resolve();
+
+  const flush = () => {
+    if (timer !== null) {
+      timers.clearTimeout(timer);
+      timer = null;
+    }
+    if (pending.length === 0) return writing;
+
+    const batch = pending;
+    pending = [];
+    writing = writing.then(async () => {
+      try {
+        const results = await write(batch.map(entry => entry.item));
+        batch.forEach((entry, i) => entry.resolve(results[i]));
+        onFlush(batch.length);
+      } catch (error) {
+        batch.forEach(entry => entry.reject(error));
+      }
+    });
+    return writing;
+  };
+
+  return {
+    push(item) {
+      return new Promise((resolve, reject) => {
+        pending.push({ item, resolve, reject });
+        if (pending.length >= maxBatch) {
+          flush();
+        } else if (timer === null) {
+          timer = timers.setTimeout(flush, flushIntervalMs);
+        }
+      });
+    },
+
+    // Write everything queued now; resolves when all batches are stored
+    flush,
+
+    size() {
+      return pending.length;
+    }
+  };
+}
+
+let readingQueue = null;
+
+// Store buffered readings before the page is hidden or closed, and
+// register the sync right away since the page may not come back
+function flushOnHide() {
+  flushReadings()
+    .then(() => requestSync(0))
+    .catch(err => console.error('Failed to flush readings:', err));
+}
+
+function getReadingQueue() {
+  if (!readingQueue) {
+    readingQueue = createWriteQueue({
+      write: writeReadings,
+      onFlush: () => requestSync()
+    });
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') flushOnHide();
+    });
+    window.addEventListener('pagehide', flushOnHide);
+  }
+  return readingQueue;
+}
+
+// Queue a live reading for the next batched write. Takes the same
+// arguments as saveReading and resolves with the reading's id once stored.
+// The reading belongs to the profile active when it was taken, and is
+// stamped with the current time unless details has a timestamp.
+export function queueReading(bpm, spo2, details = {}) {
+  return getReadingQueue().push({
+    profileId: getActiveProfileId(),
+    ...details,
+    bpm,
+    spo2,
+    timestamp: details.timestamp || new Date().toISOString(),
+    synced: false
+  });
+}
+
+// Write all queued readings now, e.g. before reading them back
+export function flushReadings() {
+  return readingQueue ? readingQueue.flush() : Promise.resolve();
+}
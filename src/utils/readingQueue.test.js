@@ -0,0 +1,105 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { getReadings } from './storage';
+import { createWriteQueue, queueReading, flushReadings } from './readingQueue';
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('createWriteQueue', () => {
+  it('writes items queued within the interval as one batch', async () => {
+    vi.useFakeTimers();
+    const write = vi.fn(async (items) => items.map(item => item * 10));
+    const onFlush = vi.fn();
+    const queue = createWriteQueue({ write, flushIntervalMs: 1000, onFlush });
+
+    const results = [queue.push(1), queue.push(2), queue.push(3)];
+    expect(queue.size()).toBe(3);
+    expect(write).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(write).toHaveBeenCalledTimes(1);
+    expect(write).toHaveBeenCalledWith([1, 2, 3]);
+    expect(await Promise.all(results)).toEqual([10, 20, 30]);
+    expect(onFlush).toHaveBeenCalledWith(3);
+    expect(queue.size()).toBe(0);
+  });
+
+  it('flushes early once a batch is full', async () => {
+    vi.useFakeTimers();
+    const write = vi.fn(async (items) => items);
+    const queue = createWriteQueue({ write, flushIntervalMs: 1000, maxBatch: 2 });
+
+    queue.push('a');
+    queue.push('b');
+    queue.push('c');
+    await vi.advanceTimersByTimeAsync(0);
+    expect(write).toHaveBeenCalledWith(['a', 'b']);
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(write).toHaveBeenLastCalledWith(['c']);
+  });
+
+  it('writes batches in order', async () => {
+    const order = [];
+    const write = async (items) => {
+      await new Promise(resolve => setTimeout(resolve, items[0] === 1 ? 20 : 0));
+      order.push(...items);
+      return items;
+    };
+    const queue = createWriteQueue({ write });
+
+    queue.push(1);
+    const first = queue.flush();
+    queue.push(2);
+    await Promise.all([first, queue.flush()]);
+    expect(order).toEqual([1, 2]);
+  });
+
+  it('rejects every item of a failed batch and keeps going', async () => {
+    const write = vi.fn()
+      .mockRejectedValueOnce(new Error('quota exceeded'))
+      .mockResolvedValueOnce([7]);
+    const queue = createWriteQueue({ write });
+
+    const failed = [queue.push(1), queue.push(2)].map(result => result.catch(e => e.message));
+    await queue.flush();
+    expect(await Promise.all(failed)).toEqual(['quota exceeded', 'quota exceeded']);
+
+    const next = queue.push(3);
+    await queue.flush();
+    expect(await next).toBe(7);
+  });
+});
+
+describe('queueReading', () => {
+  it('stores queued readings on flush and resolves with their ids', async () => {
+    const ids = [
+      queueReading(70, 97, { monitorId: 'monitor-1' }),
+      queueReading(72, 96)
+    ];
+    expect(await getReadings(null, null)).toEqual([]);
+
+    await flushReadings();
+    const stored = await getReadings(null, null);
+    expect(stored).toHaveLength(2);
+    expect(stored.map(r => r.id).sort()).toEqual((await Promise.all(ids)).sort());
+    expect(stored.find(r => r.bpm === 70)).toMatchObject({ spo2: 97, monitorId: 'monitor-1', synced: false });
+  });
+
+  it('keeps the time a spot check was taken', async () => {
+    const timestamp = new Date(Date.now() - 60000).toISOString();
+    const id = queueReading(70, 97, { timestamp });
+    await flushReadings();
+
+    const [reading] = await getReadings(null, null);
+    expect(reading).toMatchObject({ id: await id, timestamp });
+  });
+
+  it('flushes when the page is hidden', async () => {
+    queueReading(70, 97);
+    window.dispatchEvent(new Event('pagehide'));
+
+    await vi.waitFor(async () => expect(await getReadings(null, null)).toHaveLength(1));
+  });
+});
@@ -0,0 +1,301 @@
+import { getReadings, getSessionReadings, getAggregates, getProfile, getActiveProfileId } from './storage';
+import { flushReadings } from './readingQueue';
+import { computeSleepReport, DEFAULT_DESATURATION_CRITERIA } from './analysis';
+import { formatDuration } from './sessions';
+import { formatDate, formatDateTime, formatTime } from './format';
+import { slug } from './export';
+import { createPdf, wrapText, isWinAnsi, A4 } from './pdf';
+
+// One-page PDF summary of a session or a date range for handing to a
+// doctor. Built entirely on the device from IndexedDB.
+
+export const REPORT_DISCLAIMER = 'This summary was generated by Oximeter PWA from readings of a consumer ' +
+  'pulse oximeter. It is not a medical device report and not a diagnosis. Readings can be affected by ' +
+  'movement, poor perfusion and sensor placement. Discuss the results with a qualified clinician.';
+
+// Totals of the per-minute aggregates older readings were compacted into,
+// or null when there are none
+function summarizeAggregates(rows) {
+  if (rows.length === 0) return null;
+  const totals = {
+    readingCount: 0,
+    recordedMs: 0,
+    spo2: { min: Infinity, max: -Infinity, sum: 0, count: 0 },
+    bpm: { min: Infinity, max: -Infinity, sum: 0, count: 0 }
+  };
+  rows.forEach(row => {
+    totals.readingCount += row.count;
+    totals.recordedMs += new Date(row.end) - new Date(row.start);
+    ['spo2', 'bpm'].forEach(field => {
+      if (!row[field] || row[field].count === 0) return;
+      totals[field].min = Math.min(totals[field].min, row[field].min);
+      totals[field].max = Math.max(totals[field].max, row[field].max);
+      totals[field].sum += row[field].sum;
+      totals[field].count += row[field].count;
+    });
+  });
+  return { ...totals, start: rows[0].start, end: rows[rows.length - 1].end };
+}
+
+// Load readings and statistics for a session, or for a time range of the
+// active profile. Ranges also take in the aggregates of compacted readings.
+export async function loadSummary({ session = null, start = null, end = null, criteria = {} }) {
+  await flushReadings();
+  const readings = session
+    ? await getSessionReadings(session.id)
+    : (await getReadings(start, end, Infinity)).reverse();
+  const compacted = session ? null : summarizeAggregates(await getAggregates(start, end));
+  const profile = await getProfile(session && session.profileId ? session.profileId : getActiveProfileId());
+
+  return {
+    profile: profile || null,
+    session,
+    start: session ? session.startedAt : new Date(start).toISOString(),
+    end: session ? session.endedAt || null : new Date(end).toISOString(),
+    report: computeSleepReport(readings, criteria),
+    compacted,
+    criteria: { ...DEFAULT_DESATURATION_CRITERIA, ...criteria }
+  };
+}
+
+// Copy a chart canvas onto white (JPEG has no transparency) and encode it
+export async function canvasToJpeg(canvas, quality = 0.9) {
+  const copy = document.createElement('canvas');
+  copy.width = canvas.width;
+  copy.height = canvas.height;
+  const context = copy.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, copy.width, copy.height);
+  context.drawImage(canvas, 0, 0);
+  return encodeJpeg(copy, quality, 'Could not render the chart');
+}
+
+async function encodeJpeg(canvas, quality, failure) {
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+  if (!blob) throw new Error(failure);
+  return { bytes: new Uint8Array(await blob.arrayBuffer()), width: canvas.width, height: canvas.height };
+}
+
+// Draw one line of text with the browser's fonts, for scripts Helvetica
+// can't show. The image is one line tall with the baseline at size.
+export async function textToJpeg(text, { size = 10, bold = false, gray = 0 } = {}, scale = 4) {
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  const font = `${bold ? 'bold ' : ''}${size * scale}px Helvetica, Arial, sans-serif`;
+  context.font = font;
+  canvas.width = Math.ceil(context.measureText(text).width) + scale;
+  canvas.height = Math.ceil(size * 1.25 * scale);
+
+  // Resizing resets the context
+  const level = Math.round(gray * 255);
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.font = font;
+  context.fillStyle = `rgb(${level}, ${level}, ${level})`;
+  context.fillText(text, 0, size * scale);
+  return encodeJpeg(canvas, 0.95, 'Could not render the text');
+}
+
+const MARGIN = 48;
+const CONTENT_WIDTH = A4.width - 2 * MARGIN;
+const orDash = (value, suffix = '') => (value === null || value === undefined ? '--' : `${value}${suffix}`);
+const mean = (sum, count) => (count > 0 ? Math.round((sum / count) * 10) / 10 : null);
+
+const reportTitle = (session) => (session ? `Pulse Oximetry Summary: ${session.label}` : 'Pulse Oximetry Summary');
+
+// Header lines of the report as drawn: title, patient, period, notes and
+// when it was generated. advance is the space below each line.
+export function reportHeader(summary, { display = null, generatedAt = new Date() } = {}) {
+  const { profile, session } = summary;
+  const patient = profile
+    ? `${profile.name}${profile.birthYear ? ` (born ${profile.birthYear})` : ''}`
+    : 'Unknown';
+  const period = summary.end
+    ? `${formatDateTime(summary.start, display)} - ${formatDateTime(summary.end, display)}`
+    : `From ${formatDateTime(summary.start, display)}`;
+  const notes = session && session.notes ? wrapText(`Notes: ${session.notes}`, 10, CONTENT_WIDTH).slice(0, 2) : [];
+
+  return [
+    { text: reportTitle(session), size: 16, bold: true, advance: 22 },
+    { text: `Patient: ${patient}`, size: 11, bold: true, advance: 15 },
+    { text: `Period: ${period}`, size: 10, advance: 13 },
+    ...notes.map(text => ({ text, size: 10, advance: 13 })),
+    { text: `Generated ${formatDateTime(generatedAt, display)}`, size: 8, gray: 0.4, advance: 8 }
+  ];
+}
+
+// Images of the header lines Helvetica can't show, such as non-Latin
+// names, keyed by text for buildSummaryPdf(). Lines that fail to render
+// are left out and fall back to text.
+export async function renderHeaderImages(summary, options = {}) {
+  const images = new Map();
+  for (const line of reportHeader(summary, options)) {
+    if (isWinAnsi(line.text) || images.has(line.text)) continue;
+    const image = await textToJpeg(line.text, line).catch(err => {
+      console.error('Failed to render report header:', err);
+      return null;
+    });
+    if (image) images.set(line.text, image);
+  }
+  return images;
+}
+
+// Readings, time, SpO2 and pulse of the detailed readings together with
+// the compacted aggregates
+function combinedStats(report, compacted) {
+  if (!compacted) return report;
+  const count = report.readingCount;
+  const spo2Sum = (report.meanSpo2 || 0) * count + compacted.spo2.sum;
+  const bpmCount = report.pulse.mean === null ? 0 : count;
+  const bpmSum = (report.pulse.mean || 0) * bpmCount + compacted.bpm.sum;
+  const known = (values) => values.filter(value => value !== null && Number.isFinite(value));
+  const lowest = (values) => (known(values).length > 0 ? Math.min(...known(values)) : null);
+  const highest = (values) => (known(values).length > 0 ? Math.max(...known(values)) : null);
+
+  return {
+    ...report,
+    readingCount: count + compacted.readingCount,
+    recordedMs: report.recordedMs + compacted.recordedMs,
+    meanSpo2: mean(spo2Sum, (report.meanSpo2 === null ? 0 : count) + compacted.spo2.count),
+    nadirSpo2: lowest([report.nadirSpo2, compacted.spo2.min]),
+    pulse: {
+      mean: mean(bpmSum, bpmCount + compacted.bpm.count),
+      min: lowest([report.pulse.min, compacted.bpm.min]),
+      max: highest([report.pulse.max, compacted.bpm.max])
+    }
+  };
+}
+
+// Render a summary from loadSummary() as a one-page PDF. chart is an
+// optional JPEG from canvasToJpeg(); display holds the date settings;
+// textImages comes from renderHeaderImages().
+export function buildSummaryPdf(summary, { chart = null, display = null, generatedAt = new Date(), textImages = new Map() } = {}) {
+  const { profile, session, report, compacted, criteria } = summary;
+  // Helvetica can't show every locale's digits, e.g. Arabic-Indic ones
+  const tableDisplay = isWinAnsi(formatDateTime(summary.start, display)) ? display : { ...display, locale: 'en-GB' };
+  const pdf = createPdf({ title: reportTitle(session) });
+  const right = pdf.width - MARGIN;
+  const contentWidth = right - MARGIN;
+  let top = MARGIN + 10;
+
+  // Header: patient and period. Text Helvetica can't show is drawn as an
+  // image whose baseline lines up with the text.
+  reportHeader(summary, { display, generatedAt }).forEach(line => {
+    const image = textImages.get(line.text);
+    if (image) {
+      // Shrink lines wider than the page
+      const scale = Math.min(1, contentWidth / ((image.width / image.height) * line.size * 1.25));
+      const height = line.size * 1.25 * scale;
+      pdf.image(image, MARGIN, top - line.size * scale, (image.width / image.height) * height, height);
+    } else {
+      pdf.text(MARGIN, top, line.text, line);
+    }
+    top += line.advance;
+  });
+  pdf.line(MARGIN, top, right, top);
+  top += 18;
+
+  // Summary statistics in two columns
+  pdf.text(MARGIN, top, 'Summary', { size: 12, bold: true });
+  top += 16;
+  const overall = combinedStats(report, compacted);
+  const stats = [
+    ['Readings', String(overall.readingCount)],
+    ['Recorded time', formatDuration(overall.recordedMs)],
+    ['Mean SpO₂', orDash(overall.meanSpo2, '%')],
+    ['Lowest SpO₂', orDash(overall.nadirSpo2, '%')],
+    ['Time below 90% (T90)', `${formatDuration(report.t90Ms)} (${orDash(report.t90Percent, '%')})`],
+    ['ODI 3%', orDash(report.odi3, ' /h')],
+    ['ODI 4%', orDash(report.odi4, ' /h')],
+    ['Pulse mean (min-max)', `${orDash(overall.pulse.mean)} (${orDash(overall.pulse.min)}-${orDash(overall.pulse.max)}) bpm`]
+  ];
+  const columnWidth = contentWidth / 2;
+  stats.forEach(([label, value], i) => {
+    const x = MARGIN + (i % 2) * columnWidth;
+    const rowTop = top + Math.floor(i / 2) * 15;
+    pdf.text(x, rowTop, label, { size: 10, gray: 0.3 });
+    pdf.text(x + 125, rowTop, value, { size: 10, bold: true });
+  });
+  top += Math.ceil(stats.length / 2) * 15 + 10;
+  if (compacted) {
+    const note = `${compacted.readingCount} older readings up to ${formatDateTime(compacted.end, tableDisplay)} are only kept as ` +
+      'per-minute averages. They count towards readings, time, SpO₂ and pulse; T90, ODI and the event table cover ' +
+      'the detailed readings only.';
+    wrapText(note, 8, contentWidth).forEach(line => {
+      pdf.text(MARGIN, top - 4, line, { size: 8, gray: 0.4 });
+      top += 10;
+    });
+    top += 4;
+  }
+
+  // SpO2 trend as shown on screen
+  pdf.text(MARGIN, top, 'SpO₂ trend', { size: 12, bold: true });
+  top += 8;
+  const chartHeight = 190;
+  if (chart) {
+    const scale = Math.min(contentWidth / chart.width, chartHeight / chart.height);
+    pdf.image(chart, MARGIN, top, chart.width * scale, chart.height * scale);
+  } else {
+    pdf.box(MARGIN, top, contentWidth, chartHeight, { gray: 0.95 });
+    pdf.text(MARGIN + 10, top + chartHeight / 2, 'Chart not available', { size: 10, gray: 0.4 });
+  }
+  top += chartHeight + 22;
+
+  // Desaturation events, as many as fit above the disclaimer
+  const events = report.events3;
+  pdf.text(MARGIN, top, `Desaturation events (>= ${criteria.dropPercent}% for ${criteria.minDurationSec} s): ${events.length}`, { size: 12, bold: true });
+  top += 8;
+
+  const disclaimerLines = wrapText(REPORT_DISCLAIMER, 8, contentWidth);
+  const disclaimerTop = pdf.height - MARGIN - disclaimerLines.length * 10;
+  if (events.length > 0) {
+    const columns = [
+      ['Start', 0],
+      ['Duration', 130],
+      ['Baseline', 220],
+      ['Lowest', 310],
+      ['Drop', 400]
+    ];
+    const sameDay = formatDate(summary.start, tableDisplay) === formatDate(summary.end || summary.start, tableDisplay);
+    const rowHeight = 13;
+    const maxRows = Math.max(0, Math.floor((disclaimerTop - 30 - top - rowHeight) / rowHeight));
+    const shown = events.length > maxRows ? events.slice(0, Math.max(0, maxRows - 1)) : events;
+
+    pdf.box(MARGIN, top, contentWidth, rowHeight + 2);
+    columns.forEach(([label, x]) => pdf.text(MARGIN + 4 + x, top + 10, label, { size: 9, bold: true }));
+    top += rowHeight + 2;
+
+    shown.forEach(event => {
+      top += rowHeight;
+      const cells = [
+        sameDay ? formatTime(event.start, tableDisplay) : formatDateTime(event.start, tableDisplay),
+        `${event.durationSec} s`,
+        `${event.baseline}%`,
+        `${event.nadir}%`,
+        `${event.drop}%`
+      ];
+      columns.forEach(([, x], i) => pdf.text(MARGIN + 4 + x, top - 3, cells[i], { size: 9 }));
+      pdf.line(MARGIN, top, right, top, { width: 0.25, gray: 0.8 });
+    });
+    if (shown.length < events.length) {
+      top += rowHeight;
+      pdf.text(MARGIN + 4, top - 3, `... and ${events.length - shown.length} more events`, { size: 9, gray: 0.4 });
+    }
+  } else {
+    top += 12;
+    pdf.text(MARGIN, top, 'No desaturation events.', { size: 10 });
+  }
+
+  pdf.line(MARGIN, disclaimerTop - 12, right, disclaimerTop - 12);
+  disclaimerLines.forEach((line, i) => {
+    pdf.text(MARGIN, disclaimerTop + i * 10, line, { size: 8, gray: 0.3 });
+  });
+
+  const owner = profile ? `${slug(profile.name)}-` : '';
+  const day = new Date(summary.start).toISOString().slice(0, 10);
+  return {
+    filename: `oximeter-report-${owner}${day}.pdf`,
+    mimeType: 'application/pdf',
+    content: pdf.toBytes()
+  };
+}
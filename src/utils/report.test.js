@@ -0,0 +1,176 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { saveReading, updateProfile, compactReadings, DEFAULT_PROFILE_ID } from './storage';
+import { startSession, finishSession } from './sessions';
+import { A4, createPdf, toWinAnsi, isWinAnsi, wrapText } from './pdf';
+import { REPORT_DISCLAIMER, loadSummary, reportHeader, buildSummaryPdf } from './report';
+import { formatTime, formatDateTime } from './format';
+
+const SECOND = 1000;
+const T0 = new Date('2025-01-01T22:00:00.000Z').getTime();
+const DISPLAY = { locale: 'en-GB', clock: '24h' };
+
+const decode = (bytes) => new TextDecoder('latin1').decode(bytes);
+
+// Every object the cross-reference table points at starts at its offset
+function expectValidXref(bytes) {
+  const text = decode(bytes);
+  const xrefOffset = Number(text.match(/startxref\n(\d+)/)[1]);
+  expect(text.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+
+  const [, count] = text.slice(xrefOffset).match(/xref\n0 (\d+)/);
+  const entries = text.slice(xrefOffset).split('\n').slice(3, 2 + Number(count));
+  entries.forEach((entry, i) => {
+    const offset = Number(entry.slice(0, 10));
+    expect(text.slice(offset, offset + `${i + 1} 0 obj`.length)).toBe(`${i + 1} 0 obj`);
+  });
+}
+
+// A session of 1 Hz readings at 96% with two 20 second dips to 91%
+async function recordNight() {
+  vi.setSystemTime(T0);
+  const session = await startSession('Overnight', 'Slept on the left side');
+  for (let s = 0; s < 600; s++) {
+    vi.setSystemTime(T0 + s * SECOND);
+    const dipping = (s >= 240 && s < 260) || (s >= 420 && s < 440);
+    await saveReading(dipping ? 80 : 64, dipping ? 91 : 96, { sessionId: session.id });
+  }
+  vi.setSystemTime(T0 + 600 * SECOND);
+  return finishSession(session.id);
+}
+
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ['Date'] });
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('pdf writer', () => {
+  it('writes a single page with text, lines and images', () => {
+    const pdf = createPdf({ title: 'Test (1)' });
+    pdf.text(40, 60, 'SpO₂ ≥ 90% (ok)', { bold: true });
+    pdf.line(40, 70, 200, 70);
+    pdf.image({ bytes: new Uint8Array([0xFF, 0xD8, 0xFF, 0xD9]), width: 2, height: 1 }, 40, 80, 100, 50);
+    const bytes = pdf.toBytes();
+    const text = decode(bytes);
+
+    expect(text.startsWith('%PDF-1.4')).toBe(true);
+    expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+    expect(text).toContain('/F2 10 Tf');
+    expect(text).toContain('(SpO2 >= 90% \\(ok\\)) Tj');
+    expect(text).toContain('/Filter /DCTDecode /Length 4');
+    expect(text).toContain('/Title (Test \\(1\\))');
+    expectValidXref(bytes);
+  });
+
+  it('maps text to the Helvetica character set and wraps it', () => {
+    expect(toWinAnsi('Zoë – 95…%')).toBe('Zoë - 95...%');
+    expect(toWinAnsi('心拍')).toBe('??');
+    expect(toWinAnsi('Dvořák 10:30\u202FPM')).toBe('Dvorák 10:30 PM');
+    expect(isWinAnsi('Zoë – 95…%')).toBe(true);
+    expect(isWinAnsi('Иван')).toBe(false);
+    expect(wrapText('one two three four', 10, 40)).toEqual(['one two', 'three', 'four']);
+  });
+});
+
+describe('summary report', () => {
+  it('summarises a session with profile, statistics, events and disclaimer', async () => {
+    await updateProfile(DEFAULT_PROFILE_ID, { name: 'Grandpa Joe', birthYear: 1940 });
+    const session = await recordNight();
+
+    const summary = await loadSummary({ session });
+    expect(summary.report.readingCount).toBe(600);
+    expect(summary.report.events3).toHaveLength(2);
+
+    const file = buildSummaryPdf(summary, { display: DISPLAY, generatedAt: new Date(T0 + 3600 * SECOND) });
+    expect(file.filename).toBe('oximeter-report-grandpa-joe-2025-01-01.pdf');
+    expect(file.mimeType).toBe('application/pdf');
+
+    const text = decode(file.content);
+    expect(text).toContain('(Pulse Oximetry Summary: Overnight) Tj');
+    expect(text).toContain('(Patient: Grandpa Joe \\(born 1940\\)) Tj');
+    expect(text).toContain('(Notes: Slept on the left side) Tj');
+    expect(text).toContain('(Readings) Tj');
+    expect(text).toContain('(600) Tj');
+    expect(text).toContain('(Lowest SpO2) Tj');
+    expect(text).toContain('(91%) Tj');
+    expect(text).toContain('(Desaturation events \\(>= 3% for 10 s\\): 2) Tj');
+    expect(text).toContain(`(${formatTime(T0 + 240 * SECOND, DISPLAY)}) Tj`);
+    expect(text).toContain('(Chart not available) Tj');
+    wrapText(REPORT_DISCLAIMER, 8, A4.width - 96).forEach(line => expect(text).toContain(`(${line}) Tj`));
+    expectValidXref(file.content);
+  });
+
+  it('covers a time range of the active profile and embeds the chart', async () => {
+    await recordNight();
+
+    const summary = await loadSummary({ start: T0 + 300 * SECOND, end: T0 + 600 * SECOND });
+    expect(summary.report.readingCount).toBe(300);
+    expect(summary.report.events3).toHaveLength(1);
+
+    const chart = { bytes: new Uint8Array([0xFF, 0xD8, 0xFF, 0xD9]), width: 800, height: 400 };
+    const text = decode(buildSummaryPdf(summary, { chart, display: DISPLAY }).content);
+    expect(text).toContain('(Pulse Oximetry Summary) Tj');
+    expect(text).toContain('/Width 800 /Height 400');
+    expect(text).toContain('/Im1 Do');
+    expect(text).not.toContain('Chart not available');
+  });
+
+  it('keeps the event table on one page', async () => {
+    const events = Array.from({ length: 60 }, (_, i) => ({
+      start: new Date(T0 + i * 60 * SECOND).toISOString(),
+      durationSec: 15,
+      baseline: 96,
+      nadir: 91,
+      drop: 5
+    }));
+    const summary = await loadSummary({ start: T0, end: T0 + 3600 * SECOND });
+    summary.report = { ...summary.report, events3: events };
+
+    const text = decode(buildSummaryPdf(summary, { display: DISPLAY }).content);
+    const rows = text.match(/\(15 s\) Tj/g).length;
+    expect(rows).toBeLessThan(60);
+    expect(text).toContain(`(... and ${60 - rows} more events) Tj`);
+  });
+
+  it('takes in the aggregates of compacted readings', async () => {
+    await recordNight();
+    // The first five minutes, with the first dip, are compacted
+    await compactReadings(T0 + 300 * SECOND, 60 * SECOND, { keepSessionReadings: false });
+
+    const summary = await loadSummary({ start: T0, end: T0 + 600 * SECOND });
+    expect(summary.report.readingCount).toBe(300);
+    expect(summary.compacted).toMatchObject({ readingCount: 300, recordedMs: 300 * SECOND, end: new Date(T0 + 300 * SECOND).toISOString() });
+
+    const text = decode(buildSummaryPdf(summary, { display: DISPLAY }).content);
+    expect(text).toContain('(600) Tj');
+    expect(text).toContain('(10m) Tj');
+    expect(text).toContain('(91%) Tj');
+    expect(text).toContain('(Desaturation events \\(>= 3% for 10 s\\): 1) Tj');
+    expect(text).toContain(`(300 older readings up to ${formatDateTime(T0 + 300 * SECOND, DISPLAY)}`);
+  });
+
+  it('draws header text Helvetica cannot show as images', async () => {
+    await updateProfile(DEFAULT_PROFILE_ID, { name: 'Иван Петров' });
+    await recordNight();
+    const summary = await loadSummary({ start: T0, end: T0 + 600 * SECOND });
+
+    const lines = reportHeader(summary, { display: DISPLAY }).map(line => line.text);
+    expect(lines[1]).toBe('Patient: Иван Петров');
+
+    const image = { bytes: new Uint8Array([0xFF, 0xD8, 0xFF, 0xD9]), width: 400, height: 55 };
+    const text = decode(buildSummaryPdf(summary, { display: DISPLAY, textImages: new Map([[lines[1], image]]) }).content);
+    expect(text).toContain('/Width 400 /Height 55');
+    expect(text).toContain('/Im1 Do');
+    expect(text).not.toContain('Patient:');
+  });
+
+  it('falls back to Latin digits in the event table', async () => {
+    await recordNight();
+    const summary = await loadSummary({ start: T0, end: T0 + 600 * SECOND });
+
+    const text = decode(buildSummaryPdf(summary, { display: { locale: 'ar-EG', clock: '24h' } }).content);
+    expect(text).toContain(`(${formatTime(T0 + 240 * SECOND, { locale: 'en-GB', clock: '24h' })}) Tj`);
+  });
+});
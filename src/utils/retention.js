@@ -0,0 +1,117 @@
+import { getSetting, saveSetting, compactReadings, pruneAggregates } from './storage';
+import { applyWaveformRetention } from './waveform';
+import { getSyncEndpoint } from './sync';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Retention policy: raw readings are kept for rawDays, then folded into
+// per-minute aggregates that are kept for aggregateDays (0 keeps them forever)
+export const RETENTION_KEY = 'retention';
+export const DEFAULT_RETENTION = {
+  rawDays: 30,
+  aggregateDays: 365,
+  bucketMinutes: 1,
+  keepSessionReadings: true
+};
+
+// Accepted retention values when edited or imported (see schema.js)
+export const RETENTION_SCHEMA = {
+  rawDays: { type: 'number', label: 'Raw readings (days)', integer: true, min: 1, max: 3650, default: DEFAULT_RETENTION.rawDays },
+  aggregateDays: { type: 'number', label: 'Aggregates (days)', integer: true, min: 0, max: 36500, default: DEFAULT_RETENTION.aggregateDays },
+  bucketMinutes: { type: 'number', label: 'Aggregate size (minutes)', integer: true, min: 1, max: 1440, default: DEFAULT_RETENTION.bucketMinutes },
+  keepSessionReadings: { type: 'boolean', label: 'Keep session readings', default: DEFAULT_RETENTION.keepSessionReadings }
+};
+
+// How often the background compaction job runs
+const COMPACTION_INTERVAL_MS = 60 * 60 * 1000;
+
+export function normalizeRetention(retention = {}) {
+  const merged = { ...DEFAULT_RETENTION, ...retention };
+  const days = (value, fallback) => (Number.isFinite(value) && value >= 0 ? Math.floor(value) : fallback);
+
+  return {
+    rawDays: Math.max(1, days(merged.rawDays, DEFAULT_RETENTION.rawDays)),
+    aggregateDays: days(merged.aggregateDays, DEFAULT_RETENTION.aggregateDays),
+    bucketMinutes: Math.max(1, days(merged.bucketMinutes, DEFAULT_RETENTION.bucketMinutes)),
+    keepSessionReadings: Boolean(merged.keepSessionReadings)
+  };
+}
+
+export async function getRetention() {
+  return normalizeRetention(await getSetting(RETENTION_KEY, {}));
+}
+
+export async function saveRetention(retention) {
+  const normalized = normalizeRetention(retention);
+  await saveSetting(RETENTION_KEY, normalized);
+  return normalized;
+}
+
+// Apply the retention policy once. Readings not uploaded yet are kept
+// while sync is configured so compaction never loses data the server
+// hasn't seen.
+export async function runCompaction(now = Date.now()) {
+  const retention = await getRetention();
+  const keepUnsynced = Boolean(await getSyncEndpoint());
+
+  const { compacted, buckets } = await compactReadings(
+    now - retention.rawDays * DAY_MS,
+    retention.bucketMinutes * 60 * 1000,
+    { keepSessionReadings: retention.keepSessionReadings, keepUnsynced }
+  );
+  const aggregatesPruned = retention.aggregateDays > 0
+    ? await pruneAggregates(now - retention.aggregateDays * DAY_MS)
+    : 0;
+  const waveformChunksPruned = await applyWaveformRetention();
+
+  return { compacted, buckets, aggregatesPruned, waveformChunksPruned };
+}
+
+// Run compaction now and then periodically, when the browser is idle.
+// Returns a function that stops the job.
+export function startCompactionJob({ intervalMs = COMPACTION_INTERVAL_MS } = {}) {
+  let stopped = false;
+  let idleHandle = null;
+
+  const run = () => {
+    idleHandle = null;
+    if (stopped) return;
+    runCompaction()
+      .catch(err => console.error('Compaction failed:', err));
+  };
+
+  const schedule = () => {
+    if (idleHandle !== null) return;
+    idleHandle = typeof requestIdleCallback === 'function'
+      ? { idle: requestIdleCallback(run, { timeout: 60 * 1000 }) }
+      : { timer: setTimeout(run, 0) };
+  };
+
+  schedule();
+  const interval = setInterval(schedule, intervalMs);
+
+  return () => {
+    stopped = true;
+    clearInterval(interval);
+    if (idleHandle && idleHandle.idle !== undefined) cancelIdleCallback(idleHandle.idle);
+    if (idleHandle && idleHandle.timer !== undefined) clearTimeout(idleHandle.timer);
+  };
+}
+
+// Storage usage and quota as reported by the browser, or null if unsupported
+export async function getStorageEstimate() {
+  if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) return null;
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  return { usage, quota, fraction: quota > 0 ? usage / quota : 0 };
+}
+
+export async function isStoragePersisted() {
+  if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.persisted) return false;
+  return navigator.storage.persisted();
+}
+
+// Ask the browser not to evict our data under storage pressure
+export async function requestPersistentStorage() {
+  if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.persist) return false;
+  return navigator.storage.persist();
+}
@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { saveReading, saveSetting, countReadings, getAggregates, markReadingsAsSynced } from './storage';
+import { SYNC_ENDPOINT_KEY } from './sync';
+import {
+  DEFAULT_RETENTION,
+  normalizeRetention,
+  saveRetention,
+  getRetention,
+  runCompaction,
+  startCompactionJob,
+  getStorageEstimate
+} from './retention';
+
+const DAY = 24 * 60 * 60 * 1000;
+const T0 = new Date('2025-01-01T00:00:00.000Z').getTime();
+
+async function saveAt(time, bpm, spo2, details) {
+  vi.setSystemTime(time);
+  return saveReading(bpm, spo2, details);
+}
+
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(T0);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+describe('normalizeRetention', () => {
+  it('fills in defaults and rejects invalid values', () => {
+    expect(normalizeRetention()).toEqual(DEFAULT_RETENTION);
+    expect(normalizeRetention({ rawDays: 0, aggregateDays: -3, keepSessionReadings: 0 })).toEqual({
+      ...DEFAULT_RETENTION,
+      rawDays: 1,
+      keepSessionReadings: false
+    });
+  });
+
+  it('saves the normalized policy', async () => {
+    await saveRetention({ rawDays: 7.5, aggregateDays: 0 });
+    expect(await getRetention()).toMatchObject({ rawDays: 7, aggregateDays: 0 });
+  });
+});
+
+describe('runCompaction', () => {
+  it('compacts readings older than the raw retention', async () => {
+    await saveAt(T0 - 40 * DAY, 70, 96);
+    await saveAt(T0 - 10 * DAY, 72, 97);
+
+    const result = await runCompaction(T0);
+    expect(result).toMatchObject({ compacted: 1, buckets: 1, aggregatesPruned: 0 });
+    expect(await countReadings(null, null)).toBe(1);
+  });
+
+  it('prunes aggregates older than the aggregate retention', async () => {
+    await saveRetention({ rawDays: 1, aggregateDays: 30 });
+    await saveAt(T0 - 40 * DAY, 70, 96);
+    await saveAt(T0 - 10 * DAY, 72, 97);
+
+    const result = await runCompaction(T0);
+    expect(result).toMatchObject({ compacted: 2, aggregatesPruned: 1 });
+    expect(await getAggregates(null, null)).toHaveLength(1);
+  });
+
+  it('keeps unsynced readings while sync is configured', async () => {
+    await saveSetting(SYNC_ENDPOINT_KEY, 'https://example.com/readings');
+    const synced = await saveAt(T0 - 40 * DAY, 70, 96);
+    await saveAt(T0 - 40 * DAY + 1000, 72, 97);
+    await markReadingsAsSynced([synced]);
+
+    const result = await runCompaction(T0);
+    expect(result.compacted).toBe(1);
+    expect(await countReadings(null, null)).toBe(1);
+  });
+});
+
+describe('startCompactionJob', () => {
+  it('runs when the browser is idle and can be stopped', async () => {
+    await saveAt(T0 - 40 * DAY, 70, 96);
+    vi.setSystemTime(T0);
+
+    let idleCallback = null;
+    const cancel = vi.fn();
+    vi.stubGlobal('requestIdleCallback', (callback) => {
+      idleCallback = callback;
+      return 1;
+    });
+    vi.stubGlobal('cancelIdleCallback', cancel);
+
+    const stop = startCompactionJob();
+    idleCallback();
+    await vi.waitFor(async () => expect(await countReadings(null, null)).toBe(0));
+
+    startCompactionJob()();
+    expect(cancel).toHaveBeenCalledWith(1);
+    stop();
+  });
+});
+
+describe('getStorageEstimate', () => {
+  it('reports usage as a share of the quota', async () => {
+    vi.stubGlobal('navigator', { storage: { estimate: async () => ({ usage: 250, quota: 1000 }) } });
+    expect(await getStorageEstimate()).toEqual({ usage: 250, quota: 1000, fraction: 0.25 });
+  });
+
+  it('returns null when unsupported', async () => {
+    vi.stubGlobal('navigator', {});
+    expect(await getStorageEstimate()).toBeNull();
+  });
+});
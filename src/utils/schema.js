@@ -0,0 +1,64 @@
+// Declarative settings schemas: { field: spec }. Each spec has a label and
+// a default, and one of these types:
+//   boolean
+//   number  with optional min, max and integer
+//   enum    with the allowed values
+//   string  with an optional check(value) returning an error message
+// validateSettings() is strict and reports every invalid field, for forms
+// and imports; applySchema() quietly falls back to defaults, for values
+// read back from storage.
+
+// Error message for one value, or null when it is valid
+export function validateField(spec, value) {
+  switch (spec.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${spec.label} must be on or off`;
+
+    case 'number': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${spec.label} must be a number`;
+      if (spec.integer && !Number.isInteger(value)) return `${spec.label} must be a whole number`;
+      if (spec.min !== undefined && value < spec.min) return `${spec.label} must be at least ${spec.min}`;
+      if (spec.max !== undefined && value > spec.max) return `${spec.label} must be at most ${spec.max}`;
+      return null;
+    }
+
+    case 'enum':
+      return spec.values.includes(value) ? null : `${spec.label} must be one of ${spec.values.join(', ')}`;
+
+    case 'string':
+      if (typeof value !== 'string') return `${spec.label} must be text`;
+      return spec.check ? spec.check(value) : null;
+
+    default:
+      throw new Error(`Unknown setting type: ${spec.type}`);
+  }
+}
+
+// Validate the fields present in values. Returns { field: message } for
+// invalid and unknown fields; empty when everything is valid.
+export function validateSettings(schema, values) {
+  const errors = {};
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    return { '': 'Settings must be an object' };
+  }
+
+  Object.entries(values).forEach(([field, value]) => {
+    const spec = schema[field];
+    const error = spec ? validateField(spec, value) : `Unknown setting: ${field}`;
+    if (error) errors[field] = error;
+  });
+  return errors;
+}
+
+export function schemaDefaults(schema) {
+  return Object.fromEntries(Object.entries(schema).map(([field, spec]) => [field, spec.default]));
+}
+
+// Every schema field, taking valid values and defaults for the rest
+export function applySchema(schema, values) {
+  const source = values && typeof values === 'object' ? values : {};
+  return Object.fromEntries(Object.entries(schema).map(([field, spec]) => [
+    field,
+    field in source && validateField(spec, source[field]) === null ? source[field] : spec.default
+  ]));
+}
@@ -0,0 +1,107 @@
+import { createSession, updateSession, getSession, getSessionReadings, getSessions } from './storage';
+import { isValidReading } from './signalQuality';
+import { DEFAULT_MONITOR_ID, monitorIdOf } from './monitors';
+import { isLocked } from './encryption';
+
+export const SESSION_LABELS = ['Overnight sleep', 'Exercise test', 'Rest', 'Spot check'];
+
+// SpO2 levels reported as "time below" in session summaries
+export const SPO2_THRESHOLDS = [94, 90, 88];
+
+// Longest gap between readings still counted as continuous recording
+const MAX_GAP_MS = 10 * 1000;
+
+// Summarise a session's readings (oldest first). Time below a threshold is
+// the time from each low reading to the next one, ignoring long gaps.
+// Readings flagged by signal quality detection are left out.
+export function computeSessionSummary(allReadings, startedAt, endedAt, thresholds = SPO2_THRESHOLDS) {
+  const readings = allReadings.filter(isValidReading);
+  const durationMs = new Date(endedAt).getTime() - new Date(startedAt).getTime();
+  const timeBelow = Object.fromEntries(thresholds.map(t => [t, 0]));
+
+  const spo2Values = readings.map(r => r.spo2).filter(v => typeof v === 'number');
+  const bpmValues = readings.map(r => r.bpm).filter(v => typeof v === 'number');
+
+  for (let i = 0; i < readings.length - 1; i++) {
+    const { spo2 } = readings[i];
+    if (typeof spo2 !== 'number') continue;
+
+    const gap = new Date(readings[i + 1].timestamp) - new Date(readings[i].timestamp);
+    if (gap <= 0 || gap > MAX_GAP_MS) continue;
+
+    thresholds.forEach(t => {
+      if (spo2 < t) timeBelow[t] += gap;
+    });
+  }
+
+  const mean = (values) => (values.length > 0
+    ? Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 10) / 10
+    : null);
+
+  return {
+    durationMs,
+    readingCount: readings.length,
+    spo2Mean: mean(spo2Values),
+    spo2Min: spo2Values.length > 0 ? Math.min(...spo2Values) : null,
+    timeBelowMs: timeBelow,
+    bpmMin: bpmValues.length > 0 ? Math.min(...bpmValues) : null,
+    bpmMax: bpmValues.length > 0 ? Math.max(...bpmValues) : null
+  };
+}
+
+// Start a session. While encrypted storage is locked the stored session
+// can't be read back in full, so label and notes are filled in from here.
+export async function startSession(label, notes = '', extra = {}) {
+  const id = await createSession(label, notes, extra);
+  return { label, notes, summary: null, ...(await getSession(id)) };
+}
+
+// Close a session and store its summary. Extra fields (e.g. hrv from
+// beat detection) are merged into the summary.
+export async function finishSession(id, extra = {}) {
+  const session = await getSession(id);
+  if (!session) throw new Error(`Session ${id} not found`);
+
+  const endedAt = new Date().toISOString();
+
+  // Encrypted readings can't be read while locked; the summary is
+  // computed on the next unlock (see completePendingSummaries)
+  if (isLocked()) {
+    return updateSession(id, { endedAt, summary: null, pendingSummary: extra });
+  }
+
+  const readings = await getSessionReadings(id);
+  const summary = { ...computeSessionSummary(readings, session.startedAt, endedAt), ...extra };
+  return updateSession(id, { endedAt, summary });
+}
+
+// Summarise sessions that were finished while encrypted storage was locked
+export async function completePendingSummaries() {
+  if (isLocked()) return 0;
+
+  const sessions = await getSessions(Infinity);
+  const pending = sessions.filter(s => s.endedAt && s.pendingSummary);
+
+  for (const session of pending) {
+    const readings = await getSessionReadings(session.id);
+    const summary = {
+      ...computeSessionSummary(readings, session.startedAt, session.endedAt),
+      ...session.pendingSummary
+    };
+    await updateSession(session.id, { summary, pendingSummary: null });
+  }
+  return pending.length;
+}
+
+// Find a monitor's session left open, e.g. when the app was closed while recording
+export async function getOpenSession(monitorId = DEFAULT_MONITOR_ID) {
+  const sessions = await getSessions(20);
+  return sessions.find(s => !s.endedAt && monitorIdOf(s) === monitorId) || null;
+}
+
+export function formatDuration(ms) {
+  const totalMinutes = Math.round(ms / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
@@ -0,0 +1,215 @@
+import { getSetting, saveSetting } from './storage';
+import { validateSettings, applySchema, schemaDefaults } from './schema';
+import {
+  ALARM_SETTINGS_SCHEMA,
+  normalizeAlarmSettings,
+  checkAlarmLimits
+} from './alarms';
+import { RETENTION_SCHEMA, normalizeRetention, getRetention, saveRetention } from './retention';
+import { SYNC_SCHEMA, SYNC_ENDPOINT_KEY, getSyncEndpoint } from './sync';
+import { getProfileAlarmSettings, saveProfileAlarmSettings } from './profiles';
+
+// Appearance and chart settings
+export const DISPLAY_SETTINGS_KEY = 'display';
+
+function isValidLocale(value) {
+  try {
+    return Intl.getCanonicalLocales(value).length === 1;
+  } catch {
+    return false;
+  }
+}
+
+export const DISPLAY_SCHEMA = {
+  theme: { type: 'enum', label: 'Theme', values: ['system', 'light', 'dark'], default: 'system' },
+  locale: {
+    type: 'string',
+    label: 'Locale',
+    default: '',
+    check: (value) => (!value || isValidLocale(value) ? null : 'Locale must be a language tag such as en-GB')
+  },
+  clock: { type: 'enum', label: 'Clock', values: ['auto', '12h', '24h'], default: 'auto' },
+  waveformMin: { type: 'number', label: 'Waveform scale minimum', min: 0, max: 255, default: 20 },
+  waveformMax: { type: 'number', label: 'Waveform scale maximum', min: 0, max: 255, default: 100 },
+  waveformPoints: { type: 'number', label: 'Waveform window (samples)', integer: true, min: 50, max: 2000, default: 200 }
+};
+
+function checkWaveformScale(display) {
+  return display.waveformMin >= display.waveformMax
+    ? { waveformMin: 'Waveform scale minimum must be below the maximum' }
+    : {};
+}
+
+// Apply the theme to the page. 'system' follows the OS preference and keeps
+// following it; returns a function that stops listening.
+export function applyTheme(theme, root = document.documentElement) {
+  const query = typeof window.matchMedia === 'function'
+    ? window.matchMedia('(prefers-color-scheme: dark)')
+    : null;
+  const update = () => {
+    const dark = theme === 'dark' || (theme === 'system' && Boolean(query && query.matches));
+    root.classList.toggle('dark', dark);
+  };
+
+  update();
+  if (theme !== 'system' || !query || typeof query.addEventListener !== 'function') return () => {};
+  query.addEventListener('change', update);
+  return () => query.removeEventListener('change', update);
+}
+
+// Settings sections, each validated against its schema (plus an optional
+// check across fields) and stored where the rest of the app reads it.
+// Alarm limits belong to the active profile. Sections marked inFile: false
+// are left out of settings files.
+export const SETTINGS_SECTIONS = {
+  display: {
+    label: 'Display',
+    schema: DISPLAY_SCHEMA,
+    check: checkWaveformScale,
+    normalize: (values) => {
+      const display = applySchema(DISPLAY_SCHEMA, values);
+      return Object.keys(checkWaveformScale(display)).length > 0
+        ? { ...display, waveformMin: DISPLAY_SCHEMA.waveformMin.default, waveformMax: DISPLAY_SCHEMA.waveformMax.default }
+        : display;
+    },
+    load: () => getSetting(DISPLAY_SETTINGS_KEY, null),
+    save: (values) => saveSetting(DISPLAY_SETTINGS_KEY, values)
+  },
+  alarms: {
+    label: 'Alarms',
+    schema: ALARM_SETTINGS_SCHEMA,
+    check: checkAlarmLimits,
+    normalize: normalizeAlarmSettings,
+    load: (profileId) => getProfileAlarmSettings(profileId),
+    save: (values, profileId) => saveProfileAlarmSettings(profileId, values)
+  },
+  retention: {
+    label: 'Retention',
+    schema: RETENTION_SCHEMA,
+    normalize: normalizeRetention,
+    load: getRetention,
+    save: saveRetention
+  },
+  sync: {
+    label: 'Sync',
+    // Where readings are uploaded is only ever set by hand
+    inFile: false,
+    schema: SYNC_SCHEMA,
+    normalize: (values) => applySchema(SYNC_SCHEMA, values),
+    load: async () => ({ endpoint: (await getSyncEndpoint()) || '' }),
+    save: (values) => saveSetting(SYNC_ENDPOINT_KEY, values.endpoint || null)
+  }
+};
+
+// Marks exported settings files
+export const SETTINGS_EXPORT_FORMAT = 'oximeter-settings';
+
+export function defaultSettings() {
+  return Object.fromEntries(Object.entries(SETTINGS_SECTIONS).map(([name, section]) => [
+    name,
+    section.normalize(schemaDefaults(section.schema))
+  ]));
+}
+
+// Check a complete or partial section. Returns { field: message }.
+export function validateSection(name, values) {
+  const section = SETTINGS_SECTIONS[name];
+  if (!section) return { '': `Unknown settings section: ${name}` };
+
+  const errors = validateSettings(section.schema, values);
+  if (Object.keys(errors).length > 0 || !section.check) return errors;
+  return section.check({ ...schemaDefaults(section.schema), ...values });
+}
+
+// Error carrying the invalid fields, so forms can show them next to the inputs
+function validationError(errors) {
+  const error = new Error(Object.values(errors).join('. '));
+  error.fields = errors;
+  return error;
+}
+
+// Load every section, normalized
+export async function loadSettings(profileId) {
+  const entries = await Promise.all(Object.entries(SETTINGS_SECTIONS).map(async ([name, section]) => [
+    name,
+    section.normalize(await section.load(profileId))
+  ]));
+  return Object.fromEntries(entries);
+}
+
+// Merge changes to a section into its current values and validate the
+// result. Resolves with the section to store; throws with error.fields on
+// invalid values.
+async function mergeSection(name, values, profileId, current = null) {
+  const section = SETTINGS_SECTIONS[name];
+  const errors = validateSection(name, values);
+  if (Object.keys(errors).length > 0) throw validationError(errors);
+
+  const base = current || section.normalize(await section.load(profileId));
+  const merged = { ...base, ...values };
+  const crossErrors = section.check ? section.check(merged) : {};
+  if (Object.keys(crossErrors).length > 0) throw validationError(crossErrors);
+
+  return section.normalize(merged);
+}
+
+// Validate and store changes to a section. Fields left out keep their
+// current values. Resolves with the stored section; throws with
+// error.fields on invalid values.
+export async function saveSettingsSection(name, values, profileId, current = null) {
+  const normalized = await mergeSection(name, values, profileId, current);
+  await SETTINGS_SECTIONS[name].save(normalized, profileId);
+  return normalized;
+}
+
+const inFile = (name) => SETTINGS_SECTIONS[name].inFile !== false;
+
+// Settings as a JSON file, in the shape exportReadings() returns
+export function exportSettings(settings) {
+  return {
+    filename: `oximeter-settings-${new Date().toISOString().slice(0, 10)}.json`,
+    mimeType: 'application/json',
+    content: JSON.stringify({
+      format: SETTINGS_EXPORT_FORMAT,
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      settings: Object.fromEntries(Object.entries(settings).filter(([name]) => !SETTINGS_SECTIONS[name] || inFile(name)))
+    }, null, 2)
+  };
+}
+
+// Validate an exported settings file and store its sections. Every section
+// is merged into the current values and checked before any is stored, so
+// nothing is stored unless all are valid. Sections kept out of settings
+// files are ignored. Resolves with the names of the sections imported.
+export async function importSettings(text, profileId) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new Error('Settings file is not valid JSON');
+  }
+  if (!file || file.format !== SETTINGS_EXPORT_FORMAT || !file.settings || typeof file.settings !== 'object') {
+    throw new Error('Not an oximeter settings file');
+  }
+
+  const names = Object.keys(file.settings).filter(name => !SETTINGS_SECTIONS[name] || inFile(name));
+  const problems = [];
+  const merged = {};
+  for (const name of names) {
+    try {
+      merged[name] = await mergeSection(name, file.settings[name], profileId);
+    } catch (e) {
+      const messages = e.fields ? Object.values(e.fields) : [e.message];
+      messages.forEach(message => problems.push(
+        SETTINGS_SECTIONS[name] ? `${SETTINGS_SECTIONS[name].label}: ${message}` : message
+      ));
+    }
+  }
+  if (problems.length > 0) throw new Error(problems.join('. '));
+
+  for (const name of names) {
+    await SETTINGS_SECTIONS[name].save(merged[name], profileId);
+  }
+  return names;
+}
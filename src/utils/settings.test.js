@@ -0,0 +1,183 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { validateSettings, applySchema } from './schema';
+import {
+  DISPLAY_SCHEMA,
+  DISPLAY_SETTINGS_KEY,
+  defaultSettings,
+  validateSection,
+  loadSettings,
+  saveSettingsSection,
+  exportSettings,
+  importSettings,
+  applyTheme
+} from './settings';
+import { DEFAULT_PROFILE_ID, getSetting, saveSetting } from './storage';
+import { DEFAULT_ALARM_SETTINGS } from './alarms';
+import { DEFAULT_RETENTION, getRetention } from './retention';
+import { SYNC_ENDPOINT_KEY, getSyncEndpoint } from './sync';
+import { addProfile, getProfileAlarmSettings } from './profiles';
+import { formatBucketLabel } from './history';
+
+afterEach(() => {
+  document.documentElement.classList.remove('dark');
+});
+
+describe('schema validation', () => {
+  it('reports invalid and unknown fields', () => {
+    expect(validateSettings(DISPLAY_SCHEMA, { theme: 'dark', waveformPoints: 300 })).toEqual({});
+    expect(validateSettings(DISPLAY_SCHEMA, {
+      theme: 'purple',
+      waveformPoints: 12.5,
+      locale: 'not a locale!',
+      colour: 'red'
+    })).toEqual({
+      theme: 'Theme must be one of system, light, dark',
+      waveformPoints: 'Waveform window (samples) must be a whole number',
+      locale: 'Locale must be a language tag such as en-GB',
+      colour: 'Unknown setting: colour'
+    });
+    expect(validateSettings(DISPLAY_SCHEMA, [])).toEqual({ '': 'Settings must be an object' });
+  });
+
+  it('falls back to defaults for stored values that no longer validate', () => {
+    expect(applySchema(DISPLAY_SCHEMA, { theme: 'dark', waveformPoints: -1 })).toEqual({
+      ...defaultSettings().display,
+      theme: 'dark'
+    });
+  });
+
+  it('checks limits against each other', () => {
+    expect(validateSection('alarms', { spo2Low: 95, spo2High: 90 })).toEqual({
+      spo2Low: 'SpO₂ low must not be above SpO₂ high'
+    });
+    expect(validateSection('display', { waveformMin: 100 })).toEqual({
+      waveformMin: 'Waveform scale minimum must be below the maximum'
+    });
+    expect(validateSection('sync', { endpoint: 'ftp://example.com' })).toEqual({
+      endpoint: 'Sync endpoint must be an http(s) URL'
+    });
+  });
+});
+
+describe('settings sections', () => {
+  it('loads defaults when nothing is stored', async () => {
+    expect(await loadSettings(DEFAULT_PROFILE_ID)).toEqual({
+      display: defaultSettings().display,
+      alarms: DEFAULT_ALARM_SETTINGS,
+      retention: DEFAULT_RETENTION,
+      sync: { endpoint: '' }
+    });
+  });
+
+  it('stores each section where the app reads it', async () => {
+    await saveSettingsSection('display', { theme: 'dark', locale: 'de-DE' }, DEFAULT_PROFILE_ID);
+    await saveSettingsSection('alarms', { spo2Low: 88 }, DEFAULT_PROFILE_ID);
+    await saveSettingsSection('retention', { rawDays: 7 }, DEFAULT_PROFILE_ID);
+    await saveSettingsSection('sync', { endpoint: 'https://example.com/api' }, DEFAULT_PROFILE_ID);
+
+    expect(await getSetting(DISPLAY_SETTINGS_KEY)).toMatchObject({ theme: 'dark', locale: 'de-DE', clock: 'auto' });
+    expect((await getProfileAlarmSettings(DEFAULT_PROFILE_ID)).spo2Low).toBe(88);
+    expect((await getRetention()).rawDays).toBe(7);
+    expect(await getSyncEndpoint()).toBe('https://example.com/api');
+
+    await saveSettingsSection('sync', { endpoint: '' }, DEFAULT_PROFILE_ID);
+    expect(await getSetting(SYNC_ENDPOINT_KEY)).toBeNull();
+  });
+
+  it('rejects invalid values without storing them', async () => {
+    const error = await saveSettingsSection('alarms', { spo2Low: 30, bpmHigh: 'fast' }, DEFAULT_PROFILE_ID)
+      .catch(e => e);
+    expect(error.message).toBe('SpO₂ low must be at least 50. Pulse high must be a number');
+    expect(Object.keys(error.fields)).toEqual(['spo2Low', 'bpmHigh']);
+
+    // Valid on its own, but crosses the stored high limit
+    await expect(saveSettingsSection('alarms', { bpmLow: 130 }, DEFAULT_PROFILE_ID))
+      .rejects.toThrow('Pulse low must not be above pulse high');
+
+    expect(await getProfileAlarmSettings(DEFAULT_PROFILE_ID)).toEqual(DEFAULT_ALARM_SETTINGS);
+  });
+
+  it('keeps alarm limits per profile', async () => {
+    const ann = await addProfile({ name: 'Ann' });
+    await saveSettingsSection('alarms', { spo2Low: 85 }, ann.id);
+
+    expect((await loadSettings(ann.id)).alarms.spo2Low).toBe(85);
+    expect((await loadSettings(DEFAULT_PROFILE_ID)).alarms.spo2Low).toBe(DEFAULT_ALARM_SETTINGS.spo2Low);
+  });
+});
+
+describe('settings files', () => {
+  it('round-trips through export and import', async () => {
+    await saveSettingsSection('display', { theme: 'light', clock: '24h', waveformPoints: 400 }, DEFAULT_PROFILE_ID);
+    await saveSettingsSection('alarms', { bpmHigh: 110 }, DEFAULT_PROFILE_ID);
+    const exported = await loadSettings(DEFAULT_PROFILE_ID);
+    const file = exportSettings(exported);
+    expect(file.mimeType).toBe('application/json');
+    expect(file.filename).toMatch(/^oximeter-settings-\d{4}-\d{2}-\d{2}\.json$/);
+
+    const ann = await addProfile({ name: 'Ann' });
+    await saveSetting(DISPLAY_SETTINGS_KEY, null);
+    expect(await importSettings(file.content, ann.id)).toEqual(['display', 'alarms', 'retention']);
+
+    const imported = await loadSettings(ann.id);
+    expect(imported).toEqual(exported);
+  });
+
+  it('never takes the sync endpoint from a file', async () => {
+    await saveSettingsSection('sync', { endpoint: 'https://example.com/mine' }, DEFAULT_PROFILE_ID);
+    const file = exportSettings(await loadSettings(DEFAULT_PROFILE_ID));
+    expect(JSON.parse(file.content).settings.sync).toBeUndefined();
+
+    const planted = exportSettings({ display: { theme: 'dark' }, sync: { endpoint: 'https://elsewhere.example/collect' } });
+    expect(await importSettings(planted.content, DEFAULT_PROFILE_ID)).toEqual(['display']);
+    expect(await getSyncEndpoint()).toBe('https://example.com/mine');
+  });
+
+  it('checks every section against the current values before storing any', async () => {
+    await saveSettingsSection('alarms', { spo2Low: 60, spo2High: 80 }, DEFAULT_PROFILE_ID);
+    const file = exportSettings({ display: { theme: 'dark' }, alarms: { spo2Low: 85 } });
+
+    await expect(importSettings(file.content, DEFAULT_PROFILE_ID)).rejects.toThrow(
+      'Alarms: SpO₂ low must not be above SpO₂ high'
+    );
+    expect(await getSetting(DISPLAY_SETTINGS_KEY)).toBeNull();
+    expect((await getProfileAlarmSettings(DEFAULT_PROFILE_ID)).spo2Low).toBe(60);
+  });
+
+  it('rejects a file with any invalid section and stores nothing', async () => {
+    const file = exportSettings({
+      display: { ...defaultSettings().display, theme: 'dark' },
+      alarms: { spo2Low: 101 },
+      sync: { endpoint: 'not a url' },
+      colours: {}
+    });
+
+    await expect(importSettings(file.content, DEFAULT_PROFILE_ID)).rejects.toThrow(
+      'Alarms: SpO₂ low must be at most 100. Unknown settings section: colours'
+    );
+    expect(await getSetting(DISPLAY_SETTINGS_KEY)).toBeNull();
+  });
+
+  it('rejects files that are not settings exports', async () => {
+    await expect(importSettings('{oops', DEFAULT_PROFILE_ID)).rejects.toThrow('Settings file is not valid JSON');
+    await expect(importSettings('{"readings": []}', DEFAULT_PROFILE_ID)).rejects.toThrow('Not an oximeter settings file');
+  });
+});
+
+describe('display', () => {
+  it('switches the dark class with the theme', () => {
+    applyTheme('dark');
+    expect(document.documentElement.classList.contains('dark')).toBe(true);
+    applyTheme('light');
+    expect(document.documentElement.classList.contains('dark')).toBe(false);
+  });
+
+  it('formats labels in the chosen locale and clock', () => {
+    const time = '2025-01-01T15:30:00.000Z';
+    const display = { locale: 'en-US', clock: '24h' };
+    expect(formatBucketLabel(time, 1000, display)).toBe(
+      new Date(time).toLocaleTimeString('en-US', { hour12: false })
+    );
+    expect(formatBucketLabel(time, 1000, { locale: 'en-US', clock: '12h' })).toMatch(/[AP]M$/);
+  });
+});
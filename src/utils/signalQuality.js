@@ -0,0 +1,126 @@
+// Signal quality classification for measurement readings
+export const QUALITY = {
+  VALID: 'valid',
+  QUESTIONABLE: 'questionable',
+  NO_FINGER: 'no-finger'
+};
+
+// Placeholder values these devices send when the finger is removed. 127
+// is only a placeholder for SpO2; a pulse of 127 bpm is real.
+const NO_FINGER_SPO2 = [0, 127, 255];
+const NO_FINGER_BPM = [0, 255];
+
+// PLX status flags meaning the sensor is off the finger
+const NO_FINGER_FLAGS = ['sensorUnconnected', 'sensorDisconnected', 'sensorDisplaced'];
+
+// PLX status flags meaning the value should not be trusted
+const QUESTIONABLE_FLAGS = [
+  'questionableMeasurement', 'invalidMeasurement', 'measurementUnavailable',
+  'inadequateSignal', 'poorSignal', 'erraticSignal', 'nonpulsatileSignal',
+  'questionablePulse', 'sensorInterference', 'signalProcessingIrregularity'
+];
+
+export const DEFAULT_QUALITY_OPTIONS = {
+  // Physiologically plausible ranges
+  spo2Range: [50, 100],
+  bpmRange: [25, 250],
+  // Largest believable change between readings within jumpWindowMs
+  maxSpo2Jump: 4,
+  maxBpmJump: 30,
+  jumpWindowMs: 3000,
+  // Waveform used to judge the signal
+  waveformWindowMs: 3000,
+  // Peak-to-peak amplitude below which the waveform counts as flat
+  minWaveformRange: 3,
+  // Fraction of samples at the rails that indicates motion/clipping
+  maxClippedFraction: 0.2,
+  clipLow: 0,
+  clipHigh: 127
+};
+
+// Readings without a quality flag predate quality detection and are kept
+export function isValidReading(reading) {
+  return !reading.quality || reading.quality === QUALITY.VALID;
+}
+
+// Judge the recent waveform: 'flat', 'clipped' or 'ok' (null without data)
+export function assessWaveform(samples, options = {}) {
+  const { minWaveformRange, maxClippedFraction, clipLow, clipHigh } = {
+    ...DEFAULT_QUALITY_OPTIONS,
+    ...options
+  };
+  if (samples.length === 0) return null;
+
+  let min = Infinity;
+  let max = -Infinity;
+  let clipped = 0;
+  samples.forEach(v => {
+    min = Math.min(min, v);
+    max = Math.max(max, v);
+    if (v <= clipLow || v >= clipHigh) clipped++;
+  });
+
+  if (clipped / samples.length > maxClippedFraction) return 'clipped';
+  if (max - min < minWaveformRange) return 'flat';
+  return 'ok';
+}
+
+// Track the waveform stream and previous readings, and classify each
+// new reading as valid, questionable or no-finger
+export function createSignalQualityMonitor(options = {}) {
+  const opts = { ...DEFAULT_QUALITY_OPTIONS, ...options };
+  let waveform = [];
+  let lastValid = null;
+
+  return {
+    pushWaveform(samples, now = Date.now()) {
+      samples.forEach(value => waveform.push({ time: now, value }));
+      const cutoff = now - opts.waveformWindowMs;
+      if (waveform.length > 0 && waveform[0].time < cutoff) {
+        waveform = waveform.filter(s => s.time >= cutoff);
+      }
+    },
+
+    assess(reading, now = Date.now()) {
+      const { spo2, bpm, statusFlags = [] } = reading;
+      const reasons = [];
+
+      if (NO_FINGER_SPO2.includes(spo2) || NO_FINGER_BPM.includes(bpm)) {
+        reasons.push('placeholderValue');
+      }
+      if (statusFlags.some(f => NO_FINGER_FLAGS.includes(f))) {
+        reasons.push('sensorOff');
+      }
+
+      const recent = waveform.filter(s => s.time >= now - opts.waveformWindowMs).map(s => s.value);
+      const waveformState = assessWaveform(recent, opts);
+      if (waveformState === 'flat') reasons.push('flatWaveform');
+
+      if (reasons.length > 0) {
+        return { quality: QUALITY.NO_FINGER, reasons };
+      }
+
+      if (spo2 < opts.spo2Range[0] || spo2 > opts.spo2Range[1]) reasons.push('spo2OutOfRange');
+      if (bpm < opts.bpmRange[0] || bpm > opts.bpmRange[1]) reasons.push('bpmOutOfRange');
+      if (waveformState === 'clipped') reasons.push('motionArtifact');
+      if (statusFlags.some(f => QUESTIONABLE_FLAGS.includes(f))) reasons.push('deviceFlagged');
+
+      if (lastValid && now - lastValid.time <= opts.jumpWindowMs) {
+        if (Math.abs(spo2 - lastValid.spo2) > opts.maxSpo2Jump) reasons.push('spo2Jump');
+        if (Math.abs(bpm - lastValid.bpm) > opts.maxBpmJump) reasons.push('bpmJump');
+      }
+
+      if (reasons.length > 0) {
+        return { quality: QUALITY.QUESTIONABLE, reasons };
+      }
+
+      lastValid = { time: now, spo2, bpm };
+      return { quality: QUALITY.VALID, reasons };
+    },
+
+    reset() {
+      waveform = [];
+      lastValid = null;
+    }
+  };
+}
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { QUALITY, isValidReading, assessWaveform, createSignalQualityMonitor } from './signalQuality';
+
+const T0 = new Date('2025-01-01T00:00:00.000Z').getTime();
+
+// A pulsatile waveform over the last three seconds
+const pleth = (monitor, time) => {
+  monitor.pushWaveform(Array.from({ length: 30 }, (_, i) => 40 + 20 * Math.sin(i / 3)), time);
+};
+
+describe('createSignalQualityMonitor', () => {
+  it('accepts a pulse of 127 bpm', () => {
+    const monitor = createSignalQualityMonitor();
+    expect(monitor.assess({ spo2: 97, bpm: 127 }, T0)).toEqual({ quality: QUALITY.VALID, reasons: [] });
+  });
+
+  it('flags placeholder values per field', () => {
+    const monitor = createSignalQualityMonitor();
+    expect(monitor.assess({ spo2: 127, bpm: 72 }, T0)).toMatchObject({ quality: QUALITY.NO_FINGER, reasons: ['placeholderValue'] });
+    expect(monitor.assess({ spo2: 97, bpm: 255 }, T0)).toMatchObject({ quality: QUALITY.NO_FINGER });
+    expect(monitor.assess({ spo2: 0, bpm: 0 }, T0)).toMatchObject({ quality: QUALITY.NO_FINGER });
+  });
+
+  it('flags sensor-off status and a flat waveform as no finger', () => {
+    const monitor = createSignalQualityMonitor();
+    expect(monitor.assess({ spo2: 97, bpm: 72, statusFlags: ['sensorDisplaced'] }, T0).reasons).toEqual(['sensorOff']);
+
+    monitor.pushWaveform(new Array(30).fill(50), T0);
+    expect(monitor.assess({ spo2: 97, bpm: 72 }, T0).reasons).toEqual(['flatWaveform']);
+  });
+
+  it('marks implausible values, device flags and jumps as questionable', () => {
+    const monitor = createSignalQualityMonitor();
+    pleth(monitor, T0);
+    expect(monitor.assess({ spo2: 45, bpm: 72 }, T0).reasons).toEqual(['spo2OutOfRange']);
+    expect(monitor.assess({ spo2: 97, bpm: 72, statusFlags: ['inadequateSignal'] }, T0).reasons).toEqual(['deviceFlagged']);
+
+    expect(monitor.assess({ spo2: 97, bpm: 72 }, T0).quality).toBe(QUALITY.VALID);
+    expect(monitor.assess({ spo2: 90, bpm: 110 }, T0 + 1000).reasons).toEqual(['spo2Jump', 'bpmJump']);
+    // Jumps only count within the window
+    expect(monitor.assess({ spo2: 90, bpm: 110 }, T0 + 5000).quality).toBe(QUALITY.VALID);
+  });
+});
+
+describe('assessWaveform', () => {
+  it('tells flat, clipped and ok waveforms apart', () => {
+    expect(assessWaveform([])).toBeNull();
+    expect(assessWaveform([50, 51, 50, 51])).toBe('flat');
+    expect(assessWaveform([0, 127, 0, 127, 60])).toBe('clipped');
+    expect(assessWaveform([30, 50, 70, 50, 30])).toBe('ok');
+  });
+});
+
+describe('isValidReading', () => {
+  it('keeps unflagged and valid readings only', () => {
+    expect(isValidReading({ spo2: 97 })).toBe(true);
+    expect(isValidReading({ quality: QUALITY.VALID })).toBe(true);
+    expect(isValidReading({ quality: QUALITY.QUESTIONABLE })).toBe(false);
+    expect(isValidReading({ quality: QUALITY.NO_FINGER })).toBe(false);
+  });
+});
@@ -1,8 +1,285 @@
+import { isValidReading } from './signalQuality';
+import { toBase64, fromBase64 } from './crypto';
+
 // Database configuration
 const DB_NAME = 'oximeter-pwa-db';
-const DB_VERSION = 1;
 const READINGS_STORE = 'readings';
 const SETTINGS_STORE = 'settings';
+const ALARMS_STORE = 'alarms';
+const SESSIONS_STORE = 'sessions';
+const WAVEFORMS_STORE = 'waveforms';
+const GAPS_STORE = 'gaps';
+const AGGREGATES_STORE = 'aggregates';
+const PROFILES_STORE = 'profiles';
+
+// Readings, sessions, alarm events, aggregates and data gaps recorded before
+// profiles existed belong to this one, created by migration 7
+export const DEFAULT_PROFILE_ID = 1;
+
+// Stores whose records belong to a profile, with the time field of their
+// 'profileTime' index ([profileId, time])
+const PROFILE_SCOPED = {
+  [READINGS_STORE]: 'timestamp',
+  [SESSIONS_STORE]: 'startedAt',
+  [ALARMS_STORE]: 'timestamp',
+  [AGGREGATES_STORE]: 'start'
+};
+
+// Every store with a 'profileTime' index: gaps got theirs in migration 8
+const PROFILE_INDEXED = {
+  ...PROFILE_SCOPED,
+  [GAPS_STORE]: 'start'
+};
+
+// Aggregate rows are keyed by profile, monitor and bucket start
+function aggregateKey(profileId, monitorId, start) {
+  return `${profileId}|${monitorId || ''}|${start}`;
+}
+
+// Schema migrations, one per database version. MIGRATIONS[n] upgrades a
+// database from version n to n + 1; on open every migration newer than
+// the stored version runs in order inside the upgrade transaction.
+// Append new migrations, never change existing ones.
+const MIGRATIONS = [
+  // 1: readings and key-value settings
+  (db) => {
+    const readingsStore = db.createObjectStore(READINGS_STORE, { keyPath: 'id', autoIncrement: true });
+    readingsStore.createIndex('timestamp', 'timestamp', { unique: false });
+    db.createObjectStore(SETTINGS_STORE, { keyPath: 'key' });
+  },
+  
+  // 2: alarm event log
+  (db) => {
+    const alarmsStore = db.createObjectStore(ALARMS_STORE, { keyPath: 'id', autoIncrement: true });
+    alarmsStore.createIndex('timestamp', 'timestamp', { unique: false });
+  },
+  
+  // 3: recording sessions; readings are indexed by session.
+  // Existing readings have no sessionId and are simply not indexed.
+  (db, transaction) => {
+    const sessionsStore = db.createObjectStore(SESSIONS_STORE, { keyPath: 'id', autoIncrement: true });
+    sessionsStore.createIndex('startedAt', 'startedAt', { unique: false });
+    transaction.objectStore(READINGS_STORE).createIndex('sessionId', 'sessionId', { unique: false });
+  },
+  
+  // 4: compressed PPG waveform chunks
+  (db) => {
+    const waveformsStore = db.createObjectStore(WAVEFORMS_STORE, { keyPath: 'id', autoIncrement: true });
+    waveformsStore.createIndex('sessionId', 'sessionId', { unique: false });
+    waveformsStore.createIndex('startTime', 'startTime', { unique: false });
+  },
+  
+  // 5: data gap log for connection drops
+  (db) => {
+    const gapsStore = db.createObjectStore(GAPS_STORE, { keyPath: 'id', autoIncrement: true });
+    gapsStore.createIndex('start', 'start', { unique: false });
+  },
+  
+  // 6: per-minute aggregates of compacted readings, keyed by monitor and bucket start
+  (db) => {
+    const aggregatesStore = db.createObjectStore(AGGREGATES_STORE, { keyPath: 'key' });
+    aggregatesStore.createIndex('start', 'start', { unique: false });
+  },
+  
+  // 7: patient profiles. Existing readings, sessions, alarm events and
+  // aggregates move to a default profile; aggregate rows are re-keyed.
+  (db, transaction) => {
+    const profilesStore = db.createObjectStore(PROFILES_STORE, { keyPath: 'id', autoIncrement: true });
+    profilesStore.add({
+      id: DEFAULT_PROFILE_ID,
+      name: 'Default',
+      birthYear: null,
+      alarmSettings: null,
+      createdAt: new Date().toISOString()
+    });
+    
+    Object.entries(PROFILE_SCOPED).forEach(([storeName, timeField]) => {
+      transaction.objectStore(storeName).createIndex('profileTime', ['profileId', timeField], { unique: false });
+    });
+    
+    [READINGS_STORE, SESSIONS_STORE, ALARMS_STORE].forEach(storeName => {
+      const request = transaction.objectStore(storeName).openCursor();
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        cursor.update({ ...cursor.value, profileId: DEFAULT_PROFILE_ID });
+        cursor.continue();
+      };
+    });
+    
+    const aggregatesStore = transaction.objectStore(AGGREGATES_STORE);
+    aggregatesStore.getAll().onsuccess = (event) => {
+      aggregatesStore.clear();
+      event.target.result.forEach(row => aggregatesStore.put({
+        ...row,
+        key: aggregateKey(DEFAULT_PROFILE_ID, row.monitorId, row.start),
+        profileId: DEFAULT_PROFILE_ID
+      }));
+    };
+  },
+  
+  // 8: data gaps belong to a profile too; existing gaps move to the
+  // default profile
+  (db, transaction) => {
+    const gapsStore = transaction.objectStore(GAPS_STORE);
+    gapsStore.createIndex('profileTime', ['profileId', 'start'], { unique: false });
+    
+    const request = gapsStore.openCursor();
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      cursor.update({ ...cursor.value, profileId: DEFAULT_PROFILE_ID });
+      cursor.continue();
+    };
+  },
+  
+  // 9: readings waiting for upload are flagged and indexed, so sync finds
+  // them without walking the whole store
+  (db, transaction) => {
+    const readingsStore = transaction.objectStore(READINGS_STORE);
+    readingsStore.createIndex('pendingSync', 'pendingSync', { unique: false });
+    
+    // Read each reading again before flagging it: migration 7 may be
+    // updating the same readings in this transaction, and its write is
+    // queued before this read
+    const request = readingsStore.openCursor();
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      if (isPendingSync(cursor.value)) {
+        readingsStore.get(cursor.primaryKey).onsuccess = (getEvent) => {
+          readingsStore.put(withSyncFlag(getEvent.target.result));
+        };
+      }
+      cursor.continue();
+    };
+  }
+];
+
+const DB_VERSION = MIGRATIONS.length;
+
+// Key of the 'pendingSync' index. Only readings waiting for upload carry
+// the field; simulated readings are never uploaded.
+const PENDING_SYNC = 1;
+
+function isPendingSync(reading) {
+  return reading.synced === false && !reading.simulated;
+}
+
+function withSyncFlag(reading) {
+  const { pendingSync: _pendingSync, ...rest } = reading;
+  return isPendingSync(reading) ? { ...rest, pendingSync: PENDING_SYNC } : rest;
+}
+
+// Fields left readable when records are encrypted: keys, indexed fields
+// and sync bookkeeping. Everything else goes into the sealed payload.
+const CLEAR_FIELDS = {
+  [READINGS_STORE]: ['id', 'timestamp', 'synced', 'pendingSync', 'simulated', 'sessionId', 'monitorId', 'deviceId', 'profileId'],
+  [AGGREGATES_STORE]: ['key', 'start', 'end', 'monitorId', 'profileId'],
+  [SESSIONS_STORE]: ['id', 'profileId', 'startedAt', 'endedAt', 'monitorId', 'deviceId', 'source', 'simulated'],
+  [ALARMS_STORE]: ['id', 'profileId', 'timestamp', 'monitorId'],
+  [WAVEFORMS_STORE]: ['id', 'sessionId', 'startTime', 'endTime']
+};
+const KEY_PATHS = {
+  [READINGS_STORE]: 'id',
+  [AGGREGATES_STORE]: 'key',
+  [SESSIONS_STORE]: 'id',
+  [ALARMS_STORE]: 'id',
+  [WAVEFORMS_STORE]: 'id'
+};
+
+// Binary fields, carried as base64 inside sealed (JSON) payloads
+const BINARY_FIELDS = {
+  [WAVEFORMS_STORE]: ['data']
+};
+
+// Encrypted storage (see encryption.js) plugs in a codec:
+// seal(record, clearFields) encrypts a record before it is written and
+// open(record) decrypts it after reading, or returns null while locked.
+// Without a codec records are stored as they are.
+let recordCodec = null;
+
+export function setRecordCodec(codec) {
+  recordCodec = codec;
+  
+  // The plaintext copy of the latest reading has no place in encrypted mode
+  if (codec && codec.seal && typeof localStorage !== 'undefined') {
+    localStorage.removeItem('oximeter_last_reading');
+  }
+}
+
+function sealRecord(record, storeName) {
+  if (!recordCodec || !recordCodec.seal) return record;
+  
+  const encoded = { ...record };
+  (BINARY_FIELDS[storeName] || []).forEach(field => {
+    if (encoded[field] !== undefined) encoded[field] = toBase64(encoded[field]);
+  });
+  return recordCodec.seal(encoded, CLEAR_FIELDS[storeName]);
+}
+
+// Decrypt one sealed record, applying changes sealed while locked (see
+// updateSession) on top. Resolves with null when it can't be opened.
+async function openRecord(record, storeName) {
+  if (!record.encrypted) return record;
+  if (!recordCodec) return null;
+  
+  const { patches = [], ...sealed } = record;
+  let opened = await recordCodec.open(sealed);
+  for (const patch of patches) {
+    if (!opened) break;
+    opened = { ...opened, ...(await recordCodec.open({ encrypted: patch })) };
+  }
+  if (opened) {
+    (BINARY_FIELDS[storeName] || []).forEach(field => {
+      if (typeof opened[field] === 'string') opened[field] = fromBase64(opened[field]).buffer;
+    });
+  }
+  return opened;
+}
+
+// Decrypt sealed records; those that can't be opened (locked, or no
+// codec) are left out
+async function openRecords(records, storeName = null) {
+  if (!records.some(record => record.encrypted)) return records;
+  
+  const opened = await Promise.all(records.map(record => openRecord(record, storeName)));
+  return opened.filter(Boolean);
+}
+
+// Decrypt sealed records where possible; while locked, sealed records
+// keep only their clear fields
+async function openRecordsOrClear(records, storeName) {
+  return Promise.all(records.map(async record => {
+    const opened = await openRecord(record, storeName);
+    if (opened) return opened;
+    return Object.fromEntries(Object.entries(record).filter(([field]) => CLEAR_FIELDS[storeName].includes(field)));
+  }));
+}
+
+// Patient profile whose records are read and written (see profiles.js).
+// New readings, sessions and alarm events are stamped with it, and
+// queries only return its records.
+let activeProfileId = DEFAULT_PROFILE_ID;
+
+export function setActiveProfileId(id) {
+  activeProfileId = id;
+}
+
+export function getActiveProfileId() {
+  return activeProfileId;
+}
+
+// Range of a 'profileTime' index between two times for the active profile
+function profileRange(start, end) {
+  return IDBKeyRange.bound([activeProfileId, start], [activeProfileId, end]);
+}
+
+// Range of a 'profileTime' index covering all of a profile's records
+// (arrays sort after every time string)
+function wholeProfileRange(profileId) {
+  return IDBKeyRange.bound([profileId], [profileId, []]);
+}
 
 // Initialize the database
 function initDB() {
@@ -10,19 +287,13 @@ function initDB() {
     // Open the database
     const request = indexedDB.open(DB_NAME, DB_VERSION);
     
-    // Create object stores on first setup or version upgrade
+    // Run the migrations the stored version hasn't seen yet
     request.onupgradeneeded = (event) => {
       const db = event.target.result;
+      const transaction = event.target.transaction;
       
-      // Create readings store with auto-incrementing ID
-      if (!db.objectStoreNames.contains(READINGS_STORE)) {
-        const readingsStore = db.createObjectStore(READINGS_STORE, { keyPath: 'id', autoIncrement: true });
-        readingsStore.createIndex('timestamp', 'timestamp', { unique: false });
-      }
-      
-      // Create settings store with key-value pairs
-      if (!db.objectStoreNames.contains(SETTINGS_STORE)) {
-        db.createObjectStore(SETTINGS_STORE, { keyPath: 'key' });
+      for (let version = event.oldVersion; version < DB_VERSION; version++) {
+        MIGRATIONS[version](db, transaction);
       }
     };
     
@@ -34,36 +305,84 @@ function initDB() {
       console.error('IndexedDB error:', event.target.error);
       reject(event.target.error);
     };
+    
+    // Another tab still has an older version open
+    request.onblocked = () => {
+      console.warn('Database upgrade blocked by another open tab');
+    };
   });
 }
 
-// Save a reading to the database
-export async function saveReading(bpm, spo2) {
+// Long-lived connection for frequent writes (see writeReadings), opened
+// once instead of per call. It is closed when another tab upgrades or
+// deletes the database so that isn't blocked; the next write reopens it.
+let sharedDB = null;
+
+function getSharedDB() {
+  if (!sharedDB) {
+    sharedDB = initDB()
+      .then(db => {
+        db.onversionchange = () => closeSharedDB();
+        db.onclose = () => {
+          sharedDB = null;
+        };
+        return db;
+      })
+      .catch(error => {
+        sharedDB = null;
+        throw error;
+      });
+  }
+  return sharedDB;
+}
+
+// Close the long-lived connection, e.g. before deleting the database
+export function closeSharedDB() {
+  if (!sharedDB) return;
+  const pending = sharedDB;
+  sharedDB = null;
+  pending.then(db => db.close()).catch(() => {});
+}
+
+// Keep a copy of the latest reading in localStorage as backup
+function storeLastReading({ bpm, spo2, timestamp, profileId }) {
+  if (recordCodec && recordCodec.seal) return;
+  
   try {
+    localStorage.setItem('oximeter_last_reading', JSON.stringify({ bpm, spo2, timestamp, profileId }));
+  } catch (e) {
+    console.error('Failed to save to localStorage:', e);
+  }
+}
+
+// Save a reading to the database.
+// Optional details (e.g. perfusionIndex, statusFlags) are stored with it.
+export async function saveReading(bpm, spo2, details = {}) {
+  const timestamp = new Date().toISOString();
+  const profileId = details.profileId || activeProfileId;
+  
+  try {
+    const reading = await sealRecord(withSyncFlag({
+      ...details,
+      profileId,
+      bpm,
+      spo2,
+      timestamp,
+      synced: false
+    }), READINGS_STORE);
     const db = await initDB();
     
     return new Promise((resolve, reject) => {
       const transaction = db.transaction([READINGS_STORE], 'readwrite');
       const store = transaction.objectStore(READINGS_STORE);
       
-      const reading = {
-        bpm,
-        spo2,
-        timestamp: new Date().toISOString(),
-        synced: false
-      };
-      
       const request = store.add(reading);
       
       request.onsuccess = () => {
         // Also save latest reading to localStorage as backup
+        storeLastReading({ bpm, spo2, timestamp, profileId });
+        
         try {
-          localStorage.setItem('oximeter_last_reading', JSON.stringify({
-            bpm,
-            spo2,
-            timestamp: reading.timestamp
-          }));
-          
           // Register a sync if supported
           if ('serviceWorker' in navigator && 'SyncManager' in window) {
             navigator.serviceWorker.ready
@@ -90,51 +409,92 @@ export async function saveReading(bpm, spo2) {
     console.error('Failed to save reading:', error);
     
     // Fallback to localStorage if IndexedDB fails
-    try {
-      localStorage.setItem('oximeter_last_reading', JSON.stringify({
-        bpm,
-        spo2,
-        timestamp: new Date().toISOString()
-      }));
-    } catch (e) {
-      console.error('Failed to save to localStorage:', e);
-    }
+    storeLastReading({ bpm, spo2, timestamp, profileId });
+    
+    throw error;
+  }
+}
+
+// Write a batch of complete reading records (with timestamp and synced
+// flag) in one transaction on the shared connection. Used by the reading
+// queue instead of saveReading at notification rates. Readings without a
+// profileId go to the active profile. Resolves with the new ids in order
+// once the transaction has committed.
+export async function writeReadings(readings) {
+  if (readings.length === 0) return [];
+  const stamped = readings.map(reading => withSyncFlag({ ...reading, profileId: reading.profileId || activeProfileId }));
+  const latest = stamped[stamped.length - 1];
+  
+  try {
+    const records = await Promise.all(stamped.map(reading => sealRecord(reading, READINGS_STORE)));
+    const db = await getSharedDB();
+    
+    const ids = await new Promise((resolve, reject) => {
+      const transaction = db.transaction([READINGS_STORE], 'readwrite');
+      const store = transaction.objectStore(READINGS_STORE);
+      const ids = [];
+      
+      records.forEach((reading, i) => {
+        const request = store.add(reading);
+        request.onsuccess = () => {
+          ids[i] = request.result;
+        };
+      });
+      
+      transaction.oncomplete = () => {
+        resolve(ids);
+      };
+      
+      transaction.onerror = () => {
+        console.error('Error writing readings:', transaction.error);
+        reject(transaction.error);
+      };
+      
+      transaction.onabort = () => {
+        reject(transaction.error || new Error('Transaction aborted'));
+      };
+    });
+    
+    storeLastReading(latest);
+    return ids;
+  } catch (error) {
+    console.error('Failed to write readings:', error);
     
+    // Fallback to localStorage if IndexedDB fails
+    storeLastReading(latest);
     throw error;
   }
 }
 
-// Get the latest reading
+// Read the localStorage copy of the latest reading, if it belongs to the
+// active profile
+function readLastReading() {
+  try {
+    const lastReading = JSON.parse(localStorage.getItem('oximeter_last_reading'));
+    if (!lastReading || (lastReading.profileId || DEFAULT_PROFILE_ID) !== activeProfileId) return null;
+    return lastReading;
+  } catch (e) {
+    console.error('Failed to get from localStorage:', e);
+    return null;
+  }
+}
+
+// Get the active profile's latest reading
 export async function getLatestReading() {
   try {
     const db = await initDB();
     
-    return new Promise((resolve, reject) => {
+    const latest = await new Promise((resolve, reject) => {
       const transaction = db.transaction([READINGS_STORE], 'readonly');
       const store = transaction.objectStore(READINGS_STORE);
-      const index = store.index('timestamp');
+      const index = store.index('profileTime');
       
       // Get the last entry (most recent timestamp)
-      const request = index.openCursor(null, 'prev');
+      const request = index.openCursor(wholeProfileRange(activeProfileId), 'prev');
       
       request.onsuccess = (event) => {
         const cursor = event.target.result;
-        if (cursor) {
-          resolve(cursor.value);
-        } else {
-          // Try to get from localStorage if no readings in IndexedDB
-          try {
-            const lastReading = localStorage.getItem('oximeter_last_reading');
-            if (lastReading) {
-              resolve(JSON.parse(lastReading));
-            } else {
-              resolve(null);
-            }
-          } catch (e) {
-            console.error('Failed to get from localStorage:', e);
-            resolve(null);
-          }
-        }
+        resolve(cursor ? cursor.value : null);
       };
       
       request.onerror = () => {
@@ -146,39 +506,34 @@ export async function getLatestReading() {
         db.close();
       };
     });
+    
+    // Try to get from localStorage if no readable reading in IndexedDB
+    const [reading] = latest ? await openRecords([latest]) : [];
+    return reading || readLastReading();
   } catch (error) {
     console.error('Failed to get latest reading:', error);
     
     // Fallback to localStorage
-    try {
-      const lastReading = localStorage.getItem('oximeter_last_reading');
-      if (lastReading) {
-        return JSON.parse(lastReading);
-      }
-    } catch (e) {
-      console.error('Failed to get from localStorage:', e);
-    }
-    
-    return null;
+    return readLastReading();
   }
 }
 
-// Get readings from a specific time range
+// Get the active profile's readings from a specific time range
 export async function getReadings(startDate, endDate, limit = 100) {
   try {
     const db = await initDB();
     
-    return new Promise((resolve, reject) => {
+    const records = await new Promise((resolve, reject) => {
       const transaction = db.transaction([READINGS_STORE], 'readonly');
       const store = transaction.objectStore(READINGS_STORE);
-      const index = store.index('timestamp');
+      const index = store.index('profileTime');
       
       // Convert dates to ISO strings for comparison
       const start = startDate ? new Date(startDate).toISOString() : new Date(0).toISOString();
       const end = endDate ? new Date(endDate).toISOString() : new Date().toISOString();
       
       // Create range for the query
-      const range = IDBKeyRange.bound(start, end);
+      const range = profileRange(start, end);
       
       const request = index.openCursor(range, 'prev');
       const readings = [];
@@ -202,6 +557,8 @@ export async function getReadings(startDate, endDate, limit = 100) {
         db.close();
       };
     });
+    
+    return openRecords(records);
   } catch (error) {
     console.error('Failed to get readings:', error);
     return [];
@@ -271,6 +628,8 @@ export async function getSetting(key, defaultValue = null) {
 
 // Mark readings as synced
 export async function markReadingsAsSynced(ids) {
+  if (ids.length === 0) return 0;
+  
   try {
     const db = await initDB();
     
@@ -288,6 +647,7 @@ export async function markReadingsAsSynced(ids) {
           const reading = request.result;
           if (reading) {
             reading.synced = true;
+            delete reading.pendingSync;
             const updateRequest = store.put(reading);
             
             updateRequest.onsuccess = () => {
@@ -331,32 +691,100 @@ export async function markReadingsAsSynced(ids) {
   }
 }
 
-// Get unsynced readings
+// Get unsynced readings in the order they were stored. Simulated readings
+// are never uploaded.
 export async function getUnsyncedReadings(limit = 100) {
   try {
     const db = await initDB();
     
     return new Promise((resolve, reject) => {
       const transaction = db.transaction([READINGS_STORE], 'readonly');
-      const store = transaction.objectStore(READINGS_STORE);
+      const index = transaction.objectStore(READINGS_STORE).index('pendingSync');
       
-      const request = store.openCursor();
-      const readings = [];
+      const request = index.getAll(IDBKeyRange.only(PENDING_SYNC), limit);
+      
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+      
+      request.onerror = () => {
+        console.error('Error getting unsynced readings:', request.error);
+        reject(request.error);
+      };
+      
+      transaction.oncomplete = () => {
+        db.close();
+      };
+    });
+  } catch (error) {
+    console.error('Failed to get unsynced readings:', error);
+    return [];
+  }
+}
+
+// Log an alarm event (triggered, cleared, acknowledged, snoozed)
+export async function logAlarmEvent(alarmEvent) {
+  try {
+    const record = await sealRecord({
+      profileId: activeProfileId,
+      ...alarmEvent,
+      timestamp: alarmEvent.timestamp || new Date().toISOString()
+    }, ALARMS_STORE);
+    const db = await initDB();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([ALARMS_STORE], 'readwrite');
+      const store = transaction.objectStore(ALARMS_STORE);
+      
+      const request = store.add(record);
+      
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+      
+      request.onerror = () => {
+        console.error('Error logging alarm event:', request.error);
+        reject(request.error);
+      };
+      
+      transaction.oncomplete = () => {
+        db.close();
+      };
+    });
+  } catch (error) {
+    console.error('Failed to log alarm event:', error);
+    return null;
+  }
+}
+
+// Get the active profile's alarm events from a specific time range, newest first
+export async function getAlarmEvents(startDate, endDate, limit = 100) {
+  try {
+    const db = await initDB();
+    
+    const events = await new Promise((resolve, reject) => {
+      const transaction = db.transaction([ALARMS_STORE], 'readonly');
+      const store = transaction.objectStore(ALARMS_STORE);
+      const index = store.index('profileTime');
+      
+      const start = startDate ? new Date(startDate).toISOString() : new Date(0).toISOString();
+      const end = endDate ? new Date(endDate).toISOString() : new Date().toISOString();
+      
+      const request = index.openCursor(profileRange(start, end), 'prev');
+      const events = [];
       
       request.onsuccess = (event) => {
         const cursor = event.target.result;
-        if (cursor && readings.length < limit) {
-          if (cursor.value.synced === false) {
-            readings.push(cursor.value);
-          }
+        if (cursor && events.length < limit) {
+          events.push(cursor.value);
           cursor.continue();
         } else {
-          resolve(readings);
+          resolve(events);
         }
       };
       
       request.onerror = () => {
-        console.error('Error getting unsynced readings:', request.error);
+        console.error('Error getting alarm events:', request.error);
         reject(request.error);
       };
       
@@ -364,8 +792,1231 @@ export async function getUnsyncedReadings(limit = 100) {
         db.close();
       };
     });
+    
+    return openRecords(events, ALARMS_STORE);
   } catch (error) {
-    console.error('Failed to get unsynced readings:', error);
+    console.error('Failed to get alarm events:', error);
     return [];
   }
-}
\ No newline at end of file
+}
+
+// Count the active profile's readings in a time range without loading them
+export async function countReadings(startDate, endDate) {
+  try {
+    const db = await initDB();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([READINGS_STORE], 'readonly');
+      const store = transaction.objectStore(READINGS_STORE);
+      const index = store.index('profileTime');
+      
+      const start = startDate ? new Date(startDate).toISOString() : new Date(0).toISOString();
+      const end = endDate ? new Date(endDate).toISOString() : new Date().toISOString();
+      
+      const request = index.count(profileRange(start, end));
+      
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+      
+      request.onerror = () => {
+        console.error('Error counting readings:', request.error);
+        reject(request.error);
+      };
+      
+      transaction.oncomplete = () => {
+        db.close();
+      };
+    });
+  } catch (error) {
+    console.error('Failed to count readings:', error);
+    return 0;
+  }
+}
+
+// Whether any profile has readings of a device in a time range, e.g. a
+// recording downloaded from its memory before
+export async function hasDeviceReadings(deviceId, startDate, endDate) {
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([READINGS_STORE], 'readonly');
+    const index = transaction.objectStore(READINGS_STORE).index('timestamp');
+    
+    const start = new Date(startDate).toISOString();
+    const end = new Date(endDate).toISOString();
+    
+    let found = false;
+    const request = index.openCursor(IDBKeyRange.bound(start, end));
+    
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      if (cursor.value.deviceId === deviceId) {
+        found = true;
+        return;
+      }
+      cursor.continue();
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(found);
+    };
+    
+    transaction.onerror = () => {
+      console.error('Error looking up device readings:', transaction.error);
+      reject(transaction.error);
+    };
+  });
+}
+
+// Fold a value into running { min, max, sum, count } stats
+function foldStats(stats, value) {
+  if (typeof value !== 'number') return;
+  stats.min = Math.min(stats.min, value);
+  stats.max = Math.max(stats.max, value);
+  stats.sum += value;
+  stats.count++;
+}
+
+// Merge two sets of running stats
+function mergeStats(stats, other) {
+  if (!other || other.count === 0) return;
+  stats.min = Math.min(stats.min, other.min);
+  stats.max = Math.max(stats.max, other.max);
+  stats.sum += other.sum;
+  stats.count += other.count;
+}
+
+const emptyStats = () => ({ min: Infinity, max: -Infinity, sum: 0, count: 0 });
+
+// Aggregate the active profile's readings into fixed-size time buckets with min/mean/max of
+// SpO2 and BPM. Rows are folded while iterating the cursor, so only one
+// entry per non-empty bucket is kept in memory. Readings flagged by
+// signal quality detection are left out. Per-minute aggregates left
+// behind by compaction are folded in as well, so trends survive it.
+// Encrypted rows can't be decrypted inside the transaction; they are
+// collected and folded once it has finished.
+export async function getAggregatedReadings(startDate, endDate, bucketMs) {
+  try {
+    const db = await initDB();
+    
+    const startTime = startDate ? new Date(startDate).getTime() : 0;
+    const start = new Date(startTime).toISOString();
+    const end = endDate ? new Date(endDate).toISOString() : new Date().toISOString();
+    const range = profileRange(start, end);
+    
+    const buckets = new Map();
+    const sealed = [];
+    
+    const bucketAt = (timestamp) => {
+      const time = new Date(timestamp).getTime();
+      const bucketStart = startTime + Math.floor((time - startTime) / bucketMs) * bucketMs;
+      let bucket = buckets.get(bucketStart);
+      if (!bucket) {
+        bucket = { count: 0, spo2: emptyStats(), bpm: emptyStats() };
+        buckets.set(bucketStart, bucket);
+      }
+      return bucket;
+    };
+    
+    const foldReading = (reading) => {
+      if (!isValidReading(reading)) return;
+      const bucket = bucketAt(reading.timestamp);
+      bucket.count++;
+      foldStats(bucket.spo2, reading.spo2);
+      foldStats(bucket.bpm, reading.bpm);
+    };
+    
+    const foldAggregate = (row) => {
+      const bucket = bucketAt(row.start);
+      bucket.count += row.count;
+      mergeStats(bucket.spo2, row.spo2);
+      mergeStats(bucket.bpm, row.bpm);
+    };
+    
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction([READINGS_STORE, AGGREGATES_STORE], 'readonly');
+      const index = transaction.objectStore(READINGS_STORE).index('profileTime');
+      const aggregatesIndex = transaction.objectStore(AGGREGATES_STORE).index('profileTime');
+      
+      const fail = (error) => {
+        console.error('Error aggregating readings:', error);
+        reject(error);
+      };
+      
+      const readAggregates = () => {
+        const request = aggregatesIndex.openCursor(range);
+        
+        request.onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (cursor) {
+            if (cursor.value.encrypted) {
+              sealed.push(cursor.value);
+            } else {
+              foldAggregate(cursor.value);
+            }
+            cursor.continue();
+          } else {
+            resolve();
+          }
+        };
+        
+        request.onerror = () => fail(request.error);
+      };
+      
+      const request = index.openCursor(range);
+      
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          if (cursor.value.encrypted) {
+            sealed.push(cursor.value);
+          } else {
+            foldReading(cursor.value);
+          }
+          cursor.continue();
+        } else {
+          readAggregates();
+        }
+      };
+      
+      request.onerror = () => fail(request.error);
+      
+      transaction.oncomplete = () => {
+        db.close();
+      };
+    });
+    
+    (await openRecords(sealed)).forEach(record => {
+      if (record.key !== undefined) {
+        foldAggregate(record);
+      } else {
+        foldReading(record);
+      }
+    });
+    
+    const summarize = (stats) => (stats.count > 0
+      ? { min: stats.min, max: stats.max, mean: Math.round((stats.sum / stats.count) * 10) / 10 }
+      : null);
+    
+    return [...buckets.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([bucketStart, bucket]) => ({
+        start: new Date(bucketStart).toISOString(),
+        end: new Date(bucketStart + bucketMs).toISOString(),
+        count: bucket.count,
+        spo2: summarize(bucket.spo2),
+        bpm: summarize(bucket.bpm)
+      }));
+  } catch (error) {
+    console.error('Failed to aggregate readings:', error);
+    return [];
+  }
+}
+
+// Readings compacted per round of compactReadings
+const COMPACTION_CHUNK = 2000;
+
+// Collect up to COMPACTION_CHUNK readings older than `end` that may be
+// compacted, resuming after the readings already seen at timestamp `from`.
+// Also returns the last timestamp scanned and the ids seen there.
+async function readCompactionCandidates(from, end, seenAtFrom, keep) {
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([READINGS_STORE], 'readonly');
+    const index = transaction.objectStore(READINGS_STORE).index('timestamp');
+    
+    const range = from
+      ? IDBKeyRange.bound(from, end, false, true)
+      : IDBKeyRange.upperBound(end, true);
+    const request = index.openCursor(range);
+    const candidates = [];
+    let last = null;
+    let seen = seenAtFrom;
+    
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor || candidates.length >= COMPACTION_CHUNK) {
+        resolve({ candidates, last, seen });
+        return;
+      }
+      
+      const reading = cursor.value;
+      if (reading.timestamp === from && seenAtFrom.has(reading.id)) {
+        cursor.continue();
+        return;
+      }
+      
+      if (reading.timestamp !== (last ? last.timestamp : from)) seen = new Set();
+      seen.add(reading.id);
+      last = reading;
+      if (!keep(reading)) candidates.push(reading);
+      cursor.continue();
+    };
+    
+    request.onerror = () => {
+      console.error('Error reading readings to compact:', request.error);
+      reject(request.error);
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+// Get aggregate rows by key; missing rows are left out
+async function readAggregateRows(keys) {
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([AGGREGATES_STORE], 'readonly');
+    const store = transaction.objectStore(AGGREGATES_STORE);
+    const found = [];
+    
+    keys.forEach(key => {
+      const request = store.get(key);
+      request.onsuccess = () => {
+        if (request.result) found.push(request.result);
+      };
+    });
+    
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(found);
+    };
+    
+    transaction.onerror = () => {
+      console.error('Error reading aggregates:', transaction.error);
+      reject(transaction.error);
+    };
+  });
+}
+
+// Fold raw readings older than the cutoff into aggregate rows of bucketMs
+// (per profile and monitor) and delete them. Covers every profile. Works in rounds of COMPACTION_CHUNK
+// readings; each round deletes its readings and writes the merged
+// aggregate rows in one transaction, so a reading is never both dropped
+// and missing from its aggregate. Rows flagged by signal quality
+// detection and simulated readings are deleted without being counted, and
+// encrypted readings that can't be decrypted (storage locked) are left
+// alone. Options: keepSessionReadings leaves readings recorded in a session
+// untouched, keepUnsynced leaves readings that haven't been uploaded yet.
+// Returns { compacted, buckets }.
+export async function compactReadings(cutoff, bucketMs = 60 * 1000, options = {}) {
+  const { keepSessionReadings = true, keepUnsynced = false } = options;
+  const end = new Date(cutoff).toISOString();
+  const keep = (reading) => (keepSessionReadings && reading.sessionId != null)
+    || (keepUnsynced && !reading.synced && !reading.simulated);
+  
+  const bucketKeys = new Set();
+  let compacted = 0;
+  let from = null;
+  let seenAtFrom = new Set();
+  
+  for (;;) {
+    const { candidates, last, seen } = await readCompactionCandidates(from, end, seenAtFrom, keep);
+    if (!last) break;
+    
+    // Resume after the last reading seen; several may share its timestamp
+    from = last.timestamp;
+    seenAtFrom = seen;
+    
+    const readings = await openRecords(candidates);
+    const buckets = new Map();
+    
+    readings.filter(r => isValidReading(r) && !r.simulated).forEach(reading => {
+      const time = new Date(reading.timestamp).getTime();
+      const bucketStart = Math.floor(time / bucketMs) * bucketMs;
+      const monitorId = reading.monitorId || null;
+      const profileId = reading.profileId || DEFAULT_PROFILE_ID;
+      const key = aggregateKey(profileId, monitorId, new Date(bucketStart).toISOString());
+      
+      let bucket = buckets.get(key);
+      if (!bucket) {
+        bucket = {
+          key,
+          profileId,
+          monitorId,
+          start: new Date(bucketStart).toISOString(),
+          end: new Date(bucketStart + bucketMs).toISOString(),
+          count: 0,
+          spo2: emptyStats(),
+          bpm: emptyStats()
+        };
+        buckets.set(key, bucket);
+      }
+      
+      bucket.count++;
+      foldStats(bucket.spo2, reading.spo2);
+      foldStats(bucket.bpm, reading.bpm);
+    });
+    
+    // Merge into the aggregate rows already stored
+    const existing = await openRecords(await readAggregateRows([...buckets.keys()]));
+    existing.forEach(row => {
+      const bucket = buckets.get(row.key);
+      bucket.count += row.count;
+      mergeStats(bucket.spo2, row.spo2);
+      mergeStats(bucket.bpm, row.bpm);
+    });
+    
+    const rows = await Promise.all([...buckets.values()].map(row => sealRecord(row, AGGREGATES_STORE)));
+    const db = await initDB();
+    
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction([READINGS_STORE, AGGREGATES_STORE], 'readwrite');
+      const readingsStore = transaction.objectStore(READINGS_STORE);
+      const aggregatesStore = transaction.objectStore(AGGREGATES_STORE);
+      
+      readings.forEach(reading => readingsStore.delete(reading.id));
+      rows.forEach(row => aggregatesStore.put(row));
+      
+      transaction.oncomplete = () => {
+        db.close();
+        resolve();
+      };
+      
+      transaction.onerror = () => {
+        console.error('Error compacting readings:', transaction.error);
+        reject(transaction.error);
+      };
+    });
+    
+    compacted += readings.length;
+    buckets.forEach((_, key) => bucketKeys.add(key));
+    
+    if (candidates.length < COMPACTION_CHUNK) break;
+  }
+  
+  return { compacted, buckets: bucketKeys.size };
+}
+
+// Get the active profile's aggregate rows whose bucket starts in a time
+// range, oldest first
+export async function getAggregates(startDate, endDate) {
+  try {
+    const db = await initDB();
+    
+    const aggregates = await new Promise((resolve, reject) => {
+      const transaction = db.transaction([AGGREGATES_STORE], 'readonly');
+      const index = transaction.objectStore(AGGREGATES_STORE).index('profileTime');
+      
+      const start = startDate ? new Date(startDate).toISOString() : new Date(0).toISOString();
+      const end = endDate ? new Date(endDate).toISOString() : new Date().toISOString();
+      
+      const request = index.getAll(profileRange(start, end));
+      
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+      
+      request.onerror = () => {
+        console.error('Error getting aggregates:', request.error);
+        reject(request.error);
+      };
+      
+      transaction.oncomplete = () => {
+        db.close();
+      };
+    });
+    
+    return openRecords(aggregates);
+  } catch (error) {
+    console.error('Failed to get aggregates:', error);
+    return [];
+  }
+}
+
+// Delete aggregate rows whose bucket starts before the cutoff.
+// Returns the number of rows deleted.
+export async function pruneAggregates(cutoff) {
+  try {
+    const db = await initDB();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([AGGREGATES_STORE], 'readwrite');
+      const index = transaction.objectStore(AGGREGATES_STORE).index('start');
+      
+      const request = index.openCursor(IDBKeyRange.upperBound(new Date(cutoff).toISOString(), true));
+      let deleted = 0;
+      
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          cursor.delete();
+          deleted++;
+          cursor.continue();
+        }
+      };
+      
+      transaction.oncomplete = () => {
+        db.close();
+        resolve(deleted);
+      };
+      
+      transaction.onerror = () => {
+        console.error('Error pruning aggregates:', transaction.error);
+        reject(transaction.error);
+      };
+    });
+  } catch (error) {
+    console.error('Failed to prune aggregates:', error);
+    return 0;
+  }
+}
+
+// Count the records in each object store, for the storage usage panel
+export async function getStoreCounts() {
+  try {
+    const db = await initDB();
+    const storeNames = [...db.objectStoreNames];
+    
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, 'readonly');
+      const counts = {};
+      
+      storeNames.forEach(name => {
+        const request = transaction.objectStore(name).count();
+        request.onsuccess = () => {
+          counts[name] = request.result;
+        };
+      });
+      
+      transaction.oncomplete = () => {
+        db.close();
+        resolve(counts);
+      };
+      
+      transaction.onerror = () => {
+        console.error('Error counting records:', transaction.error);
+        reject(transaction.error);
+      };
+    });
+  } catch (error) {
+    console.error('Failed to count records:', error);
+    return {};
+  }
+}
+
+// Bulk insert readings with their own timestamps into the active profile
+// in a single transaction. Readings the profile already has for the same
+// timestamp and monitor are skipped.
+export async function addReadings(readings) {
+  const records = await Promise.all(readings.map(reading => {
+    const { id: _id, ...record } = reading;
+    return sealRecord(withSyncFlag({ ...record, profileId: activeProfileId, synced: reading.synced === true }), READINGS_STORE);
+  }));
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([READINGS_STORE], 'readwrite');
+    const store = transaction.objectStore(READINGS_STORE);
+    const index = store.index('profileTime');
+    
+    let imported = 0;
+    let skipped = 0;
+    
+    records.forEach(reading => {
+      const existingRequest = index.getAll([activeProfileId, reading.timestamp]);
+      
+      existingRequest.onsuccess = () => {
+        // Several monitors may record at the same instant
+        const monitorId = reading.monitorId || null;
+        if (existingRequest.result.some(r => (r.monitorId || null) === monitorId)) {
+          skipped++;
+          return;
+        }
+        
+        store.add(reading);
+        imported++;
+      };
+    });
+    
+    transaction.oncomplete = () => {
+      db.close();
+      resolve({ imported, skipped });
+    };
+    
+    transaction.onerror = () => {
+      console.error('Error adding readings:', transaction.error);
+      reject(transaction.error);
+    };
+    
+    transaction.onabort = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+// Create a recording session for the active profile and return its id
+// Extra fields (e.g. monitorId, deviceId) are stored on the session
+export async function createSession(label, notes = '', extra = {}) {
+  const record = await sealRecord({
+    profileId: activeProfileId,
+    ...extra,
+    label,
+    notes,
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+    summary: null
+  }, SESSIONS_STORE);
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([SESSIONS_STORE], 'readwrite');
+    const store = transaction.objectStore(SESSIONS_STORE);
+    
+    const request = store.add(record);
+    
+    request.onsuccess = () => {
+      resolve(request.result);
+    };
+    
+    request.onerror = () => {
+      console.error('Error creating session:', request.error);
+      reject(request.error);
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+// Read one record exactly as stored
+async function readRecord(storeName, key) {
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([storeName], 'readonly');
+    const request = transaction.objectStore(storeName).get(key);
+    
+    request.onsuccess = () => {
+      resolve(request.result || null);
+    };
+    
+    request.onerror = () => {
+      console.error('Error reading record:', request.error);
+      reject(request.error);
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+// Merge changes (label, notes, endedAt, summary) into a session. While
+// encrypted storage is locked the sealed part can't be re-encrypted, so
+// changes to it are sealed on their own and applied when opened.
+export async function updateSession(id, changes) {
+  const stored = await readRecord(SESSIONS_STORE, id);
+  if (!stored) throw new Error(`Session ${id} not found`);
+  
+  const opened = await openRecord(stored, SESSIONS_STORE);
+  let session;
+  let record;
+  if (opened) {
+    session = { ...opened, ...changes, id };
+    record = await sealRecord(session, SESSIONS_STORE);
+  } else {
+    const clearFields = CLEAR_FIELDS[SESSIONS_STORE];
+    const clearChanges = {};
+    const sealedChanges = {};
+    Object.entries(changes).forEach(([field, value]) => {
+      if (clearFields.includes(field)) {
+        clearChanges[field] = value;
+      } else {
+        sealedChanges[field] = value;
+      }
+    });
+    if (!recordCodec || !recordCodec.seal) throw new Error('Encrypted storage is not loaded');
+    const patch = await recordCodec.seal(sealedChanges, []);
+    record = { ...stored, ...clearChanges, patches: [...(stored.patches || []), patch.encrypted] };
+    const [clear] = await openRecordsOrClear([stored], SESSIONS_STORE);
+    session = { ...clear, ...changes, id };
+  }
+  
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([SESSIONS_STORE], 'readwrite');
+    const request = transaction.objectStore(SESSIONS_STORE).put(record);
+    
+    request.onsuccess = () => {
+      resolve(session);
+    };
+    
+    request.onerror = () => {
+      console.error('Error updating session:', request.error);
+      reject(request.error);
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+// Get a single session. While encrypted storage is locked only its
+// clear fields (times, profile, monitor and device) are available.
+export async function getSession(id) {
+  try {
+    const stored = await readRecord(SESSIONS_STORE, id);
+    if (!stored) return null;
+    const [session] = await openRecordsOrClear([stored], SESSIONS_STORE);
+    return session;
+  } catch (error) {
+    console.error('Failed to get session:', error);
+    return null;
+  }
+}
+
+// Get the active profile's sessions, most recently started first. While
+// encrypted storage is locked sessions only have their clear fields.
+export async function getSessions(limit = 100) {
+  try {
+    const db = await initDB();
+    
+    const sessions = await new Promise((resolve, reject) => {
+      const transaction = db.transaction([SESSIONS_STORE], 'readonly');
+      const store = transaction.objectStore(SESSIONS_STORE);
+      const index = store.index('profileTime');
+      
+      const request = index.openCursor(wholeProfileRange(activeProfileId), 'prev');
+      const sessions = [];
+      
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor && sessions.length < limit) {
+          sessions.push(cursor.value);
+          cursor.continue();
+        } else {
+          resolve(sessions);
+        }
+      };
+      
+      request.onerror = () => {
+        console.error('Error getting sessions:', request.error);
+        reject(request.error);
+      };
+      
+      transaction.oncomplete = () => {
+        db.close();
+      };
+    });
+    
+    return openRecordsOrClear(sessions, SESSIONS_STORE);
+  } catch (error) {
+    console.error('Failed to get sessions:', error);
+    return [];
+  }
+}
+
+// Get all readings recorded in a session, oldest first
+export async function getSessionReadings(sessionId) {
+  try {
+    const db = await initDB();
+    
+    const records = await new Promise((resolve, reject) => {
+      const transaction = db.transaction([READINGS_STORE], 'readonly');
+      const store = transaction.objectStore(READINGS_STORE);
+      const index = store.index('sessionId');
+      
+      const request = index.getAll(sessionId);
+      
+      request.onsuccess = () => {
+        const readings = request.result;
+        readings.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        resolve(readings);
+      };
+      
+      request.onerror = () => {
+        console.error('Error getting session readings:', request.error);
+        reject(request.error);
+      };
+      
+      transaction.oncomplete = () => {
+        db.close();
+      };
+    });
+    
+    return openRecords(records);
+  } catch (error) {
+    console.error('Failed to get session readings:', error);
+    return [];
+  }
+}
+
+// Save one compressed waveform chunk
+export async function saveWaveformChunk(chunk) {
+  const record = await sealRecord(chunk, WAVEFORMS_STORE);
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([WAVEFORMS_STORE], 'readwrite');
+    const store = transaction.objectStore(WAVEFORMS_STORE);
+    
+    const request = store.add(record);
+    
+    request.onsuccess = () => {
+      resolve(request.result);
+    };
+    
+    request.onerror = () => {
+      console.error('Error saving waveform chunk:', request.error);
+      reject(request.error);
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+// Get all waveform chunks recorded in a session
+export async function getWaveformChunks(sessionId) {
+  try {
+    const db = await initDB();
+    
+    const chunks = await new Promise((resolve, reject) => {
+      const transaction = db.transaction([WAVEFORMS_STORE], 'readonly');
+      const store = transaction.objectStore(WAVEFORMS_STORE);
+      const index = store.index('sessionId');
+      
+      const request = index.getAll(sessionId);
+      
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+      
+      request.onerror = () => {
+        console.error('Error getting waveform chunks:', request.error);
+        reject(request.error);
+      };
+      
+      transaction.oncomplete = () => {
+        db.close();
+      };
+    });
+    
+    return openRecords(chunks, WAVEFORMS_STORE);
+  } catch (error) {
+    console.error('Failed to get waveform chunks:', error);
+    return [];
+  }
+}
+
+// Delete waveform chunks older than maxAgeDays, then the oldest chunks
+// beyond maxChunks. Returns the number of chunks deleted.
+export async function pruneWaveforms(maxAgeDays, maxChunks) {
+  try {
+    const db = await initDB();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([WAVEFORMS_STORE], 'readwrite');
+      const store = transaction.objectStore(WAVEFORMS_STORE);
+      const index = store.index('startTime');
+      
+      const cutoff = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000).toISOString();
+      let deleted = 0;
+      
+      const countRequest = store.count();
+      
+      countRequest.onsuccess = () => {
+        let excess = countRequest.result - maxChunks;
+        const request = index.openCursor();
+        
+        request.onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor) return;
+          
+          if (cursor.value.startTime < cutoff || excess > 0) {
+            cursor.delete();
+            deleted++;
+            excess--;
+            cursor.continue();
+          }
+        };
+      };
+      
+      transaction.oncomplete = () => {
+        db.close();
+        resolve(deleted);
+      };
+      
+      transaction.onerror = () => {
+        console.error('Error pruning waveforms:', transaction.error);
+        reject(transaction.error);
+      };
+    });
+  } catch (error) {
+    console.error('Failed to prune waveforms:', error);
+    return 0;
+  }
+}
+
+// Log a gap in the data stream ({ start, end, durationMs, deviceId }) for
+// the active profile
+export async function logGap(gap) {
+  try {
+    const db = await initDB();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([GAPS_STORE], 'readwrite');
+      const store = transaction.objectStore(GAPS_STORE);
+      
+      const request = store.add({ ...gap, profileId: gap.profileId || activeProfileId });
+      
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+      
+      request.onerror = () => {
+        console.error('Error logging gap:', request.error);
+        reject(request.error);
+      };
+      
+      transaction.oncomplete = () => {
+        db.close();
+      };
+    });
+  } catch (error) {
+    console.error('Failed to log gap:', error);
+    return null;
+  }
+}
+
+// Get the active profile's data gaps that started in a time range,
+// oldest first
+export async function getGaps(startDate, endDate) {
+  try {
+    const db = await initDB();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([GAPS_STORE], 'readonly');
+      const store = transaction.objectStore(GAPS_STORE);
+      const index = store.index('profileTime');
+      
+      const start = startDate ? new Date(startDate).toISOString() : new Date(0).toISOString();
+      const end = endDate ? new Date(endDate).toISOString() : new Date().toISOString();
+      
+      const request = index.getAll(profileRange(start, end));
+      
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+      
+      request.onerror = () => {
+        console.error('Error getting gaps:', request.error);
+        reject(request.error);
+      };
+      
+      transaction.oncomplete = () => {
+        db.close();
+      };
+    });
+  } catch (error) {
+    console.error('Failed to get gaps:', error);
+    return [];
+  }
+}
+
+// Create a patient profile ({ name, birthYear, alarmSettings }) and return its id
+export async function createProfile(fields) {
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([PROFILES_STORE], 'readwrite');
+    const store = transaction.objectStore(PROFILES_STORE);
+    
+    const request = store.add({
+      ...fields,
+      createdAt: new Date().toISOString()
+    });
+    
+    request.onsuccess = () => {
+      resolve(request.result);
+    };
+    
+    request.onerror = () => {
+      console.error('Error creating profile:', request.error);
+      reject(request.error);
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+// Merge changes (name, birthYear, alarmSettings) into a profile
+export async function updateProfile(id, changes) {
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([PROFILES_STORE], 'readwrite');
+    const store = transaction.objectStore(PROFILES_STORE);
+    
+    const request = store.get(id);
+    
+    request.onsuccess = () => {
+      if (!request.result) {
+        reject(new Error(`Profile ${id} not found`));
+        return;
+      }
+      
+      const profile = { ...request.result, ...changes, id };
+      const updateRequest = store.put(profile);
+      
+      updateRequest.onsuccess = () => {
+        resolve(profile);
+      };
+      
+      updateRequest.onerror = () => {
+        console.error('Error updating profile:', updateRequest.error);
+        reject(updateRequest.error);
+      };
+    };
+    
+    request.onerror = () => {
+      console.error('Error getting profile:', request.error);
+      reject(request.error);
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+// Get a single profile
+export async function getProfile(id) {
+  try {
+    const db = await initDB();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([PROFILES_STORE], 'readonly');
+      const store = transaction.objectStore(PROFILES_STORE);
+      
+      const request = store.get(id);
+      
+      request.onsuccess = () => {
+        resolve(request.result || null);
+      };
+      
+      request.onerror = () => {
+        console.error('Error getting profile:', request.error);
+        reject(request.error);
+      };
+      
+      transaction.oncomplete = () => {
+        db.close();
+      };
+    });
+  } catch (error) {
+    console.error('Failed to get profile:', error);
+    return null;
+  }
+}
+
+// Get all profiles in the order they were created
+export async function getProfiles() {
+  try {
+    const db = await initDB();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([PROFILES_STORE], 'readonly');
+      const store = transaction.objectStore(PROFILES_STORE);
+      
+      const request = store.getAll();
+      
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+      
+      request.onerror = () => {
+        console.error('Error getting profiles:', request.error);
+        reject(request.error);
+      };
+      
+      transaction.oncomplete = () => {
+        db.close();
+      };
+    });
+  } catch (error) {
+    console.error('Failed to get profiles:', error);
+    return [];
+  }
+}
+
+// Delete a profile with its readings, sessions (and their waveforms),
+// alarm events, aggregates and data gaps in one transaction
+export async function deleteProfile(id) {
+  const db = await initDB();
+  const storeNames = [PROFILES_STORE, WAVEFORMS_STORE, ...Object.keys(PROFILE_INDEXED)];
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, 'readwrite');
+    const waveformsIndex = transaction.objectStore(WAVEFORMS_STORE).index('sessionId');
+    
+    transaction.objectStore(PROFILES_STORE).delete(id);
+    
+    Object.keys(PROFILE_INDEXED).forEach(storeName => {
+      const request = transaction.objectStore(storeName).index('profileTime').openCursor(wholeProfileRange(id));
+      
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        
+        if (storeName === SESSIONS_STORE) {
+          const chunks = waveformsIndex.openKeyCursor(IDBKeyRange.only(cursor.value.id));
+          chunks.onsuccess = (chunkEvent) => {
+            const chunkCursor = chunkEvent.target.result;
+            if (!chunkCursor) return;
+            transaction.objectStore(WAVEFORMS_STORE).delete(chunkCursor.primaryKey);
+            chunkCursor.continue();
+          };
+        }
+        
+        cursor.delete();
+        cursor.continue();
+      };
+    });
+    
+    transaction.oncomplete = () => {
+      db.close();
+      resolve();
+    };
+    
+    transaction.onerror = () => {
+      console.error('Error deleting profile:', transaction.error);
+      reject(transaction.error);
+    };
+  });
+}
+
+// Records re-encoded per transaction by reencodeRecords
+const REENCODE_CHUNK = 500;
+
+// Re-encode stored readings, aggregates, sessions, alarm events and
+// waveform chunks after encryption was switched on or off: with a sealing codec plaintext records are encrypted,
+// otherwise encrypted records are decrypted. Runs in chunks of separate
+// transactions, so it can simply be run again after an interruption.
+// Records that can't be decrypted are left as they are.
+// Returns { rewritten, skipped }.
+export async function reencodeRecords(onProgress = () => {}) {
+  const sealing = Boolean(recordCodec && recordCodec.seal);
+  let rewritten = 0;
+  let skipped = 0;
+  
+  for (const storeName of Object.keys(CLEAR_FIELDS)) {
+    let after = null;
+    
+    for (;;) {
+      const db = await initDB();
+      const records = await new Promise((resolve, reject) => {
+        const transaction = db.transaction([storeName], 'readonly');
+        const range = after === null ? null : IDBKeyRange.lowerBound(after, true);
+        const request = transaction.objectStore(storeName).getAll(range, REENCODE_CHUNK);
+        
+        request.onsuccess = () => {
+          resolve(request.result);
+        };
+        
+        request.onerror = () => {
+          console.error('Error reading records to re-encode:', request.error);
+          reject(request.error);
+        };
+        
+        transaction.oncomplete = () => {
+          db.close();
+        };
+      });
+      if (records.length === 0) break;
+      after = records[records.length - 1][KEY_PATHS[storeName]];
+      
+      const pending = records.filter(record => Boolean(record.encrypted) !== sealing);
+      const changed = sealing
+        ? await Promise.all(pending.map(record => sealRecord(record, storeName)))
+        : await openRecords(pending, storeName);
+      skipped += pending.length - changed.length;
+      
+      if (changed.length > 0) {
+        const writeDB = await initDB();
+        await new Promise((resolve, reject) => {
+          const transaction = writeDB.transaction([storeName], 'readwrite');
+          const store = transaction.objectStore(storeName);
+          changed.forEach(record => store.put(record));
+          
+          transaction.oncomplete = () => {
+            writeDB.close();
+            resolve();
+          };
+          
+          transaction.onerror = () => {
+            console.error('Error re-encoding records:', transaction.error);
+            reject(transaction.error);
+          };
+        });
+      }
+      
+      rewritten += changed.length;
+      onProgress(rewritten);
+      if (records.length < REENCODE_CHUNK) break;
+    }
+  }
+  
+  return { rewritten, skipped };
+}
+
+// Delete every setting whose key starts with the prefix
+export async function deleteSettings(prefix) {
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([SETTINGS_STORE], 'readwrite');
+    const store = transaction.objectStore(SETTINGS_STORE);
+    
+    const request = store.delete(IDBKeyRange.bound(prefix, `${prefix}\uffff`));
+    
+    request.onerror = () => {
+      console.error('Error deleting settings:', request.error);
+      reject(request.error);
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+      resolve();
+    };
+  });
+}
+
+// Delete the whole database and the cached last reading. Connections
+// opened by other tabs delay the deletion until they close.
+export async function deleteAllData() {
+  closeSharedDB();
+  localStorage.removeItem('oximeter_last_reading');
+  
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(DB_NAME);
+    
+    request.onsuccess = () => {
+      resolve();
+    };
+    
+    request.onerror = () => {
+      console.error('Error deleting database:', request.error);
+      reject(request.error);
+    };
+    
+    request.onblocked = () => {
+      console.warn('Database deletion waiting for other open tabs');
+    };
+  });
+}
@@ -0,0 +1,819 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  saveReading,
+  getLatestReading,
+  getReadings,
+  saveSetting,
+  getSetting,
+  markReadingsAsSynced,
+  getUnsyncedReadings,
+  logAlarmEvent,
+  getAlarmEvents,
+  countReadings,
+  getAggregatedReadings,
+  addReadings,
+  createSession,
+  updateSession,
+  getSession,
+  getSessions,
+  getSessionReadings,
+  saveWaveformChunk,
+  getWaveformChunks,
+  pruneWaveforms,
+  logGap,
+  getGaps,
+  compactReadings,
+  getAggregates,
+  pruneAggregates,
+  getStoreCounts,
+  deleteAllData,
+  writeReadings,
+  closeSharedDB,
+  DEFAULT_PROFILE_ID,
+  setActiveProfileId,
+  createProfile,
+  updateProfile,
+  getProfile,
+  getProfiles,
+  deleteProfile
+} from './storage';
+
+const LAST_READING_KEY = 'oximeter_last_reading';
+const T0 = new Date('2025-01-01T00:00:00.000Z').getTime();
+
+// Save a reading at a fixed time
+async function saveAt(time, bpm, spo2, details) {
+  vi.setSystemTime(time);
+  return saveReading(bpm, spo2, details);
+}
+
+// Make every initDB() call fail as if IndexedDB were unavailable
+function breakIndexedDB() {
+  vi.stubGlobal('indexedDB', undefined);
+}
+
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(T0);
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('saveReading', () => {
+  it('stores the reading with details and returns its id', async () => {
+    const id = await saveReading(72, 97, { quality: 'valid', sessionId: 3 });
+    const [reading] = await getReadings(null, null);
+
+    expect(reading).toEqual({
+      id,
+      bpm: 72,
+      spo2: 97,
+      quality: 'valid',
+      sessionId: 3,
+      profileId: DEFAULT_PROFILE_ID,
+      timestamp: new Date(T0).toISOString(),
+      synced: false,
+      pendingSync: 1
+    });
+  });
+
+  it('keeps a copy of the latest reading in localStorage', async () => {
+    await saveReading(72, 97);
+    expect(JSON.parse(localStorage.getItem(LAST_READING_KEY))).toEqual({
+      bpm: 72,
+      spo2: 97,
+      timestamp: new Date(T0).toISOString(),
+      profileId: DEFAULT_PROFILE_ID
+    });
+  });
+
+  it('falls back to localStorage and rethrows when IndexedDB fails', async () => {
+    breakIndexedDB();
+    await expect(saveReading(65, 95)).rejects.toThrow();
+    expect(JSON.parse(localStorage.getItem(LAST_READING_KEY))).toMatchObject({ bpm: 65, spo2: 95 });
+  });
+});
+
+describe('writeReadings', () => {
+  const record = (offset, bpm) => ({
+    timestamp: new Date(T0 + offset).toISOString(),
+    bpm,
+    spo2: 97,
+    synced: false
+  });
+
+  it('stores a batch in order and returns the new ids', async () => {
+    const ids = await writeReadings([record(0, 70), record(1000, 71), record(2000, 72)]);
+    expect(ids).toHaveLength(3);
+
+    vi.setSystemTime(T0 + 60000);
+    const stored = await getReadings(null, null);
+    expect(stored.map(r => [r.id, r.bpm])).toEqual([[ids[2], 72], [ids[1], 71], [ids[0], 70]]);
+    expect(JSON.parse(localStorage.getItem(LAST_READING_KEY))).toMatchObject({ bpm: 72, spo2: 97 });
+  });
+
+  it('returns nothing for an empty batch', async () => {
+    expect(await writeReadings([])).toEqual([]);
+  });
+
+  it('falls back to localStorage and rethrows when IndexedDB fails', async () => {
+    closeSharedDB();
+    breakIndexedDB();
+    await expect(writeReadings([record(0, 70)])).rejects.toThrow();
+    expect(JSON.parse(localStorage.getItem(LAST_READING_KEY))).toMatchObject({ bpm: 70 });
+  });
+});
+
+describe('getLatestReading', () => {
+  it('returns the most recent reading', async () => {
+    await saveAt(T0, 70, 96);
+    await saveAt(T0 + 1000, 75, 98);
+    expect(await getLatestReading()).toMatchObject({ bpm: 75, spo2: 98 });
+  });
+
+  it('falls back to localStorage when the store is empty', async () => {
+    localStorage.setItem(LAST_READING_KEY, JSON.stringify({ bpm: 60, spo2: 94, timestamp: 'x' }));
+    expect(await getLatestReading()).toEqual({ bpm: 60, spo2: 94, timestamp: 'x' });
+  });
+
+  it('returns null without any stored reading', async () => {
+    expect(await getLatestReading()).toBeNull();
+  });
+
+  it('falls back to localStorage when IndexedDB fails', async () => {
+    localStorage.setItem(LAST_READING_KEY, JSON.stringify({ bpm: 61, spo2: 93, timestamp: 'y' }));
+    breakIndexedDB();
+    expect(await getLatestReading()).toEqual({ bpm: 61, spo2: 93, timestamp: 'y' });
+  });
+
+  it('returns null when IndexedDB fails and localStorage holds invalid JSON', async () => {
+    localStorage.setItem(LAST_READING_KEY, '{not json');
+    breakIndexedDB();
+    expect(await getLatestReading()).toBeNull();
+  });
+});
+
+describe('getReadings', () => {
+  beforeEach(async () => {
+    for (let i = 0; i < 5; i++) {
+      await saveAt(T0 + i * 60000, 70 + i, 95 + (i % 3));
+    }
+    vi.setSystemTime(T0 + 3600000);
+  });
+
+  it('returns readings newest first', async () => {
+    const readings = await getReadings(null, null);
+    expect(readings.map(r => r.bpm)).toEqual([74, 73, 72, 71, 70]);
+  });
+
+  it('limits the result to a time range', async () => {
+    const readings = await getReadings(new Date(T0 + 60000), new Date(T0 + 180000));
+    expect(readings.map(r => r.bpm)).toEqual([73, 72, 71]);
+  });
+
+  it('applies the limit', async () => {
+    const readings = await getReadings(null, null, 2);
+    expect(readings.map(r => r.bpm)).toEqual([74, 73]);
+  });
+
+  it('returns an empty list when IndexedDB fails', async () => {
+    breakIndexedDB();
+    expect(await getReadings(null, null)).toEqual([]);
+  });
+});
+
+describe('settings', () => {
+  it('saves and reads back values', async () => {
+    expect(await saveSetting('alarms', { spo2Low: 90 })).toBe(true);
+    expect(await getSetting('alarms')).toEqual({ spo2Low: 90 });
+  });
+
+  it('overwrites existing values', async () => {
+    await saveSetting('endpoint', 'https://a.example');
+    await saveSetting('endpoint', 'https://b.example');
+    expect(await getSetting('endpoint')).toBe('https://b.example');
+  });
+
+  it('returns the default for missing keys', async () => {
+    expect(await getSetting('missing')).toBeNull();
+    expect(await getSetting('missing', 42)).toBe(42);
+  });
+
+  it('reports failure when IndexedDB fails', async () => {
+    breakIndexedDB();
+    expect(await saveSetting('key', 1)).toBe(false);
+    expect(await getSetting('key', 'fallback')).toBe('fallback');
+  });
+});
+
+describe('sync state', () => {
+  it('lists unsynced readings and marks them as synced', async () => {
+    const a = await saveAt(T0, 70, 96);
+    const b = await saveAt(T0 + 1000, 71, 97);
+    await saveAt(T0 + 2000, 72, 98);
+
+    expect((await getUnsyncedReadings()).map(r => r.id)).toHaveLength(3);
+    expect(await markReadingsAsSynced([a, b])).toBe(2);
+    expect((await getUnsyncedReadings()).map(r => r.bpm)).toEqual([72]);
+  });
+
+  it('finds unsynced readings through their index and unflags synced ones', async () => {
+    const a = await saveAt(T0, 70, 96);
+    await saveAt(T0 + 1000, 71, 97, { simulated: true });
+    await saveAt(T0 + 2000, 72, 98);
+    await markReadingsAsSynced([a]);
+    const openCursor = vi.spyOn(IDBObjectStore.prototype, 'openCursor');
+
+    expect((await getUnsyncedReadings()).map(r => r.bpm)).toEqual([72]);
+    expect(openCursor).not.toHaveBeenCalled();
+    expect((await getReadings(null, null)).map(r => r.pendingSync)).toEqual([1, undefined, undefined]);
+  });
+
+  it('applies the limit to unsynced readings', async () => {
+    await saveAt(T0, 70, 96);
+    await saveAt(T0 + 1000, 71, 97);
+    expect(await getUnsyncedReadings(1)).toHaveLength(1);
+  });
+
+  it('never lists simulated readings for upload', async () => {
+    await saveAt(T0, 70, 96, { simulated: true });
+    await saveAt(T0 + 1000, 71, 97);
+
+    expect((await getUnsyncedReadings()).map(r => r.bpm)).toEqual([71]);
+  });
+
+  it('counts only readings that exist', async () => {
+    const id = await saveReading(70, 96);
+    expect(await markReadingsAsSynced([id, 9999])).toBe(1);
+  });
+
+  it('handles an empty id list', async () => {
+    expect(await markReadingsAsSynced([])).toBe(0);
+  });
+
+  it('falls back to empty results when IndexedDB fails', async () => {
+    breakIndexedDB();
+    expect(await getUnsyncedReadings()).toEqual([]);
+    expect(await markReadingsAsSynced([1])).toBe(0);
+  });
+});
+
+describe('alarm events', () => {
+  it('logs events with a timestamp and returns them newest first', async () => {
+    await logAlarmEvent({ type: 'triggered', condition: 'spo2Low', value: 88 });
+    vi.setSystemTime(T0 + 1000);
+    await logAlarmEvent({ type: 'cleared', condition: 'spo2Low' });
+
+    const events = await getAlarmEvents(null, null);
+    expect(events.map(e => e.type)).toEqual(['cleared', 'triggered']);
+    expect(events[1]).toMatchObject({ condition: 'spo2Low', value: 88, timestamp: new Date(T0).toISOString() });
+  });
+
+  it('keeps an explicit timestamp and filters by range', async () => {
+    await logAlarmEvent({ type: 'triggered', timestamp: new Date(T0 - 86400000).toISOString() });
+    await logAlarmEvent({ type: 'acknowledged' });
+
+    const events = await getAlarmEvents(new Date(T0 - 1000), null);
+    expect(events.map(e => e.type)).toEqual(['acknowledged']);
+  });
+
+  it('falls back when IndexedDB fails', async () => {
+    breakIndexedDB();
+    expect(await logAlarmEvent({ type: 'triggered' })).toBeNull();
+    expect(await getAlarmEvents(null, null)).toEqual([]);
+  });
+});
+
+describe('countReadings', () => {
+  it('counts readings in a range', async () => {
+    await saveAt(T0, 70, 96);
+    await saveAt(T0 + 60000, 71, 97);
+    await saveAt(T0 + 120000, 72, 98);
+
+    expect(await countReadings(null, null)).toBe(3);
+    expect(await countReadings(new Date(T0 + 30000), null)).toBe(2);
+  });
+
+  it('returns 0 when IndexedDB fails', async () => {
+    breakIndexedDB();
+    expect(await countReadings(null, null)).toBe(0);
+  });
+});
+
+describe('getAggregatedReadings', () => {
+  it('summarises readings per bucket and skips invalid ones', async () => {
+    await saveAt(T0, 70, 96);
+    await saveAt(T0 + 10000, 80, 98);
+    await saveAt(T0 + 20000, 255, 127, { quality: 'no-finger' });
+    await saveAt(T0 + 70000, 60, 92);
+
+    const buckets = await getAggregatedReadings(new Date(T0), new Date(T0 + 120000), 60000);
+    expect(buckets).toEqual([
+      {
+        start: new Date(T0).toISOString(),
+        end: new Date(T0 + 60000).toISOString(),
+        count: 2,
+        spo2: { min: 96, max: 98, mean: 97 },
+        bpm: { min: 70, max: 80, mean: 75 }
+      },
+      {
+        start: new Date(T0 + 60000).toISOString(),
+        end: new Date(T0 + 120000).toISOString(),
+        count: 1,
+        spo2: { min: 92, max: 92, mean: 92 },
+        bpm: { min: 60, max: 60, mean: 60 }
+      }
+    ]);
+  });
+
+  it('returns an empty list when IndexedDB fails', async () => {
+    breakIndexedDB();
+    expect(await getAggregatedReadings(null, null, 60000)).toEqual([]);
+  });
+});
+
+describe('compactReadings', () => {
+  const MINUTE = 60000;
+
+  it('folds old readings into per-minute aggregates and deletes them', async () => {
+    await saveAt(T0, 70, 96);
+    await saveAt(T0 + 10000, 80, 98, { monitorId: 'monitor-1' });
+    await saveAt(T0 + 20000, 90, 94, { monitorId: 'monitor-2' });
+    await saveAt(T0 + 30000, 255, 127, { quality: 'no-finger' });
+    await saveAt(T0 + 5 * MINUTE, 60, 92);
+
+    const result = await compactReadings(T0 + 2 * MINUTE, MINUTE);
+    expect(result).toEqual({ compacted: 4, buckets: 3 });
+
+    vi.setSystemTime(T0 + 10 * MINUTE);
+    expect(await countReadings(null, null)).toBe(1);
+
+    const aggregates = await getAggregates(null, null);
+    expect(aggregates).toHaveLength(3);
+    expect(aggregates.find(a => a.monitorId === 'monitor-2')).toMatchObject({
+      start: new Date(T0).toISOString(),
+      end: new Date(T0 + MINUTE).toISOString(),
+      count: 1,
+      bpm: { min: 90, max: 90, sum: 90, count: 1 }
+    });
+  });
+
+  it('merges into existing aggregate rows', async () => {
+    await saveAt(T0, 70, 96);
+    await compactReadings(T0 + 20000, MINUTE);
+    await saveAt(T0 + 30000, 80, 98);
+    await compactReadings(T0 + MINUTE, MINUTE);
+
+    vi.setSystemTime(T0 + MINUTE);
+    const [aggregate] = await getAggregates(null, null);
+    expect(aggregate).toMatchObject({
+      count: 2,
+      spo2: { min: 96, max: 98, sum: 194, count: 2 },
+      bpm: { min: 70, max: 80, sum: 150, count: 2 }
+    });
+  });
+
+  it('keeps session and unsynced readings when asked to', async () => {
+    await saveAt(T0, 70, 96, { sessionId: 1 });
+    const id = await saveAt(T0 + 1000, 72, 97);
+    await saveAt(T0 + 2000, 74, 98);
+    await markReadingsAsSynced([id]);
+
+    const result = await compactReadings(T0 + MINUTE, MINUTE, { keepSessionReadings: true, keepUnsynced: true });
+    expect(result).toEqual({ compacted: 1, buckets: 1 });
+    vi.setSystemTime(T0 + MINUTE);
+    expect((await getReadings(null, null)).map(r => r.bpm)).toEqual([74, 70]);
+  });
+
+  it('deletes simulated readings without aggregating or keeping them', async () => {
+    await saveAt(T0, 70, 96);
+    await saveAt(T0 + 1000, 120, 85, { simulated: true });
+
+    const result = await compactReadings(T0 + MINUTE, MINUTE, { keepUnsynced: false });
+    expect(result).toEqual({ compacted: 2, buckets: 1 });
+    vi.setSystemTime(T0 + MINUTE);
+    expect(await countReadings(null, null)).toBe(0);
+    expect((await getAggregates(null, null))[0].bpm).toEqual({ min: 70, max: 70, sum: 70, count: 1 });
+
+    await saveAt(T0 + 2000, 120, 85, { simulated: true });
+    await compactReadings(T0 + MINUTE, MINUTE, { keepUnsynced: true });
+    expect(await countReadings(null, null)).toBe(0);
+  });
+
+  it('keeps trends in getAggregatedReadings after compaction', async () => {
+    await saveAt(T0, 70, 96);
+    await saveAt(T0 + 10000, 80, 98);
+    await saveAt(T0 + 70000, 60, 92);
+    await compactReadings(T0 + MINUTE, MINUTE);
+
+    const buckets = await getAggregatedReadings(new Date(T0), new Date(T0 + 2 * MINUTE), 2 * MINUTE);
+    expect(buckets).toEqual([{
+      start: new Date(T0).toISOString(),
+      end: new Date(T0 + 2 * MINUTE).toISOString(),
+      count: 3,
+      spo2: { min: 92, max: 98, mean: 95.3 },
+      bpm: { min: 60, max: 80, mean: 70 }
+    }]);
+  });
+
+  it('prunes aggregates older than the cutoff', async () => {
+    await saveAt(T0, 70, 96);
+    await saveAt(T0 + 5 * MINUTE, 70, 96);
+    await compactReadings(T0 + 10 * MINUTE, MINUTE);
+
+    expect(await pruneAggregates(T0 + MINUTE)).toBe(1);
+    vi.setSystemTime(T0 + 10 * MINUTE);
+    expect(await getAggregates(null, null)).toHaveLength(1);
+  });
+
+  it('falls back when IndexedDB fails', async () => {
+    breakIndexedDB();
+    expect(await getAggregates(null, null)).toEqual([]);
+    expect(await pruneAggregates(T0)).toBe(0);
+    await expect(compactReadings(T0)).rejects.toThrow();
+  });
+});
+
+describe('addReadings', () => {
+  const reading = (offset, extra = {}) => ({
+    timestamp: new Date(T0 + offset).toISOString(),
+    bpm: 70,
+    spo2: 97,
+    ...extra
+  });
+
+  it('imports readings with their own timestamps', async () => {
+    const result = await addReadings([reading(0), reading(1000, { synced: true })]);
+    expect(result).toEqual({ imported: 2, skipped: 0 });
+
+    vi.setSystemTime(T0 + 60000);
+    const stored = await getReadings(null, null);
+    expect(stored.map(r => r.synced)).toEqual([true, false]);
+  });
+
+  it('skips readings already stored for the same timestamp and monitor', async () => {
+    await addReadings([reading(0)]);
+    const result = await addReadings([reading(0), reading(0, { monitorId: 'monitor-2' }), reading(5000)]);
+    expect(result).toEqual({ imported: 2, skipped: 1 });
+  });
+
+  it('drops imported ids in favour of new ones', async () => {
+    await saveReading(60, 95);
+    await addReadings([reading(1000, { id: 1 })]);
+    vi.setSystemTime(T0 + 60000);
+    expect(await countReadings(null, null)).toBe(2);
+  });
+});
+
+describe('sessions', () => {
+  it('creates, updates and reads sessions', async () => {
+    const id = await createSession('Rest', 'after lunch', { monitorId: 'monitor-2' });
+    expect(await getSession(id)).toEqual({
+      id,
+      label: 'Rest',
+      notes: 'after lunch',
+      monitorId: 'monitor-2',
+      profileId: DEFAULT_PROFILE_ID,
+      startedAt: new Date(T0).toISOString(),
+      endedAt: null,
+      summary: null
+    });
+
+    const updated = await updateSession(id, { notes: 'changed', endedAt: 'end' });
+    expect(updated).toMatchObject({ id, label: 'Rest', notes: 'changed', endedAt: 'end' });
+    expect(await getSession(id)).toEqual(updated);
+  });
+
+  it('rejects updates of unknown sessions', async () => {
+    await expect(updateSession(404, { notes: '' })).rejects.toThrow('Session 404 not found');
+  });
+
+  it('returns null for unknown sessions', async () => {
+    expect(await getSession(404)).toBeNull();
+  });
+
+  it('lists sessions most recent first with a limit', async () => {
+    await createSession('First');
+    vi.setSystemTime(T0 + 1000);
+    await createSession('Second');
+    vi.setSystemTime(T0 + 2000);
+    await createSession('Third');
+
+    expect((await getSessions()).map(s => s.label)).toEqual(['Third', 'Second', 'First']);
+    expect((await getSessions(2)).map(s => s.label)).toEqual(['Third', 'Second']);
+  });
+
+  it('returns a session\'s readings oldest first', async () => {
+    const id = await createSession('Overnight sleep');
+    await saveAt(T0 + 2000, 72, 97, { sessionId: id });
+    await saveAt(T0 + 1000, 71, 96, { sessionId: id });
+    await saveAt(T0 + 3000, 90, 99);
+
+    expect((await getSessionReadings(id)).map(r => r.bpm)).toEqual([71, 72]);
+  });
+
+  it('falls back when IndexedDB fails', async () => {
+    breakIndexedDB();
+    expect(await getSession(1)).toBeNull();
+    expect(await getSessions()).toEqual([]);
+    expect(await getSessionReadings(1)).toEqual([]);
+    await expect(createSession('Rest')).rejects.toThrow();
+  });
+});
+
+describe('waveform chunks', () => {
+  const chunk = (sessionId, startTime) => ({
+    sessionId,
+    startTime: new Date(startTime).toISOString(),
+    sampleCount: 3,
+    data: new Uint8Array([1, 2, 3])
+  });
+
+  it('saves chunks and reads them back per session', async () => {
+    await saveWaveformChunk(chunk(1, T0));
+    await saveWaveformChunk(chunk(1, T0 + 5000));
+    await saveWaveformChunk(chunk(2, T0));
+
+    const chunks = await getWaveformChunks(1);
+    expect(chunks).toHaveLength(2);
+    expect(Array.from(chunks[0].data)).toEqual([1, 2, 3]);
+  });
+
+  it('prunes chunks older than the maximum age', async () => {
+    const day = 24 * 60 * 60 * 1000;
+    await saveWaveformChunk(chunk(1, T0 - 10 * day));
+    await saveWaveformChunk(chunk(1, T0 - 8 * day));
+    await saveWaveformChunk(chunk(2, T0 - day));
+
+    expect(await pruneWaveforms(7, 100)).toBe(2);
+    expect(await getWaveformChunks(1)).toEqual([]);
+    expect(await getWaveformChunks(2)).toHaveLength(1);
+  });
+
+  it('prunes the oldest chunks beyond the maximum count', async () => {
+    for (let i = 0; i < 5; i++) {
+      await saveWaveformChunk(chunk(1, T0 - i * 1000));
+    }
+
+    expect(await pruneWaveforms(7, 3)).toBe(2);
+    const remaining = (await getWaveformChunks(1)).map(c => c.startTime).sort();
+    expect(remaining).toEqual([T0 - 2000, T0 - 1000, T0].map(t => new Date(t).toISOString()));
+  });
+
+  it('falls back when IndexedDB fails', async () => {
+    breakIndexedDB();
+    expect(await getWaveformChunks(1)).toEqual([]);
+    expect(await pruneWaveforms(7, 10)).toBe(0);
+    await expect(saveWaveformChunk(chunk(1, T0))).rejects.toThrow();
+  });
+});
+
+describe('gaps', () => {
+  it('logs gaps and returns them by start time', async () => {
+    const gap = (start) => ({
+      start: new Date(start).toISOString(),
+      end: new Date(start + 8000).toISOString(),
+      durationMs: 8000,
+      deviceId: 'abc'
+    });
+    await logGap(gap(T0 - 60000));
+    await logGap(gap(T0 - 3600000));
+
+    const gaps = await getGaps(null, null);
+    expect(gaps.map(g => g.start)).toEqual([T0 - 3600000, T0 - 60000].map(t => new Date(t).toISOString()));
+    expect(await getGaps(new Date(T0 - 120000), null)).toHaveLength(1);
+  });
+
+  it('keeps the gaps of each profile apart', async () => {
+    const start = new Date(T0 - 60000).toISOString();
+    await logGap({ start, end: new Date(T0).toISOString(), durationMs: 60000 });
+    const ann = await createProfile({ name: 'Ann' });
+    setActiveProfileId(ann);
+
+    expect(await getGaps(null, null)).toEqual([]);
+    await logGap({ start, end: new Date(T0).toISOString(), durationMs: 60000 });
+    expect(await getGaps(null, null)).toEqual([expect.objectContaining({ start, profileId: ann })]);
+  });
+
+  it('falls back when IndexedDB fails', async () => {
+    breakIndexedDB();
+    expect(await logGap({ start: 'x' })).toBeNull();
+    expect(await getGaps(null, null)).toEqual([]);
+  });
+});
+
+describe('schema migrations', () => {
+  // Create the database as the first release did: readings and settings only
+  function openVersion1() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open('oximeter-pwa-db', 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const readings = db.createObjectStore('readings', { keyPath: 'id', autoIncrement: true });
+        readings.createIndex('timestamp', 'timestamp', { unique: false });
+        db.createObjectStore('settings', { keyPath: 'key' });
+        readings.add({ timestamp: new Date(T0 - 1000).toISOString(), bpm: 66, spo2: 95, synced: false });
+      };
+      request.onsuccess = () => {
+        request.result.close();
+        resolve();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  it('upgrades an old database and keeps its data', async () => {
+    await openVersion1();
+
+    const [reading] = await getReadings(null, null);
+    expect(reading).toMatchObject({ bpm: 66, spo2: 95, profileId: DEFAULT_PROFILE_ID });
+    expect(await getUnsyncedReadings()).toEqual([reading]);
+    expect(await getStoreCounts()).toEqual({
+      aggregates: 0,
+      alarms: 0,
+      gaps: 0,
+      profiles: 1,
+      readings: 1,
+      sessions: 0,
+      settings: 0,
+      waveforms: 0
+    });
+
+    const sessionId = await createSession('Night');
+    await saveReading(70, 97, { sessionId });
+    expect(await getSessionReadings(sessionId)).toHaveLength(1);
+  });
+
+  // Create the database as it was before profiles (version 6)
+  function openVersion6() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open('oximeter-pwa-db', 6);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const readings = db.createObjectStore('readings', { keyPath: 'id', autoIncrement: true });
+        readings.createIndex('timestamp', 'timestamp', { unique: false });
+        readings.createIndex('sessionId', 'sessionId', { unique: false });
+        db.createObjectStore('settings', { keyPath: 'key' });
+        const alarms = db.createObjectStore('alarms', { keyPath: 'id', autoIncrement: true });
+        alarms.createIndex('timestamp', 'timestamp');
+        const sessions = db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+        sessions.createIndex('startedAt', 'startedAt');
+        const waveforms = db.createObjectStore('waveforms', { keyPath: 'id', autoIncrement: true });
+        waveforms.createIndex('sessionId', 'sessionId');
+        waveforms.createIndex('startTime', 'startTime');
+        const gaps = db.createObjectStore('gaps', { keyPath: 'id', autoIncrement: true });
+        gaps.createIndex('start', 'start');
+        const aggregates = db.createObjectStore('aggregates', { keyPath: 'key' });
+        aggregates.createIndex('start', 'start');
+
+        const start = new Date(T0 - 60000).toISOString();
+        sessions.add({ label: 'Night', notes: '', startedAt: start, endedAt: null, summary: null });
+        alarms.add({ type: 'triggered', condition: 'spo2Low', timestamp: start });
+        gaps.add({ start, end: new Date(T0).toISOString(), durationMs: 60000, deviceId: 'abc' });
+        aggregates.add({
+          key: `monitor-1|${start}`,
+          monitorId: 'monitor-1',
+          start,
+          end: new Date(T0).toISOString(),
+          count: 2,
+          spo2: { min: 94, max: 96, sum: 190, count: 2 },
+          bpm: { min: 60, max: 62, sum: 122, count: 2 }
+        });
+      };
+      request.onsuccess = () => {
+        request.result.close();
+        resolve();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  it('moves existing records to the default profile', async () => {
+    await openVersion6();
+
+    const [session] = await getSessions();
+    expect(session).toMatchObject({ label: 'Night', profileId: DEFAULT_PROFILE_ID });
+    expect(await getAlarmEvents(null, null)).toHaveLength(1);
+    expect(await getGaps(null, null)).toEqual([expect.objectContaining({ deviceId: 'abc', profileId: DEFAULT_PROFILE_ID })]);
+
+    const [row] = await getAggregates(null, null);
+    expect(row).toMatchObject({ key: `1|monitor-1|${new Date(T0 - 60000).toISOString()}`, profileId: DEFAULT_PROFILE_ID, count: 2 });
+    expect(await getProfiles()).toEqual([expect.objectContaining({ id: DEFAULT_PROFILE_ID, name: 'Default' })]);
+  });
+});
+
+describe('profiles', () => {
+  const MINUTE = 60000;
+
+  it('creates, updates and lists profiles', async () => {
+    const id = await createProfile({ name: 'Ann', birthYear: 1950, alarmSettings: null });
+    expect(await getProfile(id)).toMatchObject({ id, name: 'Ann', birthYear: 1950 });
+
+    await updateProfile(id, { name: 'Anne' });
+    expect((await getProfiles()).map(p => p.name)).toEqual(['Default', 'Anne']);
+    await expect(updateProfile(99, { name: 'x' })).rejects.toThrow('Profile 99 not found');
+  });
+
+  it('scopes readings, sessions and alarm events to the active profile', async () => {
+    await saveAt(T0, 70, 97);
+    const ann = await createProfile({ name: 'Ann' });
+    setActiveProfileId(ann);
+    await saveAt(T0 + 1000, 80, 93);
+    await writeReadings([{ bpm: 81, spo2: 94, timestamp: new Date(T0 + 2000).toISOString(), synced: false }]);
+    await createSession('Night');
+    await logAlarmEvent({ type: 'triggered', condition: 'spo2Low', timestamp: new Date(T0).toISOString() });
+    vi.setSystemTime(T0 + MINUTE);
+
+    expect((await getReadings(null, null)).map(r => r.bpm)).toEqual([81, 80]);
+    expect(await countReadings(null, null)).toBe(2);
+    expect(await getLatestReading()).toMatchObject({ bpm: 81, profileId: ann });
+    expect(await getSessions()).toHaveLength(1);
+    expect(await getAlarmEvents(null, null)).toHaveLength(1);
+
+    setActiveProfileId(DEFAULT_PROFILE_ID);
+    expect((await getReadings(null, null)).map(r => r.bpm)).toEqual([70]);
+    expect(await getSessions()).toEqual([]);
+    expect(await getAlarmEvents(null, null)).toEqual([]);
+    const [bucket] = await getAggregatedReadings(null, null, MINUTE);
+    expect(bucket.count).toBe(1);
+
+    // Unsynced readings of every profile are uploaded
+    expect(await getUnsyncedReadings()).toHaveLength(3);
+  });
+
+  it('ignores the cached last reading of another profile', async () => {
+    await saveReading(70, 97);
+    setActiveProfileId(await createProfile({ name: 'Ann' }));
+    expect(await getLatestReading()).toBeNull();
+  });
+
+  it('imports into the active profile and de-duplicates per profile', async () => {
+    const readings = [{ timestamp: new Date(T0).toISOString(), bpm: 70, spo2: 97, profileId: 7 }];
+    expect(await addReadings(readings)).toEqual({ imported: 1, skipped: 0 });
+
+    setActiveProfileId(await createProfile({ name: 'Ann' }));
+    expect(await addReadings(readings)).toEqual({ imported: 1, skipped: 0 });
+    expect(await addReadings(readings)).toEqual({ imported: 0, skipped: 1 });
+    expect((await getReadings(null, null))[0].profileId).not.toBe(7);
+  });
+
+  it('compacts each profile into its own aggregate rows', async () => {
+    await saveAt(T0, 70, 96);
+    const ann = await createProfile({ name: 'Ann' });
+    setActiveProfileId(ann);
+    await saveAt(T0 + 1000, 80, 90);
+
+    expect(await compactReadings(T0 + 2 * MINUTE, MINUTE)).toEqual({ compacted: 2, buckets: 2 });
+
+    vi.setSystemTime(T0 + 10 * MINUTE);
+    const [row] = await getAggregates(null, null);
+    expect(row).toMatchObject({ key: `${ann}||${new Date(T0).toISOString()}`, profileId: ann, count: 1 });
+    const [bucket] = await getAggregatedReadings(null, null, MINUTE);
+    expect(bucket.spo2).toEqual({ min: 90, max: 90, mean: 90 });
+  });
+
+  it('deletes a profile with all of its data', async () => {
+    await saveAt(T0 + 2 * MINUTE, 70, 97);
+    vi.setSystemTime(T0);
+    const ann = await createProfile({ name: 'Ann' });
+    setActiveProfileId(ann);
+    await saveReading(80, 93);
+    const sessionId = await createSession('Night');
+    await saveWaveformChunk({ sessionId, startTime: new Date(T0).toISOString(), sampleCount: 0, data: new Uint8Array() });
+    await logAlarmEvent({ type: 'triggered', condition: 'spo2Low' });
+    await logGap({ start: new Date(T0).toISOString(), end: new Date(T0 + 8000).toISOString(), durationMs: 8000 });
+    await compactReadings(T0 + MINUTE, MINUTE, { keepSessionReadings: false });
+    setActiveProfileId(DEFAULT_PROFILE_ID);
+    await logGap({ start: new Date(T0).toISOString(), end: new Date(T0 + 5000).toISOString(), durationMs: 5000 });
+
+    await deleteProfile(ann);
+
+    expect(await getStoreCounts()).toMatchObject({
+      profiles: 1,
+      readings: 1,
+      sessions: 0,
+      waveforms: 0,
+      alarms: 0,
+      aggregates: 0,
+      gaps: 1
+    });
+  });
+});
+
+describe('deleteAllData', () => {
+  it('removes the database and the cached last reading', async () => {
+    await saveReading(70, 97);
+    await saveSetting('theme', 'dark');
+
+    await deleteAllData();
+
+    expect(localStorage.getItem(LAST_READING_KEY)).toBeNull();
+    expect(await getReadings(null, null)).toEqual([]);
+    expect(await getSetting('theme')).toBeNull();
+  });
+});
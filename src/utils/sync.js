@@ -0,0 +1,147 @@
+import { getSetting, getUnsyncedReadings, markReadingsAsSynced } from './storage';
+import { getKeyBundle } from './encryption';
+
+// Background sync configuration
+export const SYNC_TAG = 'sync-readings';
+export const SYNC_ENDPOINT_KEY = 'syncEndpoint';
+const BATCH_SIZE = 50;
+const MAX_ATTEMPTS = 4;
+const BASE_DELAY_MS = 1000;
+// Sync requests within this window are coalesced into one registration
+const SYNC_REQUEST_DELAY_MS = 10000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Check that an endpoint is an absolute http(s) URL
+export function isValidEndpoint(endpoint) {
+  if (!endpoint) return false;
+
+  try {
+    const url = new URL(endpoint);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+// Settings screen schema; an empty endpoint switches sync off
+export const SYNC_SCHEMA = {
+  endpoint: {
+    type: 'string',
+    label: 'Sync endpoint',
+    default: '',
+    check: (value) => (!value || isValidEndpoint(value) ? null : 'Sync endpoint must be an http(s) URL')
+  }
+};
+
+// Get the configured upload endpoint, or null if sync is not set up
+export async function getSyncEndpoint() {
+  const endpoint = await getSetting(SYNC_ENDPOINT_KEY, null);
+  return isValidEndpoint(endpoint) ? endpoint : null;
+}
+
+// POST one batch of readings, retrying with exponential backoff
+export async function uploadBatch(endpoint, readings, options = {}) {
+  const {
+    fetchImpl = fetch,
+    maxAttempts = MAX_ATTEMPTS,
+    baseDelay = BASE_DELAY_MS,
+    wait = sleep
+  } = options;
+
+  // Strip local bookkeeping before sending
+  const payload = readings.map(reading => {
+    const { synced: _synced, ...rest } = reading;
+    return rest;
+  });
+
+  // Encrypted readings travel with the wrapped keys needed to read them
+  const body = options.keys ? { readings: payload, keys: options.keys } : { readings: payload };
+
+  let lastError = null;
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    if (attempt > 0) {
+      await wait(baseDelay * 2 ** (attempt - 1));
+    }
+
+    try {
+      const response = await fetchImpl(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+
+      if (response.ok) return;
+
+      lastError = new Error(`Upload failed with status ${response.status}`);
+
+      // Client errors won't succeed on retry
+      if (response.status >= 400 && response.status < 500 && response.status !== 429) {
+        break;
+      }
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+}
+
+// Upload all unsynced readings in batches and mark them as synced.
+// Throws if a batch cannot be uploaded so the browser reschedules the sync.
+export async function syncReadings(options = {}) {
+  const { batchSize = BATCH_SIZE } = options;
+  const endpoint = options.endpoint || await getSyncEndpoint();
+
+  if (!endpoint) {
+    return { uploaded: 0, skipped: true };
+  }
+
+  let uploaded = 0;
+  for (;;) {
+    const readings = await getUnsyncedReadings(batchSize);
+    if (readings.length === 0) break;
+
+    const keys = await getKeyBundle(readings);
+    await uploadBatch(endpoint, readings, { ...options, keys });
+
+    const marked = await markReadingsAsSynced(readings.map(r => r.id));
+    uploaded += marked;
+
+    // Nothing could be marked, stop rather than re-uploading the same batch
+    if (marked === 0 || readings.length < batchSize) break;
+  }
+
+  return { uploaded, skipped: false };
+}
+
+// Register the background sync with the service worker, if supported
+function registerSync() {
+  if (!('serviceWorker' in navigator) || !('SyncManager' in window)) return;
+  navigator.serviceWorker.ready
+    .then(reg => reg.sync.register(SYNC_TAG))
+    .catch(err => console.error('Sync registration failed:', err));
+}
+
+let syncRequestTimer = null;
+
+// Ask for a background sync after new readings were stored. Requests are
+// coalesced: at most one registration per delay window, however many
+// batches arrive. A delay of 0 registers right away (e.g. on page hide).
+export function requestSync(delayMs = SYNC_REQUEST_DELAY_MS) {
+  if (syncRequestTimer !== null) {
+    if (delayMs > 0) return;
+    clearTimeout(syncRequestTimer);
+  }
+
+  if (delayMs === 0) {
+    syncRequestTimer = null;
+    registerSync();
+    return;
+  }
+
+  syncRequestTimer = setTimeout(() => {
+    syncRequestTimer = null;
+    registerSync();
+  }, delayMs);
+}
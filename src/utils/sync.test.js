@@ -0,0 +1,116 @@
+import { describe, it, expect, vi } from 'vitest';
+import { uploadBatch, syncReadings, SYNC_ENDPOINT_KEY } from './sync';
+import { saveReading, saveSetting, getUnsyncedReadings } from './storage';
+
+const ENDPOINT = 'https://example.com/readings';
+
+const response = (status) => ({ ok: status >= 200 && status < 300, status });
+
+// fetch answering with the given statuses in turn; an Error is thrown
+function fetchReplying(...replies) {
+  return vi.fn(async () => {
+    const reply = replies.length > 1 ? replies.shift() : replies[0];
+    if (reply instanceof Error) throw reply;
+    return response(reply);
+  });
+}
+
+const noWait = vi.fn(async () => {});
+
+describe('uploadBatch', () => {
+  it('posts readings without local bookkeeping', async () => {
+    const fetchImpl = fetchReplying(200);
+    await uploadBatch(ENDPOINT, [{ id: 1, bpm: 70, spo2: 97, synced: false }], { fetchImpl });
+
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    const [url, init] = fetchImpl.mock.calls[0];
+    expect(url).toBe(ENDPOINT);
+    expect(init).toMatchObject({ method: 'POST', headers: { 'Content-Type': 'application/json' } });
+    expect(JSON.parse(init.body)).toEqual({ readings: [{ id: 1, bpm: 70, spo2: 97 }] });
+  });
+
+  it('sends the keys of encrypted readings along', async () => {
+    const fetchImpl = fetchReplying(200);
+    await uploadBatch(ENDPOINT, [{ id: 1 }], { fetchImpl, keys: { privateKey: 'wrapped' } });
+
+    expect(JSON.parse(fetchImpl.mock.calls[0][1].body).keys).toEqual({ privateKey: 'wrapped' });
+  });
+
+  it('retries server and network errors with exponential backoff', async () => {
+    const fetchImpl = fetchReplying(503, new TypeError('Failed to fetch'), 500, 201);
+    const wait = vi.fn(async () => {});
+    await uploadBatch(ENDPOINT, [{ id: 1 }], { fetchImpl, wait, baseDelay: 100 });
+
+    expect(fetchImpl).toHaveBeenCalledTimes(4);
+    expect(wait.mock.calls.map(([ms]) => ms)).toEqual([100, 200, 400]);
+  });
+
+  it('gives up after the last attempt with the last error', async () => {
+    const fetchImpl = fetchReplying(500, 502);
+    await expect(uploadBatch(ENDPOINT, [{ id: 1 }], { fetchImpl, wait: noWait, maxAttempts: 3 }))
+      .rejects.toThrow('Upload failed with status 502');
+    expect(fetchImpl).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry client errors other than 429', async () => {
+    const rejected = fetchReplying(400);
+    await expect(uploadBatch(ENDPOINT, [{ id: 1 }], { fetchImpl: rejected, wait: noWait }))
+      .rejects.toThrow('Upload failed with status 400');
+    expect(rejected).toHaveBeenCalledTimes(1);
+
+    const throttled = fetchReplying(429, 200);
+    await uploadBatch(ENDPOINT, [{ id: 1 }], { fetchImpl: throttled, wait: noWait });
+    expect(throttled).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('syncReadings', () => {
+  const saveReadings = async (count) => {
+    for (let i = 0; i < count; i++) await saveReading(70 + i, 97);
+  };
+
+  it('does nothing without an endpoint', async () => {
+    await saveReadings(1);
+    const fetchImpl = fetchReplying(200);
+
+    expect(await syncReadings({ fetchImpl })).toEqual({ uploaded: 0, skipped: true });
+    expect(fetchImpl).not.toHaveBeenCalled();
+  });
+
+  it('uploads in batches to the configured endpoint and marks readings synced', async () => {
+    await saveSetting(SYNC_ENDPOINT_KEY, ENDPOINT);
+    await saveReadings(5);
+    const fetchImpl = fetchReplying(200);
+
+    expect(await syncReadings({ fetchImpl, batchSize: 2 })).toEqual({ uploaded: 5, skipped: false });
+    expect(fetchImpl.mock.calls.map(([, init]) => JSON.parse(init.body).readings.length)).toEqual([2, 2, 1]);
+    expect(fetchImpl.mock.calls.every(([url]) => url === ENDPOINT)).toBe(true);
+    expect(await getUnsyncedReadings()).toEqual([]);
+  });
+
+  it('marks nothing synced until the server accepts the batch', async () => {
+    await saveReadings(2);
+    let unsyncedDuringUpload = null;
+    const fetchImpl = vi.fn(async () => {
+      unsyncedDuringUpload = (await getUnsyncedReadings()).length;
+      return response(503);
+    });
+
+    await expect(syncReadings({ endpoint: ENDPOINT, fetchImpl, wait: noWait })).rejects.toThrow('Upload failed with status 503');
+    expect(unsyncedDuringUpload).toBe(2);
+    expect(await getUnsyncedReadings()).toHaveLength(2);
+  });
+
+  it('keeps the readings of a failed batch for the next sync', async () => {
+    await saveReadings(3);
+    // First batch accepted, second refused on every attempt
+    const fetchImpl = fetchReplying(200, 500);
+
+    await expect(syncReadings({ endpoint: ENDPOINT, fetchImpl, wait: noWait, batchSize: 2 })).rejects.toThrow();
+    expect((await getUnsyncedReadings()).map(r => r.bpm)).toEqual([72]);
+
+    const retry = fetchReplying(200);
+    expect(await syncReadings({ endpoint: ENDPOINT, fetchImpl: retry, batchSize: 2 })).toEqual({ uploaded: 1, skipped: false });
+    expect(JSON.parse(retry.mock.calls[0][1].body).readings.map(r => r.bpm)).toEqual([72]);
+  });
+});
@@ -0,0 +1,128 @@
+import { saveWaveformChunk, pruneWaveforms, getSetting } from './storage';
+
+// Length of one stored waveform chunk
+const CHUNK_MS = 5000;
+
+// Retention defaults for stored waveforms
+export const WAVEFORM_RETENTION_KEY = 'waveformRetention';
+export const DEFAULT_WAVEFORM_RETENTION = { maxAgeDays: 7, maxChunks: 20000 };
+
+// Delete waveform chunks beyond the configured retention limits
+export async function applyWaveformRetention() {
+  const retention = {
+    ...DEFAULT_WAVEFORM_RETENTION,
+    ...(await getSetting(WAVEFORM_RETENTION_KEY, {}))
+  };
+  return pruneWaveforms(retention.maxAgeDays, retention.maxChunks);
+}
+
+// Delta-encode samples modulo 256; PPG changes slowly so deltas compress well
+export function deltaEncode(samples) {
+  const out = new Uint8Array(samples.length);
+  let previous = 0;
+  for (let i = 0; i < samples.length; i++) {
+    out[i] = (samples[i] - previous) & 0xff;
+    previous = samples[i];
+  }
+  return out;
+}
+
+export function deltaDecode(deltas) {
+  const out = new Uint8Array(deltas.length);
+  let previous = 0;
+  for (let i = 0; i < deltas.length; i++) {
+    previous = (previous + deltas[i]) & 0xff;
+    out[i] = previous;
+  }
+  return out;
+}
+
+async function pipeThrough(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Compress samples for storage, falling back to plain deltas when the
+// Compression Streams API is not available
+export async function encodeSamples(samples) {
+  const deltas = deltaEncode(samples);
+  if (typeof CompressionStream === 'undefined') {
+    return { encoding: 'delta', data: deltas.buffer };
+  }
+  const compressed = await pipeThrough(deltas, new CompressionStream('deflate-raw'));
+  return { encoding: 'delta-deflate', data: compressed.buffer };
+}
+
+export async function decodeSamples({ encoding, data }) {
+  const bytes = new Uint8Array(data);
+  if (encoding === 'delta-deflate') {
+    return deltaDecode(await pipeThrough(bytes, new DecompressionStream('deflate-raw')));
+  }
+  return deltaDecode(bytes);
+}
+
+// Buffer waveform samples for a session and store them in fixed-length chunks
+export function createWaveformRecorder(sessionId, chunkMs = CHUNK_MS) {
+  let buffer = [];
+  let chunkStart = null;
+  let lastSampleTime = null;
+  let pending = Promise.resolve();
+
+  const flush = () => {
+    if (buffer.length === 0) return pending;
+
+    const samples = Uint8Array.from(buffer);
+    const startTime = new Date(chunkStart).toISOString();
+    const endTime = new Date(lastSampleTime).toISOString();
+    buffer = [];
+    chunkStart = null;
+
+    pending = pending
+      .then(() => encodeSamples(samples))
+      .then(({ encoding, data }) => saveWaveformChunk({
+        sessionId,
+        startTime,
+        endTime,
+        sampleCount: samples.length,
+        encoding,
+        data
+      }))
+      .catch(err => console.error('Failed to save waveform chunk:', err));
+    return pending;
+  };
+
+  return {
+    push(samples, now = Date.now()) {
+      if (chunkStart === null) chunkStart = now;
+      buffer.push(...samples);
+      lastSampleTime = now;
+      if (now - chunkStart >= chunkMs) flush();
+    },
+    flush
+  };
+}
+
+// Decode all chunks of a session into a timeline for playback
+export async function loadWaveformTimeline(chunks) {
+  const decoded = await Promise.all(chunks.map(async chunk => ({
+    start: new Date(chunk.startTime).getTime(),
+    end: new Date(chunk.endTime).getTime(),
+    samples: await decodeSamples(chunk)
+  })));
+  return decoded.sort((a, b) => a.start - b.start);
+}
+
+// Samples between two times, assuming samples are evenly spread over each chunk
+export function samplesInWindow(timeline, from, to) {
+  const result = [];
+  timeline.forEach(({ start, end, samples }) => {
+    if (end < from || start > to || samples.length === 0) return;
+
+    const step = samples.length > 1 ? (end - start) / (samples.length - 1) : 0;
+    for (let i = 0; i < samples.length; i++) {
+      const time = start + i * step;
+      if (time >= from && time <= to) result.push(samples[i]);
+    }
+  });
+  return result;
+}
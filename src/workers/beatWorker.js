@@ -0,0 +1,27 @@
+import { createBeatDetector } from '../utils/beatDetection';
+
+// Runs beat detection off the main thread so the live chart stays smooth.
+//
+// Messages in:
+//   { type: 'samples', samples, time }  waveform samples of one notification
+//   { type: 'hrv', id }                 request HRV over intervals since reset
+//   { type: 'reset' }                   start a new recording
+// Messages out:
+//   { type: 'stats', bpm, perfusionIndex, lastInterval }  after each beat
+//   { type: 'hrv', id, hrv }
+const detector = createBeatDetector();
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  if (message.type === 'samples') {
+    const beats = detector.push(message.samples, message.time);
+    if (beats.length > 0) {
+      self.postMessage({ type: 'stats', ...detector.getStats() });
+    }
+  } else if (message.type === 'hrv') {
+    self.postMessage({ type: 'hrv', id: message.id, hrv: detector.getHrv() });
+  } else if (message.type === 'reset') {
+    detector.reset();
+  }
+};